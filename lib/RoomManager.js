@@ -1,16 +1,41 @@
 import { EventEmitter } from 'events'
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto'
+import { WhiteboardDoc } from './WhiteboardDoc.js'
+
+// Strokes sent without a pageId (older clients) belong to this page.
+export const DEFAULT_WHITEBOARD_PAGE = { id: 'page-1', name: 'Page 1' }
+
+// Distinct emoji one message can collect.
+const MAX_MESSAGE_REACTIONS = 20
 
 export class RoomManager extends EventEmitter {
   constructor(performanceMonitor, config, cron) {
     super()
     this.performanceMonitor = performanceMonitor
-    this.config = config || { MESSAGE_HISTORY_LIMIT: 100, INACTIVE_ROOM_TTL: 3600000 }
+    this.config = config || { MESSAGE_HISTORY_LIMIT: 100, WHITEBOARD_HISTORY_LIMIT: 2000, INACTIVE_ROOM_TTL: 3600000 }
     this.roomMessages = new Map()
     this.roomPolls = new Map()
     this.roomQuestions = new Map()
     this.roomReactions = new Map()
     this.roomRaisedHands = new Map()
     this.roomMetadata = new Map()
+    this.roomScreenSharers = new Map()
+    this.roomHosts = new Map()
+    this.roomCoHosts = new Map()
+    this.roomLocks = new Map()
+    this.roomBannedTokens = new Map()
+    this.roomBannedAddresses = new Map()
+    this.roomLobbyEnabled = new Map()
+    this.roomLobbies = new Map()
+    // Rooms that have turned trickle ICE off; every other room trickles.
+    this.roomTrickleIceDisabled = new Set()
+    // Rooms whose media goes through the SFU; every other room is a mesh.
+    this.roomSfuMode = new Set()
+    this.roomPasswords = new Map()
+    this.roomWhiteboards = new Map()
+    this.roomWhiteboardPages = new Map()
+    this.roomWhiteboardActors = new Map()
+    this.roomPins = new Map()
     if (cron) this.startCleanupScheduler(cron)
   }
 
@@ -42,11 +67,84 @@ export class RoomManager extends EventEmitter {
     const messages = this.roomMessages.get(roomId)
     messages.push(message)
     if (messages.length > this.config.MESSAGE_HISTORY_LIMIT) {
-      messages.splice(0, messages.length - this.config.MESSAGE_HISTORY_LIMIT)
+      const dropped = messages.splice(0, messages.length - this.config.MESSAGE_HISTORY_LIMIT)
+      if (dropped.some((m) => m.id === this.roomPins.get(roomId))) this.roomPins.delete(roomId)
     }
     this.updateRoomActivity(roomId)
   }
 
+  getMessage(roomId, messageId) {
+    return this.roomMessages.get(roomId)?.find((m) => m.id === messageId) ?? null
+  }
+
+  // The message keeps its place in history; editedAt tells readers it changed.
+  // Text is whatever the client sent, ciphertext under keyId when encrypted.
+  editMessage(roomId, messageId, text, keyId) {
+    const message = this.getMessage(roomId, messageId)
+    if (!message || message.deleted) return null
+    message.text = text
+    if (keyId) message.keyId = keyId
+    else delete message.keyId
+    message.editedAt = Date.now()
+    this.updateRoomActivity(roomId)
+    return message
+  }
+
+  // Leaves a tombstone rather than removing the entry, so replies that quote
+  // the message can still say what happened to it.
+  deleteMessage(roomId, messageId) {
+    const message = this.getMessage(roomId, messageId)
+    if (!message || message.deleted) return null
+    message.text = ''
+    delete message.keyId
+    delete message.editedAt
+    message.reactions = {}
+    message.deleted = true
+    if (this.roomPins.get(roomId) === messageId) this.roomPins.delete(roomId)
+    this.updateRoomActivity(roomId)
+    return message
+  }
+
+  // One pinned message per room, kept by id since the text is ciphertext.
+  // Returns true when the pin changed.
+  pinMessage(roomId, messageId) {
+    const message = this.getMessage(roomId, messageId)
+    if (!message || message.deleted || this.roomPins.get(roomId) === messageId) return false
+    this.roomPins.set(roomId, messageId)
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
+  unpinMessage(roomId) {
+    if (!this.roomPins.delete(roomId)) return false
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
+  getPinnedMessageId(roomId) {
+    return this.roomPins.get(roomId) ?? null
+  }
+
+  // Adds socketId to the people who reacted with emoji, or takes them off if
+  // they already had. Returns the updated message, or null if nothing changed.
+  toggleMessageReaction(roomId, messageId, emoji, socketId) {
+    const message = this.getMessage(roomId, messageId)
+    if (!message || message.deleted) return null
+    const reactions = message.reactions ?? {}
+    const reactors = reactions[emoji] ?? []
+    if (reactors.includes(socketId)) {
+      const rest = reactors.filter((id) => id !== socketId)
+      if (rest.length > 0) reactions[emoji] = rest
+      else delete reactions[emoji]
+    } else {
+      if (reactors.length === 0 && Object.keys(reactions).length >= MAX_MESSAGE_REACTIONS) return null
+      reactions[emoji] = [...reactors, socketId]
+    }
+    message.reactions = reactions
+    this.updateRoomActivity(roomId)
+    return message
+  }
+
   addPoll(roomId, poll) {
     this.initializeRoom(roomId)
     const polls = this.roomPolls.get(roomId)
@@ -55,15 +153,90 @@ export class RoomManager extends EventEmitter {
     this.updateRoomActivity(roomId)
   }
 
-  recordPollVote(roomId, pollId, socketId, optionIndex) {
+  getPoll(roomId, pollId) {
+    return this.roomPolls.get(roomId)?.find((p) => p.id === pollId) ?? null
+  }
+
+  getActivePoll(roomId) {
+    return this.roomPolls.get(roomId)?.find((p) => p.isActive) ?? null
+  }
+
+  // Single-choice polls take one option index; multi-choice polls take the
+  // full set of picks, and an empty set withdraws the vote. Names are only
+  // remembered for polls that are not anonymous.
+  recordPollVote(roomId, pollId, socketId, choice, voterName) {
     this.initializeRoom(roomId)
     const poll = this.roomPolls.get(roomId).find((p) => p.id === pollId)
     if (!poll || !poll.isActive) return null
-    poll.votes[socketId] = optionIndex
+    const isOption = (i) => Number.isInteger(i) && i >= 0 && i < poll.options.length
+
+    if (poll.multiChoice) {
+      if (!Array.isArray(choice) || !choice.every(isOption)) return null
+      const picks = [...new Set(choice)].sort((a, b) => a - b)
+      if (picks.length === 0) delete poll.votes[socketId]
+      else poll.votes[socketId] = picks
+    } else {
+      if (!isOption(choice)) return null
+      poll.votes[socketId] = choice
+    }
+
+    if (voterName !== undefined && !poll.anonymous) {
+      poll.voterNames = { ...poll.voterNames, [socketId]: voterName }
+    }
     this.updateRoomActivity(roomId)
     return poll
   }
 
+  // Returns the closed poll, or null if it was not running.
+  closePoll(roomId, pollId) {
+    const poll = this.getPoll(roomId, pollId)
+    if (!poll || !poll.isActive) return null
+    poll.isActive = false
+    poll.closedAt = Date.now()
+    this.updateRoomActivity(roomId)
+    return poll
+  }
+
+  getWhiteboard(roomId) {
+    if (!this.roomWhiteboards.has(roomId)) {
+      this.roomWhiteboards.set(roomId, new WhiteboardDoc(this.config.WHITEBOARD_HISTORY_LIMIT))
+    }
+    return this.roomWhiteboards.get(roomId)
+  }
+
+  // Returns the ops that changed the board, which are the ones worth relaying.
+  applyWhiteboardOps(roomId, ops) {
+    this.initializeRoom(roomId)
+    const accepted = this.getWhiteboard(roomId).apply(ops)
+    if (accepted.length > 0) this.updateRoomActivity(roomId)
+    return accepted
+  }
+
+  // Each whiteboard actor id belongs to the first socket that sends ops under
+  // it. A holder that is no longer present (per `isPresent`) gives it up, so a
+  // tab that reconnects on a new socket keeps drawing as itself.
+  // Returns true when socketId may send ops as actor.
+  claimWhiteboardActor(roomId, actor, socketId, isPresent) {
+    const actors = this.roomWhiteboardActors.get(roomId) ?? new Map()
+    const holder = actors.get(actor)
+    if (holder && holder !== socketId && isPresent(holder)) return false
+    actors.set(actor, socketId)
+    this.roomWhiteboardActors.set(roomId, actors)
+    return true
+  }
+
+  getWhiteboardPages(roomId) {
+    return this.roomWhiteboardPages.get(roomId) ?? [DEFAULT_WHITEBOARD_PAGE]
+  }
+
+  addWhiteboardPage(roomId, page) {
+    const pages = this.getWhiteboardPages(roomId)
+    if (pages.some((p) => p.id === page.id)) return false
+    this.roomWhiteboardPages.set(roomId, [...pages, page])
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
   addRaisedHand(roomId, hand) {
     this.initializeRoom(roomId)
     const hands = this.roomRaisedHands.get(roomId)
@@ -83,6 +256,225 @@ export class RoomManager extends EventEmitter {
     return true
   }
 
+  // Returns the hands that were lowered so callers can notify each owner.
+  clearRaisedHands(roomId) {
+    this.initializeRoom(roomId)
+    const hands = this.roomRaisedHands.get(roomId)
+    if (hands.length === 0) return []
+    this.roomRaisedHands.set(roomId, [])
+    this.updateRoomActivity(roomId)
+    return hands
+  }
+
+  // Only one participant shares at a time; the newest share takes the stage.
+  // Returns the socket ID whose share was displaced, or null.
+  setScreenSharer(roomId, socketId) {
+    this.initializeRoom(roomId)
+    const previous = this.roomScreenSharers.get(roomId) ?? null
+    this.roomScreenSharers.set(roomId, socketId)
+    this.updateRoomActivity(roomId)
+    return previous === socketId ? null : previous
+  }
+
+  clearScreenSharer(roomId, socketId) {
+    if (this.roomScreenSharers.get(roomId) !== socketId) return false
+    this.roomScreenSharers.delete(roomId)
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
+  // The first participant into a room with no host becomes host.
+  // Returns true when socketId now holds the host role.
+  claimHost(roomId, socketId) {
+    this.initializeRoom(roomId)
+    if (!this.roomHosts.has(roomId)) this.roomHosts.set(roomId, socketId)
+    return this.roomHosts.get(roomId) === socketId
+  }
+
+  getHost(roomId) {
+    return this.roomHosts.get(roomId) ?? null
+  }
+
+  getRole(roomId, socketId) {
+    if (this.roomHosts.get(roomId) === socketId) return 'host'
+    if (this.roomCoHosts.get(roomId)?.has(socketId)) return 'cohost'
+    return 'guest'
+  }
+
+  // Hands the host role to socketId. Returns the previous host, or null.
+  setHost(roomId, socketId) {
+    this.initializeRoom(roomId)
+    const previous = this.roomHosts.get(roomId) ?? null
+    this.roomHosts.set(roomId, socketId)
+    this.roomCoHosts.get(roomId)?.delete(socketId)
+    this.updateRoomActivity(roomId)
+    return previous === socketId ? null : previous
+  }
+
+  // Grants or removes co-host. The host's own role is never changed here.
+  // Returns true when the role actually changed.
+  setCoHost(roomId, socketId, isCoHost) {
+    if (this.roomHosts.get(roomId) === socketId) return false
+    const coHosts = this.roomCoHosts.get(roomId) ?? new Set()
+    if (coHosts.has(socketId) === isCoHost) return false
+    if (isCoHost) coHosts.add(socketId)
+    else coHosts.delete(socketId)
+    this.roomCoHosts.set(roomId, coHosts)
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
+  // Drops socketId's role when it leaves. If it was host, the role passes to
+  // the longest-present co-host, else the longest-present participant in
+  // `remaining` (join order). Returns the new host, or null if none changed.
+  releaseRoles(roomId, socketId, remaining = []) {
+    this.roomCoHosts.get(roomId)?.delete(socketId)
+    if (this.roomHosts.get(roomId) !== socketId) return null
+    const coHosts = this.roomCoHosts.get(roomId)
+    const successor = remaining.find((id) => coHosts?.has(id)) ?? remaining[0] ?? null
+    if (successor) {
+      this.setHost(roomId, successor)
+    } else {
+      this.roomHosts.delete(roomId)
+    }
+    return successor
+  }
+
+  // Returns true when the lock state actually changed.
+  setRoomLocked(roomId, locked) {
+    if (this.isRoomLocked(roomId) === locked) return false
+    if (locked) this.roomLocks.set(roomId, true)
+    else this.roomLocks.delete(roomId)
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
+  isRoomLocked(roomId) {
+    return this.roomLocks.get(roomId) === true
+  }
+
+  // Tokens of removed participants; join-room refuses them for the room's lifetime.
+  banToken(roomId, token) {
+    if (!token) return
+    const banned = this.roomBannedTokens.get(roomId) ?? new Set()
+    banned.add(token)
+    this.roomBannedTokens.set(roomId, banned)
+  }
+
+  isTokenBanned(roomId, token) {
+    return this.roomBannedTokens.get(roomId)?.has(token) ?? false
+  }
+
+  // Addresses of removed participants. Tokens are free to request again, so
+  // this is what keeps a removed participant out for the room's lifetime.
+  banAddress(roomId, address) {
+    if (!address) return
+    const banned = this.roomBannedAddresses.get(roomId) ?? new Set()
+    banned.add(address)
+    this.roomBannedAddresses.set(roomId, banned)
+  }
+
+  isAddressBanned(roomId, address) {
+    return this.roomBannedAddresses.get(roomId)?.has(address) ?? false
+  }
+
+  // Only a salted scrypt hash is kept; the passphrase itself is never stored.
+  setPassword(roomId, passphrase) {
+    this.initializeRoom(roomId)
+    const salt = randomBytes(16)
+    this.roomPasswords.set(roomId, { salt, hash: scryptSync(passphrase, salt, 32) })
+    this.updateRoomActivity(roomId)
+  }
+
+  hasPassword(roomId) {
+    return this.roomPasswords.has(roomId)
+  }
+
+  // Rooms without a passphrase accept anything.
+  verifyPassword(roomId, passphrase) {
+    const entry = this.roomPasswords.get(roomId)
+    if (!entry) return true
+    if (typeof passphrase !== 'string' || passphrase.length === 0) return false
+    return timingSafeEqual(scryptSync(passphrase, entry.salt, 32), entry.hash)
+  }
+
+  // Changes whenever the passphrase does, so room tokens can be tied to the
+  // passphrase they were issued under.
+  getPasswordStamp(roomId) {
+    return this.roomPasswords.get(roomId)?.salt.toString('hex') ?? null
+  }
+
+  clearPassword(roomId) {
+    this.roomPasswords.delete(roomId)
+  }
+
+  // Returns true when lobby mode actually changed.
+  setLobbyEnabled(roomId, enabled) {
+    if (this.isLobbyEnabled(roomId) === enabled) return false
+    if (enabled) this.roomLobbyEnabled.set(roomId, true)
+    else this.roomLobbyEnabled.delete(roomId)
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
+  isLobbyEnabled(roomId) {
+    return this.roomLobbyEnabled.get(roomId) === true
+  }
+
+  // Returns true when the setting actually changed.
+  setTrickleIce(roomId, enabled) {
+    if (this.isTrickleIceEnabled(roomId) === enabled) return false
+    if (enabled) this.roomTrickleIceDisabled.delete(roomId)
+    else this.roomTrickleIceDisabled.add(roomId)
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
+  isTrickleIceEnabled(roomId) {
+    return !this.roomTrickleIceDisabled.has(roomId)
+  }
+
+  // Returns true when the mode actually changed.
+  setMediaMode(roomId, mode) {
+    if (this.getMediaMode(roomId) === mode) return false
+    if (mode === 'sfu') this.roomSfuMode.add(roomId)
+    else this.roomSfuMode.delete(roomId)
+    this.updateRoomActivity(roomId)
+    return true
+  }
+
+  getMediaMode(roomId) {
+    return this.roomSfuMode.has(roomId) ? 'sfu' : 'mesh'
+  }
+
+  // Parks a joiner until a moderator admits or denies them. Re-adding the
+  // same socket replaces its entry.
+  addToLobby(roomId, entry) {
+    this.initializeRoom(roomId)
+    const lobby = this.roomLobbies.get(roomId) ?? new Map()
+    lobby.set(entry.id, entry)
+    this.roomLobbies.set(roomId, lobby)
+    this.updateRoomActivity(roomId)
+  }
+
+  removeFromLobby(roomId, socketId) {
+    const lobby = this.roomLobbies.get(roomId)
+    const entry = lobby?.get(socketId) ?? null
+    if (entry) lobby.delete(socketId)
+    return entry
+  }
+
+  // Waiting joiners in arrival order.
+  getLobby(roomId) {
+    return Array.from(this.roomLobbies.get(roomId)?.values() ?? [])
+  }
+
+  clearLobby(roomId) {
+    const entries = this.getLobby(roomId)
+    this.roomLobbies.delete(roomId)
+    return entries
+  }
+
   addQuestion(roomId, question) {
     this.initializeRoom(roomId)
     const questions = this.roomQuestions.get(roomId)
@@ -121,6 +513,17 @@ export class RoomManager extends EventEmitter {
       questions: this.roomQuestions.get(roomId) || [],
       reactions: this.roomReactions.get(roomId) || [],
       raisedHands: this.roomRaisedHands.get(roomId) || [],
+      whiteboardPages: this.getWhiteboardPages(roomId),
+      screenSharer: this.roomScreenSharers.get(roomId) ?? null,
+      host: this.roomHosts.get(roomId) ?? null,
+      coHosts: Array.from(this.roomCoHosts.get(roomId) ?? []),
+      locked: this.isRoomLocked(roomId),
+      lobbyEnabled: this.isLobbyEnabled(roomId),
+      lobby: this.getLobby(roomId),
+      trickleIce: this.isTrickleIceEnabled(roomId),
+      mediaMode: this.getMediaMode(roomId),
+      hasPassword: this.hasPassword(roomId),
+      pinnedMessageId: this.getPinnedMessageId(roomId),
     }
   }
 
@@ -144,6 +547,21 @@ export class RoomManager extends EventEmitter {
     this.roomQuestions.delete(roomId)
     this.roomReactions.delete(roomId)
     this.roomRaisedHands.delete(roomId)
+    this.roomScreenSharers.delete(roomId)
+    this.roomHosts.delete(roomId)
+    this.roomCoHosts.delete(roomId)
+    this.roomLocks.delete(roomId)
+    this.roomBannedTokens.delete(roomId)
+    this.roomBannedAddresses.delete(roomId)
+    this.roomLobbyEnabled.delete(roomId)
+    this.roomLobbies.delete(roomId)
+    this.roomTrickleIceDisabled.delete(roomId)
+    this.roomSfuMode.delete(roomId)
+    this.roomPasswords.delete(roomId)
+    this.roomWhiteboards.delete(roomId)
+    this.roomWhiteboardPages.delete(roomId)
+    this.roomWhiteboardActors.delete(roomId)
+    this.roomPins.delete(roomId)
     this.roomMetadata.delete(roomId)
     this.performanceMonitor.recordRoomActivity(roomId, 'cleaned')
   }
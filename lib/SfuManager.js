@@ -0,0 +1,233 @@
+import { EventEmitter } from 'events'
+
+const KINDS = ['audio', 'video']
+// Simulcast layers from weakest to strongest. Each one a publisher sends is
+// an encoding with that rid.
+const LAYERS = ['paused', 'low', 'medium', 'high']
+const RIDS = LAYERS.slice(1)
+
+/**
+ * Selective forwarding unit for rooms too big for a full mesh.
+ *
+ * Every participant keeps one peer connection to the server. They publish
+ * their mic and camera on it once, and the server forwards every other
+ * publisher's RTP to them on send-only transceivers, so uploads stay at one
+ * copy however big the room gets. The server always makes the offers; each
+ * one carries a mid → publisher map so clients know whose media a track is.
+ *
+ * Camera video is simulcast: the offer asks each publisher for all three
+ * layers by rid, and every subscriber is forwarded the one it says it renders
+ * that publisher at ('high' until it says). A publisher is told which layers
+ * somebody wants, so it can switch the rest off.
+ *
+ * The WebRTC stack comes in through `createPeerConnection`, so the signaling
+ * server only loads it when SFU mode is switched on. Its connections must
+ * negotiate the rid header extension for video.
+ *
+ * Events:
+ * - 'signal' (socketId, { signal: { type: 'offer', sdp }, streams })
+ * - 'closed' (socketId) — the connection failed; the client may join again
+ * - 'layers' (socketId, layers) — the layers that publisher should now send
+ */
+export class SfuManager extends EventEmitter {
+  constructor(createPeerConnection) {
+    super()
+    this.createPeerConnection = createPeerConnection
+    this.sessions = new Map()
+  }
+
+  has(socketId) {
+    return this.sessions.has(socketId)
+  }
+
+  // Opens the server side of a participant's connection and sends them the
+  // first offer, already carrying whatever the room publishes.
+  join(roomId, socketId) {
+    this.leave(socketId)
+    const pc = this.createPeerConnection()
+    const session = { id: socketId, roomId, pc, published: new Map(), forwards: [], layers: new Map(), sending: null, negotiating: false, renegotiate: false, closed: false }
+    this.sessions.set(socketId, session)
+
+    // simple-peer only reports a connection once a data channel is open.
+    pc.createDataChannel('sfu')
+    for (const kind of KINDS) {
+      const transceiver = pc.addTransceiver(kind, kind === 'video'
+        ? { direction: 'recvonly', simulcast: RIDS.map((rid) => ({ rid, direction: 'recv' })) }
+        : { direction: 'recvonly' })
+      // werift hands inactive m-lines to new tracks. Someone who publishes no
+      // audio yet must keep theirs, or it would be taken by the next forward.
+      transceiver.usedForSender = true
+      transceiver.onTrack.subscribe((track) => this.publish(session, kind, track, transceiver.receiver))
+    }
+    for (const publisher of this.roomSessions(roomId)) {
+      if (publisher !== session) publisher.published.forEach((published) => this.forward(publisher, published, session))
+    }
+    pc.connectionStateChange.subscribe((state) => {
+      if ((state === 'failed' || state === 'closed') && !session.closed) {
+        this.leave(socketId)
+        this.emit('closed', socketId)
+      }
+    })
+    // Everyone now has one more subscriber, and the joiner may have none yet.
+    this.roomSessions(roomId).forEach((publisher) => this.updateLayers(publisher))
+    this.negotiate(session)
+  }
+
+  // Applies a participant's answer. Returns false when no offer was waiting for one.
+  async answer(socketId, sdp) {
+    const session = this.sessions.get(socketId)
+    if (!session || !session.negotiating) return false
+    await session.pc.setRemoteDescription({ type: 'answer', sdp })
+    session.negotiating = false
+    if (session.renegotiate) {
+      session.renegotiate = false
+      this.negotiate(session)
+    }
+    return true
+  }
+
+  leave(socketId) {
+    const session = this.sessions.get(socketId)
+    if (!session) return
+    session.closed = true
+    this.sessions.delete(socketId)
+    Promise.resolve(session.pc.close()).catch(() => {})
+    for (const subscriber of this.roomSessions(session.roomId)) {
+      const stale = subscriber.forwards.filter((f) => f.publisherId === socketId)
+      if (stale.length === 0) continue
+      subscriber.forwards = subscriber.forwards.filter((f) => f.publisherId !== socketId)
+      stale.forEach((f) => subscriber.pc.removeTrack(f.transceiver.sender))
+      this.negotiate(subscriber)
+    }
+    // Whatever the leaver was watching may not be needed as sharp any more.
+    this.roomSessions(session.roomId).forEach((publisher) => this.updateLayers(publisher))
+  }
+
+  // Records the layer a subscriber wants from a publisher. Returns false
+  // unless both are connected to the same room.
+  setLayer(subscriberId, publisherId, layer) {
+    const subscriber = this.sessions.get(subscriberId)
+    const publisher = this.sessions.get(publisherId)
+    if (!subscriber || !publisher || subscriber === publisher || subscriber.roomId !== publisher.roomId) return false
+    if (!LAYERS.includes(layer)) return false
+    subscriber.layers.set(publisherId, layer)
+    this.updateLayers(publisher)
+    this.retarget(publisher, subscriber, 'video')
+    return true
+  }
+
+  layerFor(subscriber, publisher) {
+    return subscriber.layers.get(publisher.id) ?? 'high'
+  }
+
+  updateLayers(publisher) {
+    const wanted = new Set(this.roomSessions(publisher.roomId)
+      .filter((s) => s !== publisher)
+      .map((s) => this.layerFor(s, publisher)))
+    const layers = RIDS.filter((rid) => wanted.has(rid))
+    if (publisher.sending?.join() === layers.join()) return
+    publisher.sending = layers
+    this.emit('layers', publisher.id, layers)
+  }
+
+  // The track to forward of a publisher's media: for video, the rid the
+  // subscriber wants, else the nearest one the publisher sends (weaker
+  // first), else its only track when it does not simulcast; nothing while paused.
+  trackFor(published, layer) {
+    if (published.kind !== 'video') return published.tracks.get('')
+    if (layer === 'paused') return null
+    const wanted = RIDS.indexOf(layer)
+    const rids = [layer, ...RIDS.slice(0, wanted).reverse(), ...RIDS.slice(wanted + 1), '']
+    return published.tracks.get(rids.find((rid) => published.tracks.has(rid))) ?? null
+  }
+
+  // Points a subscriber's forward of a publisher's media at the track it should carry.
+  retarget(publisher, subscriber, kind) {
+    const published = publisher.published.get(kind)
+    const forward = subscriber.forwards.find((f) => f.publisherId === publisher.id && f.kind === kind)
+    if (!published || !forward) return
+    const track = this.trackFor(published, this.layerFor(subscriber, publisher))
+    if (track === forward.track) return
+    forward.track = track
+    this.replaceTrack(forward, track)
+    if (kind === 'video' && track) this.requestKeyframe(publisher, track)
+  }
+
+  // werift only swaps in a track once it has packets, so a swap can land
+  // after a newer one; the newer one is put back.
+  replaceTrack(forward, track) {
+    Promise.resolve(forward.transceiver.sender.replaceTrack(track))
+      .then(() => { if (forward.track !== track) this.replaceTrack(forward, forward.track) })
+      .catch(() => {})
+  }
+
+  roomSessions(roomId) {
+    return [...this.sessions.values()].filter((s) => s.roomId === roomId)
+  }
+
+  // Simulcast video arrives as one track per rid. A kind already forwarded
+  // (another rid, or a new camera) only moves the transceivers carrying it
+  // to the right track; subscribers need no new offer.
+  publish(session, kind, track, receiver) {
+    if (session.closed) return
+    const existing = session.published.get(kind)
+    const published = existing ?? { kind, receiver, tracks: new Map() }
+    published.tracks.set(track.rid ?? '', track)
+    session.published.set(kind, published)
+    for (const subscriber of this.roomSessions(session.roomId)) {
+      if (subscriber === session) continue
+      if (existing) {
+        this.retarget(session, subscriber, kind)
+        continue
+      }
+      this.forward(session, published, subscriber)
+      this.negotiate(subscriber)
+    }
+  }
+
+  forward(publisher, published, subscriber) {
+    const track = this.trackFor(published, this.layerFor(subscriber, publisher))
+    const transceiver = subscriber.pc.addTransceiver(track ?? published.kind, { direction: 'sendonly' })
+    const forward = { publisherId: publisher.id, kind: published.kind, transceiver, track }
+    subscriber.forwards.push(forward)
+    // Subscribers ask for a keyframe when they join or lose packets; only the publisher can send one.
+    transceiver.sender.onPictureLossIndication?.subscribe(() => this.requestKeyframe(publisher, forward.track))
+  }
+
+  // Rid tracks learn their ssrc from their first packet.
+  requestKeyframe(publisher, track) {
+    const video = publisher.published.get('video')
+    const ssrc = track?.ssrc ?? track?.header?.ssrc
+    if (!video || publisher.closed || ssrc == null) return
+    Promise.resolve(video.receiver.sendRtcpPLI(ssrc)).catch(() => {})
+  }
+
+  // One offer in flight per participant; changes made meanwhile go in the next.
+  async negotiate(session) {
+    if (session.closed) return
+    if (session.negotiating) {
+      session.renegotiate = true
+      return
+    }
+    session.negotiating = true
+    try {
+      await session.pc.setLocalDescription(await session.pc.createOffer())
+      if (session.closed) return
+      this.emit('signal', session.id, {
+        signal: { type: 'offer', sdp: session.pc.localDescription.sdp },
+        streams: this.streamsOf(session),
+      })
+    } catch (error) {
+      session.negotiating = false
+      console.error('SFU negotiation failed:', error)
+    }
+  }
+
+  streamsOf(session) {
+    const streams = {}
+    for (const f of session.forwards) {
+      if (f.transceiver.mid != null) streams[f.transceiver.mid] = f.publisherId
+    }
+    return streams
+  }
+}
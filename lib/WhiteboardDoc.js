@@ -0,0 +1,140 @@
+// Server copy of a room's whiteboard, using the same last-writer-wins model as
+// the client (src/v2/lib/whiteboardCrdt.ts): an entry per stroke id holding the
+// clocks of its latest add and remove, plus the latest clear per page. Ops are
+// merged idempotently, so the server is just another replica that never
+// forgets — it answers state-vector handshakes for participants who (re)join.
+
+const DEFAULT_PAGE_ID = 'page-1'
+const ALL_PAGES = '*'
+
+export function compareClocks(a, b) {
+  if (!a || !b) return a ? 1 : b ? -1 : 0
+  if (a.t !== b.t) return a.t - b.t
+  return a.actor < b.actor ? -1 : a.actor > b.actor ? 1 : 0
+}
+
+const later = (a, b) => (compareClocks(a, b) >= 0 ? a : b)
+const strokePage = (stroke) => stroke.pageId ?? DEFAULT_PAGE_ID
+
+export class WhiteboardDoc {
+  constructor(limit = 2000) {
+    this.limit = limit
+    this.clock = 0
+    this.entries = new Map()
+    this.clears = new Map()
+    this.stateVector = new Map()
+    // Per actor, the highest seq the log may be missing because it was trimmed
+    this.floor = new Map()
+    this.log = []
+    // Per actor, ops that arrived ahead of its next seq, by seq
+    this.pending = new Map()
+  }
+
+  // Merges log ops and returns the ones that took effect, for relaying.
+  // Ops already covered by the state vector are duplicates and are dropped.
+  // An op past an actor's next seq waits until the ones before it arrive, so
+  // the state vector never claims a seq this replica has not seen.
+  apply(ops) {
+    const accepted = []
+    for (const op of ops) {
+      const seen = this.stateVector.get(op.actor) ?? 0
+      if (op.seq <= seen) continue
+      const held = this.pending.get(op.actor) ?? new Map()
+      if (op.seq > seen + 1) {
+        if (held.size < this.limit) this.pending.set(op.actor, held.set(op.seq, op))
+        continue
+      }
+      for (let next = op; next; next = held.get(next.seq + 1)) {
+        held.delete(next.seq)
+        this.stateVector.set(next.actor, next.seq)
+        this.clock = Math.max(this.clock, next.t)
+        if (this.integrate(next)) {
+          this.log.push(next)
+          accepted.push(next)
+        }
+      }
+      if (held.size === 0) this.pending.delete(op.actor)
+    }
+    this.trim()
+    return accepted
+  }
+
+  integrate(op) {
+    const clock = { t: op.t, actor: op.actor }
+    if (op.kind === 'clear') {
+      const key = op.pageId ?? ALL_PAGES
+      this.clears.set(key, later(this.clears.get(key), clock))
+      return true
+    }
+    const id = op.kind === 'add' ? op.stroke.id : op.strokeId
+    const entry = this.entries.get(id)
+    // Only whoever drew a stroke may take it back or put it back.
+    if (entry?.owner && entry.owner !== op.actor) return false
+    if (op.kind === 'add') {
+      const isNewer = compareClocks(clock, entry?.added) > 0
+      this.entries.set(id, {
+        stroke: isNewer ? op.stroke : entry.stroke,
+        owner: op.actor,
+        added: later(entry?.added, clock),
+        removed: entry?.removed && entry.removed.actor === op.actor ? entry.removed : null,
+      })
+    } else {
+      this.entries.set(id, {
+        stroke: entry?.stroke ?? null,
+        owner: entry?.owner ?? null,
+        added: entry?.added ?? null,
+        removed: later(entry?.removed, clock),
+      })
+    }
+    return true
+  }
+
+  // Same bounds as the client: strokes hidden for good by a clear go first,
+  // then the oldest; trimmed log ops raise the floor.
+  trim() {
+    for (const [id, entry] of this.entries) {
+      if (!entry.added || !entry.stroke) continue
+      if (compareClocks(entry.added, this.clears.get(ALL_PAGES)) <= 0
+        || compareClocks(entry.added, this.clears.get(strokePage(entry.stroke))) <= 0) {
+        this.entries.delete(id)
+      }
+    }
+    if (this.entries.size > this.limit) {
+      const oldest = [...this.entries.entries()]
+        .sort(([, a], [, b]) => compareClocks(a.added, b.added))
+        .slice(0, this.entries.size - this.limit)
+      for (const [id] of oldest) this.entries.delete(id)
+    }
+    if (this.log.length > this.limit) {
+      for (const op of this.log.splice(0, this.log.length - this.limit)) {
+        this.floor.set(op.actor, Math.max(this.floor.get(op.actor) ?? 0, op.seq))
+      }
+    }
+  }
+
+  snapshotOps() {
+    const ops = []
+    for (const [id, entry] of this.entries) {
+      if (entry.added && entry.stroke) ops.push({ kind: 'add', actor: entry.added.actor, seq: 0, t: entry.added.t, stroke: entry.stroke })
+      if (entry.removed) ops.push({ kind: 'remove', actor: entry.removed.actor, seq: 0, t: entry.removed.t, strokeId: id })
+    }
+    for (const [key, clock] of this.clears) {
+      ops.push({ kind: 'clear', actor: clock.actor, seq: 0, t: clock.t, pageId: key === ALL_PAGES ? null : key })
+    }
+    return ops
+  }
+
+  // What a replica holding `theirs` is missing: log ops past its state
+  // vector, or a snapshot when the log no longer reaches back far enough.
+  opsSince(theirs = {}) {
+    const seenBy = (actor) => (Number.isInteger(theirs[actor]) ? theirs[actor] : 0)
+    const needsSnapshot = [...this.stateVector].some(
+      ([actor, seq]) => seq > seenBy(actor) && seenBy(actor) < (this.floor.get(actor) ?? 0)
+    )
+    return {
+      ops: needsSnapshot ? this.snapshotOps() : this.log.filter((op) => op.seq > seenBy(op.actor)),
+      stateVector: Object.fromEntries(this.stateVector),
+      snapshot: needsSnapshot,
+    }
+  }
+}
@@ -9,6 +9,7 @@ import { EventEmitter } from 'events';
 import cron from 'node-cron';
 import { TURNCredentialService } from './src/services/TURNCredentialService.js';
 import { RoomManager } from './lib/RoomManager.js';
+import { SfuManager } from './lib/SfuManager.js';
 
 const window = new JSDOM('').window;
 const purify = DOMPurify(window);
@@ -32,6 +33,13 @@ const config = {
   // Applies to ciphertext (IV + auth tag included); plaintext is ~65% of this limit.
   MAX_MESSAGE_LENGTH: parseInt(process.env.MAX_MESSAGE_LENGTH) || 2000,
   MESSAGE_HISTORY_LIMIT: parseInt(process.env.MESSAGE_HISTORY_LIMIT) || 100,
+  WHITEBOARD_HISTORY_LIMIT: parseInt(process.env.WHITEBOARD_HISTORY_LIMIT) || 2000,
+
+  // Media routing: rooms are a full mesh until they outgrow SFU_THRESHOLD
+  // participants, then move to the server's SFU (only when SFU_ENABLED).
+  SFU_ENABLED: process.env.SFU_ENABLED === 'true',
+  SFU_THRESHOLD: parseInt(process.env.SFU_THRESHOLD) || 6,
+  SFU_STUN_URL: process.env.SFU_STUN_URL || 'stun:stun.l.google.com:19302',
   
   // Cleanup Intervals (in milliseconds)
   ROOM_CLEANUP_INTERVAL: parseInt(process.env.ROOM_CLEANUP_INTERVAL) || 300000, // 5 minutes
@@ -286,6 +294,20 @@ const performanceMonitor = new PerformanceMonitor();
 const connectionPool = new ConnectionPoolManager(performanceMonitor);
 const roomManager = new RoomManager(performanceMonitor, config, cron);
 
+// The SFU's WebRTC stack (werift, pure JS) is only loaded when SFU mode is on.
+let sfu = null;
+if (config.SFU_ENABLED) {
+  const { RTCPeerConnection, useSdesMid, useSdesRTPStreamId } = await import('werift');
+  // Simulcast layers are told apart by the rid each packet carries.
+  sfu = new SfuManager(() => new RTCPeerConnection({
+    iceServers: [{ urls: config.SFU_STUN_URL }],
+    headerExtensions: { video: [useSdesMid(), useSdesRTPStreamId()] },
+  }));
+  sfu.on('signal', (socketId, payload) => io.to(socketId).emit('sfu-signal', payload));
+  sfu.on('closed', (socketId) => io.to(socketId).emit('sfu-closed'));
+  sfu.on('layers', (socketId, layers) => io.to(socketId).emit('video-layers', { layers }));
+}
+
 // Initialize TURN Credential Service
 const turnCredentialService = new TURNCredentialService({
   twilio: config.NODE_ENV === 'production' && process.env.TWILIO_ACCOUNT_SID ? {
@@ -382,6 +404,7 @@ const server = http.createServer((req, res) => {
       config: {
         maxConnectionsPerRoom: config.MAX_CONNECTIONS_PER_ROOM,
         messageHistoryLimit: config.MESSAGE_HISTORY_LIMIT,
+        whiteboardHistoryLimit: config.WHITEBOARD_HISTORY_LIMIT,
         inactiveRoomTTL: config.INACTIVE_ROOM_TTL
       }
     };
@@ -498,7 +521,9 @@ if (process.env.NODE_ENV !== 'test') server.listen(config.PORT, '0.0.0.0', () =>
   // Log configuration summary
   console.log('📋 Configuration:');
   console.log(`   - Max connections per room: ${config.MAX_CONNECTIONS_PER_ROOM}`);
+  console.log(`   - SFU: ${sfu ? `rooms over ${config.SFU_THRESHOLD} participants` : 'disabled'}`);
   console.log(`   - Message history limit: ${config.MESSAGE_HISTORY_LIMIT}`);
+  console.log(`   - Whiteboard history limit: ${config.WHITEBOARD_HISTORY_LIMIT} strokes`);
   console.log(`   - Inactive room TTL: ${config.INACTIVE_ROOM_TTL / 1000}s`);
   console.log(`   - Health check interval: ${config.CONNECTION_HEALTH_CHECK_INTERVAL / 1000}s`);
 });
@@ -508,8 +533,12 @@ const users = {};
 const _roomTokens = {}; // Store valid tokens for each room - will be migrated to Redis in future (currently unused)
 
 // Generate JWT token for room access
-function generateRoomToken(roomId, userName) {
-  return jwt.sign({ roomId, userName, timestamp: Date.now() }, config.JWT_SECRET, { expiresIn: '24h' });
+// Tokens for passphrase-protected rooms carry the passphrase stamp, so they
+// stop working if the passphrase changes.
+function generateRoomToken(roomId, userName, passwordStamp = null) {
+  const payload = { roomId, userName, timestamp: Date.now() };
+  if (passwordStamp) payload.passwordStamp = passwordStamp;
+  return jwt.sign(payload, config.JWT_SECRET, { expiresIn: '24h' });
 }
 
 // Verify JWT token
@@ -536,6 +565,12 @@ class RateLimiter {
       'token-request': { limit: 5, window: 60000 },
       'join-room': { limit: 3, window: 60000 },
       'send-message': { limit: 20, window: 60000 },
+      'edit-message': { limit: 20, window: 60000 },
+      'delete-message': { limit: 20, window: 60000 },
+      'react-message': { limit: 60, window: 60000 },
+      'share-file': { limit: 10, window: 60000 },
+      'typing': { limit: 60, window: 60000 },
+      'pin-message': { limit: 20, window: 60000 },
       'send-reaction': { limit: 30, window: 60000 },
       'create-poll': { limit: 5, window: 300000 }, // 5 per 5 minutes
       'vote-poll': { limit: 20, window: 60000 },
@@ -543,7 +578,25 @@ class RateLimiter {
       'vote-question': { limit: 30, window: 60000 },
       'answer-question': { limit: 10, window: 300000 },
       'turn-credentials': { limit: 10, window: 60000 }, // 10 per minute
-      'whiteboard-stroke': { limit: 60, window: 60000 }
+      'whiteboard-stroke': { limit: 60, window: 60000 },
+      'whiteboard-page': { limit: 20, window: 60000 },
+      'whiteboard-sync': { limit: 10, window: 60000 },
+      'whiteboard-pointer': { limit: 1500, window: 60000 },
+      'chat-key': { limit: 30, window: 60000 },
+      'screen-share': { limit: 10, window: 60000 },
+      'media-state': { limit: 60, window: 60000 },
+      'presence-update': { limit: 30, window: 60000 },
+      // A few candidates per connection, but a join in a big room makes many connections at once
+      'ice-candidate': { limit: 600, window: 60000 },
+      // Answers to the SFU's offers: one per participant who joins or leaves the room
+      'sfu-signal': { limit: 300, window: 60000 },
+      'sfu-join': { limit: 10, window: 60000 },
+      'sfu-layer': { limit: 300, window: 60000 },
+      'role-change': { limit: 10, window: 60000 },
+      'moderation': { limit: 30, window: 60000 },
+      'room-password': { limit: 10, window: 300000 }, // failed passphrases per room
+      // Lower than the room's, so one client cannot use up a room's guesses alone
+      'room-password-client': { limit: 5, window: 300000 } // failed passphrases per client address
     };
     
     // Cleanup old entries every 5 minutes
@@ -573,13 +626,22 @@ class RateLimiter {
     this.limits.set(key, recentActions);
     return true;
   }
+
+  // Like checkLimit, but only looks: nothing is recorded. Lets callers count
+  // failures alone while still refusing work once the limit is reached.
+  isLimited(socketId, action) {
+    const actionLimits = this.defaultLimits[action] || { limit: config.DEFAULT_RATE_LIMIT, window: config.RATE_LIMIT_WINDOW };
+    const now = Date.now();
+    const recentActions = (this.limits.get(`${socketId}:${action}`) || []).filter(time => now - time < actionLimits.window);
+    return recentActions.length >= actionLimits.limit;
+  }
   
   cleanup() {
     const now = Date.now();
     let cleanedCount = 0;
     
     for (const [key, actions] of this.limits.entries()) {
-      const [_socketId, action] = key.split(':');
+      const action = key.slice(key.lastIndexOf(':') + 1);
       const actionLimits = this.defaultLimits[action] || { window: config.RATE_LIMIT_WINDOW };
       
       const recentActions = actions.filter(time => now - time < actionLimits.window);
@@ -601,7 +663,7 @@ class RateLimiter {
     return {
       totalEntries: this.limits.size,
       actionBreakdown: Array.from(this.limits.keys()).reduce((acc, key) => {
-        const action = key.split(':')[1];
+        const action = key.slice(key.lastIndexOf(':') + 1);
         acc[action] = (acc[action] || 0) + 1;
         return acc;
       }, {})
@@ -754,8 +816,337 @@ function logSecurityEvent(event, socketId, details = {}) {
   }
 }
 
+// Longer passphrases are truncated before hashing
+const MAX_ROOM_PASSWORD_LENGTH = 128;
+
+// Roles that may run moderation actions such as whiteboard permissions
+const MODERATOR_ROLES = ['host', 'cohost'];
+
+// What a participant may report about themselves in presence-update
+const PRESENCE_STATES = ['active', 'away', 'idle', 'reconnecting'];
+
+function presenceOf(value) {
+  return PRESENCE_STATES.includes(value) ? value : 'active';
+}
+
+// RoomManager owns roles; users[].role mirrors them so all-users and
+// user-joined payloads carry the current value.
+function applyRole(roomId, socketId, role) {
+  if (users[socketId]) users[socketId].role = role;
+  io.to(roomId).emit('role-updated', { peerId: socketId, role });
+  if (MODERATOR_ROLES.includes(role)) {
+    io.to(socketId).emit('lobby-updated', roomManager.getLobby(roomId));
+  }
+}
+
+// Rejects a privileged event unless the sender holds one of `roles`.
+function requireRole(socket, user, roles, action) {
+  if (user && user.roomId && roles.includes(roomManager.getRole(user.roomId, socket.id))) {
+    return true;
+  }
+  logSecurityEvent('UNAUTHORIZED_ACTION', socket.id, { action, roomId: user?.roomId });
+  socket.emit('error', { message: `Not permitted: ${action}`, code: 'FORBIDDEN' });
+  performanceMonitor.recordError();
+  return false;
+}
+
+const ROLE_RANK = { guest: 0, cohost: 1, host: 2 };
+
+const MAX_ICE_CANDIDATE_LENGTH = 1024;
+// Full-gathering answers to the SFU list every candidate and every forwarded track.
+const MAX_SDP_LENGTH = 200000;
+
+// The RTCIceCandidateInit fields a peer needs, and nothing else.
+function sanitizeIceCandidate(candidate) {
+  if (!candidate || !isShortString(candidate.candidate, MAX_ICE_CANDIDATE_LENGTH)) return null;
+  const { sdpMid = null, sdpMLineIndex = null } = candidate;
+  if (sdpMid !== null && !isShortString(sdpMid, 64)) return null;
+  if (sdpMLineIndex !== null && !(Number.isInteger(sdpMLineIndex) && sdpMLineIndex >= 0)) return null;
+  return { candidate: candidate.candidate, sdpMid, sdpMLineIndex };
+}
+
+// Signals only travel between two different members of the same room.
+// Anything else is dropped: the peer has just left, or the client is reaching
+// into a room it is not in.
+function canSignal(socket, user, peerId, action) {
+  if (user && user.roomId && typeof peerId === 'string' && peerId !== socket.id &&
+      connectionPool.getConnectionsByRoom(user.roomId).has(peerId)) {
+    return true;
+  }
+  logSecurityEvent('SIGNAL_OUTSIDE_ROOM', socket.id, { action, peerId, roomId: user?.roomId });
+  performanceMonitor.recordError();
+  return false;
+}
+
+// Resolves the participant a moderation command targets. Moderators may only
+// act on someone else in their room who ranks below them.
+function resolveTarget(socket, user, peerId) {
+  const target = users[peerId];
+  const allowed = target && target.roomId === user.roomId && target.id !== socket.id &&
+    ROLE_RANK[roomManager.getRole(user.roomId, socket.id)] > ROLE_RANK[roomManager.getRole(user.roomId, target.id)];
+  if (!allowed) {
+    socket.emit('error', { message: 'Participant not found in room', code: 'INVALID_TARGET' });
+    performanceMonitor.recordError();
+    return null;
+  }
+  return target;
+}
+
+// Called when a participant leaves so the room is never left without a host,
+// and a lock does not outlive the people who set it.
+function releaseOnLeave(roomId, socketId) {
+  const remaining = Object.values(users)
+    .filter(u => u.roomId === roomId && u.id !== socketId)
+    .map(u => u.id);
+  const successor = roomManager.releaseRoles(roomId, socketId, remaining);
+  if (successor) {
+    applyRole(roomId, successor, 'host');
+    console.log(`👑 Host of room ${roomId} passed to ${users[successor]?.name ?? successor}`);
+  }
+  sfu?.leave(socketId);
+  if (remaining.length === 0) {
+    roomManager.setRoomLocked(roomId, false);
+    roomManager.setLobbyEnabled(roomId, false);
+    roomManager.setMediaMode(roomId, 'mesh');
+    // Whoever opens it next decides whether it is protected
+    roomManager.clearPassword(roomId);
+    // Nobody is left to admit anyone still waiting
+    for (const entry of roomManager.clearLobby(roomId)) {
+      const waiting = io.sockets.sockets.get(entry.id);
+      if (waiting) delete waiting.data.lobbyRoomId;
+      io.to(entry.id).emit('admission-denied', { reason: 'room-empty' });
+    }
+  }
+}
+
+// Sends the waiting list to every moderator in the room.
+function notifyLobby(roomId) {
+  const lobby = roomManager.getLobby(roomId);
+  for (const user of Object.values(users)) {
+    if (user.roomId === roomId && MODERATOR_ROLES.includes(roomManager.getRole(roomId, user.id))) {
+      io.to(user.id).emit('lobby-updated', lobby);
+    }
+  }
+}
+
+// Holds a verified joiner back until a moderator admits them. The join token
+// stays on the socket so it never appears in lobby-updated payloads.
+function parkInLobby(socket, roomId, token, userData) {
+  roomManager.addToLobby(roomId, {
+    id: socket.id,
+    name: sanitizeInput(userData.name),
+    isMuted: userData.isMuted === true,
+    isCamOff: userData.isCamOff === true,
+    requestedAt: Date.now()
+  });
+  socket.data.joinToken = token;
+  socket.data.lobbyRoomId = roomId;
+  socket.emit('waiting-for-admission', { roomId });
+  notifyLobby(roomId);
+  console.log(`⏳ ${sanitizeInput(userData.name)} is waiting to join room ${roomId}`);
+}
+
+// Small calls stay a mesh. Once a room outgrows SFU_THRESHOLD, and every
+// member's client can publish to the SFU, it moves there until it empties.
+// Returns whether this join made it move.
+function chooseMediaMode(roomId) {
+  if (!sfu || roomManager.getMediaMode(roomId) === 'sfu') return false;
+  const members = [...connectionPool.getConnectionsByRoom(roomId)];
+  if (members.length <= config.SFU_THRESHOLD) return false;
+  if (!members.every(id => io.sockets.sockets.get(id)?.data.sfuCapable)) return false;
+  return roomManager.setMediaMode(roomId, 'sfu');
+}
+
+// Seats a verified participant: assigns their role, sends the room snapshot
+// and announces them. Shared by join-room and lobby admission.
+function seatInRoom(socket, roomId, userData) {
+  // The first user into a room without a host becomes host. Roles are
+  // decided here, never taken from the client.
+  const isHost = roomManager.claimHost(roomId, socket.id);
+
+  // Sanitize user data
+  const sanitizedUserData = {
+    name: sanitizeInput(userData.name),
+    role: roomManager.getRole(roomId, socket.id),
+    roomId: sanitizeInput(roomId)
+  };
+
+  // Add to legacy users structure for backward compatibility.
+  // Mic/camera state and presence ride along so all-users gives late joiners a snapshot.
+  users[socket.id] = {
+    id: socket.id,
+    ...sanitizedUserData,
+    isMuted: userData.isMuted === true,
+    isCamOff: userData.isCamOff === true,
+    presence: presenceOf(userData.presence)
+  };
+
+  // Add to new connection pool
+  connectionPool.addConnection(socket, sanitizedUserData);
+
+  // Initialize room data
+  roomManager.initializeRoom(roomId);
+  const roomData = roomManager.getRoomData(roomId);
+
+  // Send only users in the same room
+  const otherUsers = Object.values(users).filter(user =>
+    user.id !== socket.id && user.roomId === roomId
+  );
+
+  if (isHost) {
+    socket.emit('you-are-host')
+  }
+
+  // Before all-users: in an SFU room nobody dials anybody.
+  const movedToSfu = chooseMediaMode(roomId);
+  if (movedToSfu) {
+    io.to(roomId).emit('media-mode', { mode: 'sfu' });
+    console.log(`📡 Room ${roomId} moved to the SFU (${otherUsers.length + 1} participants)`);
+  }
+  if (roomManager.getMediaMode(roomId) === 'sfu') {
+    socket.emit('media-mode', { mode: 'sfu' });
+  }
+
+  socket.emit('all-users', otherUsers);
+
+  // Send existing data for this room
+  socket.emit('chat-history', roomData.messages);
+  if (roomData.pinnedMessageId) {
+    socket.emit('message-pinned', { messageId: roomData.pinnedMessageId });
+  }
+  socket.emit('polls-history', roomData.polls.map(publicPoll));
+  socket.emit('questions-history', roomData.questions);
+  socket.emit('raised-hands-history', roomData.raisedHands);
+  socket.emit('whiteboard-pages', roomData.whiteboardPages);
+  if (roomData.screenSharer) {
+    socket.emit('screen-share-started', { peerId: roomData.screenSharer });
+  }
+  if (roomData.lobbyEnabled) {
+    socket.emit('lobby-mode', { enabled: true });
+  }
+  if (!roomData.trickleIce) {
+    socket.emit('trickle-ice', { enabled: false });
+  }
+
+  // Notify others in the same room
+  socket.broadcast.to(roomId).emit('user-joined', {
+    signal: null,
+    callerID: socket.id,
+    name: sanitizedUserData.name,
+    role: sanitizedUserData.role,
+    isMuted: users[socket.id].isMuted,
+    isCamOff: users[socket.id].isCamOff,
+    presence: users[socket.id].presence
+  });
+
+  socket.join(roomId);
+
+  if (movedToSfu) {
+    for (const id of connectionPool.getConnectionsByRoom(roomId)) sfu.join(roomId, id);
+  } else if (roomManager.getMediaMode(roomId) === 'sfu') {
+    sfu.join(roomId, socket.id);
+  }
+
+  console.log(`👤 User ${sanitizedUserData.name} joined room ${roomId} (${otherUsers.length + 1} participants)`);
+}
+
+const MAX_POLL_OPTIONS = 10;
+const MAX_POLL_DURATION_SEC = 3600;
+
+// Auto-close timers for polls created with a countdown, keyed by poll id
+const pollTimers = new Map();
+
+// What clients see of a poll. Anonymous polls expose only the totals.
+function publicPoll(poll) {
+  const counts = poll.options.map(() => 0);
+  for (const choice of Object.values(poll.votes)) {
+    for (const index of [].concat(choice)) counts[index]++;
+  }
+  return {
+    ...poll,
+    counts,
+    voterCount: Object.keys(poll.votes).length,
+    votes: poll.anonymous ? {} : poll.votes,
+    voterNames: poll.anonymous ? {} : (poll.voterNames ?? {})
+  };
+}
+
+// Closes a running poll and announces the final results.
+function endPoll(roomId, pollId) {
+  clearTimeout(pollTimers.get(pollId));
+  pollTimers.delete(pollId);
+  const closed = roomManager.closePoll(roomId, pollId);
+  if (closed) io.to(roomId).emit('poll-ended', publicPoll(closed));
+  return closed;
+}
+
+function schedulePollClose(roomId, poll) {
+  if (!poll.closesAt) return;
+  const timer = setTimeout(() => endPoll(roomId, poll.id), poll.closesAt - Date.now());
+  timer.unref?.();
+  pollTimers.set(poll.id, timer);
+}
+
+const MAX_STROKE_POINTS = 5000;
+const MAX_STROKE_TEXT_LENGTH = 500;
+const MAX_WHITEBOARD_PAGES = 20;
+const WHITEBOARD_TOOLS = new Set(['pen', 'eraser', 'line', 'rect', 'ellipse', 'arrow', 'text']);
+
+// Strokes are kept in the room's board and handed to late joiners, so
+// anything stored must at least be shaped like one.
+function isValidStroke(stroke) {
+  return Boolean(stroke)
+    && typeof stroke.id === 'string'
+    && WHITEBOARD_TOOLS.has(stroke.tool ?? 'pen')
+    && Array.isArray(stroke.points)
+    && stroke.points.length > 0
+    && stroke.points.length <= MAX_STROKE_POINTS
+    && (stroke.text === undefined || (typeof stroke.text === 'string' && stroke.text.length <= MAX_STROKE_TEXT_LENGTH))
+    && (stroke.pageId === undefined || typeof stroke.pageId === 'string');
+}
+
+const MAX_ACTOR_LENGTH = 64;
+const MAX_POINTER_TARGETS = 100;
+const MAX_CHAT_KEY_LENGTH = 200;
+const MAX_KEY_ID_LENGTH = 64;
+const MAX_EMOJI_LENGTH = 16;
+// Mirrors the client, which buffers a whole download in memory.
+const MAX_SHARED_FILE_SIZE = 50 * 1024 * 1024;
+const MAX_FILE_NAME_LENGTH = 255;
+const MAX_MIME_LENGTH = 100;
+const FILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+
+const isShortString = (value, max) => typeof value === 'string' && value.length > 0 && value.length <= max;
+
+function isValidPointer(pointer) {
+  return Boolean(pointer)
+    && Number.isFinite(pointer.x) && Number.isFinite(pointer.y)
+    && typeof pointer.pageId === 'string'
+    && typeof pointer.laser === 'boolean'
+    && Number.isFinite(pointer.t);
+}
+
+// Clients only ever send their own numbered ops; snapshot ops (seq 0) are
+// something the server hands out, never takes in.
+function isValidOp(op) {
+  if (!op || typeof op.actor !== 'string' || op.actor.length === 0 || op.actor.length > MAX_ACTOR_LENGTH) return false;
+  if (!Number.isInteger(op.seq) || op.seq < 1 || !Number.isInteger(op.t) || op.t < 1) return false;
+  switch (op.kind) {
+    case 'add': return isValidStroke(op.stroke);
+    case 'remove': return typeof op.strokeId === 'string';
+    case 'clear': return op.pageId === null || typeof op.pageId === 'string';
+    default: return false;
+  }
+}
+
+// Signal tokens name two sockets, and socket ids never repeat, so a token
+// cannot outlive the call it was issued for. It stays valid long enough for
+// the answering side to renegotiate (e.g. adding a screen track) mid-call.
+const SIGNAL_TOKEN_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
 // Peer authentication token generation
-function _generatePeerAuthToken(peerId, roomId, socketId) {
+function generatePeerAuthToken(peerId, roomId, socketId) {
   const payload = {
     peerId: peerId,
     roomId: roomId,
@@ -776,7 +1167,7 @@ function _generatePeerAuthToken(peerId, roomId, socketId) {
 }
 
 // Verify peer authentication token
-function _verifyPeerAuthToken(token, expectedPeerId, roomId, socketId) {
+function verifyPeerAuthToken(token, expectedPeerId, roomId, socketId, maxAgeMs = 300000) {
   try {
     const payload = JSON.parse(token.payload);
     
@@ -796,9 +1187,9 @@ function _verifyPeerAuthToken(token, expectedPeerId, roomId, socketId) {
       return false;
     }
     
-    // Check timestamp (5 minute window)
+    // Check timestamp (5 minute window unless the caller allows longer)
     const now = Date.now();
-    if (now - payload.timestamp > 300000) {
+    if (now - payload.timestamp > maxAgeMs) {
       logSecurityEvent('PEER_TOKEN_EXPIRED', socketId, { expectedPeerId, roomId, age: now - payload.timestamp });
       return false;
     }
@@ -810,36 +1201,28 @@ function _verifyPeerAuthToken(token, expectedPeerId, roomId, socketId) {
   }
 }
 
-// Enhanced room access validation
-function _validateRoomAccess(socketId, roomId, token, userData) {
-  // Verify JWT token
+// Checks a join-room request: the token must be for this room and, if the
+// room has a passphrase, must have been issued under the current one.
+function validateRoomAccess(socketId, roomId, token, userData) {
   const decoded = verifyToken(token);
   if (!decoded || decoded.roomId !== roomId) {
     logSecurityEvent('INVALID_ROOM_TOKEN', socketId, { roomId, tokenValid: !!decoded });
     return { isValid: false, error: 'Invalid or expired token', code: 'AUTH_FAILED' };
   }
-  
-  // Validate user data
-  const nameValidation = validateAndSanitizeInput(userData.name, 'userName');
+
+  const passwordStamp = roomManager.getPasswordStamp(roomId);
+  if (passwordStamp && decoded.passwordStamp !== passwordStamp) {
+    logSecurityEvent('ROOM_TOKEN_WITHOUT_PASSWORD', socketId, { roomId });
+    return { isValid: false, error: 'This room requires a passphrase', code: 'PASSWORD_REQUIRED' };
+  }
+
+  const nameValidation = validateAndSanitizeInput(userData.name, 'general', 50);
   if (!nameValidation.isValid) {
     logSecurityEvent('INVALID_USERNAME', socketId, { roomId, error: nameValidation.error });
     return { isValid: false, error: nameValidation.error, code: 'INVALID_USERNAME' };
   }
-  
-  const roleValidation = validateAndSanitizeInput(userData.role, 'general', 50);
-  if (!roleValidation.isValid) {
-    logSecurityEvent('INVALID_USER_ROLE', socketId, { roomId, error: roleValidation.error });
-    return { isValid: false, error: roleValidation.error, code: 'INVALID_USER_ROLE' };
-  }
-  
-  return {
-    isValid: true,
-    sanitizedData: {
-      name: nameValidation.sanitized,
-      role: roleValidation.sanitized,
-      roomId: roomId
-    }
-  };
+
+  return { isValid: true, decoded };
 }
 
 // Authentication middleware
@@ -942,7 +1325,56 @@ io.on('connection', (socket) => {
         return;
       }
       
-      const token = generateRoomToken(sanitizedRoomId, sanitizedUserName);
+      // The passphrase is compared as typed, so it is length-checked but not sanitized
+      const password = typeof data.password === 'string' && data.password.length > 0
+        ? data.password.slice(0, MAX_ROOM_PASSWORD_LENGTH)
+        : null;
+
+      // A participant removed from the room gets no new token for it either
+      if (roomManager.isAddressBanned(sanitizedRoomId, socket.handshake.address)) {
+        logSecurityEvent('REMOVED_USER_REJOIN', socket.id, { roomId: sanitizedRoomId });
+        socket.emit('error', { message: 'You were removed from this room', code: 'REMOVED_FROM_ROOM' });
+        performanceMonitor.recordError();
+        return;
+      }
+
+      // Whoever opens an empty, unprotected room may protect it. The
+      // passphrase only takes effect once they are seated as host (see
+      // join-room), so asking for a token alone cannot claim a room.
+      delete socket.data.proposedPassword;
+      if (password && !roomManager.hasPassword(sanitizedRoomId) && !roomManager.getHost(sanitizedRoomId)) {
+        socket.data.proposedPassword = { roomId: sanitizedRoomId, password };
+      } else if (password && !roomManager.hasPassword(sanitizedRoomId)) {
+        // Too late to protect a room that is already open; say so rather
+        // than let the joiner believe it is private.
+        socket.emit('error', { message: 'This room is already open without a passphrase', code: 'PASSWORD_NOT_SET' });
+        return;
+      } else if (roomManager.hasPassword(sanitizedRoomId)) {
+        // Failures are counted per room and per client address, not per
+        // socket, so reconnecting does not buy an attacker more guesses.
+        const roomKey = `room/${sanitizedRoomId}`;
+        const clientKey = `client/${socket.handshake.address}`;
+        if (rateLimiter.isLimited(roomKey, 'room-password') || rateLimiter.isLimited(clientKey, 'room-password-client')) {
+          logSecurityEvent('ROOM_PASSWORD_THROTTLED', socket.id, { roomId: sanitizedRoomId });
+          socket.emit('error', { message: 'Too many passphrase attempts, try again later', code: 'RATE_LIMIT_EXCEEDED' });
+          performanceMonitor.recordError();
+          return;
+        }
+        if (!password) {
+          socket.emit('error', { message: 'This room requires a passphrase', code: 'PASSWORD_REQUIRED' });
+          return;
+        }
+        if (!roomManager.verifyPassword(sanitizedRoomId, password)) {
+          rateLimiter.checkLimit(roomKey, 'room-password');
+          rateLimiter.checkLimit(clientKey, 'room-password-client');
+          logSecurityEvent('ROOM_PASSWORD_FAILED', socket.id, { roomId: sanitizedRoomId });
+          socket.emit('error', { message: 'Incorrect passphrase', code: 'INVALID_PASSWORD' });
+          performanceMonitor.recordError();
+          return;
+        }
+      }
+
+      const token = generateRoomToken(sanitizedRoomId, sanitizedUserName, roomManager.getPasswordStamp(sanitizedRoomId));
       socket.emit('room-token', { token, roomId: sanitizedRoomId, userName: sanitizedUserName });
       
       performanceMonitor.recordMessage(Date.now() - requestStart);
@@ -970,14 +1402,28 @@ io.on('connection', (socket) => {
     try {
       const { roomId, token, ...userData } = userInfo;
       
-      // Verify token
-      const decoded = verifyToken(token);
-      if (!decoded || decoded.roomId !== roomId) {
-        socket.emit('error', { message: 'Invalid or expired token', code: 'AUTH_FAILED' });
+      const access = validateRoomAccess(socket.id, roomId, token, userData);
+      if (!access.isValid) {
+        socket.emit('error', { message: access.error, code: access.code });
         performanceMonitor.recordError();
         return;
       }
       
+      // Participants removed by a moderator cannot come back, with the same
+      // token or one asked for from the same address
+      if (roomManager.isTokenBanned(roomId, token) || roomManager.isAddressBanned(roomId, socket.handshake.address)) {
+        logSecurityEvent('REMOVED_USER_REJOIN', socket.id, { roomId });
+        socket.emit('error', { message: 'You were removed from this room', code: 'REMOVED_FROM_ROOM' });
+        performanceMonitor.recordError();
+        return;
+      }
+
+      if (roomManager.isRoomLocked(roomId)) {
+        socket.emit('error', { message: 'Room is locked', code: 'ROOM_LOCKED' });
+        performanceMonitor.recordError();
+        return;
+      }
+
       // Check room capacity
       const roomConnections = connectionPool.getConnectionsByRoom(roomId);
       if (roomConnections.size >= config.MAX_CONNECTIONS_PER_ROOM) {
@@ -990,55 +1436,35 @@ io.on('connection', (socket) => {
         return;
       }
       
-      // Sanitize user data
-      const sanitizedUserData = {
-        name: sanitizeInput(userData.name),
-        role: sanitizeInput(userData.role),
-        roomId: sanitizeInput(roomId)
-      };
-      
-      // Add to legacy users structure for backward compatibility
-      users[socket.id] = {
-        id: socket.id,
-        ...sanitizedUserData
-      };
-      
-      // Add to new connection pool
-      connectionPool.addConnection(socket, sanitizedUserData);
-      
-      // Initialize room data
-      roomManager.initializeRoom(roomId);
-      const roomData = roomManager.getRoomData(roomId);
-      
-      // Send only users in the same room
-      const otherUsers = Object.values(users).filter(user =>
-        user.id !== socket.id && user.roomId === roomId
-      );
+      // A passphrase asked for with the token protects the room as its opener
+      // walks in. If someone else opened it first, say so rather than let the
+      // joiner believe it is private.
+      const proposed = socket.data.proposedPassword;
+      delete socket.data.proposedPassword;
+      if (proposed?.roomId === roomId && !roomManager.hasPassword(roomId)) {
+        if (roomManager.getHost(roomId)) {
+          socket.emit('error', { message: 'This room is already open without a passphrase', code: 'PASSWORD_NOT_SET' });
+          performanceMonitor.recordError();
+          return;
+        }
+        roomManager.setPassword(roomId, proposed.password);
+        console.log(`🔑 Room ${roomId} is now passphrase-protected`);
+      }
 
-      // Assign host role to the first user who enters an empty room
-      if (otherUsers.length === 0) {
-        socket.emit('you-are-host')
+      // Whether this client can publish to the SFU; lobby admission needs it later too.
+      socket.data.sfuCapable = userData.sfu === true;
+
+      // In lobby mode only the first arrival walks straight in; everyone
+      // else waits for a moderator to admit them.
+      if (roomManager.isLobbyEnabled(roomId) && roomManager.getHost(roomId)) {
+        parkInLobby(socket, roomId, token, userData);
+        performanceMonitor.recordMessage(Date.now() - requestStart);
+        return;
       }
 
-      socket.emit('all-users', otherUsers);
-      
-      // Send existing data for this room
-      socket.emit('chat-history', roomData.messages);
-      socket.emit('polls-history', roomData.polls);
-      socket.emit('questions-history', roomData.questions);
-      socket.emit('raised-hands-history', roomData.raisedHands);
-      
-      // Notify others in the same room
-      socket.broadcast.to(roomId).emit('user-joined', {
-        signal: null,
-        callerID: socket.id,
-        name: sanitizedUserData.name,
-        role: sanitizedUserData.role
-      });
-      
-      socket.join(roomId);
-      
-      console.log(`👤 User ${sanitizedUserData.name} joined room ${roomId} (${roomConnections.size + 1} participants)`);
+      // Kept off users[] so it is never sent to other clients
+      socket.data.joinToken = token;
+      seatInRoom(socket, roomId, userData);
       performanceMonitor.recordMessage(Date.now() - requestStart);
       
     } catch (error) {
@@ -1053,6 +1479,7 @@ io.on('connection', (socket) => {
     try {
       const user = users[socket.id];
       if (user && user.roomId) {
+        if (!requireRole(socket, user, ['host'], 'recording-started')) return;
         connectionPool.updateActivity(socket.id);
 
         // Broadcast to other participants in the room
@@ -1080,6 +1507,7 @@ io.on('connection', (socket) => {
     try {
       const user = users[socket.id];
       if (user && user.roomId) {
+        if (!requireRole(socket, user, ['host'], 'recording-stopped')) return;
         connectionPool.updateActivity(socket.id);
 
         // Broadcast to other participants in the room
@@ -1102,37 +1530,128 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Whiteboard events — broadcast stroke/clear/grant/revoke to room
-  socket.on('whiteboard-stroke', (stroke) => {
+  // Whiteboard events — the board is a CRDT (lib/WhiteboardDoc.js). Clients
+  // send ops singly or in batches; the room copy merges them and relays only
+  // the ones that changed it. whiteboard-sync is the reconnect handshake: the
+  // client sends its state vector and gets back whatever it is missing.
+  // Grant/revoke are broadcast only.
+  //
+  // A socket only sends its own ops, in order: an actor id another socket in
+  // the room already draws as is refused, and so is any seq other than the
+  // actor's next one, so nobody can undo someone else's strokes or claim
+  // seqs ahead of them.
+  socket.on('whiteboard-op', (payload) => {
     if (!rateLimiter.checkLimit(socket.id, 'whiteboard-stroke')) {
       socket.emit('error', { message: 'Rate limit exceeded for whiteboard', code: 'RATE_LIMIT_EXCEEDED' });
       return;
     }
     try {
       const user = users[socket.id];
-      if (user && user.roomId) {
-        socket.broadcast.to(user.roomId).emit('whiteboard-stroke', stroke);
+      if (!user || !user.roomId) return;
+      const board = roomManager.getWhiteboard(user.roomId);
+      const isPresent = (id) => users[id]?.roomId === user.roomId;
+      const expected = new Map();
+      const ops = [];
+      let rejected = null;
+      for (const op of (Array.isArray(payload) ? payload : [payload]).slice(0, config.WHITEBOARD_HISTORY_LIMIT)) {
+        if (!isValidOp(op)) continue;
+        if (!roomManager.claimWhiteboardActor(user.roomId, op.actor, socket.id, isPresent)) {
+          logSecurityEvent('WHITEBOARD_ACTOR_SPOOFED', socket.id, { roomId: user.roomId, actor: op.actor });
+          rejected = { message: 'That whiteboard actor belongs to another participant', code: 'INVALID_OP' };
+          continue;
+        }
+        const nextSeq = expected.get(op.actor) ?? (board.stateVector.get(op.actor) ?? 0) + 1;
+        // Seqs already merged are redeliveries and harmless; gaps are not.
+        if (op.seq < nextSeq) continue;
+        if (op.seq > nextSeq) {
+          rejected ??= { message: 'Whiteboard op out of order', code: 'OUT_OF_ORDER' };
+          continue;
+        }
+        expected.set(op.actor, nextSeq + 1);
+        ops.push(op);
       }
+      if (rejected) {
+        socket.emit('error', rejected);
+        performanceMonitor.recordError();
+      }
+      const accepted = roomManager.applyWhiteboardOps(user.roomId, ops);
+      if (accepted.length > 0) {
+        socket.broadcast.to(user.roomId).emit('whiteboard-op', accepted);
+      }
+    } catch (error) {
+      console.error('Error in whiteboard-op:', error);
+    }
+  });
+
+  socket.on('whiteboard-sync', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'whiteboard-sync')) {
+      socket.emit('error', { message: 'Rate limit exceeded for whiteboard sync', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId) return;
+      const stateVector = data?.stateVector && typeof data.stateVector === 'object' ? data.stateVector : {};
+      socket.emit('whiteboard-ops', roomManager.getWhiteboard(user.roomId).opsSince(stateVector));
     } catch (error) {
-      console.error('Error in whiteboard-stroke:', error);
+      console.error('Error in whiteboard-sync:', error);
     }
   });
 
-  socket.on('whiteboard-clear', () => {
+  // Pointer positions are never stored. Clients send them here only for the
+  // peers they have no data channel to, listed in `to`. Dropped pointers are
+  // harmless, so they go out volatile and over-limit ones are ignored quietly.
+  socket.on('whiteboard-pointer', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'whiteboard-pointer')) return;
     try {
       const user = users[socket.id];
-      if (user && user.roomId) {
-        socket.broadcast.to(user.roomId).emit('whiteboard-clear');
+      if (!user || !user.roomId || !isValidPointer(data?.pointer) || !Array.isArray(data.to)) return;
+      const pointer = {
+        x: data.pointer.x,
+        y: data.pointer.y,
+        pageId: data.pointer.pageId,
+        laser: data.pointer.laser,
+        hidden: data.pointer.hidden === true,
+        t: data.pointer.t,
+      };
+      for (const id of data.to.slice(0, MAX_POINTER_TARGETS)) {
+        if (id === socket.id || users[id]?.roomId !== user.roomId) continue;
+        socket.volatile.to(id).emit('whiteboard-pointer', { peerId: socket.id, name: user.name, pointer });
+      }
+    } catch (error) {
+      console.error('Error in whiteboard-pointer:', error);
+    }
+  });
+
+  socket.on('whiteboard-page-add', (page) => {
+    if (!rateLimiter.checkLimit(socket.id, 'whiteboard-page')) {
+      socket.emit('error', { message: 'Rate limit exceeded for whiteboard pages', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId) return;
+      const name = validateAndSanitizeInput(page?.name, 'general', 40);
+      if (typeof page?.id !== 'string' || page.id.length > 64 || !name.isValid) {
+        socket.emit('error', { message: 'Invalid whiteboard page', code: 'INVALID_PAGE' });
+        return;
+      }
+      if (roomManager.getWhiteboardPages(user.roomId).length >= MAX_WHITEBOARD_PAGES) {
+        socket.emit('error', { message: `A whiteboard can have at most ${MAX_WHITEBOARD_PAGES} pages`, code: 'PAGE_LIMIT_REACHED' });
+        return;
+      }
+      if (roomManager.addWhiteboardPage(user.roomId, { id: page.id, name: name.sanitized })) {
+        io.to(user.roomId).emit('whiteboard-pages', roomManager.getWhiteboardPages(user.roomId));
       }
     } catch (error) {
-      console.error('Error in whiteboard-clear:', error);
+      console.error('Error in whiteboard-page-add:', error);
     }
   });
 
   socket.on('whiteboard-grant', ({ peerId }) => {
     try {
       const user = users[socket.id];
-      if (user && user.roomId && user.role === 'host') {
+      if (user && user.roomId && requireRole(socket, user, MODERATOR_ROLES, 'whiteboard-grant')) {
         socket.broadcast.to(user.roomId).emit('whiteboard-grant', { peerId });
       }
     } catch (error) {
@@ -1143,7 +1662,7 @@ io.on('connection', (socket) => {
   socket.on('whiteboard-revoke', ({ peerId }) => {
     try {
       const user = users[socket.id];
-      if (user && user.roomId && user.role === 'host') {
+      if (user && user.roomId && requireRole(socket, user, MODERATOR_ROLES, 'whiteboard-revoke')) {
         socket.broadcast.to(user.roomId).emit('whiteboard-revoke', { peerId });
       }
     } catch (error) {
@@ -1151,108 +1670,818 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('sending-signal', (payload) => {
+  // Host hands the room over to another participant; the old host becomes a guest.
+  socket.on('transfer-host', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'role-change')) {
+      socket.emit('error', { message: 'Rate limit exceeded for role changes', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
     try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, ['host'], 'transfer-host')) return;
+      const target = resolveTarget(socket, user, data?.peerId);
+      if (!target) return;
       connectionPool.updateActivity(socket.id);
-      const caller = users[payload.callerID];
-      
-      io.to(payload.userToSignal).emit('user-joined', {
-        signal: payload.signal,
-        callerID: payload.callerID,
-        name: caller?.name,
-        role: caller?.role
-      });
-      
+      roomManager.setHost(user.roomId, target.id);
+      applyRole(user.roomId, target.id, 'host');
+      applyRole(user.roomId, socket.id, 'guest');
+      console.log(`👑 Host of room ${user.roomId} transferred from ${user.name} to ${target.name}`);
       performanceMonitor.recordMessage();
     } catch (error) {
-      console.error('Error in sending-signal:', error);
+      console.error('Error in transfer-host:', error);
       performanceMonitor.recordError();
     }
   });
 
-  socket.on('returning-signal', (payload) => {
+  // Host promotes a participant to co-host or demotes them back to guest
+  socket.on('set-role', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'role-change')) {
+      socket.emit('error', { message: 'Rate limit exceeded for role changes', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
     try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, ['host'], 'set-role')) return;
+      const role = data?.role;
+      if (role !== 'cohost' && role !== 'guest') {
+        socket.emit('error', { message: 'Invalid role', code: 'INVALID_ROLE' });
+        performanceMonitor.recordError();
+        return;
+      }
+      const target = resolveTarget(socket, user, data?.peerId);
+      if (!target) return;
       connectionPool.updateActivity(socket.id);
-      
-      io.to(payload.callerID).emit('receiving-returned-signal', {
-        signal: payload.signal,
-        id: socket.id,
-      });
-      
+      if (roomManager.setCoHost(user.roomId, target.id, role === 'cohost')) {
+        applyRole(user.roomId, target.id, role);
+      }
       performanceMonitor.recordMessage();
     } catch (error) {
-      console.error('Error in returning-signal:', error);
+      console.error('Error in set-role:', error);
       performanceMonitor.recordError();
     }
   });
 
-  // Handle chat messages
-  socket.on('send-message', (messageData) => {
-    const requestStart = Date.now();
-    
-    if (!rateLimiter.checkLimit(socket.id, 'send-message')) {
-      socket.emit('error', { message: 'Rate limit exceeded for messages', code: 'RATE_LIMIT_EXCEEDED' });
-      performanceMonitor.recordError();
+  // Moderation — removes a participant and bars them from rejoining. A token
+  // is cheap to replace, so the ban also covers the address they connected
+  // from, and with it anyone else behind that address.
+  socket.on('kick-participant', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
       return;
     }
-    
     try {
       const user = users[socket.id];
-      if (user && user.roomId) {
-        connectionPool.updateActivity(socket.id);
-        
-        const sanitizedText = sanitizeInput(messageData.text);
-        if (!sanitizedText || sanitizedText.length > config.MAX_MESSAGE_LENGTH) {
-          socket.emit('error', { 
-            message: 'Invalid message content', 
-            code: 'INVALID_MESSAGE',
-            details: { maxLength: config.MAX_MESSAGE_LENGTH, received: messageData.text?.length || 0 }
-          });
-          performanceMonitor.recordError();
-          return;
-        }
-        
-        const message = {
-          id: Date.now() + Math.random(),
-          text: sanitizedText,
-          userId: socket.id,
-          userName: user.name,
-          timestamp: Date.now()
-        };
-        
-        // Store message using the new room manager
-        roomManager.addMessage(user.roomId, message);
-        
-        // Broadcast message to all users in the room
-        io.to(user.roomId).emit('new-message', message);
-        
-        performanceMonitor.recordMessage(Date.now() - requestStart);
-      } else {
-        socket.emit('error', { message: 'User not in a room', code: 'NOT_IN_ROOM' });
-        performanceMonitor.recordError();
-      }
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'kick-participant')) return;
+      const target = resolveTarget(socket, user, data?.peerId);
+      if (!target) return;
+      connectionPool.updateActivity(socket.id);
+      const targetSocket = io.sockets.sockets.get(target.id);
+      roomManager.banToken(user.roomId, targetSocket?.data.joinToken);
+      roomManager.banAddress(user.roomId, targetSocket?.handshake.address);
+      io.to(target.id).emit('removed-from-room', { by: user.name });
+      logSecurityEvent('PARTICIPANT_REMOVED', target.id, { roomId: user.roomId, by: socket.id, severity: 'low' });
+      // The disconnect handler runs the usual leave cleanup and tells the room.
+      targetSocket?.disconnect(true);
+      performanceMonitor.recordMessage();
     } catch (error) {
-      console.error('Error in send-message:', error);
-      socket.emit('error', { message: 'Server error sending message', code: 'SERVER_ERROR' });
+      console.error('Error in kick-participant:', error);
       performanceMonitor.recordError();
     }
   });
 
-  // Handle emoji reactions
-  socket.on('send-reaction', (reactionData) => {
-    if (!rateLimiter.checkLimit(socket.id, 'send-reaction')) {
-      socket.emit('error', { message: 'Rate limit exceeded for reactions', code: 'RATE_LIMIT_EXCEEDED' });
-      performanceMonitor.recordError();
+  // Moderation — asks a participant's client to turn off their mic or camera
+  socket.on('request-mute', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
       return;
     }
-    
     try {
       const user = users[socket.id];
-      if (user && user.roomId) {
-        connectionPool.updateActivity(socket.id);
-        
-        const reaction = {
-          id: Date.now() + Math.random(),
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'request-mute')) return;
+      const kind = data?.kind;
+      if (kind !== 'audio' && kind !== 'video') {
+        socket.emit('error', { message: 'Invalid mute kind', code: 'INVALID_INPUT' });
+        performanceMonitor.recordError();
+        return;
+      }
+      const target = resolveTarget(socket, user, data?.peerId);
+      if (!target) return;
+      connectionPool.updateActivity(socket.id);
+      io.to(target.id).emit('mute-requested', { kind, by: user.name });
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in request-mute:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  socket.on('lower-all-hands', () => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'lower-all-hands')) return;
+      connectionPool.updateActivity(socket.id);
+      for (const hand of roomManager.clearRaisedHands(user.roomId)) {
+        io.to(user.roomId).emit('hand-lowered', { userId: hand.userId });
+      }
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in lower-all-hands:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // A locked room turns away every new join-room until it is unlocked or empties
+  socket.on('lock-room', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'lock-room')) return;
+      connectionPool.updateActivity(socket.id);
+      const locked = data?.locked === true;
+      if (roomManager.setRoomLocked(user.roomId, locked)) {
+        io.to(user.roomId).emit('room-locked', { locked, by: user.name });
+        console.log(`🔒 Room ${user.roomId} ${locked ? 'locked' : 'unlocked'} by ${user.name}`);
+      }
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in lock-room:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Lobby mode parks new joiners until a moderator admits them. Turning it
+  // off lets everyone still waiting straight in.
+  socket.on('set-lobby', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'set-lobby')) return;
+      connectionPool.updateActivity(socket.id);
+      const enabled = data?.enabled === true;
+      if (roomManager.setLobbyEnabled(user.roomId, enabled)) {
+        io.to(user.roomId).emit('lobby-mode', { enabled, by: user.name });
+        console.log(`🚪 Lobby for room ${user.roomId} ${enabled ? 'enabled' : 'disabled'} by ${user.name}`);
+        if (!enabled) {
+          // Everyone waiting goes in, in arrival order, as far as capacity
+          // allows; the rest are turned away as join-room would have.
+          for (const entry of roomManager.clearLobby(user.roomId)) {
+            const waiting = io.sockets.sockets.get(entry.id);
+            if (!waiting) continue;
+            delete waiting.data.lobbyRoomId;
+            if (connectionPool.getConnectionsByRoom(user.roomId).size >= config.MAX_CONNECTIONS_PER_ROOM) {
+              waiting.emit('error', {
+                message: 'Room is at capacity',
+                code: 'ROOM_FULL',
+                details: { maxCapacity: config.MAX_CONNECTIONS_PER_ROOM }
+              });
+              continue;
+            }
+            waiting.emit('admission-granted', { roomId: user.roomId });
+            seatInRoom(waiting, user.roomId, entry);
+          }
+          notifyLobby(user.roomId);
+        }
+      }
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in set-lobby:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  socket.on('admit-participant', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'admit-participant')) return;
+      connectionPool.updateActivity(socket.id);
+
+      const roomConnections = connectionPool.getConnectionsByRoom(user.roomId);
+      if (roomConnections.size >= config.MAX_CONNECTIONS_PER_ROOM) {
+        socket.emit('error', { message: 'Room is at capacity', code: 'ROOM_FULL' });
+        performanceMonitor.recordError();
+        return;
+      }
+
+      const entry = roomManager.removeFromLobby(user.roomId, data?.peerId);
+      const waiting = entry && io.sockets.sockets.get(entry.id);
+      if (!waiting) {
+        socket.emit('error', { message: 'Participant is not waiting to join', code: 'INVALID_TARGET' });
+        notifyLobby(user.roomId);
+        performanceMonitor.recordError();
+        return;
+      }
+
+      delete waiting.data.lobbyRoomId;
+      waiting.emit('admission-granted', { roomId: user.roomId });
+      seatInRoom(waiting, user.roomId, entry);
+      notifyLobby(user.roomId);
+      console.log(`✅ ${user.name} admitted ${entry.name} to room ${user.roomId}`);
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in admit-participant:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  socket.on('deny-participant', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'deny-participant')) return;
+      connectionPool.updateActivity(socket.id);
+
+      const entry = roomManager.removeFromLobby(user.roomId, data?.peerId);
+      if (!entry) {
+        socket.emit('error', { message: 'Participant is not waiting to join', code: 'INVALID_TARGET' });
+        performanceMonitor.recordError();
+        return;
+      }
+
+      const waiting = io.sockets.sockets.get(entry.id);
+      if (waiting) delete waiting.data.lobbyRoomId;
+      io.to(entry.id).emit('admission-denied', { by: user.name });
+      notifyLobby(user.roomId);
+      console.log(`⛔ ${user.name} denied ${entry.name} entry to room ${user.roomId}`);
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in deny-participant:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Mic/camera state — remembered on the user so late joiners see it in all-users
+  socket.on('media-state', (state) => {
+    if (!rateLimiter.checkLimit(socket.id, 'media-state')) {
+      socket.emit('error', { message: 'Rate limit exceeded for media state', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (user && user.roomId) {
+        connectionPool.updateActivity(socket.id);
+        user.isMuted = state?.isMuted === true;
+        user.isCamOff = state?.isCamOff === true;
+        socket.broadcast.to(user.roomId).emit('media-state', {
+          peerId: socket.id,
+          isMuted: user.isMuted,
+          isCamOff: user.isCamOff
+        });
+        performanceMonitor.recordMessage();
+      }
+    } catch (error) {
+      console.error('Error in media-state:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Presence (active, away, idle, reconnecting) — remembered like media state
+  socket.on('presence-update', (payload) => {
+    if (!rateLimiter.checkLimit(socket.id, 'presence-update')) {
+      socket.emit('error', { message: 'Rate limit exceeded for presence updates', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId) return;
+      if (!PRESENCE_STATES.includes(payload?.state)) {
+        socket.emit('error', { message: 'Unknown presence state', code: 'INVALID_INPUT' });
+        return;
+      }
+      connectionPool.updateActivity(socket.id);
+      if (user.presence === payload.state) return;
+      user.presence = payload.state;
+      socket.broadcast.to(user.roomId).emit('presence-update', {
+        peerId: socket.id,
+        state: user.presence
+      });
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in presence-update:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Screen sharing — the server tracks the active sharer so every spotlight
+  // (and late joiners) agree on who has the stage. Newest share wins.
+  socket.on('screen-share-started', () => {
+    if (!rateLimiter.checkLimit(socket.id, 'screen-share')) {
+      socket.emit('error', { message: 'Rate limit exceeded for screen sharing', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (user && user.roomId) {
+        connectionPool.updateActivity(socket.id);
+        const displaced = roomManager.setScreenSharer(user.roomId, socket.id);
+        if (displaced) {
+          io.to(user.roomId).emit('screen-share-stopped', { peerId: displaced });
+        }
+        socket.broadcast.to(user.roomId).emit('screen-share-started', { peerId: socket.id });
+        console.log(`🖥️  Screen share started in room ${user.roomId} by ${user.name}`);
+        performanceMonitor.recordMessage();
+      } else {
+        socket.emit('error', { message: 'User not in a room', code: 'NOT_IN_ROOM' });
+        performanceMonitor.recordError();
+      }
+    } catch (error) {
+      console.error('Error in screen-share-started:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  socket.on('screen-share-stopped', () => {
+    try {
+      const user = users[socket.id];
+      if (user && user.roomId && roomManager.clearScreenSharer(user.roomId, socket.id)) {
+        connectionPool.updateActivity(socket.id);
+        socket.broadcast.to(user.roomId).emit('screen-share-stopped', { peerId: socket.id });
+        performanceMonitor.recordMessage();
+      }
+    } catch (error) {
+      console.error('Error in screen-share-stopped:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // WebRTC signaling relay. The caller is always this socket, whatever the
+  // payload claims. Each relayed offer carries a token naming the caller, the
+  // callee and the room; the callee must hand it back with its answer, so it
+  // can only answer someone whose offer reached it through this room.
+  socket.on('sending-signal', (payload) => {
+    try {
+      const caller = users[socket.id];
+      if (payload?.callerID !== undefined && payload.callerID !== socket.id) {
+        logSecurityEvent('SIGNAL_CALLER_SPOOFED', socket.id, { claimed: payload.callerID, severity: 'high' });
+      }
+      if (!canSignal(socket, caller, payload?.userToSignal, 'sending-signal')) return;
+      connectionPool.updateActivity(socket.id);
+
+      io.to(payload.userToSignal).emit('user-joined', {
+        signal: payload.signal,
+        callerID: socket.id,
+        token: generatePeerAuthToken(socket.id, caller.roomId, payload.userToSignal),
+        // Later offers on an open connection (ICE restarts, new tracks) are applied to it, not answered fresh
+        renegotiate: payload.renegotiate === true,
+        name: caller?.name,
+        role: caller?.role,
+        isMuted: caller?.isMuted,
+        isCamOff: caller?.isCamOff,
+        presence: caller?.presence
+      });
+      
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in sending-signal:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  socket.on('returning-signal', (payload) => {
+    try {
+      const user = users[socket.id];
+      if (!canSignal(socket, user, payload?.callerID, 'returning-signal')) return;
+      const token = payload.token;
+      if (!token || typeof token.payload !== 'string' || typeof token.signature !== 'string' ||
+          !verifyPeerAuthToken(token, payload.callerID, user.roomId, socket.id, SIGNAL_TOKEN_MAX_AGE_MS)) {
+        logSecurityEvent('SIGNAL_TOKEN_REJECTED', socket.id, { callerID: payload.callerID, roomId: user.roomId, severity: 'high' });
+        performanceMonitor.recordError();
+        return;
+      }
+      connectionPool.updateActivity(socket.id);
+
+      io.to(payload.callerID).emit('receiving-returned-signal', {
+        signal: payload.signal,
+        id: socket.id,
+      });
+      
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in returning-signal:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Trickle ICE: candidates follow the offer/answer one at a time instead of
+  // waiting inside it. Same membership rule as the offer and answer.
+  socket.on('ice-candidate', (payload) => {
+    if (!rateLimiter.checkLimit(socket.id, 'ice-candidate')) {
+      socket.emit('error', { message: 'Rate limit exceeded for ICE candidates', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!canSignal(socket, user, payload?.to, 'ice-candidate')) return;
+      const candidate = sanitizeIceCandidate(payload.candidate);
+      if (!candidate) {
+        socket.emit('error', { message: 'Invalid ICE candidate', code: 'INVALID_INPUT' });
+        return;
+      }
+      connectionPool.updateActivity(socket.id);
+      io.to(payload.to).emit('ice-candidate', { from: socket.id, candidate });
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in ice-candidate:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // SFU signaling. The server makes every offer; clients only answer, and
+  // ask for a fresh connection with sfu-join after theirs has failed.
+  socket.on('sfu-signal', (payload) => {
+    if (!rateLimiter.checkLimit(socket.id, 'sfu-signal')) {
+      socket.emit('error', { message: 'Rate limit exceeded for SFU signaling', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !sfu?.has(socket.id)) return;
+      const signal = payload?.signal;
+      // simple-peer's renegotiation requests need nothing: the server offers whenever the room changes.
+      if (signal?.type !== 'answer') return;
+      if (!isShortString(signal.sdp, MAX_SDP_LENGTH)) {
+        socket.emit('error', { message: 'Invalid SFU answer', code: 'INVALID_INPUT' });
+        return;
+      }
+      connectionPool.updateActivity(socket.id);
+      sfu.answer(socket.id, signal.sdp).catch((error) => {
+        console.error('Error applying SFU answer:', error);
+        performanceMonitor.recordError();
+      });
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in sfu-signal:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  socket.on('sfu-join', () => {
+    if (!rateLimiter.checkLimit(socket.id, 'sfu-join')) {
+      socket.emit('error', { message: 'Rate limit exceeded for SFU joins', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !sfu || roomManager.getMediaMode(user.roomId) !== 'sfu') return;
+      connectionPool.updateActivity(socket.id);
+      sfu.join(user.roomId, socket.id);
+    } catch (error) {
+      console.error('Error in sfu-join:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Which simulcast layer we render a publisher at. In a mesh these requests
+  // go straight to the peer over the data channel.
+  socket.on('sfu-layer', (payload) => {
+    if (!rateLimiter.checkLimit(socket.id, 'sfu-layer')) {
+      socket.emit('error', { message: 'Rate limit exceeded for SFU layer requests', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !sfu?.has(socket.id)) return;
+      if (!isShortString(payload?.publisherId, 100) || !isShortString(payload?.layer, 10)) {
+        socket.emit('error', { message: 'Invalid layer request', code: 'INVALID_INPUT' });
+        return;
+      }
+      sfu.setLayer(socket.id, payload.publisherId, payload.layer);
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in sfu-layer:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Turning trickle ICE off makes new connections gather every candidate
+  // before sending the offer or answer, for clients that cannot trickle.
+  socket.on('set-trickle-ice', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'set-trickle-ice')) return;
+      connectionPool.updateActivity(socket.id);
+      const enabled = data?.enabled === true;
+      if (roomManager.setTrickleIce(user.roomId, enabled)) {
+        io.to(user.roomId).emit('trickle-ice', { enabled, by: user.name });
+        console.log(`🧊 Trickle ICE for room ${user.roomId} ${enabled ? 'enabled' : 'disabled'} by ${user.name}`);
+      }
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in set-trickle-ice:', error);
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Handle chat messages
+  socket.on('send-message', (messageData) => {
+    const requestStart = Date.now();
+    
+    if (!rateLimiter.checkLimit(socket.id, 'send-message')) {
+      socket.emit('error', { message: 'Rate limit exceeded for messages', code: 'RATE_LIMIT_EXCEEDED' });
+      performanceMonitor.recordError();
+      return;
+    }
+    
+    try {
+      const user = users[socket.id];
+      if (user && user.roomId) {
+        connectionPool.updateActivity(socket.id);
+        
+        const sanitizedText = sanitizeInput(messageData.text);
+        if (!sanitizedText || sanitizedText.length > config.MAX_MESSAGE_LENGTH) {
+          socket.emit('error', { 
+            message: 'Invalid message content', 
+            code: 'INVALID_MESSAGE',
+            details: { maxLength: config.MAX_MESSAGE_LENGTH, received: messageData.text?.length || 0 }
+          });
+          performanceMonitor.recordError();
+          return;
+        }
+        
+        const message = {
+          id: String(Date.now() + Math.random()),
+          text: sanitizedText,
+          userId: socket.id,
+          userName: user.name,
+          timestamp: Date.now()
+        };
+        // Which room key the text is encrypted under; the server cannot read it either way.
+        if (isShortString(messageData.keyId, MAX_KEY_ID_LENGTH)) message.keyId = messageData.keyId;
+        // Quotes point at the original by id; clients render the quoted text themselves.
+        if (roomManager.getMessage(user.roomId, messageData.replyTo)) message.replyTo = messageData.replyTo;
+        
+        // Store message using the new room manager
+        roomManager.addMessage(user.roomId, message);
+        
+        // Broadcast message to all users in the room
+        io.to(user.roomId).emit('new-message', message);
+        
+        performanceMonitor.recordMessage(Date.now() - requestStart);
+      } else {
+        socket.emit('error', { message: 'User not in a room', code: 'NOT_IN_ROOM' });
+        performanceMonitor.recordError();
+      }
+    } catch (error) {
+      console.error('Error in send-message:', error);
+      socket.emit('error', { message: 'Server error sending message', code: 'SERVER_ERROR' });
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Edits, deletions and reactions all go out as message-updated carrying the
+  // whole stored message, so clients simply replace their copy.
+  socket.on('edit-message', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'edit-message')) {
+      socket.emit('error', { message: 'Rate limit exceeded for message edits', code: 'RATE_LIMIT_EXCEEDED' });
+      performanceMonitor.recordError();
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId) return;
+      const message = roomManager.getMessage(user.roomId, data?.id);
+      if (!message || message.deleted) {
+        socket.emit('error', { message: 'Message not found', code: 'INVALID_MESSAGE' });
+        return;
+      }
+      if (message.userId !== socket.id) {
+        logSecurityEvent('UNAUTHORIZED_ACTION', socket.id, { action: 'edit-message', roomId: user.roomId });
+        socket.emit('error', { message: 'Not permitted: edit-message', code: 'FORBIDDEN' });
+        performanceMonitor.recordError();
+        return;
+      }
+      const text = sanitizeInput(data.text);
+      if (!text || text.length > config.MAX_MESSAGE_LENGTH) {
+        socket.emit('error', { message: 'Invalid message content', code: 'INVALID_MESSAGE' });
+        performanceMonitor.recordError();
+        return;
+      }
+      const keyId = isShortString(data.keyId, MAX_KEY_ID_LENGTH) ? data.keyId : undefined;
+      const updated = roomManager.editMessage(user.roomId, message.id, text, keyId);
+      if (updated) io.to(user.roomId).emit('message-updated', updated);
+    } catch (error) {
+      console.error('Error in edit-message:', error);
+      socket.emit('error', { message: 'Server error editing message', code: 'SERVER_ERROR' });
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Authors delete their own messages; hosts and co-hosts may delete any.
+  socket.on('delete-message', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'delete-message')) {
+      socket.emit('error', { message: 'Rate limit exceeded for message deletions', code: 'RATE_LIMIT_EXCEEDED' });
+      performanceMonitor.recordError();
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId) return;
+      const message = roomManager.getMessage(user.roomId, data?.id);
+      if (!message || message.deleted) return;
+      if (message.userId !== socket.id && !requireRole(socket, user, MODERATOR_ROLES, 'delete-message')) return;
+      const wasPinned = roomManager.getPinnedMessageId(user.roomId) === message.id;
+      const updated = roomManager.deleteMessage(user.roomId, message.id);
+      if (updated) io.to(user.roomId).emit('message-updated', updated);
+      if (updated && wasPinned) io.to(user.roomId).emit('message-unpinned');
+    } catch (error) {
+      console.error('Error in delete-message:', error);
+      socket.emit('error', { message: 'Server error deleting message', code: 'SERVER_ERROR' });
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Toggles the sender's emoji on a message.
+  socket.on('react-message', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'react-message')) {
+      socket.emit('error', { message: 'Rate limit exceeded for reactions', code: 'RATE_LIMIT_EXCEEDED' });
+      performanceMonitor.recordError();
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId) return;
+      const emoji = data?.emoji;
+      if (!isShortString(emoji, MAX_EMOJI_LENGTH) || sanitizeInput(emoji) !== emoji) {
+        socket.emit('error', { message: 'Invalid reaction', code: 'INVALID_REACTION' });
+        return;
+      }
+      const updated = roomManager.toggleMessageReaction(user.roomId, data.id, emoji, socket.id);
+      if (updated) io.to(user.roomId).emit('message-updated', updated);
+    } catch (error) {
+      console.error('Error in react-message:', error);
+      socket.emit('error', { message: 'Server error reacting to message', code: 'SERVER_ERROR' });
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Typing indicators. Clients debounce these to one start per burst and send
+  // stop when they go idle or send; the server only relays them.
+  const relayTyping = (event) => {
+    if (!rateLimiter.checkLimit(socket.id, 'typing')) return;
+    const user = users[socket.id];
+    if (!user || !user.roomId) return;
+    socket.to(user.roomId).emit(event, { peerId: socket.id });
+  };
+  socket.on('typing-start', () => relayTyping('typing-start'));
+  socket.on('typing-stop', () => relayTyping('typing-stop'));
+
+  // The host pins one message per room. Clients resolve the id against their
+  // own decrypted history; late joiners get it right after chat-history.
+  socket.on('pin-message', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'pin-message')) {
+      socket.emit('error', { message: 'Rate limit exceeded for pinning', code: 'RATE_LIMIT_EXCEEDED' });
+      performanceMonitor.recordError();
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, ['host'], 'pin-message')) return;
+      if (roomManager.pinMessage(user.roomId, data?.id)) {
+        io.to(user.roomId).emit('message-pinned', { messageId: data.id });
+      }
+    } catch (error) {
+      console.error('Error in pin-message:', error);
+      socket.emit('error', { message: 'Server error pinning message', code: 'SERVER_ERROR' });
+      performanceMonitor.recordError();
+    }
+  });
+
+  socket.on('unpin-message', () => {
+    if (!rateLimiter.checkLimit(socket.id, 'pin-message')) {
+      socket.emit('error', { message: 'Rate limit exceeded for pinning', code: 'RATE_LIMIT_EXCEEDED' });
+      performanceMonitor.recordError();
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, ['host'], 'unpin-message')) return;
+      if (roomManager.unpinMessage(user.roomId)) io.to(user.roomId).emit('message-unpinned');
+    } catch (error) {
+      console.error('Error in unpin-message:', error);
+      socket.emit('error', { message: 'Server error unpinning message', code: 'SERVER_ERROR' });
+      performanceMonitor.recordError();
+    }
+  });
+
+  // File sharing. Only this metadata passes through the server; receivers ask
+  // the sender for the bytes over their data channel.
+  socket.on('share-file', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'share-file')) {
+      socket.emit('error', { message: 'Rate limit exceeded for file sharing', code: 'RATE_LIMIT_EXCEEDED' });
+      performanceMonitor.recordError();
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId) return;
+      const name = sanitizeInput(data?.name).slice(0, MAX_FILE_NAME_LENGTH);
+      const mime = isShortString(data?.mime, MAX_MIME_LENGTH) ? sanitizeInput(data.mime) : '';
+      const valid = typeof data?.id === 'string' && FILE_ID_PATTERN.test(data.id) &&
+        name.length > 0 &&
+        Number.isInteger(data.size) && data.size > 0 && data.size <= MAX_SHARED_FILE_SIZE &&
+        typeof data.hash === 'string' && SHA256_HEX_PATTERN.test(data.hash);
+      if (!valid) {
+        socket.emit('error', { message: 'Invalid file metadata', code: 'INVALID_FILE', details: { maxSize: MAX_SHARED_FILE_SIZE } });
+        performanceMonitor.recordError();
+        return;
+      }
+      connectionPool.updateActivity(socket.id);
+      io.to(user.roomId).emit('file-shared', {
+        id: data.id,
+        name,
+        size: data.size,
+        mime: mime || 'application/octet-stream',
+        hash: data.hash,
+        from: socket.id,
+        fromName: user.name,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('Error in share-file:', error);
+      socket.emit('error', { message: 'Server error sharing file', code: 'SERVER_ERROR' });
+      performanceMonitor.recordError();
+    }
+  });
+
+  // Chat keys. Each client announces an ECDH public key, which is kept on its
+  // user entry so all-users hands it to late joiners. Members then send the
+  // room key wrapped for each recipient; the server only relays the wrapped
+  // copies and stamps them with the sender's announced public key.
+  socket.on('chat-public-key', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'chat-key')) {
+      socket.emit('error', { message: 'Rate limit exceeded for chat keys', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId || !isShortString(data?.publicKey, MAX_CHAT_KEY_LENGTH)) return;
+      user.chatPublicKey = data.publicKey;
+      socket.to(user.roomId).emit('chat-public-key', { peerId: socket.id, publicKey: data.publicKey });
+    } catch (error) {
+      console.error('Error in chat-public-key:', error);
+    }
+  });
+
+  socket.on('chat-room-key', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'chat-key')) {
+      socket.emit('error', { message: 'Rate limit exceeded for chat keys', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!user || !user.roomId || !user.chatPublicKey) return;
+      if (!isShortString(data?.keyId, MAX_KEY_ID_LENGTH) || !Number.isInteger(data.createdAt) || !Array.isArray(data.keys)) return;
+      for (const entry of data.keys.slice(0, config.MAX_CONNECTIONS_PER_ROOM)) {
+        if (!entry || entry.to === socket.id || users[entry.to]?.roomId !== user.roomId) continue;
+        if (!isShortString(entry.wrappedKey, MAX_CHAT_KEY_LENGTH)) continue;
+        io.to(entry.to).emit('chat-room-key', {
+          from: socket.id,
+          publicKey: user.chatPublicKey,
+          keyId: data.keyId,
+          createdAt: data.createdAt,
+          wrappedKey: entry.wrappedKey
+        });
+      }
+    } catch (error) {
+      console.error('Error in chat-room-key:', error);
+    }
+  });
+
+  // Handle emoji reactions
+  socket.on('send-reaction', (reactionData) => {
+    if (!rateLimiter.checkLimit(socket.id, 'send-reaction')) {
+      socket.emit('error', { message: 'Rate limit exceeded for reactions', code: 'RATE_LIMIT_EXCEEDED' });
+      performanceMonitor.recordError();
+      return;
+    }
+    
+    try {
+      const user = users[socket.id];
+      if (user && user.roomId) {
+        connectionPool.updateActivity(socket.id);
+        
+        const reaction = {
+          id: Date.now() + Math.random(),
           emoji: sanitizeInput(reactionData.emoji),
           userId: socket.id,
           userName: user.name,
@@ -1284,31 +2513,63 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Handle polls
+  // Handle polls. Only moderators run polls; everyone votes.
   socket.on('create-poll', (pollData) => {
     if (!rateLimiter.checkLimit(socket.id, 'create-poll', 5)) {
       socket.emit('error', { message: 'Rate limit exceeded' });
       return;
     }
     
-    const user = users[socket.id];
-    if (user && user.roomId) {
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'create-poll')) return;
+      connectionPool.updateActivity(socket.id);
+
+      const question = sanitizeInput(pollData?.question);
+      const options = Array.isArray(pollData?.options)
+        ? pollData.options.map(o => sanitizeInput(String(o))).filter(Boolean)
+        : [];
+      if (!question || options.length < 2 || options.length > MAX_POLL_OPTIONS || new Set(options).size !== options.length) {
+        socket.emit('error', { message: `A poll needs a question and 2-${MAX_POLL_OPTIONS} distinct options`, code: 'INVALID_INPUT' });
+        performanceMonitor.recordError();
+        return;
+      }
+
+      const durationSec = Number(pollData?.durationSec);
+      const closesAt = Number.isFinite(durationSec) && durationSec > 0
+        ? Date.now() + Math.min(Math.max(durationSec, 10), MAX_POLL_DURATION_SEC) * 1000
+        : null;
+
+      // One poll runs at a time; starting another closes the current one
+      const running = roomManager.getActivePoll(user.roomId);
+      if (running) endPoll(user.roomId, running.id);
+
       const poll = {
         id: String(Date.now() + Math.random()),
-        question: sanitizeInput(pollData.question),
-        options: Array.isArray(pollData.options) ? pollData.options.map(o => sanitizeInput(String(o))) : [],
+        question,
+        options,
         roomId: user.roomId,
         createdBy: user.name,
         createdAt: Date.now(),
         votes: {},
-        isActive: true
+        isActive: true,
+        anonymous: pollData?.anonymous === true,
+        multiChoice: pollData?.multiChoice === true,
+        closesAt,
+        closedAt: null
       };
 
       roomManager.addPoll(user.roomId, poll)
-      io.to(user.roomId).emit('new-poll', poll);
+      io.to(user.roomId).emit('new-poll', publicPoll(poll));
+      schedulePollClose(user.roomId, poll);
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in create-poll:', error);
+      performanceMonitor.recordError();
     }
   });
 
+  // Single-choice votes send optionIndex; multi-choice votes send every pick as optionIndices
   socket.on('vote-poll', (voteData) => {
     if (!rateLimiter.checkLimit(socket.id, 'vote-poll', 20)) {
       socket.emit('error', { message: 'Rate limit exceeded' });
@@ -1317,8 +2578,30 @@ io.on('connection', (socket) => {
 
     const user = users[socket.id];
     if (user && user.roomId) {
-      const updated = roomManager.recordPollVote(user.roomId, voteData.pollId, socket.id, voteData.optionIndex)
-      if (updated) io.to(user.roomId).emit('poll-updated', updated)
+      const choice = Array.isArray(voteData?.optionIndices) ? voteData.optionIndices : voteData?.optionIndex;
+      const updated = roomManager.recordPollVote(user.roomId, voteData?.pollId, socket.id, choice, user.name)
+      if (updated) io.to(user.roomId).emit('poll-updated', publicPoll(updated))
+    }
+  });
+
+  socket.on('end-poll', (data) => {
+    if (!rateLimiter.checkLimit(socket.id, 'moderation')) {
+      socket.emit('error', { message: 'Rate limit exceeded for moderation', code: 'RATE_LIMIT_EXCEEDED' });
+      return;
+    }
+    try {
+      const user = users[socket.id];
+      if (!requireRole(socket, user, MODERATOR_ROLES, 'end-poll')) return;
+      connectionPool.updateActivity(socket.id);
+      if (!endPoll(user.roomId, data?.pollId)) {
+        socket.emit('error', { message: 'Poll is not running', code: 'POLL_NOT_ACTIVE' });
+        performanceMonitor.recordError();
+        return;
+      }
+      performanceMonitor.recordMessage();
+    } catch (error) {
+      console.error('Error in end-poll:', error);
+      performanceMonitor.recordError();
     }
   });
 
@@ -1418,6 +2701,10 @@ io.on('connection', (socket) => {
       if (roomManager.removeRaisedHand(user.roomId, socket.id)) {
         socket.broadcast.to(user.roomId).emit('hand-lowered', { userId: socket.id });
       }
+      if (roomManager.clearScreenSharer(user.roomId, socket.id)) {
+        socket.broadcast.to(user.roomId).emit('screen-share-stopped', { peerId: socket.id });
+      }
+      releaseOnLeave(user.roomId, socket.id);
       // Notify other users in the room
       socket.broadcast.to(user.roomId).emit('user-left', socket.id);
     }
@@ -1433,11 +2720,20 @@ io.on('connection', (socket) => {
     }
     
     try {
+      const lobbyRoomId = socket.data.lobbyRoomId;
+      if (lobbyRoomId && roomManager.removeFromLobby(lobbyRoomId, socket.id)) {
+        notifyLobby(lobbyRoomId);
+      }
+
       const user = users[socket.id];
       if (user && user.roomId) {
         if (roomManager.removeRaisedHand(user.roomId, socket.id)) {
           socket.broadcast.to(user.roomId).emit('hand-lowered', { userId: socket.id });
         }
+        if (roomManager.clearScreenSharer(user.roomId, socket.id)) {
+          socket.broadcast.to(user.roomId).emit('screen-share-stopped', { peerId: socket.id });
+        }
+        releaseOnLeave(user.roomId, socket.id);
         // Notify other users in the room
         socket.broadcast.to(user.roomId).emit('user-left', socket.id);
         console.log(`👤 User ${user.name} left room ${user.roomId}`);
@@ -0,0 +1,168 @@
+export interface SpeakerDetectorOptions {
+  /** RMS level (0–1) a frame must reach to start speaking. */
+  startLevel: number
+  /** RMS level (0–1) a frame must fall below to count as silence. */
+  stopLevel: number
+  /** How long the level must stay below `stopLevel` before speaking ends. */
+  holdMs: number
+}
+
+export const DEFAULT_SPEAKER_OPTIONS: SpeakerDetectorOptions = {
+  startLevel: 0.02,
+  stopLevel: 0.01,
+  holdMs: 800,
+}
+
+/** Root-mean-square amplitude of a frame of time-domain samples in [-1, 1]. */
+export function rmsLevel(samples: Float32Array): number {
+  if (samples.length === 0) return 0
+  let sum = 0
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i]
+  return Math.sqrt(sum / samples.length)
+}
+
+/**
+ * Pure speaking/silent state machine fed one frame at a time.
+ *
+ * Two thresholds give hysteresis so a level hovering around a single cut-off
+ * does not toggle, and `holdMs` keeps the speaker "on" through the short gaps
+ * between words.
+ */
+export class SpeakerDetector {
+  private options: SpeakerDetectorOptions
+  private _speaking = false
+  private quietSince: number | null = null
+
+  constructor(options: Partial<SpeakerDetectorOptions> = {}) {
+    this.options = { ...DEFAULT_SPEAKER_OPTIONS, ...options }
+  }
+
+  /** Feeds one frame captured at `now` (ms) and returns the speaking state. */
+  update(samples: Float32Array, now: number): boolean {
+    return this.updateLevel(rmsLevel(samples), now)
+  }
+
+  updateLevel(level: number, now: number): boolean {
+    const { startLevel, stopLevel, holdMs } = this.options
+
+    if (!this._speaking) {
+      if (level >= startLevel) {
+        this._speaking = true
+        this.quietSince = null
+      }
+      return this._speaking
+    }
+
+    if (level >= stopLevel) {
+      this.quietSince = null
+    } else if (this.quietSince === null) {
+      this.quietSince = now
+    } else if (now - this.quietSince >= holdMs) {
+      this._speaking = false
+      this.quietSince = null
+    }
+    return this._speaking
+  }
+
+  get isSpeaking(): boolean {
+    return this._speaking
+  }
+
+  reset(): void {
+    this._speaking = false
+    this.quietSince = null
+  }
+}
+
+interface MonitoredStream {
+  stream: MediaStream
+  source: MediaStreamAudioSourceNode
+  analyser: AnalyserNode
+  buffer: Float32Array<ArrayBuffer>
+  detector: SpeakerDetector
+}
+
+/**
+ * Samples the audio level of any number of streams on a shared `AudioContext`
+ * and reports speaking-state transitions through `onChange`.
+ *
+ * Polls on an interval rather than `requestAnimationFrame` so detection keeps
+ * running while the tab is in the background.
+ */
+export class AudioLevelMonitor {
+  private ctx: AudioContext | null = null
+  private entries = new Map<string, MonitoredStream>()
+  private timer: ReturnType<typeof setInterval> | null = null
+
+  constructor(
+    private onChange: (id: string, speaking: boolean) => void,
+    private options: Partial<SpeakerDetectorOptions> = {},
+    private intervalMs = 100,
+  ) {}
+
+  add(id: string, stream: MediaStream): void {
+    const existing = this.entries.get(id)
+    if (existing?.stream === stream) return
+    if (existing) this.remove(id)
+    if (stream.getAudioTracks().length === 0) return
+    if (typeof AudioContext === 'undefined') return
+
+    try {
+      this.ctx ??= new AudioContext()
+      const source = this.ctx.createMediaStreamSource(stream)
+      const analyser = this.ctx.createAnalyser()
+      analyser.fftSize = 512
+      source.connect(analyser)
+      this.entries.set(id, {
+        stream,
+        source,
+        analyser,
+        buffer: new Float32Array(analyser.fftSize),
+        detector: new SpeakerDetector(this.options),
+      })
+    } catch (err) {
+      console.warn('[AudioLevelMonitor] could not analyse stream', id, err)
+      return
+    }
+
+    this.timer ??= setInterval(() => this.tick(), this.intervalMs)
+  }
+
+  remove(id: string): void {
+    const entry = this.entries.get(id)
+    if (!entry) return
+    entry.source.disconnect()
+    this.entries.delete(id)
+    if (entry.detector.isSpeaking) this.onChange(id, false)
+    if (this.entries.size === 0) this.stopTimer()
+  }
+
+  has(id: string): boolean {
+    return this.entries.has(id)
+  }
+
+  dispose(): void {
+    this.stopTimer()
+    this.entries.forEach((entry) => entry.source.disconnect())
+    this.entries.clear()
+    this.ctx?.close().catch(() => {})
+    this.ctx = null
+  }
+
+  /** Samples every stream once. Public so tests can drive it without timers. */
+  tick(now = Date.now()): void {
+    for (const [id, entry] of this.entries) {
+      const was = entry.detector.isSpeaking
+      entry.analyser.getFloatTimeDomainData(entry.buffer)
+      const is = entry.detector.update(entry.buffer, now)
+      if (is !== was) this.onChange(id, is)
+    }
+  }
+
+  private stopTimer(): void {
+    if (this.timer !== null) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+}
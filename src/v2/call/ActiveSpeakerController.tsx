@@ -0,0 +1,118 @@
+import { useEffect, useRef } from 'react'
+import { useCallStore } from '../store/useCallStore'
+import { usePeerStore } from '../store/usePeerStore'
+import { AudioLevelMonitor } from '../audio/SpeakerDetector'
+
+const LOCAL_ID = 'local'
+
+/**
+ * How long a speaker keeps the spotlight before someone else can take it
+ * straight away. Until then a new speaker must keep talking to the end of
+ * the hold, so two people trading short remarks do not flip it back and forth.
+ */
+export const SPOTLIGHT_HOLD_MS = 1500
+
+/**
+ * Renderless controller that owns the `AudioLevelMonitor` lifecycle.
+ *
+ * Responsibilities:
+ * - Analyses the local stream and every peer stream, re-attaching when a
+ *   peer's stream object changes and detaching when the peer leaves.
+ * - Writes speaking transitions to `isSpeaking` — `useCallStore` for the
+ *   local user, `patchPeer` for remote peers.
+ * - Promotes a remote peer to `activeSpeakerId` when they start speaking so
+ *   SpotlightView follows the conversation, subject to `SPOTLIGHT_HOLD_MS`.
+ *
+ * Returns `null` — mounts no DOM nodes.
+ */
+export function ActiveSpeakerController() {
+  const localStream = useCallStore((s) => s.localStream)
+  const peers = usePeerStore((s) => s.peers)
+
+  const monitorRef = useRef<AudioLevelMonitor | null>(null)
+  /** Peer IDs attached on the previous run, so departed peers can be detached. */
+  const attachedPeerIdsRef = useRef<Set<string>>(new Set())
+  /** When the current active speaker took the spotlight. */
+  const spotlightSinceRef = useRef(0)
+  /** Speakers waiting out the hold before they take the spotlight. */
+  const pendingRef = useRef<Map<string, ReturnType<typeof setTimeout>>>(new Map())
+
+  // --- Monitor lifecycle ---------------------------------------------------
+  useEffect(() => {
+    const pending = pendingRef.current
+
+    const takeSpotlight = (id: string) => {
+      spotlightSinceRef.current = Date.now()
+      usePeerStore.getState().setActiveSpeaker(id)
+    }
+
+    const startedSpeaking = (id: string) => {
+      const { activeSpeakerId } = usePeerStore.getState()
+      const heldFor = Date.now() - spotlightSinceRef.current
+      if (activeSpeakerId === id || activeSpeakerId === null || heldFor >= SPOTLIGHT_HOLD_MS) {
+        takeSpotlight(id)
+        return
+      }
+      if (pending.has(id)) return
+      pending.set(id, setTimeout(() => {
+        pending.delete(id)
+        if (usePeerStore.getState().peers.get(id)?.isSpeaking) takeSpotlight(id)
+      }, SPOTLIGHT_HOLD_MS - heldFor))
+    }
+
+    const monitor = new AudioLevelMonitor((id, speaking) => {
+      if (id === LOCAL_ID) {
+        useCallStore.getState().setSpeaking(speaking)
+        return
+      }
+      usePeerStore.getState().patchPeer(id, { isSpeaking: speaking })
+      if (speaking) {
+        startedSpeaking(id)
+      } else {
+        clearTimeout(pending.get(id))
+        pending.delete(id)
+      }
+    })
+    monitorRef.current = monitor
+    return () => {
+      pending.forEach(clearTimeout)
+      pending.clear()
+      monitor.dispose()
+      monitorRef.current = null
+      attachedPeerIdsRef.current = new Set()
+      useCallStore.getState().setSpeaking(false)
+    }
+  }, [])
+
+  // --- Local stream --------------------------------------------------------
+  useEffect(() => {
+    const monitor = monitorRef.current
+    if (!monitor || !localStream) return
+    monitor.add(LOCAL_ID, localStream)
+    return () => {
+      monitor.remove(LOCAL_ID)
+    }
+  }, [localStream])
+
+  // --- Peer streams --------------------------------------------------------
+  useEffect(() => {
+    const monitor = monitorRef.current
+    if (!monitor) return
+
+    // add() is a no-op when the same stream is already attached
+    for (const [id, peer] of peers) {
+      if (peer.stream) monitor.add(id, peer.stream)
+      else monitor.remove(id)
+    }
+
+    // Detach peers that have left
+    for (const id of attachedPeerIdsRef.current) {
+      if (!peers.has(id)) monitor.remove(id)
+    }
+    attachedPeerIdsRef.current = new Set(
+      [...peers.keys()].filter((id) => monitor.has(id)),
+    )
+  }, [peers])
+
+  return null
+}
@@ -1,57 +1,264 @@
 import { useRef, useState } from 'react'
 import { useSessionStore } from '../store/useSessionStore'
 import { usePeerStore } from '../store/usePeerStore'
-import type { ChatMessage } from '../types'
+import { useCallStore } from '../store/useCallStore'
+import { getTransfer, useFileTransferStore } from '../store/useFileTransferStore'
+import { formatBytes, isImageType } from '../lib/fileTransfer'
+import type { ChatMessage, SharedFile } from '../types'
 
 interface ChatPanelProps {
-  onSendMessage: (text: string) => void
+  onSendMessage: (text: string, replyTo?: string) => void
+  onEditMessage?: (messageId: string, text: string) => void
+  onDeleteMessage?: (messageId: string) => void
+  onReactToMessage?: (messageId: string, emoji: string) => void
+  onShareFile?: (file: File) => void
+  onDownloadFile?: (fileId: string) => void
+  onCancelFileTransfer?: (fileId: string) => void
+  /** Called on every change with whether the draft has text, and with false after sending. */
+  onTyping?: (isTyping: boolean) => void
+  onPinMessage?: (messageId: string) => void
+  onUnpinMessage?: () => void
 }
 
+interface SharedFileCardProps {
+  file: SharedFile
+  isOwn: boolean
+  onDownload?: (fileId: string) => void
+  onCancel?: (fileId: string) => void
+}
+
+function SharedFileCard({ file, isOwn, onDownload, onCancel }: SharedFileCardProps) {
+  const transfer = useFileTransferStore((s) => getTransfer(s.transfers, file.id))
+  const percent = Math.floor((transfer.received * 100) / file.size)
+
+  return (
+    <div data-testid={`shared-file-${file.id}`} className="border border-[var(--border-subtle)] rounded-[8px] p-2 flex flex-col gap-1 text-xs">
+      {transfer.status === 'complete' && transfer.url && isImageType(file.mime) && (
+        <img data-testid="shared-file-preview" src={transfer.url} alt={file.name} className="max-h-40 rounded-[4px] object-contain" />
+      )}
+      <div className="flex items-baseline justify-between gap-2">
+        <span className="text-[var(--text-primary)] truncate">📎 {file.name}</span>
+        <span className="text-[var(--text-muted)] text-[9px] shrink-0">{formatBytes(file.size)}</span>
+      </div>
+
+      {transfer.status === 'receiving' && (
+        <div className="flex items-center gap-2">
+          <div
+            role="progressbar"
+            aria-label={`Downloading ${file.name}`}
+            aria-valuenow={percent}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            className="flex-1 h-1 rounded-full bg-[var(--surface-raised)] overflow-hidden"
+          >
+            <div className="h-full bg-[var(--accent-live)]" style={{ width: `${percent}%` }} />
+          </div>
+          <button data-testid={`file-cancel-${file.id}`} onClick={() => onCancel?.(file.id)} className="text-[10px] text-[var(--text-secondary)]">
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {transfer.status === 'failed' && (
+        <p data-testid="shared-file-error" className="text-[10px] text-red-500">{transfer.error ?? 'Download failed'}</p>
+      )}
+
+      <div className="flex gap-2 text-[10px] text-[var(--text-secondary)]">
+        {isOwn ? (
+          transfer.status === 'cancelled' ? (
+            <span>No longer shared</span>
+          ) : (
+            <>
+              <span>{transfer.sending > 0 ? `Sending to ${transfer.sending}…` : 'Shared'}</span>
+              <button data-testid={`file-stop-${file.id}`} onClick={() => onCancel?.(file.id)}>Stop sharing</button>
+            </>
+          )
+        ) : transfer.status === 'complete' && transfer.url ? (
+          <a data-testid={`file-save-${file.id}`} href={transfer.url} download={file.name} className="underline">Save</a>
+        ) : transfer.status !== 'receiving' && onDownload && (
+          <button data-testid={`file-download-${file.id}`} onClick={() => onDownload(file.id)}>
+            {transfer.status === 'idle' ? 'Download' : 'Try again'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const MESSAGE_REACTIONS = ['👍', '❤️', '😂', '😮', '🎉']
+
 function formatTime(ms: number): string {
   return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
 }
 
-export function ChatPanel({ onSendMessage }: ChatPanelProps) {
+function quoteText(msg: ChatMessage | undefined): string {
+  if (!msg) return 'Original message unavailable'
+  if (msg.deleted) return 'Message deleted'
+  return msg.text.length > 80 ? `${msg.text.slice(0, 80)}…` : msg.text
+}
+
+export function ChatPanel({
+  onSendMessage, onEditMessage, onDeleteMessage, onReactToMessage, onShareFile, onDownloadFile, onCancelFileTransfer,
+  onTyping, onPinMessage, onUnpinMessage,
+}: ChatPanelProps) {
   const messages = useSessionStore((s) => s.messages)
   const pinnedMessage = useSessionStore((s) => s.pinnedMessage)
   const peers = usePeerStore((s) => s.peers)
+  const socketId = useCallStore((s) => s.socketId)
+  const canModerate = useCallStore((s) => s.isHost || s.role === 'cohost')
+  const isHost = useCallStore((s) => s.isHost)
   const [input, setInput] = useState('')
+  const [replyingTo, setReplyingTo] = useState<ChatMessage | null>(null)
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [pickerFor, setPickerFor] = useState<string | null>(null)
   const listRef = useRef<HTMLDivElement>(null)
+  const fileInputRef = useRef<HTMLInputElement>(null)
 
   const typingPeers = Array.from(peers.values()).filter((p) => p.isTyping)
+  const byId = new Map(messages.map((m) => [m.id, m]))
 
   function handleSend() {
     const text = input.trim()
     if (!text) return
-    onSendMessage(text)
+    if (editingId) {
+      onEditMessage?.(editingId, text)
+      setEditingId(null)
+    } else if (replyingTo) {
+      onSendMessage(text, replyingTo.id)
+      setReplyingTo(null)
+    } else {
+      onSendMessage(text)
+    }
     setInput('')
+    onTyping?.(false)
+  }
+
+  function handleInputChange(value: string) {
+    setInput(value)
+    onTyping?.(value.trim().length > 0)
   }
 
   function handleKeyDown(e: React.KeyboardEvent) {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
       handleSend()
+    } else if (e.key === 'Escape' && (editingId || replyingTo)) {
+      cancelCompose()
     }
   }
 
+  function startReply(msg: ChatMessage) {
+    setEditingId(null)
+    setReplyingTo(msg)
+  }
+
+  function startEdit(msg: ChatMessage) {
+    setReplyingTo(null)
+    setEditingId(msg.id)
+    setInput(msg.text)
+  }
+
+  function cancelCompose() {
+    if (editingId) setInput('')
+    setEditingId(null)
+    setReplyingTo(null)
+  }
+
+  function handleFilePicked(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0]
+    if (file) onShareFile?.(file)
+    e.target.value = ''
+  }
+
+  function react(msg: ChatMessage, emoji: string) {
+    onReactToMessage?.(msg.id, emoji)
+    setPickerFor(null)
+  }
+
   return (
     <div data-testid="chat-panel" className="w-[280px] shrink-0 border-l border-[var(--border-subtle)] flex flex-col bg-[var(--surface-base)]">
       {pinnedMessage && (
         <div data-testid="pinned-message" className="px-4 py-2 bg-[var(--surface-raised)] border-b border-[var(--border-subtle)] text-xs text-[var(--text-secondary)]">
-          📌 {pinnedMessage.text}
+          <div className="flex items-start justify-between gap-2">
+            <span className="min-w-0 break-words">📌 {pinnedMessage.text}</span>
+            {isHost && onUnpinMessage && (
+              <button data-testid="chat-unpin" aria-label="Unpin message" onClick={onUnpinMessage}>×</button>
+            )}
+          </div>
         </div>
       )}
 
       <div ref={listRef} className="flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-3 min-h-0">
-        {messages.map((msg: ChatMessage) => (
-          <div key={msg.id} className="flex flex-col gap-0.5">
-            <div className="flex items-baseline justify-between">
-              <span className="text-[var(--text-secondary)] text-[10px] font-medium">{msg.peerName}</span>
-              <span className="text-[var(--text-muted)] text-[9px]">{formatTime(msg.sentAt)}</span>
+        {messages.map((msg: ChatMessage) => {
+          const isOwn = socketId !== null && msg.peerId === socketId
+          const quoted = msg.replyTo ? byId.get(msg.replyTo) : undefined
+          const reactions = Object.entries(msg.reactions ?? {})
+          return (
+            <div key={msg.id} data-testid={`chat-message-${msg.id}`} className="group flex flex-col gap-0.5">
+              <div className="flex items-baseline justify-between">
+                <span className="text-[var(--text-secondary)] text-[10px] font-medium">{msg.peerName}</span>
+                <span className="text-[var(--text-muted)] text-[9px]">
+                  {msg.editedAt && !msg.deleted && <span data-testid="chat-edited">(edited) </span>}
+                  {formatTime(msg.sentAt)}
+                </span>
+              </div>
+              {msg.replyTo && (
+                <div data-testid="chat-quote" className="border-l-2 border-[var(--border-strong)] pl-2 text-[10px] text-[var(--text-muted)]">
+                  {quoted && !quoted.deleted && <span className="font-medium">{quoted.peerName}: </span>}
+                  {quoteText(quoted)}
+                </div>
+              )}
+              {msg.file ? (
+                <SharedFileCard file={msg.file} isOwn={isOwn} onDownload={onDownloadFile} onCancel={onCancelFileTransfer} />
+              ) : msg.deleted ? (
+                <p data-testid="chat-deleted" className="text-[var(--text-muted)] text-xs italic">Message deleted</p>
+              ) : (
+                <p className="text-[var(--text-primary)] text-xs leading-relaxed">{msg.text}</p>
+              )}
+              {reactions.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {reactions.map(([emoji, reactors]) => (
+                    <button
+                      key={emoji}
+                      data-testid={`chat-reaction-${msg.id}-${emoji}`}
+                      aria-pressed={socketId !== null && reactors.includes(socketId)}
+                      onClick={() => react(msg, emoji)}
+                      className="text-[10px] px-1.5 rounded-full border border-[var(--border-subtle)] aria-pressed:border-[var(--accent-live)]"
+                    >
+                      {emoji} {reactors.length}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {!msg.deleted && !msg.file && (
+                <div className="flex gap-2 text-[9px] text-[var(--text-muted)] opacity-0 group-hover:opacity-100 focus-within:opacity-100">
+                  <button data-testid={`chat-reply-${msg.id}`} onClick={() => startReply(msg)}>Reply</button>
+                  {onReactToMessage && (
+                    <button data-testid={`chat-react-${msg.id}`} onClick={() => setPickerFor(pickerFor === msg.id ? null : msg.id)}>React</button>
+                  )}
+                  {isOwn && onEditMessage && (
+                    <button data-testid={`chat-edit-${msg.id}`} onClick={() => startEdit(msg)}>Edit</button>
+                  )}
+                  {(isOwn || canModerate) && onDeleteMessage && (
+                    <button data-testid={`chat-delete-${msg.id}`} onClick={() => onDeleteMessage(msg.id)}>Delete</button>
+                  )}
+                  {isHost && onPinMessage && pinnedMessage?.id !== msg.id && (
+                    <button data-testid={`chat-pin-${msg.id}`} onClick={() => onPinMessage(msg.id)}>Pin</button>
+                  )}
+                </div>
+              )}
+              {pickerFor === msg.id && (
+                <div data-testid="chat-reaction-picker" className="flex gap-1">
+                  {MESSAGE_REACTIONS.map((emoji) => (
+                    <button key={emoji} aria-label={`React with ${emoji}`} onClick={() => react(msg, emoji)} className="text-sm">
+                      {emoji}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
-            <p className="text-[var(--text-primary)] text-xs leading-relaxed">{msg.text}</p>
-          </div>
-        ))}
+          )
+        })}
       </div>
 
       {typingPeers.length > 0 && (
@@ -60,11 +267,33 @@ export function ChatPanel({ onSendMessage }: ChatPanelProps) {
         </div>
       )}
 
+      {(replyingTo || editingId) && (
+        <div data-testid="chat-compose-context" className="px-4 pt-2 flex items-center justify-between gap-2 text-[10px] text-[var(--text-secondary)]">
+          <span className="truncate">
+            {editingId ? 'Editing message' : `Replying to ${replyingTo!.peerName}: ${quoteText(replyingTo!)}`}
+          </span>
+          <button data-testid="chat-compose-cancel" aria-label="Cancel" onClick={cancelCompose}>×</button>
+        </div>
+      )}
+
       <div className="px-3 py-3 border-t border-[var(--border-subtle)] flex gap-2">
+        {onShareFile && (
+          <>
+            <input ref={fileInputRef} data-testid="chat-file-input" type="file" className="hidden" onChange={handleFilePicked} />
+            <button
+              data-testid="chat-attach"
+              aria-label="Share a file"
+              onClick={() => fileInputRef.current?.click()}
+              className="text-[var(--text-secondary)] text-sm px-1"
+            >
+              📎
+            </button>
+          </>
+        )}
         <input
           data-testid="chat-input"
           value={input}
-          onChange={(e) => setInput(e.target.value)}
+          onChange={(e) => handleInputChange(e.target.value)}
           onKeyDown={handleKeyDown}
           placeholder="Send a message..."
           className="flex-1 bg-[var(--surface-raised)] border border-[var(--border-default)] rounded-[8px] px-3 py-2 text-[var(--text-primary)] text-xs outline-none focus:border-[var(--border-strong)] placeholder:text-[var(--text-muted)]"
@@ -5,6 +5,7 @@ import { useUIStore } from '../store/useUIStore'
 import { useTranscriptionStore } from '../store/useTranscriptionStore'
 import { useSessionStore } from '../store/useSessionStore'
 import { Button } from '../ui/Button'
+import { encodedTransformApi } from '../media/MediaEncryptionManager'
 
 interface ControlBarProps {
   onEndCall: () => void
@@ -22,20 +23,29 @@ export function ControlBar({ onEndCall, onToggleHand, onSendReaction, onStartRec
   const isCamOff = useCallStore((s) => s.isCamOff)
   const setMuted = useCallStore((s) => s.setMuted)
   const setCamOff = useCallStore((s) => s.setCamOff)
+  const isScreenSharing = useCallStore((s) => s.isScreenSharing)
+  const setScreenSharing = useCallStore((s) => s.setScreenSharing)
   const isChatOpen = useUIStore((s) => s.isChatOpen)
   const toggleChat = useUIStore((s) => s.toggleChat)
   const isParticipantsOpen = useUIStore((s) => s.isParticipantsOpen)
   const toggleParticipants = useUIStore((s) => s.toggleParticipants)
   const isQAOpen = useUIStore((s) => s.isQAOpen)
   const toggleQA = useUIStore((s) => s.toggleQA)
+  const isPollsOpen = useUIStore((s) => s.isPollsOpen)
+  const togglePolls = useUIStore((s) => s.togglePolls)
   const isAIOpen = useUIStore((s) => s.isAIOpen)
   const toggleAI = useUIStore((s) => s.toggleAI)
   const isNoiseSuppressed = useCallStore((s) => s.isNoiseSuppressed)
   const toggleNoiseSuppression = useCallStore((s) => s.toggleNoiseSuppression)
+  const isMediaEncrypted = useCallStore((s) => s.isMediaEncrypted)
+  const setMediaEncrypted = useCallStore((s) => s.setMediaEncrypted)
+  const canEncryptMedia = encodedTransformApi() !== null
   const isCaptionsOpen = useUIStore((s) => s.isCaptionsOpen)
   const toggleCaptions = useUIStore((s) => s.toggleCaptions)
   const isWhiteboardOpen = useUIStore((s) => s.isWhiteboardOpen)
   const toggleWhiteboard = useUIStore((s) => s.toggleWhiteboard)
+  const layout = useUIStore((s) => s.layout)
+  const setLayout = useUIStore((s) => s.setLayout)
   const hasRaisedHand = useCallStore((s) => s.hasRaisedHand)
   const isCaptionsLoading = useTranscriptionStore((s) => s.isLoading)
   const isHost = useCallStore((s) => s.isHost)
@@ -86,6 +96,24 @@ export function ControlBar({ onEndCall, onToggleHand, onSendReaction, onStartRec
             {isCamOff ? '📷 Start Cam' : '🎥 Stop Cam'}
           </Button>
 
+          <Button
+            data-testid="btn-screen-share"
+            variant={isScreenSharing ? 'primary' : 'ghost'}
+            onClick={() => setScreenSharing(!isScreenSharing)}
+            aria-label={isScreenSharing ? 'Stop Sharing' : 'Share Screen'}
+          >
+            {isScreenSharing ? '🖥 Stop Share' : '🖥 Share'}
+          </Button>
+
+          <Button
+            data-testid="btn-layout"
+            variant={layout === 'grid' ? 'primary' : 'ghost'}
+            onClick={() => setLayout(layout === 'grid' ? 'spotlight' : 'grid')}
+            aria-label={layout === 'grid' ? 'Spotlight View' : 'Grid View'}
+          >
+            {layout === 'grid' ? '◧ Spotlight' : '▦ Grid'}
+          </Button>
+
           <div className="relative">
             <Button
               data-testid="btn-reactions"
@@ -139,6 +167,15 @@ export function ControlBar({ onEndCall, onToggleHand, onSendReaction, onStartRec
             🙋
           </Button>
 
+          <Button
+            data-testid="btn-polls"
+            variant={isPollsOpen ? 'primary' : 'ghost'}
+            onClick={togglePolls}
+            aria-label="Polls"
+          >
+            📊
+          </Button>
+
           <Button
             data-testid="btn-ai"
             variant={isAIOpen ? 'primary' : 'ghost'}
@@ -157,6 +194,17 @@ export function ControlBar({ onEndCall, onToggleHand, onSendReaction, onStartRec
             {isNoiseSuppressed ? '🎛 Noise: On' : '🎛 Noise: Off'}
           </Button>
 
+          <Button
+            data-testid="btn-e2ee"
+            variant={isMediaEncrypted ? 'primary' : 'ghost'}
+            onClick={() => setMediaEncrypted(!isMediaEncrypted)}
+            disabled={!canEncryptMedia}
+            aria-label="End-to-end media encryption"
+            title={canEncryptMedia ? undefined : 'This browser cannot encrypt media end to end'}
+          >
+            {isMediaEncrypted ? '🔒 E2EE: On' : '🔓 E2EE: Off'}
+          </Button>
+
           <Button
             data-testid="btn-cc"
             variant={isCaptionsOpen ? 'primary' : 'ghost'}
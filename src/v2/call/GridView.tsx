@@ -0,0 +1,139 @@
+import { useEffect, useRef, useState } from 'react'
+import { usePeerStore } from '../store/usePeerStore'
+import { useCallStore } from '../store/useCallStore'
+import { VideoTile } from '../ui/VideoTile'
+import { calcGrid } from '../recording/RecordingManager'
+import { useVideoLayers } from './useVideoLayers'
+import type { PeerRecord, VideoLayer } from '../types'
+
+/** Tiles shown per page before the grid paginates. */
+export const GRID_PAGE_SIZE = 9
+
+interface GridViewProps {
+  pageSize?: number
+}
+
+type Tile = { kind: 'local' } | { kind: 'peer'; peer: PeerRecord }
+
+export function GridView({ pageSize = GRID_PAGE_SIZE }: GridViewProps) {
+  const peers = usePeerStore((s) => s.peers)
+  const localStream = useCallStore((s) => s.localStream)
+  const isMuted = useCallStore((s) => s.isMuted)
+  const isCamOff = useCallStore((s) => s.isCamOff)
+  const isSpeaking = useCallStore((s) => s.isSpeaking)
+  const isMediaEncrypted = useCallStore((s) => s.isMediaEncrypted)
+  const userName = useCallStore((s) => s.userName)
+  const socketId = useCallStore((s) => s.socketId)
+  const screenSharePeerId = useCallStore((s) => s.screenSharePeerId)
+  const screenStream = useCallStore((s) => s.screenStream)
+  const [page, setPage] = useState(0)
+  const [portrait, setPortrait] = useState(false)
+  const containerRef = useRef<HTMLDivElement>(null)
+
+  // Track the container's orientation so tall viewports stack more rows than columns.
+  useEffect(() => {
+    const el = containerRef.current
+    if (!el || typeof ResizeObserver === 'undefined') return
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect
+      setPortrait(height > width)
+    })
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [])
+
+  const tiles: Tile[] = [
+    { kind: 'local' },
+    ...Array.from(peers.values()).map((peer): Tile => ({ kind: 'peer', peer })),
+  ]
+  const pageCount = Math.max(1, Math.ceil(tiles.length / pageSize))
+  const currentPage = Math.min(page, pageCount - 1)
+
+  // Snap back when participants leave and the current page no longer exists.
+  useEffect(() => {
+    if (page !== currentPage) setPage(currentPage)
+  }, [page, currentPage])
+
+  const visible = tiles.slice(currentPage * pageSize, (currentPage + 1) * pageSize)
+  // Peers on other pages are off screen and get paused.
+  useVideoLayers(Object.fromEntries(visible.flatMap((tile): [string, VideoLayer][] =>
+    tile.kind === 'peer' ? [[tile.peer.id, 'medium']] : [])))
+  const grid = calcGrid(visible.length, 0, 0)
+  const [cols, rows] = portrait ? [grid.rows, grid.cols] : [grid.cols, grid.rows]
+  const isLocalShare = screenStream !== null && screenSharePeerId !== null && screenSharePeerId === socketId
+
+  return (
+    <div data-testid="grid-view" className="flex-1 min-h-0 flex flex-col p-2 gap-2">
+      <div
+        ref={containerRef}
+        className="flex-1 min-h-0 grid gap-2"
+        style={{
+          gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))`,
+          gridTemplateRows: `repeat(${rows}, minmax(0, 1fr))`,
+        }}
+      >
+        {visible.map((tile) =>
+          tile.kind === 'local' ? (
+            <VideoTile
+              key="local"
+              peerId="local"
+              name={userName || 'You'}
+              stream={isLocalShare ? screenStream : localStream}
+              isMuted={isMuted}
+              isCamOff={isLocalShare ? false : isCamOff}
+              networkQuality="good"
+              reaction={null}
+              hasRaisedHand={false}
+              isSpeaking={isSpeaking}
+              isEncrypted={isMediaEncrypted}
+              className="w-full h-full"
+            />
+          ) : (
+            <VideoTile
+              key={tile.peer.id}
+              peerId={tile.peer.id}
+              name={tile.peer.name}
+              stream={tile.peer.stream}
+              isMuted={tile.peer.isMuted}
+              isCamOff={tile.peer.isCamOff}
+              networkQuality={tile.peer.networkQuality}
+              presence={tile.peer.presence}
+              connectionState={tile.peer.connectionState}
+              reaction={tile.peer.reaction}
+              hasRaisedHand={tile.peer.hasRaisedHand}
+              isSpeaking={tile.peer.isSpeaking}
+              isEncrypted={tile.peer.isEncrypted}
+              className="w-full h-full"
+            />
+          )
+        )}
+      </div>
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-center gap-3 shrink-0">
+          <button
+            data-testid="grid-prev"
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            aria-label="Previous page"
+            className="text-xs px-2 py-1 rounded-[6px] border border-[var(--border-default)] text-[var(--text-muted)] disabled:opacity-40"
+          >
+            ‹
+          </button>
+          <span data-testid="grid-page" className="text-xs text-[var(--text-muted)]">
+            {currentPage + 1} / {pageCount}
+          </span>
+          <button
+            data-testid="grid-next"
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage === pageCount - 1}
+            aria-label="Next page"
+            className="text-xs px-2 py-1 rounded-[6px] border border-[var(--border-default)] text-[var(--text-muted)] disabled:opacity-40"
+          >
+            ›
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,27 +1,235 @@
+import { useState } from 'react'
 import { usePeerStore } from '../store/usePeerStore'
+import { useCallStore } from '../store/useCallStore'
+import { useSessionStore } from '../store/useSessionStore'
+import type { PeerRecord, PeerRole, Presence } from '../types'
 
-export function ParticipantsPanel() {
+interface ParticipantsPanelProps {
+  onTransferHost?: (peerId: string) => void
+  onSetRole?: (peerId: string, role: 'cohost' | 'guest') => void
+  onKick?: (peerId: string) => void
+  onRequestMute?: (peerId: string, kind: 'audio' | 'video') => void
+  onLowerAllHands?: () => void
+  onLockRoom?: (locked: boolean) => void
+  onSetLobbyEnabled?: (enabled: boolean) => void
+  onSetTrickleIce?: (enabled: boolean) => void
+  onAdmit?: (peerId: string) => void
+  onDeny?: (peerId: string) => void
+}
+
+const roleLabels: Record<PeerRole, string | null> = {
+  host: 'Host',
+  cohost: 'Co-host',
+  guest: null,
+}
+
+const presenceLabels: Record<Presence, string | null> = {
+  active: null,
+  away: 'Away',
+  idle: 'Idle',
+  reconnecting: 'Reconnecting…',
+}
+
+// Mirrors the server: moderators may only act on participants ranked below them.
+const roleRank: Record<PeerRole, number> = { guest: 0, cohost: 1, host: 2 }
+
+const menuItemClass =
+  'w-full text-left text-xs px-3 py-1.5 text-[var(--text-primary)] hover:bg-[var(--surface-hover)]'
+
+function RoleLabel({ id, role }: { id: string; role: PeerRole }) {
+  const label = roleLabels[role]
+  if (!label) return null
+  return (
+    <span data-testid={`peer-role-${id}`} className="text-[var(--text-muted)] text-[10px] uppercase tracking-wide">
+      {label}
+    </span>
+  )
+}
+
+function PresenceLabel({ id, presence }: { id: string; presence: Presence }) {
+  const label = presenceLabels[presence]
+  if (!label) return null
+  return (
+    <span data-testid={`peer-presence-${id}`} className="text-[var(--text-muted)] text-[10px] italic">
+      {label}
+    </span>
+  )
+}
+
+interface ActionMenuProps extends Pick<ParticipantsPanelProps, 'onTransferHost' | 'onSetRole' | 'onKick' | 'onRequestMute'> {
+  peer: PeerRecord
+  isHost: boolean
+  onClose: () => void
+}
+
+function ParticipantActionMenu({ peer, isHost, onClose, onTransferHost, onSetRole, onKick, onRequestMute }: ActionMenuProps) {
+  const run = (action: () => void) => () => {
+    action()
+    onClose()
+  }
+
+  return (
+    <div
+      data-testid={`action-menu-${peer.id}`}
+      role="menu"
+      className="absolute right-0 top-6 z-10 min-w-[160px] py-1 bg-[var(--surface-overlay)] border border-[var(--border-default)] rounded-[6px] shadow-lg"
+    >
+      {!peer.isMuted && (
+        <button role="menuitem" data-testid={`action-mute-${peer.id}`} className={menuItemClass} onClick={run(() => onRequestMute?.(peer.id, 'audio'))}>
+          Mute microphone
+        </button>
+      )}
+      {!peer.isCamOff && (
+        <button role="menuitem" data-testid={`action-cam-off-${peer.id}`} className={menuItemClass} onClick={run(() => onRequestMute?.(peer.id, 'video'))}>
+          Turn off camera
+        </button>
+      )}
+      {isHost && (
+        <>
+          <button
+            role="menuitem"
+            data-testid={`btn-cohost-${peer.id}`}
+            className={menuItemClass}
+            onClick={run(() => onSetRole?.(peer.id, peer.role === 'cohost' ? 'guest' : 'cohost'))}
+          >
+            {peer.role === 'cohost' ? 'Remove co-host' : 'Make co-host'}
+          </button>
+          <button role="menuitem" data-testid={`btn-make-host-${peer.id}`} className={menuItemClass} onClick={run(() => onTransferHost?.(peer.id))}>
+            Make host
+          </button>
+        </>
+      )}
+      <button
+        role="menuitem"
+        data-testid={`action-kick-${peer.id}`}
+        className={`${menuItemClass} text-[var(--accent-danger)]`}
+        onClick={run(() => onKick?.(peer.id))}
+      >
+        Remove from room
+      </button>
+    </div>
+  )
+}
+
+export function ParticipantsPanel({
+  onTransferHost, onSetRole, onKick, onRequestMute, onLowerAllHands, onLockRoom,
+  onSetLobbyEnabled, onSetTrickleIce, onAdmit, onDeny,
+}: ParticipantsPanelProps) {
   const peers = usePeerStore((s) => s.peers)
+  const isHost = useCallStore((s) => s.isHost)
+  const role = useCallStore((s) => s.role)
+  const isRoomLocked = useSessionStore((s) => s.isRoomLocked)
+  const isLobbyEnabled = useSessionStore((s) => s.isLobbyEnabled)
+  const isTrickleIceEnabled = useSessionStore((s) => s.isTrickleIceEnabled)
+  const lobby = useSessionStore((s) => s.lobby)
+  const presence = useCallStore((s) => s.presence)
+  const [openMenuId, setOpenMenuId] = useState<string | null>(null)
   const list = Array.from(peers.values())
+  const localRole: PeerRole = isHost ? 'host' : role
+  const canModerate = localRole !== 'guest'
 
   return (
     <div data-testid="participants-panel" className="w-[240px] shrink-0 border-l border-[var(--border-subtle)] flex flex-col bg-[var(--surface-base)]">
-      <div className="px-4 py-3 border-b border-[var(--border-subtle)]">
+      <div className="px-4 py-3 border-b border-[var(--border-subtle)] flex items-center justify-between gap-2">
         <h2 className="text-[var(--text-secondary)] text-xs font-semibold uppercase tracking-wide m-0">
           Participants ({list.length + 1})
         </h2>
+        {isRoomLocked && !canModerate && (
+          <span data-testid="room-locked-indicator" className="text-[10px] text-[var(--text-muted)]">🔒 Locked</span>
+        )}
+        {canModerate && (
+          <div className="flex items-center gap-1">
+            <button
+              data-testid="btn-lower-all-hands"
+              onClick={onLowerAllHands}
+              aria-label="Lower all hands"
+              title="Lower all hands"
+              className="text-xs px-1.5 py-0.5 rounded-[4px] text-[var(--text-muted)] hover:bg-[var(--surface-hover)]"
+            >
+              ✋↓
+            </button>
+            <button
+              data-testid="btn-lobby-mode"
+              onClick={() => onSetLobbyEnabled?.(!isLobbyEnabled)}
+              aria-label={isLobbyEnabled ? 'Let people join directly' : 'Hold new joiners in a waiting room'}
+              aria-pressed={isLobbyEnabled}
+              title={isLobbyEnabled ? 'Waiting room on' : 'Waiting room off'}
+              className={`text-xs px-1.5 py-0.5 rounded-[4px] hover:bg-[var(--surface-hover)] ${
+                isLobbyEnabled ? 'text-[var(--text-primary)]' : 'text-[var(--text-muted)]'
+              }`}
+            >
+              🚪
+            </button>
+            {onSetTrickleIce && (
+              <button
+                data-testid="btn-trickle-ice"
+                onClick={() => onSetTrickleIce(!isTrickleIceEnabled)}
+                aria-label={isTrickleIceEnabled ? 'Use full ICE gathering for compatibility' : 'Use trickle ICE for faster connections'}
+                aria-pressed={isTrickleIceEnabled}
+                title={isTrickleIceEnabled ? 'Trickle ICE on' : 'Trickle ICE off (compatibility)'}
+                className={`text-xs px-1.5 py-0.5 rounded-[4px] hover:bg-[var(--surface-hover)] ${
+                  isTrickleIceEnabled ? 'text-[var(--text-primary)]' : 'text-[var(--text-muted)]'
+                }`}
+              >
+                ⚡
+              </button>
+            )}
+            <button
+              data-testid="btn-lock-room"
+              onClick={() => onLockRoom?.(!isRoomLocked)}
+              aria-label={isRoomLocked ? 'Unlock room' : 'Lock room'}
+              title={isRoomLocked ? 'Unlock room' : 'Lock room'}
+              className="text-xs px-1.5 py-0.5 rounded-[4px] text-[var(--text-muted)] hover:bg-[var(--surface-hover)]"
+            >
+              {isRoomLocked ? '🔒' : '🔓'}
+            </button>
+          </div>
+        )}
       </div>
 
+      {canModerate && lobby.length > 0 && (
+        <div data-testid="lobby-queue" className="px-4 py-3 border-b border-[var(--border-subtle)] flex flex-col gap-2">
+          <h3 className="text-[var(--text-secondary)] text-[10px] font-semibold uppercase tracking-wide m-0">
+            Waiting ({lobby.length})
+          </h3>
+          {lobby.map((entry) => (
+            <div key={entry.id} data-testid={`lobby-entry-${entry.id}`} className="flex items-center justify-between gap-2">
+              <span className="text-[var(--text-primary)] text-xs truncate">{entry.name}</span>
+              <div className="flex items-center gap-1 shrink-0">
+                <button
+                  data-testid={`btn-admit-${entry.id}`}
+                  onClick={() => onAdmit?.(entry.id)}
+                  aria-label={`Admit ${entry.name}`}
+                  className="text-[10px] px-2 py-0.5 rounded-[4px] border border-[var(--border-default)] text-[var(--text-primary)] hover:bg-[var(--surface-hover)]"
+                >
+                  Admit
+                </button>
+                <button
+                  data-testid={`btn-deny-${entry.id}`}
+                  onClick={() => onDeny?.(entry.id)}
+                  aria-label={`Deny ${entry.name}`}
+                  className="text-[10px] px-2 py-0.5 rounded-[4px] text-[var(--accent-danger)] hover:bg-[var(--surface-hover)]"
+                >
+                  Deny
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-2">
         <div data-testid="participant-local" className="flex items-center justify-between">
           <div className="flex items-center gap-2">
             <span data-testid="peer-status-local" className="w-1.5 h-1.5 rounded-full bg-[var(--accent-live)]" />
             <span className="text-[var(--text-primary)] text-xs">You</span>
+            <RoleLabel id="local" role={localRole} />
+            <PresenceLabel id="local" presence={presence} />
           </div>
         </div>
 
         {list.map((peer) => (
-          <div key={peer.id} data-testid={`participant-${peer.id}`} className="flex items-center justify-between">
+          <div key={peer.id} data-testid={`participant-${peer.id}`} className="relative flex items-center justify-between">
             <div className="flex items-center gap-2">
               <span
                 data-testid={`peer-status-${peer.id}`}
@@ -34,6 +242,8 @@ export function ParticipantsPanel() {
                 }`}
               />
               <span className="text-[var(--text-primary)] text-xs">{peer.name}</span>
+              <RoleLabel id={peer.id} role={peer.role} />
+              <PresenceLabel id={peer.id} presence={peer.presence} />
             </div>
             <div className="flex items-center gap-1">
               {peer.isMuted && (
@@ -42,7 +252,30 @@ export function ParticipantsPanel() {
               {peer.isCamOff && (
                 <span data-testid={`peer-cam-off-${peer.id}`} className="text-[var(--text-muted)] text-[10px]">📷</span>
               )}
+              {canModerate && roleRank[localRole] > roleRank[peer.role] && (
+                <button
+                  data-testid={`btn-actions-${peer.id}`}
+                  onClick={() => setOpenMenuId(openMenuId === peer.id ? null : peer.id)}
+                  aria-label={`Actions for ${peer.name}`}
+                  aria-haspopup="menu"
+                  aria-expanded={openMenuId === peer.id}
+                  className="text-xs px-1.5 rounded-[4px] text-[var(--text-muted)] hover:text-[var(--text-primary)] hover:bg-[var(--surface-hover)]"
+                >
+                  ⋯
+                </button>
+              )}
             </div>
+            {openMenuId === peer.id && (
+              <ParticipantActionMenu
+                peer={peer}
+                isHost={localRole === 'host'}
+                onClose={() => setOpenMenuId(null)}
+                onTransferHost={onTransferHost}
+                onSetRole={onSetRole}
+                onKick={onKick}
+                onRequestMute={onRequestMute}
+              />
+            )}
           </div>
         ))}
 
@@ -2,12 +2,25 @@ import { forwardRef, useEffect, useImperativeHandle, useRef } from 'react'
 import Peer from 'simple-peer'
 import { io, Socket } from 'socket.io-client'
 import { useCallStore } from '../store/useCallStore'
-import { usePeerStore } from '../store/usePeerStore'
+import { usePeerStore, wantedLayer } from '../store/usePeerStore'
 import { useSessionStore } from '../store/useSessionStore'
 import { useUIStore } from '../store/useUIStore'
 import { useWhiteboardStore } from '../store/useWhiteboardStore'
-import type { PeerRecord, Poll, Question, Stroke } from '../types'
-import { deriveKey, encryptMessage, decryptMessage } from '../lib/chatCrypto'
+import { useFileTransferStore } from '../store/useFileTransferStore'
+import type { ChatMessage, FileTransfer, LobbyEntry, MediaMode, MediaState, PeerRecord, PeerRole, Poll, Presence, PollDraft, Question, SharedFile, StateVector, VideoLayer, WhiteboardOp, WhiteboardPage, WhiteboardPointer, WhiteboardSyncPayload } from '../types'
+import {
+  type RoomKey,
+  decryptMessage, deriveMediaKey, encryptMessage, exportPublicKey, exportRoomKey, generateKeyPair, generateRoomKey,
+  importPublicKey, importRoomKey, isNewerKey, unwrapRoomKey, wrapRoomKey,
+} from '../lib/chatCrypto'
+import { MediaEncryptionManager, encodedTransformApi } from '../media/MediaEncryptionManager'
+import { SIMULCAST_ENABLED, applyVideoLayers, isVideoLayer, simulcastWebRtc } from '../media/simulcast'
+import { chunkOps, opsSince } from '../lib/whiteboardCrdt'
+import { isWhiteboardPointer } from '../lib/whiteboard'
+import {
+  AUTO_PREVIEW_MAX_SIZE, FILE_CHUNK_SIZE, MAX_SHARED_FILE_SIZE,
+  decodeFileChunk, encodeFileChunk, formatBytes, isFileChunk, isImageType, newFileId, sha256Hex, waitForDrain,
+} from '../lib/fileTransfer'
 
 // process.env is replaced at build time by vite.config.ts define; also works in Jest
 const SIGNALING_URL = process.env.VITE_SIGNALING_SERVER_URL || 'wss://decentralize-video-app-2.onrender.com'
@@ -17,78 +30,279 @@ export const ICE_SERVERS = [
   { urls: 'stun:stun1.l.google.com:19302' },
 ]
 
+// Messages exchanged over simple-peer data channels: the whiteboard, the
+// announcement that we can decrypt end-to-end encrypted media, file transfer
+// control, and the simulcast layer we want of the peer's camera. File bytes go as binary frames (see lib/fileTransfer).
+type PeerDataMessage =
+  | { type: 'wb-sync'; stateVector: StateVector }
+  | { type: 'wb-ops'; ops: WhiteboardOp[]; stateVector?: StateVector; snapshot?: boolean }
+  | { type: 'wb-pointer'; pointer: WhiteboardPointer }
+  | { type: 'media-e2ee' }
+  | { type: 'file-request'; fileId: string }
+  | { type: 'file-cancel'; fileId: string }
+  | { type: 'video-layer'; layer: VideoLayer }
+
+// Chat as the server stores and relays it: text is ciphertext under the room key named by keyId.
+// The signaling server names the author userId/userName.
+interface ChatWireMessage {
+  id: string
+  sender?: string
+  senderName?: string
+  userId?: string
+  userName?: string
+  text: string
+  keyId?: string
+  timestamp: number
+  replyTo?: string
+  editedAt?: number
+  deleted?: boolean
+  reactions?: Record<string, string[]>
+}
+
+// Issued by the server with every offer it relays; our answers must carry it back.
+interface SignalToken {
+  payload: string
+  signature: string
+}
+
+// A file we asked a peer for, assembled in place as chunks arrive.
+interface IncomingFile {
+  peerId: string
+  file: SharedFile
+  buffer: Uint8Array<ArrayBuffer>
+  received: number
+  percent: number
+}
+
+const ENCRYPTED_PLACEHOLDER = '[encrypted message]'
+// We send typing-stop after this long without a keystroke; receivers give up
+// on a peer's indicator after TYPING_TIMEOUT_MS in case the stop is lost.
+const TYPING_IDLE_MS = 3000
+const TYPING_TIMEOUT_MS = 8000
+// Candidates held for a peer we cannot hand them to yet; a real connection needs far fewer.
+const MAX_QUEUED_CANDIDATES = 100
+// How long a joiner waits for a member to hand over the room key before starting its own.
+const CHAT_KEY_WAIT_MS = 5000
+// Sends and edits held while that happens; beyond this the oldest are dropped.
+const MAX_QUEUED_CHAT = 50
+// Connection recovery: ICE gets a moment to come back by itself, then the
+// dialing side restarts it; if that does not connect either, the peer is
+// rebuilt from scratch with exponential backoff until we give up.
+export const ICE_RESTART_GRACE_MS = 2000
+export const ICE_RESTART_TIMEOUT_MS = 10_000
+export const REBUILD_BASE_MS = 2000
+export const REBUILD_MAX_MS = 30_000
+export const MAX_REBUILD_ATTEMPTS = 6
+// Key of the SFU connection wherever per-connection state is kept by peer id.
+const SFU_CONN_ID = 'sfu'
+
+// Peers are not validated by the server, so at least make sure an op can be merged.
+const isWhiteboardOp = (op: WhiteboardOp) =>
+  Boolean(op) && typeof op.actor === 'string' && Number.isInteger(op.seq) && Number.isInteger(op.t)
+
 export interface PeerManagerHandle {
-  sendMessage: (text: string) => void
+  /** replyTo quotes an earlier message by id. */
+  sendMessage: (text: string, replyTo?: string) => void
+  editMessage: (messageId: string, text: string) => void
+  deleteMessage: (messageId: string) => void
+  /** Adds the emoji to the message, or takes it back if we already reacted with it. */
+  reactToMessage: (messageId: string, emoji: string) => void
+  /** Call on every keystroke with whether the draft has text; start/stop are debounced. */
+  setTyping: (isTyping: boolean) => void
+  /** Host only. */
+  pinMessage: (messageId: string) => void
+  unpinMessage: () => void
   sendReaction: (emoji: string) => void
-  votePoll: (pollId: string, optionIndex: number) => void
+  /** Single-choice polls take one option index; multi-choice polls take every pick. */
+  votePoll: (pollId: string, choice: number | number[]) => void
+  createPoll: (draft: PollDraft) => void
+  endPoll: (pollId: string) => void
   raiseHand: () => void
   lowerHand: () => void
   submitQuestion: (text: string) => void
   voteQuestion: (questionId: string) => void
   answerQuestion: (questionId: string, answer: string) => void
   getPeerConnections: () => Map<string, RTCPeerConnection>
+  /** Offers a file to the room; peers fetch the bytes from us over data channels. */
+  shareFile: (file: File) => void
+  downloadFile: (fileId: string) => void
+  /** Stops a download, or stops sharing one of our own files. */
+  cancelFileTransfer: (fileId: string) => void
+  /** The current chat room key for an invite-link fragment, or null before we hold one. */
+  getInviteKey: () => Promise<string | null>
   broadcastRecordingStarted: () => void
   broadcastRecordingStopped: () => void
-  broadcastWhiteboardStroke: (stroke: Stroke) => void
-  broadcastWhiteboardClear: () => void
+  /** Sends local whiteboard edits to peers directly and to the server's room copy. */
+  broadcastWhiteboardOps: (ops: WhiteboardOp[]) => void
+  /** Data channel where one is open, otherwise relayed by the server. */
+  sendWhiteboardPointer: (pointer: WhiteboardPointer) => void
+  addWhiteboardPage: (page: WhiteboardPage) => void
   broadcastWhiteboardGrant: (peerId: string) => void
   broadcastWhiteboardRevoke: (peerId: string) => void
+  transferHost: (peerId: string) => void
+  setPeerRole: (peerId: string, role: 'cohost' | 'guest') => void
+  kickParticipant: (peerId: string) => void
+  requestMute: (peerId: string, kind: 'audio' | 'video') => void
+  lowerAllHands: () => void
+  lockRoom: (locked: boolean) => void
+  setLobbyEnabled: (enabled: boolean) => void
+  /** Moderators only; applies to connections made after the change. */
+  setTrickleIce: (enabled: boolean) => void
+  admitParticipant: (peerId: string) => void
+  denyParticipant: (peerId: string) => void
 }
 
 interface PeerManagerProps {
   roomId: string
 }
 
-export function makePeerRecord(id: string, name: string, role: 'host' | 'guest'): PeerRecord {
+export function makePeerRecord(id: string, name: string, role: PeerRole): PeerRecord {
   return {
     id, name, role,
     stream: null, isMuted: false, isCamOff: false, videoEnabled: false, isScreenSharing: false,
-    connectionState: 'connecting', networkQuality: 'good',
+    connectionState: 'connecting', networkQuality: 'good', isEncrypted: false,
     isSpeaking: false, isPinned: false,
     hasRaisedHand: false, handRaisedAt: null,
-    reaction: null, isAway: false, isTyping: false,
+    reaction: null, presence: 'active', isTyping: false,
   }
 }
 
+// Server payloads carry the sender's mic/camera state; absent fields mean "on".
+function mediaStateOf(u: { isMuted?: boolean; isCamOff?: boolean }): MediaState {
+  return { isMuted: u.isMuted === true, isCamOff: u.isCamOff === true }
+}
+
+const PRESENCES: readonly Presence[] = ['active', 'away', 'idle', 'reconnecting']
+
+function presenceOf(u: { presence?: string }): Presence {
+  return PRESENCES.includes(u.presence as Presence) ? u.presence as Presence : 'active'
+}
+
 export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ roomId }, ref) => {
   const socketRef = useRef<Socket | null>(null)
-  const peerConnsRef = useRef<Map<string, { peer: InstanceType<typeof Peer>; name: string; role: 'host' | 'guest' }>>(new Map())
+  const peerConnsRef = useRef<Map<string, { peer: InstanceType<typeof Peer>; name: string; role: PeerRole }>>(new Map())
   const reactionTimersRef = useRef<Map<string, ReturnType<typeof setTimeout>>>(new Map())
+  const typingTimersRef = useRef<Map<string, ReturnType<typeof setTimeout>>>(new Map())
+  const isTypingRef = useRef(false)
+  const typingIdleTimerRef = useRef<ReturnType<typeof setTimeout> | undefined>(undefined)
+  // The server pins by id; whichever of the pin or the decrypted message arrives last shows it.
+  const pinnedIdRef = useRef<string | null>(null)
   const iceServersRef = useRef<RTCIceServer[]>(ICE_SERVERS)
-  const cryptoKeyRef = useRef<CryptoKey | null>(null)
-  const pendingPeersRef = useRef<Array<{ id: string; name: string; role: 'host' | 'guest'; signal?: unknown; callerID?: string }>>([])
+  // Chat encryption (see lib/chatCrypto): our ECDH pair, each member's public
+  // key, every room key we have seen and the newest one, which we send with.
+  const chatKeyPairRef = useRef<Promise<CryptoKeyPair> | null>(null)
+  const chatPublicKeysRef = useRef<Map<string, string>>(new Map())
+  const roomKeysRef = useRef<Map<string, RoomKey>>(new Map())
+  const currentRoomKeyRef = useRef<RoomKey | null>(null)
+  // Messages that arrived while we wait for a member to hand us the room key.
+  const heldMessagesRef = useRef<ChatWireMessage[] | null>(null)
+  // Our own sends and edits from before we had a room key to seal them with.
+  const outgoingChatRef = useRef<Array<{ event: 'send-message' | 'edit-message'; text: string; fields: Record<string, unknown> }>>([])
+  const keyWaitTimerRef = useRef<ReturnType<typeof setTimeout> | undefined>(undefined)
+  const chatQueueRef = useRef<Promise<void>>(Promise.resolve())
+  // Present only in browsers with encoded transforms; frame keys follow the chat room keys.
+  const mediaCryptoRef = useRef<MediaEncryptionManager | null>(null)
+  const mediaKeysVersionRef = useRef(0)
+  // File sharing: files we offer by SharedFile id, uploads in flight by
+  // `${fileId}:${peerId}`, and downloads being assembled by file id.
+  const sharedFilesRef = useRef<Map<string, File>>(new Map())
+  const uploadsRef = useRef<Map<string, { cancelled: boolean }>>(new Map())
+  const downloadsRef = useRef<Map<string, IncomingFile>>(new Map())
+  // Peers whose remote offer/answer we have applied, and candidates that came before it.
+  const describedPeersRef = useRef<Set<string>>(new Set())
+  const queuedCandidatesRef = useRef<Map<string, RTCIceCandidateInit[]>>(new Map())
+  const pendingPeersRef = useRef<Array<{ id: string; name: string; role: PeerRole; media: MediaState; presence: Presence; signal?: unknown }>>([])
+  // Token the server issued with each peer's offer; our answers must carry it back.
+  const signalTokensRef = useRef<Map<string, SignalToken>>(new Map())
+  const recoveryRef = useRef<Map<string, { attempt: number; timer?: ReturnType<typeof setTimeout> }>>(new Map())
+  // SFU mode: our one connection to the server, which of its mids carries
+  // whose media, and the stream we have put together for each publisher.
+  const sfuPeerRef = useRef<InstanceType<typeof Peer> | null>(null)
+  const sfuMidsRef = useRef<Map<string, string>>(new Map())
+  const sfuStreamsRef = useRef<Map<string, MediaStream>>(new Map())
+  const pendingSfuOfferRef = useRef<unknown>(null)
+  const sfuRetryRef = useRef<{ attempt: number; timer?: ReturnType<typeof setTimeout> }>({ attempt: 0 })
+  // Simulcast: the layer we last asked each peer for, and the layers each
+  // connection's receivers asked of us (under SFU_CONN_ID, what the server wants).
+  const requestedLayersRef = useRef<Map<string, VideoLayer>>(new Map())
+  const senderLayersRef = useRef<Map<string, VideoLayer[]>>(new Map())
+  // What each connection is sending in place of the camera, so a share can be undone exactly.
+  const screenSendersRef = useRef<Map<string, { screen: MediaStreamTrack; camera: MediaStreamTrack | null; stream: MediaStream }>>(new Map())
   const userName = useCallStore((s) => s.userName)
   const localStream = useCallStore((s) => s.localStream)
+  const screenStream = useCallStore((s) => s.screenStream)
+  const isMuted = useCallStore((s) => s.isMuted)
+  const isCamOff = useCallStore((s) => s.isCamOff)
+  const presence = useCallStore((s) => s.presence)
+  const isMediaEncrypted = useCallStore((s) => s.isMediaEncrypted)
+  const viewLayers = usePeerStore((s) => s.viewLayers)
   const setPeer = usePeerStore((s) => s.setPeer)
   const removePeer = usePeerStore((s) => s.removePeer)
   const patchPeer = usePeerStore((s) => s.patchPeer)
-  const addMessage = useSessionStore((s) => s.addMessage)
+  const upsertMessage = useSessionStore((s) => s.upsertMessage)
   const setActivePoll = useSessionStore((s) => s.setActivePoll)
   const addQuestion = useSessionStore((s) => s.addQuestion)
   const updateQuestion = useSessionStore((s) => s.updateQuestion)
   const setQuestionsHistory = useSessionStore((s) => s.setQuestionsHistory)
   const setIsHost = useCallStore((s) => s.setIsHost)
+  const setRole = useCallStore((s) => s.setRole)
   const setSocketId = useCallStore((s) => s.setSocketId)
+  const setScreenSharePeerId = useCallStore((s) => s.setScreenSharePeerId)
   const setRecordingState = useSessionStore((s) => s.setRecordingState)
+  const setRoomLocked = useSessionStore((s) => s.setRoomLocked)
+  const setLeaveReason = useCallStore((s) => s.setLeaveReason)
+  const setWaitingForAdmission = useCallStore((s) => s.setWaitingForAdmission)
+  const setLobbyEnabled = useSessionStore((s) => s.setLobbyEnabled)
+  const setLobby = useSessionStore((s) => s.setLobby)
   const addToast = useUIStore((s) => s.addToast)
 
   useImperativeHandle(ref, () => ({
-    sendMessage: (text) => {
-      const key = cryptoKeyRef.current
-      if (!socketRef.current || !key) return
-      encryptMessage(text, key)
-        .then((ciphertext) => {
-          socketRef.current?.emit('send-message', { text: ciphertext, timestamp: Date.now() })
-        })
-        .catch((err) => {
-          console.error('[PeerManager] failed to encrypt message:', err)
-        })
+    sendMessage: (text, replyTo) => {
+      stopTyping()
+      emitChatText('send-message', text, replyTo ? { replyTo, timestamp: Date.now() } : { timestamp: Date.now() })
+    },
+    editMessage: (messageId, text) => {
+      emitChatText('edit-message', text, { id: messageId })
+    },
+    deleteMessage: (messageId) => {
+      socketRef.current?.emit('delete-message', { id: messageId })
+    },
+    reactToMessage: (messageId, emoji) => {
+      socketRef.current?.emit('react-message', { id: messageId, emoji })
+    },
+    setTyping: (isTyping) => {
+      if (!isTyping) {
+        stopTyping()
+        return
+      }
+      if (!isTypingRef.current) {
+        isTypingRef.current = true
+        socketRef.current?.emit('typing-start')
+      }
+      clearTimeout(typingIdleTimerRef.current)
+      typingIdleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS)
+    },
+    pinMessage: (messageId) => {
+      socketRef.current?.emit('pin-message', { id: messageId })
+    },
+    unpinMessage: () => {
+      socketRef.current?.emit('unpin-message')
     },
     sendReaction: (emoji) => {
       socketRef.current?.emit('send-reaction', { emoji })
     },
-    votePoll: (pollId, optionIndex) => {
-      socketRef.current?.emit('vote-poll', { pollId, optionIndex })
+    votePoll: (pollId, choice) => {
+      socketRef.current?.emit('vote-poll', Array.isArray(choice)
+        ? { pollId, optionIndices: choice }
+        : { pollId, optionIndex: choice })
+    },
+    createPoll: (draft) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('create-poll', draft)
+    },
+    endPoll: (pollId) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('end-poll', { pollId })
     },
     raiseHand: () => {
       socketRef.current?.emit('raise-hand')
@@ -108,11 +322,20 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
     getPeerConnections: () => {
       const result = new Map<string, RTCPeerConnection>()
       peerConnsRef.current.forEach((conn, id) => {
-        const rtc = (conn.peer as unknown as { _pc: RTCPeerConnection | null })._pc
+        const rtc = rtcOf(conn.peer)
         if (rtc) result.set(id, rtc)
       })
       return result
     },
+    shareFile: (file) => {
+      shareFile(file).catch((err) => console.error('[PeerManager] failed to share file:', err))
+    },
+    downloadFile: (fileId) => downloadFile(fileId),
+    cancelFileTransfer: (fileId) => cancelFileTransfer(fileId),
+    getInviteKey: async () => {
+      const roomKey = currentRoomKeyRef.current
+      return roomKey ? exportRoomKey(roomKey) : null
+    },
     broadcastRecordingStarted: () => {
       if (!socketRef.current?.connected) return
       socketRef.current.emit('recording-started')
@@ -121,13 +344,27 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
       if (!socketRef.current?.connected) return
       socketRef.current.emit('recording-stopped')
     },
-    broadcastWhiteboardStroke: (stroke) => {
-      if (!socketRef.current?.connected) return
-      socketRef.current.emit('whiteboard-stroke', stroke)
+    // Ops go both ways at once: over data channels they reach peers even while
+    // the socket is down, and the server relays them to anyone we have no
+    // channel to yet. Receivers drop the copy that arrives second by its seq.
+    broadcastWhiteboardOps: (ops) => {
+      for (const batch of chunkOps(ops)) {
+        if (socketRef.current?.connected) socketRef.current.emit('whiteboard-op', batch)
+        peerConnsRef.current.forEach((conn) => sendPeerData(conn.peer, { type: 'wb-ops', ops: batch }))
+      }
     },
-    broadcastWhiteboardClear: () => {
+    sendWhiteboardPointer: (pointer) => {
+      const viaServer: string[] = []
+      peerConnsRef.current.forEach((conn, id) => {
+        if (conn.peer.connected) sendPeerData(conn.peer, { type: 'wb-pointer', pointer })
+        else viaServer.push(id)
+      })
+      if (viaServer.length === 0 || !socketRef.current?.connected) return
+      socketRef.current.emit('whiteboard-pointer', { pointer, to: viaServer })
+    },
+    addWhiteboardPage: (page) => {
       if (!socketRef.current?.connected) return
-      socketRef.current.emit('whiteboard-clear')
+      socketRef.current.emit('whiteboard-page-add', page)
     },
     broadcastWhiteboardGrant: (peerId) => {
       if (!socketRef.current?.connected) return
@@ -137,36 +374,776 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
       if (!socketRef.current?.connected) return
       socketRef.current.emit('whiteboard-revoke', { peerId })
     },
+    transferHost: (peerId) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('transfer-host', { peerId })
+    },
+    setPeerRole: (peerId, role) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('set-role', { peerId, role })
+    },
+    kickParticipant: (peerId) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('kick-participant', { peerId })
+    },
+    requestMute: (peerId, kind) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('request-mute', { peerId, kind })
+    },
+    lowerAllHands: () => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('lower-all-hands')
+    },
+    lockRoom: (locked) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('lock-room', { locked })
+    },
+    setLobbyEnabled: (enabled) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('set-lobby', { enabled })
+    },
+    setTrickleIce: (enabled) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('set-trickle-ice', { enabled })
+    },
+    admitParticipant: (peerId) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('admit-participant', { peerId })
+    },
+    denyParticipant: (peerId) => {
+      if (!socketRef.current?.connected) return
+      socketRef.current.emit('deny-participant', { peerId })
+    },
   }), [])
 
   // Shared helpers — defined at component level so both effects can use them
+  // The conn leaves the map before it is destroyed, so its close and error
+  // events can tell they no longer matter.
   const destroyPeerConn = (id: string) => {
     const conn = peerConnsRef.current.get(id)
-    if (conn && !conn.peer.destroyed) conn.peer.destroy()
     peerConnsRef.current.delete(id)
+    if (conn && !conn.peer.destroyed) conn.peer.destroy()
+    screenSendersRef.current.delete(id)
+    mediaCryptoRef.current?.removePeer(id)
+    dropFileTransfers(id)
+    describedPeersRef.current.delete(id)
+    queuedCandidatesRef.current.delete(id)
+    signalTokensRef.current.delete(id)
+    requestedLayersRef.current.delete(id)
+    senderLayersRef.current.delete(id)
+  }
+
+  // With trickle on, simple-peer hands candidates to 'signal' one by one; they
+  // go through their own event so offers and answers stay small.
+  const relayCandidate = (peerId: string, signal: Peer.SignalData): boolean => {
+    if (!('type' in signal) || signal.type !== 'candidate') return false
+    socketRef.current?.emit('ice-candidate', { to: peerId, candidate: signal.candidate })
+    return true
+  }
+
+  const flushCandidates = (peerId: string, peer: InstanceType<typeof Peer>) => {
+    describedPeersRef.current.add(peerId)
+    const queued = queuedCandidatesRef.current.get(peerId)
+    queuedCandidatesRef.current.delete(peerId)
+    queued?.forEach((candidate) => peer.signal({ type: 'candidate', candidate } as Peer.SignalData))
+  }
+
+  const rtcOf = (peer: InstanceType<typeof Peer>) => (peer as unknown as { _pc: RTCPeerConnection | null })._pc
+
+  const channelOf = (peer: InstanceType<typeof Peer>) => (peer as unknown as { _channel: RTCDataChannel | null })._channel
+
+  const peerConfig = (): RTCConfiguration => ({ iceServers: iceServersRef.current, ...mediaCryptoRef.current?.rtcConfig })
+
+  // Idempotent, so it can run again whenever a track is added to the connection.
+  const attachMediaSenders = (peerId: string, peer: InstanceType<typeof Peer>) => {
+    const media = mediaCryptoRef.current
+    if (!media) return
+    rtcOf(peer)?.getSenders().forEach((sender) => media.attachSender(sender, peerId))
+  }
+
+  // Replace the outgoing camera track with the screen track. Without a camera
+  // track (camera denied or audio-only stream) the screen is added as a new track.
+  const sendScreenTo = (peerId: string, peer: InstanceType<typeof Peer>, display: MediaStream) => {
+    const screen = display.getVideoTracks()[0]
+    if (!screen || peer.destroyed || screenSendersRef.current.has(peerId)) return
+    const local = useCallStore.getState().localStream
+    const camera = local?.getVideoTracks()[0] ?? null
+    try {
+      if (camera && local) {
+        peer.replaceTrack(camera, screen, local)
+        screenSendersRef.current.set(peerId, { screen, camera, stream: local })
+      } else {
+        peer.addTrack(screen, display)
+        attachMediaSenders(peerId, peer)
+        screenSendersRef.current.set(peerId, { screen, camera: null, stream: display })
+      }
+    } catch (err) {
+      console.warn('[PeerManager] could not send screen to peer:', peerId, (err as Error)?.message)
+    }
+  }
+
+  const restoreCameraTo = (peerId: string, peer: InstanceType<typeof Peer>) => {
+    const entry = screenSendersRef.current.get(peerId)
+    screenSendersRef.current.delete(peerId)
+    if (!entry || peer.destroyed) return
+    try {
+      if (entry.camera) {
+        peer.replaceTrack(entry.screen, entry.camera, entry.stream)
+      } else {
+        peer.removeTrack(entry.screen, entry.stream)
+      }
+    } catch (err) {
+      console.warn('[PeerManager] could not restore camera for peer:', peerId, (err as Error)?.message)
+    }
+  }
+
+  const sendPeerData = (peer: InstanceType<typeof Peer>, message: PeerDataMessage) => {
+    if (!peer.connected) return
+    try {
+      peer.send(JSON.stringify(message))
+    } catch (err) {
+      console.warn('[PeerManager] could not send peer data:', (err as Error)?.message)
+    }
+  }
+
+  // Asks every peer for the layer our views render it at: over its data
+  // channel in a mesh, through the server in SFU mode.
+  const requestLayers = () => {
+    if (!SIMULCAST_ENABLED) return
+    const { viewLayers, peers } = usePeerStore.getState()
+    const viaSfu = useSessionStore.getState().mediaMode === 'sfu'
+    peers.forEach((_, peerId) => {
+      const layer = wantedLayer(viewLayers, peerId)
+      if (requestedLayersRef.current.get(peerId) === layer) return
+      if (viaSfu) {
+        if (!sfuPeerRef.current?.connected || !socketRef.current?.connected) return
+        socketRef.current.emit('sfu-layer', { publisherId: peerId, layer })
+      } else {
+        const conn = peerConnsRef.current.get(peerId)
+        if (!conn?.peer.connected) return
+        sendPeerData(conn.peer, { type: 'video-layer', layer })
+      }
+      requestedLayersRef.current.set(peerId, layer)
+    })
+  }
+
+  // Puts the layers a connection's receivers asked for on its video senders.
+  const applyLayer = (connId: string, peer: InstanceType<typeof Peer>) => {
+    const layers = senderLayersRef.current.get(connId)
+    if (!layers) return
+    for (const sender of rtcOf(peer)?.getSenders() ?? []) {
+      if (sender.track?.kind !== 'video') continue
+      applyVideoLayers(sender, layers).catch((err) => {
+        console.warn('[PeerManager] could not switch video layer:', connId, (err as Error)?.message)
+      })
+    }
+  }
+
+  // Whiteboard traffic on data channels: the sync handshake (a peer that
+  // (re)connects sends its state vector and we answer with whatever it is
+  // missing), ops, and pointer positions. Also the media E2EE announcement
+  // and layer requests.
+  const handlePeerData = (peer: InstanceType<typeof Peer>, peerId: string, raw: string | Uint8Array) => {
+    if (isFileChunk(raw)) {
+      receiveFileChunk(peerId, raw)
+      return
+    }
+    let message: PeerDataMessage
+    try {
+      message = JSON.parse(typeof raw === 'string' ? raw : new TextDecoder().decode(raw))
+    } catch {
+      return
+    }
+    const whiteboard = useWhiteboardStore.getState()
+    if (message?.type === 'file-request' && typeof message.fileId === 'string') {
+      void uploadFile(peer, peerId, message.fileId)
+    } else if (message?.type === 'file-cancel' && typeof message.fileId === 'string') {
+      const upload = uploadsRef.current.get(`${message.fileId}:${peerId}`)
+      if (upload) upload.cancelled = true
+      if (downloadsRef.current.get(message.fileId)?.peerId === peerId) {
+        downloadsRef.current.delete(message.fileId)
+        patchTransfer(message.fileId, { status: 'failed', error: 'The sender stopped sharing this file' })
+      }
+    } else if (message?.type === 'wb-sync' && message.stateVector) {
+      const { ops, stateVector, snapshot } = opsSince(whiteboard.crdt, message.stateVector)
+      for (const batch of chunkOps(ops)) {
+        // Log ops carry their own seqs; only a snapshot needs the state vector to go with it.
+        sendPeerData(peer, snapshot ? { type: 'wb-ops', ops: batch, stateVector, snapshot } : { type: 'wb-ops', ops: batch })
+      }
+    } else if (message?.type === 'wb-ops' && Array.isArray(message.ops)) {
+      whiteboard.applyOps(message.ops.filter(isWhiteboardOp), { stateVector: message.stateVector, snapshot: message.snapshot })
+    } else if (message?.type === 'wb-pointer' && isWhiteboardPointer(message.pointer)) {
+      whiteboard.movePointer(peerId, peerConnsRef.current.get(peerId)?.name ?? 'Guest', message.pointer)
+    } else if (message?.type === 'media-e2ee') {
+      mediaCryptoRef.current?.setPeerEncryption(peerId, true)
+    } else if (message?.type === 'video-layer' && isVideoLayer(message.layer)) {
+      senderLayersRef.current.set(peerId, [message.layer])
+      applyLayer(peerId, peer)
+    }
+  }
+
+  const patchTransfer = (fileId: string, patch: Partial<FileTransfer>) => {
+    useFileTransferStore.getState().patchTransfer(fileId, patch)
+  }
+
+  // Only the metadata goes to the server; the hash lets receivers verify what they get.
+  const shareFile = async (file: File) => {
+    if (!socketRef.current) return
+    if (file.size === 0 || file.size > MAX_SHARED_FILE_SIZE) {
+      const message = file.size === 0 ? 'That file is empty' : `Files can be at most ${formatBytes(MAX_SHARED_FILE_SIZE)}`
+      addToast({ id: `file-size-${Date.now()}`, message, variant: 'warn' })
+      return
+    }
+    const id = newFileId()
+    const hash = await sha256Hex(new Uint8Array(await file.arrayBuffer()))
+    sharedFilesRef.current.set(id, file)
+    patchTransfer(id, { status: 'complete', received: file.size, url: URL.createObjectURL(file), error: null })
+    socketRef.current?.emit('share-file', { id, name: file.name, size: file.size, mime: file.type, hash })
+  }
+
+  // Streams one of our files to a peer that asked for it, pausing whenever the
+  // data channel's buffer is full.
+  const uploadFile = async (peer: InstanceType<typeof Peer>, peerId: string, fileId: string) => {
+    const file = sharedFilesRef.current.get(fileId)
+    const key = `${fileId}:${peerId}`
+    if (!file) {
+      sendPeerData(peer, { type: 'file-cancel', fileId })
+      return
+    }
+    if (uploadsRef.current.has(key)) return
+    const upload = { cancelled: false }
+    uploadsRef.current.set(key, upload)
+    const countUploads = () => {
+      const sending = [...uploadsRef.current.keys()].filter((k) => k.startsWith(`${fileId}:`)).length
+      patchTransfer(fileId, { sending })
+    }
+    countUploads()
+    try {
+      for (let offset = 0; offset < file.size; offset += FILE_CHUNK_SIZE) {
+        const bytes = new Uint8Array(await file.slice(offset, offset + FILE_CHUNK_SIZE).arrayBuffer())
+        await waitForDrain(channelOf(peer))
+        if (upload.cancelled || !peer.connected) return
+        peer.send(encodeFileChunk(fileId, bytes))
+      }
+    } catch (err) {
+      console.warn('[PeerManager] file upload failed:', peerId, (err as Error)?.message)
+    } finally {
+      uploadsRef.current.delete(key)
+      countUploads()
+    }
+  }
+
+  const downloadFile = (fileId: string) => {
+    const message = useSessionStore.getState().messages.find((m) => m.file?.id === fileId)
+    if (!message?.file || downloadsRef.current.has(fileId)) return
+    const conn = peerConnsRef.current.get(message.peerId)
+    if (!conn?.peer.connected) {
+      patchTransfer(fileId, { status: 'failed', error: `${message.peerName} is not connected` })
+      return
+    }
+    const buffer = new Uint8Array(message.file.size)
+    downloadsRef.current.set(fileId, { peerId: message.peerId, file: message.file, buffer, received: 0, percent: 0 })
+    patchTransfer(fileId, { status: 'receiving', received: 0, error: null })
+    sendPeerData(conn.peer, { type: 'file-request', fileId })
+  }
+
+  const receiveFileChunk = (peerId: string, raw: Uint8Array) => {
+    const chunk = decodeFileChunk(raw)
+    const download = chunk ? downloadsRef.current.get(chunk.fileId) : undefined
+    if (!chunk || !download || download.peerId !== peerId) return
+    const { file } = download
+    if (download.received + chunk.bytes.length > file.size) {
+      downloadsRef.current.delete(file.id)
+      patchTransfer(file.id, { status: 'failed', error: 'The file was larger than announced' })
+      return
+    }
+    download.buffer.set(chunk.bytes, download.received)
+    download.received += chunk.bytes.length
+    if (download.received < file.size) {
+      // A store update per percent is plenty for a progress bar.
+      const percent = Math.floor((download.received * 100) / file.size)
+      if (percent !== download.percent) {
+        download.percent = percent
+        patchTransfer(file.id, { received: download.received })
+      }
+      return
+    }
+    downloadsRef.current.delete(file.id)
+    void finishDownload(download)
+  }
+
+  const finishDownload = async ({ file, buffer }: IncomingFile) => {
+    if (await sha256Hex(buffer) !== file.hash) {
+      patchTransfer(file.id, { status: 'failed', error: 'The file did not match its checksum' })
+      return
+    }
+    const url = URL.createObjectURL(new Blob([buffer], { type: file.mime }))
+    patchTransfer(file.id, { status: 'complete', received: file.size, url, error: null })
+  }
+
+  const cancelFileTransfer = (fileId: string) => {
+    const download = downloadsRef.current.get(fileId)
+    if (download) {
+      downloadsRef.current.delete(fileId)
+      const conn = peerConnsRef.current.get(download.peerId)
+      if (conn) sendPeerData(conn.peer, { type: 'file-cancel', fileId })
+      patchTransfer(fileId, { status: 'cancelled', received: 0 })
+      return
+    }
+    // Stopping one of our own shares ends its uploads and refuses later requests.
+    if (!sharedFilesRef.current.delete(fileId)) return
+    uploadsRef.current.forEach((upload, key) => {
+      if (!key.startsWith(`${fileId}:`)) return
+      upload.cancelled = true
+      const conn = peerConnsRef.current.get(key.slice(fileId.length + 1))
+      if (conn) sendPeerData(conn.peer, { type: 'file-cancel', fileId })
+    })
+    patchTransfer(fileId, { status: 'cancelled' })
+  }
+
+  const dropFileTransfers = (peerId: string) => {
+    uploadsRef.current.forEach((upload, key) => {
+      if (key.endsWith(`:${peerId}`)) upload.cancelled = true
+    })
+    downloadsRef.current.forEach((download, fileId) => {
+      if (download.peerId !== peerId) return
+      downloadsRef.current.delete(fileId)
+      patchTransfer(fileId, { status: 'failed', error: 'The connection to the sender closed' })
+    })
+  }
+
+  // Chat key work and message decryption run one step at a time, in arrival
+  // order, so a key handed to us is in the ring before messages sealed with it.
+  const enqueueChat = (step: () => Promise<void>) => {
+    chatQueueRef.current = chatQueueRef.current.then(step).catch((err) => {
+      console.error('[PeerManager] chat key error:', err)
+    })
+  }
+
+  const stopTyping = () => {
+    clearTimeout(typingIdleTimerRef.current)
+    if (!isTypingRef.current) return
+    isTypingRef.current = false
+    socketRef.current?.emit('typing-stop')
+  }
+
+  const setPeerTyping = (peerId: string, isTyping: boolean) => {
+    clearTimeout(typingTimersRef.current.get(peerId))
+    typingTimersRef.current.delete(peerId)
+    patchPeer(peerId, { isTyping })
+    if (isTyping) typingTimersRef.current.set(peerId, setTimeout(() => setPeerTyping(peerId, false), TYPING_TIMEOUT_MS))
+  }
+
+  // Chat text only leaves this client sealed under the current room key.
+  // Until we hold one it waits, and goes out as soon as we do.
+  const emitChatText = (event: 'send-message' | 'edit-message', text: string, fields: Record<string, unknown>) => {
+    const roomKey = currentRoomKeyRef.current
+    if (!socketRef.current) return
+    if (!roomKey) {
+      const outgoing = outgoingChatRef.current
+      outgoing.push({ event, text, fields })
+      if (outgoing.length > MAX_QUEUED_CHAT) outgoing.shift()
+      return
+    }
+    encryptMessage(text, roomKey.key)
+      .then((ciphertext) => {
+        socketRef.current?.emit(event, { ...fields, text: ciphertext, keyId: roomKey.id })
+      })
+      .catch((err) => {
+        console.error('[PeerManager] failed to encrypt message:', err)
+      })
+  }
+
+  // New messages and updates to them (edits, deletions, reactions) both land
+  // here; an update replaces the copy we already show.
+  const showMessage = async (m: ChatWireMessage) => {
+    const roomKey = m.keyId ? roomKeysRef.current.get(m.keyId) : undefined
+    const text = m.deleted
+      ? ''
+      : roomKey
+        ? await decryptMessage(m.text, roomKey.key).catch(() => ENCRYPTED_PLACEHOLDER)
+        : ENCRYPTED_PLACEHOLDER
+    const peerId = m.sender ?? m.userId ?? ''
+    const message: ChatMessage = {
+      id: String(m.id),
+      peerId,
+      peerName: m.senderName ?? m.userName ?? peerId,
+      text,
+      sentAt: m.timestamp,
+      replyTo: m.replyTo ?? null,
+      editedAt: m.editedAt ?? null,
+      deleted: m.deleted ?? false,
+      reactions: m.reactions ?? {},
+    }
+    upsertMessage(message)
+    if (message.id === pinnedIdRef.current) useSessionStore.getState().pinMessage(message)
+  }
+
+  const receiveMessage = (m: ChatWireMessage) => {
+    enqueueChat(async () => {
+      if (heldMessagesRef.current) heldMessagesRef.current.push(m)
+      else await showMessage(m)
+    })
+  }
+
+  const releaseHeldMessages = async () => {
+    clearTimeout(keyWaitTimerRef.current)
+    const held = heldMessagesRef.current ?? []
+    heldMessagesRef.current = null
+    for (const m of held) await showMessage(m)
+  }
+
+  const adoptRoomKey = (roomKey: RoomKey) => {
+    roomKeysRef.current.set(roomKey.id, roomKey)
+    if (isNewerKey(roomKey, currentRoomKeyRef.current)) currentRoomKeyRef.current = roomKey
+    void updateMediaKeys()
+    for (const { event, text, fields } of outgoingChatRef.current.splice(0)) emitChatText(event, text, fields)
+  }
+
+  // Hands the worker a frame key for every room key; later calls supersede slower earlier ones.
+  const updateMediaKeys = async () => {
+    const media = mediaCryptoRef.current
+    if (!media) return
+    const version = ++mediaKeysVersionRef.current
+    try {
+      const roomKeys = [...roomKeysRef.current.values()]
+      const keys = await Promise.all(roomKeys.map(deriveMediaKey))
+      if (version !== mediaKeysVersionRef.current) return
+      const current = currentRoomKeyRef.current ? roomKeys.indexOf(currentRoomKeyRef.current) : -1
+      media.setKeys(keys, current >= 0 ? keys[current].tag : null)
+    } catch (err) {
+      console.error('[PeerManager] failed to derive media keys:', err)
+    }
+  }
+
+  // Wraps the key once per member whose public key we know; the server fans the copies out.
+  const shareRoomKey = async (roomKey: RoomKey, peerIds: string[]) => {
+    const pair = await chatKeyPairRef.current
+    if (!pair || !socketRef.current) return
+    const keys = await Promise.all(peerIds.flatMap((to) => {
+      const publicKey = chatPublicKeysRef.current.get(to)
+      if (!publicKey) return []
+      return [importPublicKey(publicKey).then(async (theirs) => ({ to, wrappedKey: await wrapRoomKey(roomKey, pair.privateKey, theirs) }))]
+    }))
+    if (keys.length === 0) return
+    socketRef.current?.emit('chat-room-key', { keyId: roomKey.id, createdAt: roomKey.createdAt, keys })
+  }
+
+  const startRoomKey = async () => {
+    const roomKey = await generateRoomKey()
+    adoptRoomKey(roomKey)
+    await shareRoomKey(roomKey, [...chatPublicKeysRef.current.keys()])
+  }
+
+  // On every (re)join: announce our public key, then either start the room
+  // key (nobody else here) or hold incoming chat until a member wraps theirs
+  // for us. If nobody does in time, start one and hand it round ourselves.
+  const joinChatKeys = async (hasMembers: boolean) => {
+    const pair = await chatKeyPairRef.current
+    if (!pair) return
+    socketRef.current?.emit('chat-public-key', { publicKey: await exportPublicKey(pair.publicKey) })
+    if (!hasMembers) {
+      if (!currentRoomKeyRef.current) await startRoomKey()
+      return
+    }
+    heldMessagesRef.current ??= []
+    clearTimeout(keyWaitTimerRef.current)
+    keyWaitTimerRef.current = setTimeout(() => enqueueChat(async () => {
+      if (!currentRoomKeyRef.current) await startRoomKey()
+      await releaseHeldMessages()
+    }), CHAT_KEY_WAIT_MS)
+  }
+
+  // A departed member must not read what comes next. Whoever has the lowest
+  // socket id among those left rotates, so one new key goes out, not several.
+  const rotateRoomKey = async () => {
+    const selfId = socketRef.current?.id
+    if (!selfId || !currentRoomKeyRef.current) return
+    if ([...chatPublicKeysRef.current.keys()].some((id) => id < selfId)) return
+    await startRoomKey()
+  }
+
+  const isCurrentPeer = (peerId: string, peer: InstanceType<typeof Peer>) => peerConnsRef.current.get(peerId)?.peer === peer
+
+  const clearRecovery = (peerId: string) => {
+    clearTimeout(recoveryRef.current.get(peerId)?.timer)
+    recoveryRef.current.delete(peerId)
+  }
+
+  // Backoff timer for rebuilding a lost connection. Each run also arms the
+  // next one as a watchdog: the connect event clears it, and if the attempt
+  // never gets there, the one after tries again. The last attempt gets the
+  // same wait before we give up on it.
+  const scheduleRebuild = (peerId: string) => {
+    const recovery = recoveryRef.current.get(peerId) ?? { attempt: 0 }
+    clearTimeout(recovery.timer)
+    const delay = Math.min(REBUILD_BASE_MS * 2 ** recovery.attempt, REBUILD_MAX_MS)
+    recovery.timer = setTimeout(() => {
+      if (recovery.attempt < MAX_REBUILD_ATTEMPTS) {
+        recovery.attempt += 1
+        rebuildPeer(peerId)
+        return
+      }
+      recoveryRef.current.delete(peerId)
+      destroyPeerConn(peerId)
+      patchPeer(peerId, { connectionState: 'failed', stream: null })
+    }, delay)
+    recoveryRef.current.set(peerId, recovery)
+  }
+
+  // Both sides notice the loss, so only the one with the lower socket id dials
+  // again; the other answers the fresh offer when it comes.
+  const rebuildPeer = (peerId: string) => {
+    const record = usePeerStore.getState().peers.get(peerId)
+    if (!record) {
+      clearRecovery(peerId)
+      return
+    }
+    const selfId = socketRef.current?.id
+    const stream = useCallStore.getState().localStream
+    if (selfId && selfId < peerId && stream && socketRef.current?.connected) {
+      destroyPeerConn(peerId)
+      connectTo(peerId, record.name, record.role, stream)
+    }
+    scheduleRebuild(peerId)
+  }
+
+  const connectionLost = (peerId: string) => {
+    destroyPeerConn(peerId)
+    if (!usePeerStore.getState().peers.has(peerId)) {
+      clearRecovery(peerId)
+      return
+    }
+    patchPeer(peerId, { connectionState: 'disconnected', stream: null })
+    scheduleRebuild(peerId)
+  }
+
+  // ICE went 'disconnected'. Give it a moment to come back by itself, then the
+  // initiator restarts ICE over the existing connection; if that has not
+  // connected in time either, fall back to a rebuild.
+  const beginIceRestart = (peerId: string, peer: InstanceType<typeof Peer>) => {
+    const recovery = recoveryRef.current.get(peerId) ?? { attempt: 0 }
+    if (recovery.timer) return
+    recovery.timer = setTimeout(() => {
+      if (!isCurrentPeer(peerId, peer)) return
+      if ((peer as unknown as { initiator: boolean }).initiator) {
+        rtcOf(peer)?.restartIce?.()
+        ;(peer as unknown as { negotiate: () => void }).negotiate()
+      }
+      recovery.timer = setTimeout(() => {
+        if (isCurrentPeer(peerId, peer)) connectionLost(peerId)
+      }, ICE_RESTART_TIMEOUT_MS)
+    }, ICE_RESTART_GRACE_MS)
+    recoveryRef.current.set(peerId, recovery)
   }
 
   const wirePeerEvents = (peer: InstanceType<typeof Peer>, peerId: string) => {
     peer.on('connect', () => {
+      clearRecovery(peerId)
       patchPeer(peerId, { connectionState: 'connected' })
+      sendPeerData(peer, { type: 'wb-sync', stateVector: useWhiteboardStore.getState().crdt.stateVector })
+      if (mediaCryptoRef.current) sendPeerData(peer, { type: 'media-e2ee' })
+      requestedLayersRef.current.delete(peerId)
+      requestLayers()
     })
+    peer.on('data', (raw: string | Uint8Array) => handlePeerData(peer, peerId, raw))
+    // ICE drops to 'disconnected' on a network blip and may recover on its own;
+    // 'failed' surfaces as an error below.
+    peer.on('iceStateChange', (ice: RTCIceConnectionState) => {
+      if (!isCurrentPeer(peerId, peer)) return
+      if (ice === 'disconnected') {
+        patchPeer(peerId, { connectionState: 'disconnected' })
+        beginIceRestart(peerId, peer)
+      } else if (ice === 'connected' || ice === 'completed') {
+        clearRecovery(peerId)
+        patchPeer(peerId, { connectionState: 'connected' })
+      }
+    })
+    const media = mediaCryptoRef.current
+    if (media) {
+      attachMediaSenders(peerId, peer)
+      peer.on('track', (track: MediaStreamTrack) => {
+        const receiver = rtcOf(peer)?.getReceivers().find((r) => r.track === track)
+        if (receiver) media.attachReceiver(receiver, peerId)
+      })
+    }
     peer.on('stream', (remoteStream: MediaStream) => {
       patchPeer(peerId, { stream: remoteStream, connectionState: 'connected', videoEnabled: true })
     })
+    // Connections we tore down ourselves are no longer in the map; anything
+    // else closing on us is a loss to recover from.
     peer.on('close', () => {
-      patchPeer(peerId, { connectionState: 'disconnected', stream: null })
-      destroyPeerConn(peerId)
+      if (isCurrentPeer(peerId, peer)) connectionLost(peerId)
     })
     peer.on('error', (err: Error) => {
+      if (!isCurrentPeer(peerId, peer)) return
       console.error('[PeerManager] peer error:', peerId, err?.message)
-      patchPeer(peerId, { connectionState: 'failed', stream: null })
-      destroyPeerConn(peerId)
+      connectionLost(peerId)
     })
+    // A share that started before this peer connected still has to reach it.
+    const display = useCallStore.getState().screenStream
+    if (display) sendScreenTo(peerId, peer, display)
   }
 
+  // Dials a peer. The first offer opens the call; any later one (an ICE
+  // restart, a new track) is marked so the other side applies it to the
+  // connection it already has.
+  const connectTo = (peerId: string, name: string, role: PeerRole, stream: MediaStream) => {
+    const socket = socketRef.current
+    if (!socket) return
+    const peer = new Peer({
+      initiator: true,
+      trickle: useSessionStore.getState().isTrickleIceEnabled,
+      stream,
+      config: peerConfig(),
+      wrtc: SIMULCAST_ENABLED ? simulcastWebRtc() : undefined,
+    })
+    wirePeerEvents(peer, peerId)
+    let offered = false
+    peer.on('signal', (signal) => {
+      if (relayCandidate(peerId, signal)) return
+      socket.emit('sending-signal', offered
+        ? { userToSignal: peerId, signal, renegotiate: true }
+        : { userToSignal: peerId, signal })
+      offered = true
+    })
+    peerConnsRef.current.set(peerId, { peer, name, role })
+  }
+
+  const answer = (peerId: string, name: string, role: PeerRole, stream: MediaStream, signal: unknown) => {
+    const socket = socketRef.current
+    if (!socket) return
+    const peer = new Peer({
+      initiator: false,
+      trickle: useSessionStore.getState().isTrickleIceEnabled,
+      stream,
+      config: peerConfig(),
+      wrtc: SIMULCAST_ENABLED ? simulcastWebRtc() : undefined,
+    })
+    wirePeerEvents(peer, peerId)
+    peer.on('signal', (returnSignal) => {
+      if (relayCandidate(peerId, returnSignal)) return
+      socket.emit('returning-signal', { signal: returnSignal, callerID: peerId, token: signalTokensRef.current.get(peerId) })
+    })
+    peer.signal(signal as Peer.SignalData)
+    peerConnsRef.current.set(peerId, { peer, name, role })
+    flushCandidates(peerId, peer)
+  }
+
+  // SFU mode: the server makes every offer. We answer with our camera and mic
+  // on the first one, and each later one brings other publishers' tracks.
+  const answerSfu = (signal: unknown, stream: MediaStream) => {
+    let peer = sfuPeerRef.current
+    if (!peer) {
+      peer = new Peer({ initiator: false, trickle: false, stream, config: peerConfig() })
+      wireSfuEvents(peer)
+      sfuPeerRef.current = peer
+      const display = useCallStore.getState().screenStream
+      if (display) sendScreenTo(SFU_CONN_ID, peer, display)
+    }
+    peer.signal(signal as Peer.SignalData)
+  }
+
+  const wireSfuEvents = (peer: InstanceType<typeof Peer>) => {
+    peer.on('signal', (signal) => socketRef.current?.emit('sfu-signal', { signal }))
+    // A new connection is a new session on the server: ask for every layer again.
+    peer.on('connect', () => {
+      sfuRetryRef.current.attempt = 0
+      requestedLayersRef.current.clear()
+      requestLayers()
+      applyLayer(SFU_CONN_ID, peer)
+    })
+    peer.on('track', (track: MediaStreamTrack) => {
+      const mid = rtcOf(peer)?.getTransceivers().find((t) => t.receiver.track === track)?.mid
+      const publisherId = mid != null ? sfuMidsRef.current.get(mid) : undefined
+      if (!publisherId) return
+      const others = (sfuStreamsRef.current.get(publisherId)?.getTracks() ?? []).filter((t) => t.kind !== track.kind)
+      const stream = new MediaStream([...others, track])
+      sfuStreamsRef.current.set(publisherId, stream)
+      patchPeer(publisherId, { stream, connectionState: 'connected', videoEnabled: true })
+    })
+    peer.on('close', () => {
+      if (sfuPeerRef.current === peer) sfuConnectionLost()
+    })
+    peer.on('error', (err: Error) => {
+      if (sfuPeerRef.current !== peer) return
+      console.error('[PeerManager] SFU connection error:', err?.message)
+      sfuConnectionLost()
+    })
+  }
+
+  const dropSfu = () => {
+    const peer = sfuPeerRef.current
+    sfuPeerRef.current = null
+    if (peer && !peer.destroyed) peer.destroy()
+    screenSendersRef.current.delete(SFU_CONN_ID)
+    senderLayersRef.current.delete(SFU_CONN_ID)
+    sfuMidsRef.current.clear()
+    sfuStreamsRef.current.clear()
+  }
+
+  // Everyone's media came over the one connection, so everyone is cut off.
+  // Ask the server for a new one with the same backoff as a mesh rebuild.
+  const sfuConnectionLost = () => {
+    dropSfu()
+    const retry = sfuRetryRef.current
+    const giveUp = retry.attempt >= MAX_REBUILD_ATTEMPTS
+    usePeerStore.getState().peers.forEach((_, id) => patchPeer(id, { connectionState: giveUp ? 'failed' : 'disconnected', stream: null }))
+    if (giveUp) return
+    clearTimeout(retry.timer)
+    retry.timer = setTimeout(() => socketRef.current?.emit('sfu-join'), Math.min(REBUILD_BASE_MS * 2 ** retry.attempt, REBUILD_MAX_MS))
+    retry.attempt += 1
+  }
+
+  useEffect(() => {
+    mediaCryptoRef.current?.setEnabled(isMediaEncrypted)
+  }, [isMediaEncrypted])
+
+  // Broadcast our mic/camera state whenever MediaController toggles tracks.
+  // Before the socket connects, join-room carries the initial state instead.
+  useEffect(() => {
+    if (!socketRef.current?.connected) return
+    socketRef.current.emit('media-state', { isMuted, isCamOff })
+  }, [isMuted, isCamOff])
+
+  // Same for the presence PresenceController works out.
+  useEffect(() => {
+    if (!socketRef.current?.connected) return
+    socketRef.current.emit('presence-update', { state: presence })
+  }, [presence])
+
+  // Ask peers for the layers our views now render them at (see useVideoLayers).
+  useEffect(() => {
+    requestLayers()
+  }, [viewLayers])
+
+  // Swap the screen track into every connection while a share is active, and
+  // announce it so every participant's spotlight follows the sharer.
+  useEffect(() => {
+    if (!screenStream) return
+    peerConnsRef.current.forEach((conn, id) => sendScreenTo(id, conn.peer, screenStream))
+    if (sfuPeerRef.current) sendScreenTo(SFU_CONN_ID, sfuPeerRef.current, screenStream)
+    setScreenSharePeerId(useCallStore.getState().socketId)
+    if (socketRef.current?.connected) socketRef.current.emit('screen-share-started')
+
+    return () => {
+      peerConnsRef.current.forEach((conn, id) => restoreCameraTo(id, conn.peer))
+      if (sfuPeerRef.current) restoreCameraTo(SFU_CONN_ID, sfuPeerRef.current)
+      screenSendersRef.current.clear()
+      if (socketRef.current?.connected) socketRef.current.emit('screen-share-stopped')
+      const { screenSharePeerId, socketId } = useCallStore.getState()
+      if (screenSharePeerId !== null && screenSharePeerId === socketId) setScreenSharePeerId(null)
+    }
+  }, [screenStream, setScreenSharePeerId])
+
   // If localStream arrives after peers are already queued, create connections now with media tracks.
   useEffect(() => {
     if (!localStream) return
+    const sfuOffer = pendingSfuOfferRef.current
+    if (sfuOffer) {
+      pendingSfuOfferRef.current = null
+      answerSfu(sfuOffer, localStream)
+    }
     const pending = pendingPeersRef.current.splice(0)
     if (pending.length === 0) return
     const socket = socketRef.current
@@ -176,34 +1153,13 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
       // Skip if a peer already exists for this user (e.g., created by user-joined)
       if (peerConnsRef.current.has(p.id)) continue
 
-      setPeer(p.id, makePeerRecord(p.id, p.name, p.role))
+      setPeer(p.id, { ...makePeerRecord(p.id, p.name, p.role), ...p.media, presence: p.presence })
       if (p.signal != null) {
         // We received a user-joined with signal while stream was null — create answer peer
-        const peer = new Peer({
-          initiator: false,
-          trickle: false,
-          stream: localStream,
-          config: { iceServers: iceServersRef.current },
-        })
-        wirePeerEvents(peer, p.id)
-        peer.on('signal', (returnSignal) => {
-          socket.emit('returning-signal', { signal: returnSignal, callerID: p.callerID! })
-        })
-        peer.signal(p.signal as any)
-        peerConnsRef.current.set(p.id, { peer, name: p.name, role: p.role })
+        answer(p.id, p.name, p.role, localStream, p.signal)
       } else {
-        // Initiate connection to existing peer
-        const peer = new Peer({
-          initiator: true,
-          trickle: false,
-          stream: localStream,
-          config: { iceServers: iceServersRef.current },
-        })
-        wirePeerEvents(peer, p.id)
-        peer.on('signal', (signal) => {
-          socket.emit('sending-signal', { userToSignal: p.id, callerID: socket.id, signal })
-        })
-        peerConnsRef.current.set(p.id, { peer, name: p.name, role: p.role })
+        // Initiate connection to existing peer, unless the room has moved to the SFU meanwhile
+        if (useSessionStore.getState().mediaMode !== 'sfu') connectTo(p.id, p.name, p.role, localStream)
       }
     }
   }, [localStream])
@@ -211,26 +1167,48 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
   useEffect(() => {
     if (!roomId || !userName) return
 
-    const secret = process.env.VITE_CHAT_ENCRYPTION_SECRET ?? ''
-    deriveKey(roomId, secret)
-      .then((key) => {
-        cryptoKeyRef.current = key
-      })
-      .catch((err) => {
-        console.error('[PeerManager] Failed to derive encryption key:', err)
-      })
+    // Keys belong to this room only; a new room starts from nothing.
+    chatPublicKeysRef.current = new Map()
+    roomKeysRef.current = new Map()
+    currentRoomKeyRef.current = null
+    heldMessagesRef.current = null
+    outgoingChatRef.current = []
+    const keyPair = generateKeyPair()
+    keyPair.catch((err) => console.error('[PeerManager] failed to generate chat key pair:', err))
+    chatKeyPairRef.current = keyPair
+    const invite = useCallStore.getState().inviteChatKey
+    if (invite?.roomId === roomId) enqueueChat(async () => adoptRoomKey(await importRoomKey(invite.key)))
+
+    // The worker module is fetched only in browsers that can use it.
+    const transformApi = encodedTransformApi()
+    if (transformApi) {
+      const media = new MediaEncryptionManager(
+        import('../media/workerFactory').then((m) => m.createMediaCryptoWorker()),
+        transformApi,
+        (peerId, encrypted) => patchPeer(peerId, { isEncrypted: encrypted }),
+      )
+      media.setEnabled(useCallStore.getState().isMediaEncrypted)
+      mediaCryptoRef.current = media
+    }
 
     const socket = io(SIGNALING_URL, { reconnectionAttempts: 5 })
     socketRef.current = socket
 
     socket.on('connect', () => {
       setSocketId(socket.id ?? null)
-      socket.emit('request-room-token', { roomId, userName })
+      const password = useCallStore.getState().roomPassword
+      socket.emit('request-room-token', password ? { roomId, userName, password } : { roomId, userName })
     })
 
     // Use on (not once) so reconnects re-join correctly
     socket.on('room-token', ({ token }: { token: string }) => {
-      socket.emit('join-room', { roomId, token, name: userName, role: 'guest' })
+      const { isMuted: muted, isCamOff: camOff, presence: ownPresence, isMediaEncrypted: encrypted } = useCallStore.getState()
+      // A new seat means a new SFU session, if the room is on the SFU at all.
+      dropSfu()
+      pendingSfuOfferRef.current = null
+      // No role: the server decides who is host. We can take the SFU unless
+      // media is end-to-end encrypted: frame keys are set up per mesh connection.
+      socket.emit('join-room', { roomId, token, name: userName, isMuted: muted, isCamOff: camOff, presence: ownPresence, sfu: !encrypted })
 
       // Request TURN credentials right after joining; update ref when they arrive.
       // iceServersRef starts as ICE_SERVERS so peer creation never blocks.
@@ -248,99 +1226,211 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
       })
     })
 
-    socket.on('all-users', (users: Array<{ id: string; name: string; role?: string }>) => {
+    socket.on('all-users', (users: Array<{ id: string; name: string; role?: string; isMuted?: boolean; isCamOff?: boolean; presence?: string; chatPublicKey?: string }>) => {
+      // We are seated (again): catch the whiteboard up from the room copy.
+      socket.emit('whiteboard-sync', { stateVector: useWhiteboardStore.getState().crdt.stateVector })
+      // The server forgets an active share when our socket drops. Re-announce it
+      // only now: from the lobby it would be refused as not in the room.
+      if (useCallStore.getState().screenStream) socket.emit('screen-share-started')
+      users.forEach((u) => {
+        if (u.chatPublicKey) chatPublicKeysRef.current.set(u.id, u.chatPublicKey)
+      })
+      enqueueChat(() => joinChatKeys(users.length > 0))
       const stream = useCallStore.getState().localStream
+      const viaSfu = useSessionStore.getState().mediaMode === 'sfu'
       users.forEach((u) => {
-        const role = (u.role as 'host' | 'guest') ?? 'guest'
+        const role = (u.role as PeerRole) ?? 'guest'
         // On reconnect the server re-sends all-users; destroy any stale connection first
         // so we don't orphan a Peer with open data channels and listeners.
         if (peerConnsRef.current.has(u.id)) destroyPeerConn(u.id)
+        clearRecovery(u.id)
+        if (viaSfu) {
+          // Their media arrives through the SFU connection; there is nobody to dial.
+          setPeer(u.id, { ...makePeerRecord(u.id, u.name, role), ...mediaStateOf(u), presence: presenceOf(u) })
+          return
+        }
         if (!stream) {
           // Defer peer creation until localStream is ready so the offer includes media tracks
-          pendingPeersRef.current.push({ id: u.id, name: u.name, role })
+          pendingPeersRef.current.push({ id: u.id, name: u.name, role, media: mediaStateOf(u), presence: presenceOf(u) })
           return
         }
-        setPeer(u.id, makePeerRecord(u.id, u.name, role))
-        const peer = new Peer({
-          initiator: true,
-          trickle: false,
-          stream,
-          config: { iceServers: iceServersRef.current },
-        })
-        wirePeerEvents(peer, u.id)
-        peer.on('signal', (signal) => {
-          socket.emit('sending-signal', { userToSignal: u.id, callerID: socket.id, signal })
-        })
-        peerConnsRef.current.set(u.id, { peer, name: u.name, role })
+        setPeer(u.id, { ...makePeerRecord(u.id, u.name, role), ...mediaStateOf(u), presence: presenceOf(u) })
+        connectTo(u.id, u.name, role, stream)
       })
     })
 
-    socket.on('user-joined', ({ signal, callerID, name, role }: { signal: unknown; callerID: string; name: string; role?: string }) => {
-      const peerRole = (role as 'host' | 'guest') ?? 'guest'
-      setPeer(callerID, makePeerRecord(callerID, name, peerRole))
+    socket.on('user-joined', ({ signal, callerID, token, renegotiate, name, role, ...rest }: { signal: unknown; callerID: string; token?: SignalToken; renegotiate?: boolean; name: string; role?: string; isMuted?: boolean; isCamOff?: boolean; presence?: string }) => {
+      const live = peerConnsRef.current.get(callerID)
+      if (renegotiate) {
+        // An ICE restart or new track on a connection we already have. With
+        // nothing to apply it to, recovery will rebuild the connection instead.
+        if (!live || live.peer.destroyed) return
+        if (token) signalTokensRef.current.set(callerID, token)
+        live.peer.signal(signal as Peer.SignalData)
+        return
+      }
+      const peerRole = (role as PeerRole) ?? 'guest'
+      const media = mediaStateOf(rest)
+      const peerPresence = presenceOf(rest)
+      // A rebuilt connection keeps what we already know, like a raised hand.
+      if (usePeerStore.getState().peers.has(callerID)) patchPeer(callerID, { name, role: peerRole, ...media, presence: peerPresence })
+      else setPeer(callerID, { ...makePeerRecord(callerID, name, peerRole), ...media, presence: peerPresence })
       if (!signal) return   // no signal = peer record only, no WebRTC yet
+      if (live) destroyPeerConn(callerID)
+      if (token) signalTokensRef.current.set(callerID, token)
       const stream = useCallStore.getState().localStream
       if (!stream) {
         // Defer — the localStream effect will create the peer when the stream is ready
-        pendingPeersRef.current.push({ id: callerID, name, role: peerRole, signal, callerID })
+        pendingPeersRef.current.push({ id: callerID, name, role: peerRole, media, presence: peerPresence, signal })
         return
       }
-      const peer = new Peer({
-        initiator: false,
-        trickle: false,
-        stream,
-        config: { iceServers: iceServersRef.current },
-      })
-      wirePeerEvents(peer, callerID)
-      peer.on('signal', (returnSignal) => {
-        socket.emit('returning-signal', { signal: returnSignal, callerID })
-      })
-      peer.signal(signal as any)
-      peerConnsRef.current.set(callerID, { peer, name, role: peerRole })
+      answer(callerID, name, peerRole, stream, signal)
     })
 
     socket.on('receiving-returned-signal', ({ signal, id }: { signal: unknown; id: string }) => {
       const conn = peerConnsRef.current.get(id)
-      if (conn && !conn.peer.destroyed) conn.peer.signal(signal as any)
+      if (!conn || conn.peer.destroyed) return
+      conn.peer.signal(signal as any)
+      flushCandidates(id, conn.peer)
+    })
+
+    // Trickled candidates can beat the offer or answer they belong to (the
+    // offer may be waiting for our camera); hold them until it is applied.
+    socket.on('ice-candidate', ({ from, candidate }: { from: string; candidate: RTCIceCandidateInit }) => {
+      const conn = peerConnsRef.current.get(from)
+      if (conn && !conn.peer.destroyed && describedPeersRef.current.has(from)) {
+        conn.peer.signal({ type: 'candidate', candidate } as Peer.SignalData)
+        return
+      }
+      const queued = queuedCandidatesRef.current.get(from) ?? []
+      if (queued.length < MAX_QUEUED_CANDIDATES) queued.push(candidate)
+      queuedCandidatesRef.current.set(from, queued)
+    })
+
+    // Sent before all-users when we join an SFU room, and to everyone when a
+    // growing room moves there. The mesh goes; the server's offer follows.
+    socket.on('media-mode', ({ mode }: { mode: MediaMode }) => {
+      useSessionStore.getState().setMediaMode(mode)
+      if (mode !== 'sfu') return
+      peerConnsRef.current.forEach((_, id) => {
+        destroyPeerConn(id)
+        clearRecovery(id)
+        patchPeer(id, { stream: null, connectionState: 'connecting' })
+      })
+    })
+
+    socket.on('sfu-signal', ({ signal, streams }: { signal: unknown; streams?: Record<string, string> }) => {
+      // Before the offer is applied: its tracks fire as soon as it is.
+      sfuMidsRef.current = new Map(Object.entries(streams ?? {}))
+      const stream = useCallStore.getState().localStream
+      if (sfuPeerRef.current) sfuPeerRef.current.signal(signal as Peer.SignalData)
+      else if (stream) answerSfu(signal, stream)
+      else pendingSfuOfferRef.current = signal   // answered when the camera is ready
+    })
+
+    socket.on('sfu-closed', () => sfuConnectionLost())
+
+    // Every layer anyone in the SFU room renders our camera at.
+    socket.on('video-layers', ({ layers }: { layers: unknown }) => {
+      if (!Array.isArray(layers) || !layers.every(isVideoLayer)) return
+      senderLayersRef.current.set(SFU_CONN_ID, layers)
+      if (sfuPeerRef.current) applyLayer(SFU_CONN_ID, sfuPeerRef.current)
+    })
+
+    socket.on('trickle-ice', ({ enabled }: { enabled: boolean }) => {
+      useSessionStore.getState().setTrickleIceEnabled(enabled)
     })
 
     socket.on('user-left', (socketId: string) => {
       removePeer(socketId)
       destroyPeerConn(socketId)
+      clearRecovery(socketId)
+      sfuStreamsRef.current.delete(socketId)
       useWhiteboardStore.getState().revokeDrawing(socketId)
+      useWhiteboardStore.getState().removeCursor(socketId)
+      if (useCallStore.getState().screenSharePeerId === socketId) setScreenSharePeerId(null)
+      chatPublicKeysRef.current.delete(socketId)
+      clearTimeout(typingTimersRef.current.get(socketId))
+      typingTimersRef.current.delete(socketId)
+      enqueueChat(rotateRoomKey)
     })
 
-    socket.on('chat-history', async (messages: Array<{ id: string; sender: string; senderName?: string; text: string; timestamp: number }>) => {
-      const key = cryptoKeyRef.current
-      for (const m of messages) {
-        const text = key
-          ? await decryptMessage(m.text, key).catch(() => '[encrypted message]')
-          : m.text
-        addMessage({ id: m.id, peerId: m.sender, peerName: m.senderName ?? m.sender, text, sentAt: m.timestamp })
-      }
+    socket.on('chat-history', (messages: ChatWireMessage[]) => {
+      messages.forEach(receiveMessage)
     })
 
-    socket.on('new-message', async (m: { id: string; sender: string; senderName?: string; text: string; timestamp: number }) => {
-      const key = cryptoKeyRef.current
-      const text = key
-        ? await decryptMessage(m.text, key).catch(() => '[encrypted message]')
-        : m.text
-      addMessage({ id: m.id, peerId: m.sender, peerName: m.senderName ?? m.sender, text, sentAt: m.timestamp })
+    socket.on('new-message', receiveMessage)
+    socket.on('message-updated', receiveMessage)
+
+    socket.on('typing-start', ({ peerId }: { peerId: string }) => setPeerTyping(peerId, true))
+    socket.on('typing-stop', ({ peerId }: { peerId: string }) => setPeerTyping(peerId, false))
+
+    // Queued behind chat-history so the message is usually decrypted already;
+    // if not, showMessage pins it when it arrives.
+    socket.on('message-pinned', ({ messageId }: { messageId: string }) => {
+      pinnedIdRef.current = messageId
+      enqueueChat(async () => {
+        const message = useSessionStore.getState().messages.find((m) => m.id === messageId)
+        if (message && pinnedIdRef.current === messageId) useSessionStore.getState().pinMessage(message)
+      })
+    })
+
+    socket.on('message-unpinned', () => {
+      pinnedIdRef.current = null
+      useSessionStore.getState().unpinMessage()
+    })
+
+    // Queued behind chat decryption so a share lands after the messages sent before it.
+    socket.on('file-shared', ({ id, name, size, mime, hash, from, fromName, timestamp }: SharedFile & { from: string; fromName: string; timestamp: number }) => {
+      enqueueChat(async () => {
+        upsertMessage({ id: `file:${id}`, peerId: from, peerName: fromName, text: '', sentAt: timestamp, file: { id, name, size, mime, hash } })
+        const fromPeer = peerConnsRef.current.get(from)
+        if (from !== socket.id && fromPeer?.peer.connected && isImageType(mime) && size <= AUTO_PREVIEW_MAX_SIZE) downloadFile(id)
+      })
+    })
+
+    // A member joined or rejoined; if we hold the room key, wrap it for them.
+    socket.on('chat-public-key', ({ peerId, publicKey }: { peerId: string; publicKey: string }) => {
+      chatPublicKeysRef.current.set(peerId, publicKey)
+      enqueueChat(async () => {
+        const roomKey = currentRoomKeyRef.current
+        if (roomKey) await shareRoomKey(roomKey, [peerId])
+      })
+    })
+
+    // The server stamps each wrapped key with the sender's announced public key.
+    socket.on('chat-room-key', (data: { from: string; publicKey: string; keyId: string; createdAt: number; wrappedKey: string }) => {
+      enqueueChat(async () => {
+        const pair = await chatKeyPairRef.current
+        if (!pair) return
+        const roomKey = await unwrapRoomKey(data.wrappedKey, data.createdAt, pair.privateKey, await importPublicKey(data.publicKey))
+        if (roomKey.id !== data.keyId) return
+        adoptRoomKey(roomKey)
+        if (heldMessagesRef.current) await releaseHeldMessages()
+      })
     })
 
     socket.on('new-poll', (poll: Poll) => {
       setActivePoll(poll)
+      useSessionStore.getState().upsertPoll(poll)
+      useSessionStore.getState().setClosedPoll(null)
     })
 
-    socket.on('poll-ended', () => {
+    // Carries the final results; show them until the user dismisses them.
+    socket.on('poll-ended', (poll?: Poll) => {
       setActivePoll(null)
+      if (!poll) return
+      useSessionStore.getState().upsertPoll(poll)
+      useSessionStore.getState().setClosedPoll(poll)
     })
 
     socket.on('poll-updated', (poll: Poll) => {
       setActivePoll(poll)
+      useSessionStore.getState().upsertPoll(poll)
     })
 
     socket.on('polls-history', (polls: Poll[]) => {
+      useSessionStore.getState().setPolls(polls)
       const active = polls.findLast((p) => p.isActive) ?? null
       setActivePoll(active)
     })
@@ -386,12 +1476,111 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
 
     socket.on('error', (err: { message: string; code: string }) => {
       console.error('[PeerManager] server error:', err)
+      if (err?.code === 'FORBIDDEN') {
+        addToast({ id: `forbidden-${Date.now()}`, message: "You don't have permission to do that", variant: 'warn' })
+      } else if (err?.code === 'ROOM_LOCKED') {
+        addToast({ id: `locked-${Date.now()}`, message: 'This room is locked', variant: 'danger' })
+        setLeaveReason('locked')
+      } else if (err?.code === 'PASSWORD_REQUIRED' || err?.code === 'INVALID_PASSWORD' || err?.code === 'PASSWORD_NOT_SET') {
+        // JoinForm asks for the passphrase (or to drop it) and brings us back
+        const prompts = { PASSWORD_REQUIRED: 'required', INVALID_PASSWORD: 'incorrect', PASSWORD_NOT_SET: 'not-set' } as const
+        useCallStore.getState().setPasswordPrompt(prompts[err.code])
+        setLeaveReason('password')
+      } else if (err?.code === 'ROOM_FULL') {
+        addToast({ id: `full-${Date.now()}`, message: 'This room is full', variant: 'danger' })
+        setWaitingForAdmission(false)
+        setLeaveReason('full')
+      } else if (err?.code === 'REMOVED_FROM_ROOM') {
+        addToast({ id: `removed-${Date.now()}`, message: 'You were removed from this room', variant: 'danger' })
+        setLeaveReason('removed')
+      }
+    })
+
+    socket.on('removed-from-room', ({ by }: { by: string }) => {
+      addToast({ id: `removed-${Date.now()}`, message: `${by} removed you from the room`, variant: 'danger' })
+      setLeaveReason('removed')
+    })
+
+    socket.on('mute-requested', ({ kind, by }: { kind: 'audio' | 'video'; by: string }) => {
+      const call = useCallStore.getState()
+      if (kind === 'audio') {
+        if (call.isMuted) return
+        call.setMuted(true)
+        addToast({ id: `muted-${Date.now()}`, message: `${by} muted your microphone`, variant: 'info' })
+      } else {
+        if (call.isCamOff) return
+        call.setCamOff(true)
+        addToast({ id: `cam-off-${Date.now()}`, message: `${by} turned off your camera`, variant: 'info' })
+      }
+    })
+
+    socket.on('room-locked', ({ locked, by }: { locked: boolean; by: string }) => {
+      setRoomLocked(locked)
+      addToast({ id: `lock-${Date.now()}`, message: `${by} ${locked ? 'locked' : 'unlocked'} the room`, variant: 'info' })
+    })
+
+    socket.on('waiting-for-admission', () => {
+      setWaitingForAdmission(true)
+    })
+
+    socket.on('admission-granted', () => {
+      setWaitingForAdmission(false)
+      // The server seated us with the state we had when we asked to join.
+      const { isMuted: muted, isCamOff: camOff, presence: ownPresence } = useCallStore.getState()
+      socket.emit('media-state', { isMuted: muted, isCamOff: camOff })
+      socket.emit('presence-update', { state: ownPresence })
+    })
+
+    socket.on('admission-denied', ({ by, reason }: { by?: string; reason?: string }) => {
+      addToast({
+        id: `denied-${Date.now()}`,
+        message: reason === 'room-empty'
+          ? 'Everyone left before you were admitted'
+          : `${by ?? 'The host'} declined your request to join`,
+        variant: 'danger',
+      })
+      setWaitingForAdmission(false)
+      setLeaveReason('denied')
+    })
+
+    socket.on('lobby-updated', (entries: LobbyEntry[]) => {
+      const known = new Set(useSessionStore.getState().lobby.map((e) => e.id))
+      entries
+        .filter((e) => !known.has(e.id))
+        .forEach((e) => addToast({ id: `lobby-${e.id}`, message: `${e.name} is waiting to join`, variant: 'info' }))
+      setLobby(entries)
+    })
+
+    socket.on('lobby-mode', ({ enabled }: { enabled: boolean }) => {
+      setLobbyEnabled(enabled)
+      if (!enabled) setLobby([])
     })
 
     socket.on('you-are-host', () => {
       setIsHost(true)
     })
 
+    socket.on('role-updated', ({ peerId, role }: { peerId: string; role: PeerRole }) => {
+      if (peerId === socket.id) {
+        const previous = useCallStore.getState().role
+        setRole(role)
+        // Only moderators are sent the waiting list
+        if (role === 'guest') setLobby([])
+        if (role !== previous && role !== 'guest') {
+          addToast({
+            id: `role-${Date.now()}`,
+            message: role === 'host' ? 'You are now the host' : 'You are now a co-host',
+            variant: 'info',
+          })
+        }
+        return
+      }
+      patchPeer(peerId, { role })
+      const conn = peerConnsRef.current.get(peerId)
+      if (conn) conn.role = role
+      pendingPeersRef.current.forEach((p) => { if (p.id === peerId) p.role = role })
+    })
+
     socket.on('recording-started', () => {
       setRecordingState('recording')
       addToast({ id: `rec-start-${Date.now()}`, message: 'Recording has started', variant: 'info' })
@@ -402,12 +1591,29 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
       addToast({ id: `rec-stop-${Date.now()}`, message: 'Recording ended', variant: 'info' })
     })
 
-    socket.on('whiteboard-stroke', (stroke: Stroke) => {
-      useWhiteboardStore.getState().addStroke(stroke)
+    socket.on('whiteboard-op', (ops: WhiteboardOp[]) => {
+      useWhiteboardStore.getState().applyOps(ops)
     })
 
-    socket.on('whiteboard-clear', () => {
-      useWhiteboardStore.getState().clearStrokes()
+    // Reply to whiteboard-sync. The server may also be behind us (it missed
+    // ops while our socket was down), so push back whatever it lacks of our
+    // own; it only takes an actor's ops from that actor. If that would take a
+    // snapshot the server keeps its partial copy; peers still sync with each
+    // other over data channels.
+    socket.on('whiteboard-ops', ({ ops, stateVector, snapshot }: WhiteboardSyncPayload) => {
+      useWhiteboardStore.getState().applyOps(ops, { stateVector, snapshot })
+      const { crdt, actorId } = useWhiteboardStore.getState()
+      const missing = opsSince(crdt, stateVector)
+      if (missing.snapshot) return
+      for (const batch of chunkOps(missing.ops.filter((op) => op.actor === actorId))) socket.emit('whiteboard-op', batch)
+    })
+
+    socket.on('whiteboard-pointer', ({ peerId, name, pointer }: { peerId: string; name: string; pointer: WhiteboardPointer }) => {
+      if (isWhiteboardPointer(pointer)) useWhiteboardStore.getState().movePointer(peerId, name, pointer)
+    })
+
+    socket.on('whiteboard-pages', (pages: WhiteboardPage[]) => {
+      useWhiteboardStore.getState().setPages(pages)
     })
 
     socket.on('whiteboard-grant', ({ peerId }: { peerId: string }) => {
@@ -418,16 +1624,60 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
       useWhiteboardStore.getState().revokeDrawing(peerId)
     })
 
+    socket.on('media-state', ({ peerId, ...state }: { peerId: string } & MediaState) => {
+      const media = mediaStateOf(state)
+      patchPeer(peerId, media)
+      // Peers still waiting for our localStream get the fresh state once their record is created.
+      pendingPeersRef.current.forEach((p) => { if (p.id === peerId) p.media = media })
+    })
+
+    socket.on('presence-update', ({ peerId, state }: { peerId: string; state: string }) => {
+      const peerPresence = presenceOf({ presence: state })
+      patchPeer(peerId, { presence: peerPresence })
+      pendingPeersRef.current.forEach((p) => { if (p.id === peerId) p.presence = peerPresence })
+    })
+
+    socket.on('screen-share-started', ({ peerId }: { peerId: string }) => {
+      const previous = useCallStore.getState().screenSharePeerId
+      if (previous && previous !== peerId) patchPeer(previous, { isScreenSharing: false })
+      patchPeer(peerId, { isScreenSharing: true })
+      setScreenSharePeerId(peerId)
+    })
+
+    socket.on('screen-share-stopped', ({ peerId }: { peerId: string }) => {
+      patchPeer(peerId, { isScreenSharing: false })
+      // The server ends our share when someone else takes over the stage.
+      if (peerId === socket.id) useCallStore.getState().setScreenSharing(false)
+      if (useCallStore.getState().screenSharePeerId === peerId) setScreenSharePeerId(null)
+    })
+
     return () => {
-      cryptoKeyRef.current = null
+      clearTimeout(keyWaitTimerRef.current)
+      currentRoomKeyRef.current = null
+      mediaCryptoRef.current?.dispose()
+      mediaCryptoRef.current = null
       socketRef.current?.off('connect')
       socketRef.current?.off('room-token')
       socketRef.current?.off('all-users')
       socketRef.current?.off('user-joined')
       socketRef.current?.off('receiving-returned-signal')
+      socketRef.current?.off('ice-candidate')
+      socketRef.current?.off('trickle-ice')
+      socketRef.current?.off('media-mode')
+      socketRef.current?.off('sfu-signal')
+      socketRef.current?.off('sfu-closed')
+      socketRef.current?.off('video-layers')
       socketRef.current?.off('user-left')
       socketRef.current?.off('chat-history')
       socketRef.current?.off('new-message')
+      socketRef.current?.off('message-updated')
+      socketRef.current?.off('typing-start')
+      socketRef.current?.off('typing-stop')
+      socketRef.current?.off('message-pinned')
+      socketRef.current?.off('message-unpinned')
+      socketRef.current?.off('file-shared')
+      socketRef.current?.off('chat-public-key')
+      socketRef.current?.off('chat-room-key')
       socketRef.current?.off('new-poll')
       socketRef.current?.off('poll-ended')
       socketRef.current?.off('poll-updated')
@@ -440,13 +1690,33 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
       socketRef.current?.off('turn-credentials')
       socketRef.current?.off('turn-credentials-error')
       socketRef.current?.off('you-are-host')
+      socketRef.current?.off('role-updated')
+      socketRef.current?.off('removed-from-room')
+      socketRef.current?.off('mute-requested')
+      socketRef.current?.off('room-locked')
+      socketRef.current?.off('waiting-for-admission')
+      socketRef.current?.off('admission-granted')
+      socketRef.current?.off('admission-denied')
+      socketRef.current?.off('lobby-updated')
+      socketRef.current?.off('lobby-mode')
       socketRef.current?.off('recording-started')
       socketRef.current?.off('recording-stopped')
-      socketRef.current?.off('whiteboard-stroke')
-      socketRef.current?.off('whiteboard-clear')
+      socketRef.current?.off('whiteboard-op')
+      socketRef.current?.off('whiteboard-ops')
+      socketRef.current?.off('whiteboard-pointer')
+      socketRef.current?.off('whiteboard-pages')
       socketRef.current?.off('whiteboard-grant')
       socketRef.current?.off('whiteboard-revoke')
+      socketRef.current?.off('media-state')
+      socketRef.current?.off('presence-update')
+      socketRef.current?.off('screen-share-started')
+      socketRef.current?.off('screen-share-stopped')
       setSocketId(null)
+      setRoomLocked(false)
+      setLobbyEnabled(false)
+      setLobby([])
+      useSessionStore.getState().setTrickleIceEnabled(true)
+      setWaitingForAdmission(false)
       // If recording was active when this peer leaves, notify others
       if (useSessionStore.getState().recordingState === 'recording' && socketRef.current?.connected) {
         socketRef.current.emit('recording-stopped')
@@ -456,11 +1726,32 @@ export const PeerManager = forwardRef<PeerManagerHandle, PeerManagerProps>(({ ro
       peerConnsRef.current.forEach((_, id) => destroyPeerConn(id))
       peerConnsRef.current.clear()
       pendingPeersRef.current.length = 0
+      describedPeersRef.current.clear()
+      queuedCandidatesRef.current.clear()
+      signalTokensRef.current.clear()
+      recoveryRef.current.forEach((recovery) => clearTimeout(recovery.timer))
+      recoveryRef.current.clear()
+      dropSfu()
+      requestedLayersRef.current.clear()
+      senderLayersRef.current.clear()
+      clearTimeout(sfuRetryRef.current.timer)
+      sfuRetryRef.current = { attempt: 0 }
+      pendingSfuOfferRef.current = null
+      useSessionStore.getState().setMediaMode('mesh')
       socketRef.current = null
       reactionTimersRef.current.forEach(clearTimeout)
       reactionTimersRef.current.clear()
+      typingTimersRef.current.forEach(clearTimeout)
+      typingTimersRef.current.clear()
+      clearTimeout(typingIdleTimerRef.current)
+      isTypingRef.current = false
+      pinnedIdRef.current = null
+      useSessionStore.getState().unpinMessage()
+      sharedFilesRef.current.clear()
+      downloadsRef.current.clear()
+      useFileTransferStore.getState().reset()
     }
-  }, [roomId, userName, setPeer, removePeer, patchPeer, addMessage, setActivePoll, addQuestion, updateQuestion, setQuestionsHistory, setIsHost, setSocketId, setRecordingState, addToast])
+  }, [roomId, userName, setPeer, removePeer, patchPeer, upsertMessage, setActivePoll, addQuestion, updateQuestion, setQuestionsHistory, setIsHost, setRole, setSocketId, setScreenSharePeerId, setRecordingState, setRoomLocked, setLeaveReason, setWaitingForAdmission, setLobbyEnabled, setLobby, addToast])
 
   return null
 })
@@ -1,52 +1,134 @@
 import { useEffect, useState } from 'react'
 import { useSessionStore } from '../store/useSessionStore'
+import { formatCountdown, pollCounts, pollSecondsLeft } from '../lib/polls'
+import { PollResults } from './PollResults'
+import type { Poll } from '../types'
 
 interface PollBannerProps {
-  onVotePoll: (pollId: string, optionIndex: number) => void
+  onVotePoll: (pollId: string, choice: number | number[]) => void
+}
+
+/** Re-renders once a second while the poll has a countdown. */
+function useSecondsLeft(poll: Poll | null): number | null {
+  const [now, setNow] = useState(() => Date.now())
+  const closesAt = poll?.isActive ? poll.closesAt : null
+
+  useEffect(() => {
+    if (!closesAt) return
+    setNow(Date.now())
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [closesAt])
+
+  return poll?.isActive ? pollSecondsLeft(poll, now) : null
 }
 
 export function PollBanner({ onVotePoll }: PollBannerProps) {
   const activePoll = useSessionStore((s) => s.activePoll)
+  const closedPoll = useSessionStore((s) => s.closedPoll)
+  const setClosedPoll = useSessionStore((s) => s.setClosedPoll)
   const [votedIndex, setVotedIndex] = useState<number | null>(null)
+  const [picks, setPicks] = useState<number[]>([])
+  const [hasSubmittedPicks, setHasSubmittedPicks] = useState(false)
+  const secondsLeft = useSecondsLeft(activePoll)
 
   useEffect(() => {
     setVotedIndex(null)
+    setPicks([])
+    setHasSubmittedPicks(false)
   }, [activePoll?.id])
 
-  if (!activePoll) return null
+  if (!activePoll) {
+    if (!closedPoll) return null
+    return (
+      <div
+        data-testid="poll-results-banner"
+        className="absolute top-4 left-1/2 -translate-x-1/2 bg-[var(--surface-overlay)] border border-[var(--border-default)] rounded-[12px] px-6 py-4 max-w-sm w-full shadow-lg z-10"
+      >
+        <div className="flex items-start justify-between gap-2 mb-3">
+          <div>
+            <p className="text-[var(--text-muted)] text-[10px] uppercase tracking-wide m-0">Poll closed</p>
+            <p className="text-[var(--text-primary)] text-sm font-medium m-0">{closedPoll.question}</p>
+          </div>
+          <button
+            data-testid="btn-dismiss-poll-results"
+            onClick={() => setClosedPoll(null)}
+            aria-label="Dismiss results"
+            className="text-xs text-[var(--text-muted)] hover:text-[var(--text-primary)]"
+          >
+            ✕
+          </button>
+        </div>
+        <PollResults poll={closedPoll} />
+      </div>
+    )
+  }
 
-  const counts = activePoll.options.map((_, i) =>
-    Object.values(activePoll.votes ?? {}).filter((v) => v === i).length
-  )
+  const counts = pollCounts(activePoll)
   const totalVotes = counts.reduce((a, b) => a + b, 0)
+  const isMulti = activePoll.multiChoice === true
+  const hasVoted = isMulti ? hasSubmittedPicks : votedIndex !== null
+
+  function handleOption(i: number) {
+    if (!activePoll) return
+    if (isMulti) {
+      setPicks((prev) => (prev.includes(i) ? prev.filter((p) => p !== i) : [...prev, i]))
+      return
+    }
+    onVotePoll(activePoll.id, i)
+    setVotedIndex(i)
+  }
 
   return (
     <div
       data-testid="poll-banner"
       className="absolute top-4 left-1/2 -translate-x-1/2 bg-[var(--surface-overlay)] border border-[var(--border-default)] rounded-[12px] px-6 py-4 max-w-sm w-full shadow-lg z-10"
     >
-      <p className="text-[var(--text-primary)] text-sm font-medium mb-3">{activePoll.question}</p>
+      <p className="text-[var(--text-primary)] text-sm font-medium mb-1">{activePoll.question}</p>
+      <div className="flex items-center gap-2 mb-3 text-[10px] text-[var(--text-muted)]">
+        {isMulti && <span>Select all that apply</span>}
+        {activePoll.anonymous && <span data-testid="poll-anonymous-badge">Anonymous</span>}
+        {secondsLeft !== null && (
+          <span data-testid="poll-countdown" className="ml-auto tabular-nums">
+            Closes in {formatCountdown(secondsLeft)}
+          </span>
+        )}
+      </div>
       <div className="flex flex-col gap-2">
-        {activePoll.options.map((option, i) => (
-          <button
-            key={option}
-            data-testid={`poll-option-${option}`}
-            disabled={votedIndex !== null}
-            onClick={() => {
-              onVotePoll(activePoll.id, i)
-              setVotedIndex(i)
-            }}
-            className={`text-left text-xs text-[var(--text-secondary)] bg-[var(--surface-raised)] hover:bg-[var(--surface-hover)] border rounded-[8px] px-3 py-2 transition-colors flex items-center justify-between ${
-              votedIndex === i ? 'border-[var(--accent-live)]' : 'border-[var(--border-subtle)]'
-            }`}
-          >
-            <span>{option}</span>
-            <span className="text-xs opacity-60">
-              {counts[i]}{counts[i] > 0 && totalVotes > 0 ? ` (${Math.round((counts[i] / totalVotes) * 100)}%)` : ''}
-            </span>
-          </button>
-        ))}
+        {activePoll.options.map((option, i) => {
+          const isSelected = isMulti ? picks.includes(i) : votedIndex === i
+          return (
+            <button
+              key={option}
+              data-testid={`poll-option-${option}`}
+              disabled={hasVoted}
+              aria-pressed={isMulti ? isSelected : undefined}
+              onClick={() => handleOption(i)}
+              className={`text-left text-xs text-[var(--text-secondary)] bg-[var(--surface-raised)] hover:bg-[var(--surface-hover)] border rounded-[8px] px-3 py-2 transition-colors flex items-center justify-between ${
+                isSelected ? 'border-[var(--accent-live)]' : 'border-[var(--border-subtle)]'
+              }`}
+            >
+              <span>{isMulti ? `${isSelected ? '☑' : '☐'} ${option}` : option}</span>
+              <span className="text-xs opacity-60">
+                {counts[i]}{counts[i] > 0 && totalVotes > 0 ? ` (${Math.round((counts[i] / totalVotes) * 100)}%)` : ''}
+              </span>
+            </button>
+          )
+        })}
       </div>
+      {isMulti && (
+        <button
+          data-testid="poll-submit"
+          disabled={hasVoted || picks.length === 0}
+          onClick={() => {
+            onVotePoll(activePoll.id, [...picks].sort((a, b) => a - b))
+            setHasSubmittedPicks(true)
+          }}
+          className="mt-3 w-full text-xs px-3 py-1.5 rounded-[8px] bg-[var(--accent-live)] text-white disabled:opacity-40"
+        >
+          {hasVoted ? 'Vote sent' : 'Vote'}
+        </button>
+      )}
     </div>
   )
 }
@@ -0,0 +1,137 @@
+import { useState } from 'react'
+import type { PollDraft } from '../types'
+
+interface PollComposerProps {
+  onCreate: (draft: PollDraft) => void
+  onCancel?: () => void
+}
+
+const MAX_POLL_OPTIONS = 10
+
+// Offered countdowns in seconds; null leaves the poll open until a moderator ends it.
+const DURATIONS: Array<{ label: string; value: number | null }> = [
+  { label: 'No time limit', value: null },
+  { label: '30 seconds', value: 30 },
+  { label: '1 minute', value: 60 },
+  { label: '2 minutes', value: 120 },
+  { label: '5 minutes', value: 300 },
+]
+
+const inputClass =
+  'w-full text-xs bg-[var(--surface-raised)] border border-[var(--border-subtle)] rounded-[6px] px-2 py-1.5 text-[var(--text-primary)] outline-none focus:border-[var(--border-strong)]'
+
+export function PollComposer({ onCreate, onCancel }: PollComposerProps) {
+  const [question, setQuestion] = useState('')
+  const [options, setOptions] = useState(['', ''])
+  const [anonymous, setAnonymous] = useState(false)
+  const [multiChoice, setMultiChoice] = useState(false)
+  const [durationSec, setDurationSec] = useState<number | null>(null)
+
+  const filled = options.map((o) => o.trim()).filter(Boolean)
+  const isValid = question.trim() !== '' && filled.length >= 2 && new Set(filled).size === filled.length
+
+  function updateOption(index: number, value: string) {
+    setOptions((prev) => prev.map((o, i) => (i === index ? value : o)))
+  }
+
+  function handleCreate() {
+    if (!isValid) return
+    onCreate({ question: question.trim(), options: filled, anonymous, multiChoice, durationSec })
+    setQuestion('')
+    setOptions(['', ''])
+  }
+
+  return (
+    <div data-testid="poll-composer" className="flex flex-col gap-2">
+      <input
+        data-testid="poll-question-input"
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        placeholder="Ask a question…"
+        className={inputClass}
+      />
+
+      {options.map((option, i) => (
+        <div key={i} className="flex gap-1">
+          <input
+            data-testid={`poll-option-input-${i}`}
+            value={option}
+            onChange={(e) => updateOption(i, e.target.value)}
+            placeholder={`Option ${i + 1}`}
+            className={inputClass}
+          />
+          {options.length > 2 && (
+            <button
+              data-testid={`btn-remove-option-${i}`}
+              onClick={() => setOptions((prev) => prev.filter((_, j) => j !== i))}
+              aria-label={`Remove option ${i + 1}`}
+              className="text-xs px-1.5 text-[var(--text-muted)] hover:text-[var(--text-primary)]"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+
+      {options.length < MAX_POLL_OPTIONS && (
+        <button
+          data-testid="btn-add-option"
+          onClick={() => setOptions((prev) => [...prev, ''])}
+          className="text-[10px] text-left text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+        >
+          + Add option
+        </button>
+      )}
+
+      <label className="flex items-center gap-2 text-xs text-[var(--text-secondary)]">
+        <input
+          type="checkbox"
+          data-testid="poll-anonymous"
+          checked={anonymous}
+          onChange={(e) => setAnonymous(e.target.checked)}
+        />
+        Anonymous voting
+      </label>
+      <label className="flex items-center gap-2 text-xs text-[var(--text-secondary)]">
+        <input
+          type="checkbox"
+          data-testid="poll-multi-choice"
+          checked={multiChoice}
+          onChange={(e) => setMultiChoice(e.target.checked)}
+        />
+        Allow multiple choices
+      </label>
+      <select
+        data-testid="poll-duration"
+        value={durationSec ?? ''}
+        onChange={(e) => setDurationSec(e.target.value ? Number(e.target.value) : null)}
+        className={inputClass}
+        aria-label="Close automatically after"
+      >
+        {DURATIONS.map((d) => (
+          <option key={d.label} value={d.value ?? ''}>{d.label}</option>
+        ))}
+      </select>
+
+      <div className="flex gap-2">
+        <button
+          data-testid="btn-create-poll"
+          disabled={!isValid}
+          onClick={handleCreate}
+          className="flex-1 text-xs px-3 py-1.5 rounded-[6px] bg-[var(--accent-live)] text-white disabled:opacity-40"
+        >
+          Start poll
+        </button>
+        {onCancel && (
+          <button
+            data-testid="btn-cancel-poll"
+            onClick={onCancel}
+            className="text-xs px-3 py-1.5 rounded-[6px] border border-[var(--border-default)] text-[var(--text-muted)]"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
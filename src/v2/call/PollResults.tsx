@@ -0,0 +1,50 @@
+import { pollCounts, pollVotersFor } from '../lib/polls'
+import type { Poll } from '../types'
+
+interface PollResultsProps {
+  poll: Poll
+}
+
+/** Per-option tallies as bars. Named polls also list who picked each option. */
+export function PollResults({ poll }: PollResultsProps) {
+  const counts = pollCounts(poll)
+  const total = counts.reduce((a, b) => a + b, 0)
+  const top = Math.max(...counts)
+
+  return (
+    <div data-testid={`poll-results-${poll.id}`} className="flex flex-col gap-2">
+      {poll.options.map((option, i) => {
+        const pct = total > 0 ? Math.round((counts[i] / total) * 100) : 0
+        const voters = pollVotersFor(poll, i)
+        const isLeading = !poll.isActive && total > 0 && counts[i] === top
+        return (
+          <div key={option} data-testid={`poll-result-${poll.id}-${i}`} className="flex flex-col gap-1">
+            <div className="flex items-center justify-between text-xs">
+              <span className={isLeading ? 'text-[var(--text-primary)] font-semibold' : 'text-[var(--text-secondary)]'}>
+                {option}
+              </span>
+              <span className="text-[var(--text-muted)]">
+                {counts[i]}{total > 0 ? ` (${pct}%)` : ''}
+              </span>
+            </div>
+            <div className="h-1.5 rounded-full bg-[var(--surface-raised)] overflow-hidden">
+              <div
+                className={`h-full rounded-full ${isLeading ? 'bg-[var(--accent-live)]' : 'bg-[var(--text-muted)]'}`}
+                style={{ width: `${pct}%` }}
+              />
+            </div>
+            {voters.length > 0 && (
+              <p data-testid={`poll-voters-${poll.id}-${i}`} className="text-[10px] text-[var(--text-muted)] m-0">
+                {voters.join(', ')}
+              </p>
+            )}
+          </div>
+        )
+      })}
+      <p className="text-[10px] text-[var(--text-muted)] m-0">
+        {poll.anonymous ? 'Anonymous · ' : ''}
+        {poll.voterCount ?? Object.keys(poll.votes ?? {}).length} voted
+      </p>
+    </div>
+  )
+}
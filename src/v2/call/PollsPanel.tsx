@@ -0,0 +1,91 @@
+import { useState } from 'react'
+import { useSessionStore } from '../store/useSessionStore'
+import { useCallStore } from '../store/useCallStore'
+import { PollComposer } from './PollComposer'
+import { PollResults } from './PollResults'
+import type { PollDraft } from '../types'
+
+interface PollsPanelProps {
+  onCreatePoll: (draft: PollDraft) => void
+  onEndPoll: (pollId: string) => void
+}
+
+/** Poll history for everyone; moderators also start and end polls here. */
+export function PollsPanel({ onCreatePoll, onEndPoll }: PollsPanelProps) {
+  const polls = useSessionStore((s) => s.polls)
+  const canModerate = useCallStore((s) => s.isHost || s.role === 'cohost')
+  const [isComposing, setIsComposing] = useState(false)
+
+  const newestFirst = [...polls].sort((a, b) => b.createdAt - a.createdAt)
+
+  return (
+    <div
+      data-testid="polls-panel"
+      className="w-[280px] shrink-0 border-l border-[var(--border-subtle)] flex flex-col bg-[var(--surface-base)]"
+    >
+      <div className="px-4 py-3 border-b border-[var(--border-subtle)] shrink-0 flex items-center justify-between">
+        <span className="text-[var(--text-primary)] text-sm font-semibold">Polls</span>
+        {canModerate && !isComposing && (
+          <button
+            data-testid="btn-new-poll"
+            onClick={() => setIsComposing(true)}
+            className="text-xs px-2 py-1 rounded-[6px] border border-[var(--border-default)] text-[var(--text-muted)] hover:text-[var(--text-primary)]"
+          >
+            + New poll
+          </button>
+        )}
+      </div>
+
+      {canModerate && isComposing && (
+        <div className="px-3 py-3 border-b border-[var(--border-subtle)] shrink-0">
+          <PollComposer
+            onCreate={(draft) => {
+              onCreatePoll(draft)
+              setIsComposing(false)
+            }}
+            onCancel={() => setIsComposing(false)}
+          />
+        </div>
+      )}
+
+      <div className="flex-1 overflow-y-auto px-3 py-2 flex flex-col gap-3">
+        {newestFirst.length === 0 ? (
+          <p data-testid="polls-empty" className="text-[var(--text-secondary)] text-xs text-center mt-4">
+            No polls yet
+          </p>
+        ) : (
+          newestFirst.map((poll) => (
+            <div
+              key={poll.id}
+              data-testid={`poll-card-${poll.id}`}
+              className="border border-[var(--border-subtle)] rounded-[8px] p-3 flex flex-col gap-2"
+            >
+              <div className="flex items-start justify-between gap-2">
+                <div className="flex-1">
+                  <p className="text-[var(--text-primary)] text-xs font-medium m-0">{poll.question}</p>
+                  <p className="text-[var(--text-secondary)] text-[10px] mt-0.5 mb-0">{poll.createdBy}</p>
+                </div>
+                <span
+                  data-testid={`poll-status-${poll.id}`}
+                  className={`text-[10px] uppercase tracking-wide ${poll.isActive ? 'text-[var(--accent-live)]' : 'text-[var(--text-muted)]'}`}
+                >
+                  {poll.isActive ? 'Live' : 'Closed'}
+                </span>
+              </div>
+              <PollResults poll={poll} />
+              {canModerate && poll.isActive && (
+                <button
+                  data-testid={`btn-end-poll-${poll.id}`}
+                  onClick={() => onEndPoll(poll.id)}
+                  className="text-[10px] self-start px-2 py-1 rounded-[4px] border border-[var(--border-default)] text-[var(--accent-danger)] hover:bg-[var(--surface-hover)]"
+                >
+                  End poll
+                </button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react'
+import { useCallStore } from '../store/useCallStore'
+import { usePeerStore } from '../store/usePeerStore'
+import type { PeerRecord, Presence } from '../types'
+
+export const IDLE_AFTER_MS = 5 * 60 * 1000
+
+const ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel', 'touchstart'] as const
+
+/** The most pressing state wins: a dropped connection matters more than a hidden tab. */
+export function resolvePresence({ reconnecting, hidden, idle }: { reconnecting: boolean; hidden: boolean; idle: boolean }): Presence {
+  if (reconnecting) return 'reconnecting'
+  if (hidden) return 'away'
+  if (idle) return 'idle'
+  return 'active'
+}
+
+// Peers that never connected say nothing about our network; once we have had
+// connections, losing every one of them means the problem is on our side.
+function allConnectionsDown(peers: Map<string, PeerRecord>): boolean {
+  const states = Array.from(peers.values(), (p) => p.connectionState).filter((s) => s !== 'new' && s !== 'connecting')
+  return states.length > 0 && states.every((s) => s === 'disconnected' || s === 'failed')
+}
+
+/**
+ * Renderless controller that works out the local user's presence.
+ *
+ * Responsibilities:
+ * - Tracks the Page Visibility API (`away` while the tab is hidden).
+ * - Starts an idle timer on every pointer, key or wheel input (`idle` after
+ *   `IDLE_AFTER_MS` without any).
+ * - Reports `reconnecting` while the browser is offline or every peer
+ *   connection has dropped.
+ * - Writes the result to `useCallStore.presence`; PeerManager broadcasts it.
+ *
+ * Returns `null` — mounts no DOM nodes.
+ */
+export function PresenceController() {
+  const peers = usePeerStore((s) => s.peers)
+  const [hidden, setHidden] = useState(() => document.visibilityState === 'hidden')
+  const [idle, setIdle] = useState(false)
+  const [offline, setOffline] = useState(() => navigator.onLine === false)
+  const idleTimerRef = useRef<ReturnType<typeof setTimeout> | undefined>(undefined)
+  const lastInputRef = useRef(0)
+
+  // --- Visibility and network ----------------------------------------------
+  useEffect(() => {
+    const onVisibility = () => setHidden(document.visibilityState === 'hidden')
+    const onOnline = () => setOffline(false)
+    const onOffline = () => setOffline(true)
+    document.addEventListener('visibilitychange', onVisibility)
+    window.addEventListener('online', onOnline)
+    window.addEventListener('offline', onOffline)
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility)
+      window.removeEventListener('online', onOnline)
+      window.removeEventListener('offline', onOffline)
+    }
+  }, [])
+
+  // --- Idle timer ----------------------------------------------------------
+  useEffect(() => {
+    const restart = () => {
+      clearTimeout(idleTimerRef.current)
+      idleTimerRef.current = setTimeout(() => setIdle(true), IDLE_AFTER_MS)
+    }
+    // pointermove fires constantly; restarting the timer once a second is plenty.
+    const onInput = () => {
+      const now = Date.now()
+      if (now - lastInputRef.current < 1000) return
+      lastInputRef.current = now
+      setIdle(false)
+      restart()
+    }
+    restart()
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, onInput, { passive: true }))
+    return () => {
+      clearTimeout(idleTimerRef.current)
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, onInput))
+    }
+  }, [])
+
+  const presence = resolvePresence({ reconnecting: offline || allConnectionsDown(peers), hidden, idle })
+
+  useEffect(() => {
+    useCallStore.getState().setPresence(presence)
+  }, [presence])
+
+  useEffect(() => () => useCallStore.getState().setPresence('active'), [])
+
+  return null
+}
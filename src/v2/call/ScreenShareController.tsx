@@ -0,0 +1,73 @@
+import { useEffect } from 'react'
+import { useCallStore } from '../store/useCallStore'
+import { useUIStore } from '../store/useUIStore'
+
+/**
+ * Renderless component that owns the `getDisplayMedia` capture lifecycle.
+ *
+ * Responsibilities:
+ * - Requests a display stream when `isScreenSharing` turns on and writes it to
+ *   `screenStream`; PeerManager swaps it into every peer connection.
+ * - Stops the capture and clears `screenStream` when sharing turns off or the
+ *   component unmounts.
+ * - Turns sharing off when the browser's own "Stop sharing" UI ends the track.
+ * - Resets `isScreenSharing` with a toast when capture is unsupported or the
+ *   picker is dismissed.
+ */
+export function ScreenShareController() {
+  const isScreenSharing = useCallStore((s) => s.isScreenSharing)
+  const setScreenSharing = useCallStore((s) => s.setScreenSharing)
+  const setScreenStream = useCallStore((s) => s.setScreenStream)
+  const addToast = useUIStore((s) => s.addToast)
+
+  useEffect(() => {
+    if (!isScreenSharing) return
+
+    if (typeof navigator.mediaDevices?.getDisplayMedia !== 'function') {
+      addToast({
+        id: `screen-unsupported-${Date.now()}`,
+        message: "Screen sharing isn't supported in this browser",
+        variant: 'warn',
+      })
+      setScreenSharing(false)
+      return
+    }
+
+    let cancelled = false
+    let stream: MediaStream | null = null
+
+    navigator.mediaDevices
+      .getDisplayMedia({ video: true, audio: false })
+      .then((display) => {
+        if (cancelled) {
+          display.getTracks().forEach((t) => t.stop())
+          return
+        }
+        stream = display
+        display.getVideoTracks().forEach((t) => {
+          t.onended = () => { useCallStore.getState().setScreenSharing(false) }
+        })
+        setScreenStream(display)
+      })
+      .catch((err) => {
+        if (cancelled) return
+        // NotAllowedError is the user dismissing the picker — not worth a toast.
+        if (!(err instanceof Error && err.name === 'NotAllowedError')) {
+          console.error('[ScreenShareController] getDisplayMedia failed:', err)
+          addToast({ id: `screen-error-${Date.now()}`, message: 'Could not start screen sharing', variant: 'warn' })
+        }
+        setScreenSharing(false)
+      })
+
+    return () => {
+      cancelled = true
+      stream?.getTracks().forEach((t) => {
+        t.onended = null
+        t.stop()
+      })
+      setScreenStream(null)
+    }
+  }, [isScreenSharing, setScreenSharing, setScreenStream, addToast])
+
+  return null
+}
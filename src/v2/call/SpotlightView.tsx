@@ -1,16 +1,21 @@
 import { usePeerStore } from '../store/usePeerStore'
 import { useCallStore } from '../store/useCallStore'
 import { VideoTile } from '../ui/VideoTile'
+import { useVideoLayers } from './useVideoLayers'
 import type { PeerRecord } from '../types'
 
 function pickSpotlight(
   peers: Map<string, PeerRecord>,
-  screenSharePeerId: string | null
+  screenSharePeerId: string | null,
+  activeSpeakerId: string | null
 ): PeerRecord | null {
   const list = Array.from(peers.values())
   if (screenSharePeerId) return peers.get(screenSharePeerId) ?? null
   const pinned = list.find((p) => p.isPinned)
   if (pinned) return pinned
+  // The last peer to start speaking keeps the spotlight through their pauses.
+  const active = activeSpeakerId ? peers.get(activeSpeakerId) : undefined
+  if (active) return active
   const speaking = list.find((p) => p.isSpeaking)
   if (speaking) return speaking
   return list[0] ?? null
@@ -18,13 +23,21 @@ function pickSpotlight(
 
 export function SpotlightView() {
   const peers = usePeerStore((s) => s.peers)
+  const activeSpeakerId = usePeerStore((s) => s.activeSpeakerId)
   const screenSharePeerId = useCallStore((s) => s.screenSharePeerId)
   const localStream = useCallStore((s) => s.localStream)
   const isMuted = useCallStore((s) => s.isMuted)
   const isCamOff = useCallStore((s) => s.isCamOff)
+  const isSpeaking = useCallStore((s) => s.isSpeaking)
+  const isMediaEncrypted = useCallStore((s) => s.isMediaEncrypted)
   const userName = useCallStore((s) => s.userName)
+  const socketId = useCallStore((s) => s.socketId)
+  const screenStream = useCallStore((s) => s.screenStream)
 
-  const spotlightPeer = pickSpotlight(peers, screenSharePeerId)
+  // While we are the one sharing, the spotlight shows our own screen capture.
+  const isLocalShare = screenStream !== null && screenSharePeerId !== null && screenSharePeerId === socketId
+  const spotlightPeer = isLocalShare ? null : pickSpotlight(peers, screenSharePeerId, activeSpeakerId)
+  useVideoLayers(spotlightPeer ? { [spotlightPeer.id]: 'high' } : {})
 
   return (
     <div data-testid="spotlight-view" className="flex-1 min-h-0 relative">
@@ -36,22 +49,26 @@ export function SpotlightView() {
           isMuted={spotlightPeer.isMuted}
           isCamOff={spotlightPeer.isCamOff}
           networkQuality={spotlightPeer.networkQuality}
-          isAway={spotlightPeer.isAway}
+          presence={spotlightPeer.presence}
+          connectionState={spotlightPeer.connectionState}
           reaction={spotlightPeer.reaction}
           hasRaisedHand={spotlightPeer.hasRaisedHand}
+          isSpeaking={spotlightPeer.isSpeaking}
+          isEncrypted={spotlightPeer.isEncrypted}
           className="w-full h-full"
         />
       ) : (
         <VideoTile
           peerId="local"
           name={userName || 'You'}
-          stream={localStream}
+          stream={isLocalShare ? screenStream : localStream}
           isMuted={isMuted}
-          isCamOff={isCamOff}
+          isCamOff={isLocalShare ? false : isCamOff}
           networkQuality="good"
-          isAway={false}
           reaction={null}
           hasRaisedHand={false}
+          isSpeaking={isSpeaking}
+          isEncrypted={isMediaEncrypted}
           className="w-full h-full"
         />
       )}
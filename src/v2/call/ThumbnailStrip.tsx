@@ -1,19 +1,50 @@
+import { useEffect, useRef, useState } from 'react'
 import { usePeerStore } from '../store/usePeerStore'
 import { useCallStore } from '../store/useCallStore'
 import { VideoTile } from '../ui/VideoTile'
+import { useVideoLayers } from './useVideoLayers'
+import type { VideoLayer } from '../types'
 
 export function ThumbnailStrip() {
   const peers = usePeerStore((s) => s.peers)
   const localStream = useCallStore((s) => s.localStream)
   const isMuted = useCallStore((s) => s.isMuted)
   const isCamOff = useCallStore((s) => s.isCamOff)
+  const isSpeaking = useCallStore((s) => s.isSpeaking)
   const userName = useCallStore((s) => s.userName)
   const screenSharePeerId = useCallStore((s) => s.screenSharePeerId)
 
   const peerList = Array.from(peers.values()).filter((p) => p.id !== screenSharePeerId)
+  const [scrolledOut, setScrolledOut] = useState<Set<string>>(new Set())
+  const stripRef = useRef<HTMLDivElement>(null)
+  const peerIds = peerList.map((p) => p.id).join(',')
+
+  // Thumbnails scrolled out of the strip are off screen too.
+  useEffect(() => {
+    const strip = stripRef.current
+    if (!strip || typeof IntersectionObserver === 'undefined') return
+    const observer = new IntersectionObserver((entries) => {
+      setScrolledOut((prev) => {
+        const next = new Set(prev)
+        for (const entry of entries) {
+          const id = (entry.target as HTMLElement).dataset.peerId
+          if (!id) continue
+          if (entry.isIntersecting) next.delete(id)
+          else next.add(id)
+        }
+        return next
+      })
+    }, { root: strip })
+    strip.querySelectorAll('[data-peer-id]').forEach((tile) => observer.observe(tile))
+    return () => observer.disconnect()
+  }, [peerIds])
+
+  useVideoLayers(Object.fromEntries(peerList
+    .filter((p) => !scrolledOut.has(p.id))
+    .map((p): [string, VideoLayer] => [p.id, 'low'])))
 
   return (
-    <div data-testid="thumbnail-strip" className="flex gap-2 px-4 py-2 overflow-x-auto shrink-0">
+    <div ref={stripRef} data-testid="thumbnail-strip" className="flex gap-2 px-4 py-2 overflow-x-auto shrink-0">
       <VideoTile
         peerId="local"
         name={userName || 'You'}
@@ -21,9 +52,9 @@ export function ThumbnailStrip() {
         isMuted={isMuted}
         isCamOff={isCamOff}
         networkQuality="good"
-        isAway={false}
         reaction={null}
         hasRaisedHand={false}
+        isSpeaking={isSpeaking}
         className="w-36 h-24 shrink-0"
       />
       {peerList.map((peer) => (
@@ -35,9 +66,11 @@ export function ThumbnailStrip() {
           isMuted={peer.isMuted}
           isCamOff={peer.isCamOff}
           networkQuality={peer.networkQuality}
-          isAway={peer.isAway}
+          presence={peer.presence}
+          connectionState={peer.connectionState}
           reaction={peer.reaction}
           hasRaisedHand={peer.hasRaisedHand}
+          isSpeaking={peer.isSpeaking}
           className="w-36 h-24 shrink-0"
         />
       ))}
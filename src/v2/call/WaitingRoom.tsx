@@ -0,0 +1,45 @@
+import { useCallStore } from '../store/useCallStore'
+import { VideoTile } from '../ui/VideoTile'
+
+interface WaitingRoomProps {
+  onLeave: () => void
+}
+
+/**
+ * Shown in place of the call while the server holds us in the lobby. The
+ * camera preview keeps running so the joiner can check how they look before
+ * they are let in.
+ */
+export function WaitingRoom({ onLeave }: WaitingRoomProps) {
+  const localStream = useCallStore((s) => s.localStream)
+  const isMuted = useCallStore((s) => s.isMuted)
+  const isCamOff = useCallStore((s) => s.isCamOff)
+  const userName = useCallStore((s) => s.userName)
+
+  return (
+    <div data-testid="waiting-room" className="flex-1 min-h-0 flex flex-col items-center justify-center gap-6 p-6">
+      <VideoTile
+        peerId="local"
+        name={userName || 'You'}
+        stream={localStream}
+        isMuted={isMuted}
+        isCamOff={isCamOff}
+        networkQuality="good"
+        reaction={null}
+        hasRaisedHand={false}
+        className="w-full max-w-[480px] aspect-video"
+      />
+      <div className="flex flex-col items-center gap-1 text-center">
+        <p className="text-[var(--text-primary)] text-sm font-semibold m-0">Waiting to be let in</p>
+        <p className="text-[var(--text-muted)] text-xs m-0">The host will admit you shortly.</p>
+      </div>
+      <button
+        data-testid="btn-leave-waiting-room"
+        onClick={onLeave}
+        className="text-xs px-3 py-1.5 rounded-[6px] border border-[var(--border-default)] text-[var(--text-muted)] hover:text-[var(--text-primary)] hover:border-[var(--border-strong)] transition-colors"
+      >
+        Leave
+      </button>
+    </div>
+  )
+}
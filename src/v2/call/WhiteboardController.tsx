@@ -1,10 +1,13 @@
 import { useEffect } from 'react'
 import { useWhiteboardStore } from '../store/useWhiteboardStore'
 
+/**
+ * Drops drawing grants when the board closes. Strokes are kept: the room's
+ * board lives on the server and keeps receiving updates while closed.
+ */
 export function WhiteboardController() {
   useEffect(() => {
     return () => {
-      useWhiteboardStore.getState().clearStrokes()
       useWhiteboardStore.setState({ grantedPeerIds: new Set() })
     }
   }, [])
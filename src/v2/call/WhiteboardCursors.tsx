@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react'
+import { useWhiteboardStore } from '../store/useWhiteboardStore'
+import { LASER_FADE_MS, cursorColor } from '../lib/whiteboard'
+import type { TrailPoint } from '../types'
+
+const LASER_COLOR = '#ff3b30'
+
+interface WhiteboardCursorsProps {
+  pageId: string
+}
+
+function LaserTrail({ trail, now }: { trail: TrailPoint[]; now: number }) {
+  return (
+    <>
+      {trail.slice(1).map((p, i) => {
+        const opacity = 1 - (now - p.at) / LASER_FADE_MS
+        if (opacity <= 0) return null
+        const from = trail[i]
+        return (
+          <line
+            key={p.at + i}
+            x1={from.x}
+            y1={from.y}
+            x2={p.x}
+            y2={p.y}
+            stroke={LASER_COLOR}
+            strokeWidth={4}
+            strokeLinecap="round"
+            vectorEffect="non-scaling-stroke"
+            opacity={opacity}
+          />
+        )
+      })}
+    </>
+  )
+}
+
+/**
+ * Named cursors and fading laser trails drawn over the canvas. Nothing here
+ * is a stroke: it is never stored and never takes pointer events.
+ */
+export function WhiteboardCursors({ pageId }: WhiteboardCursorsProps) {
+  const cursors = useWhiteboardStore((s) => s.cursors)
+  const localTrail = useWhiteboardStore((s) => s.localTrail)
+  const [now, setNow] = useState(() => Date.now())
+
+  const onPage = Object.values(cursors).filter((c) => c.pageId === pageId)
+  const newestTrailPoint = Math.max(0, ...localTrail.map((p) => p.at), ...onPage.flatMap((c) => c.trail.map((p) => p.at)))
+
+  // Keep repainting while any trail is still fading.
+  useEffect(() => {
+    if (Date.now() - newestTrailPoint >= LASER_FADE_MS) return
+    setNow(Date.now())
+    const timer = setInterval(() => setNow(Date.now()), 50)
+    const stop = setTimeout(() => {
+      clearInterval(timer)
+      setNow(Date.now())
+    }, newestTrailPoint + LASER_FADE_MS - Date.now())
+    return () => {
+      clearInterval(timer)
+      clearTimeout(stop)
+    }
+  }, [newestTrailPoint])
+
+  return (
+    <div data-testid="whiteboard-cursors" className="absolute inset-0 pointer-events-none overflow-hidden">
+      <svg viewBox="0 0 1 1" preserveAspectRatio="none" className="absolute inset-0 w-full h-full">
+        <LaserTrail trail={localTrail} now={now} />
+        {onPage.map((c) => <LaserTrail key={c.peerId} trail={c.trail} now={now} />)}
+      </svg>
+      {onPage.map((c) => {
+        const color = c.laser ? LASER_COLOR : cursorColor(c.peerId)
+        return (
+          <div
+            key={c.peerId}
+            data-testid={`wb-cursor-${c.peerId}`}
+            className="absolute flex items-center gap-1"
+            style={{ left: `${c.x * 100}%`, top: `${c.y * 100}%` }}
+          >
+            <span
+              className={`block rounded-full -translate-x-1/2 -translate-y-1/2 ${c.laser ? 'w-3 h-3' : 'w-2.5 h-2.5'}`}
+              style={{ background: color, boxShadow: c.laser ? `0 0 8px ${LASER_COLOR}` : undefined }}
+            />
+            <span
+              className="text-[10px] font-medium text-white px-1.5 py-0.5 rounded whitespace-nowrap"
+              style={{ background: color }}
+            >
+              {c.name}
+            </span>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
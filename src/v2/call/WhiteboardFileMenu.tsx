@@ -0,0 +1,116 @@
+import { useRef, useState, useEffect } from 'react'
+import { useWhiteboardStore } from '../store/useWhiteboardStore'
+import { useUIStore } from '../store/useUIStore'
+import { downloadBlob, parseBoard, renderBoardPng, renderBoardSvg, serializeBoard, strokePage } from '../lib/whiteboard'
+import type { WhiteboardDocument } from '../types'
+
+interface WhiteboardFileMenuProps {
+  // Only passed for moderators; everyone else can export but not import.
+  onImport?: (doc: WhiteboardDocument) => void
+}
+
+const itemClass =
+  'w-full text-left px-3 py-2 text-sm text-[var(--text-secondary)] hover:bg-[var(--surface-hover)] hover:text-[var(--text-primary)] transition-colors'
+
+/** PNG and SVG export the page on screen; JSON keeps every page so it can be imported again. */
+export function WhiteboardFileMenu({ onImport }: WhiteboardFileMenuProps) {
+  const [isOpen, setIsOpen] = useState(false)
+  const containerRef = useRef<HTMLDivElement>(null)
+  const fileInputRef = useRef<HTMLInputElement>(null)
+  const addToast = useUIStore((s) => s.addToast)
+
+  useEffect(() => {
+    if (!isOpen) return
+    function handleClickOutside(e: MouseEvent) {
+      if (containerRef.current && !containerRef.current.contains(e.target as Node)) {
+        setIsOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [isOpen])
+
+  function currentPage() {
+    const { strokes, pages, currentPageId } = useWhiteboardStore.getState()
+    const name = pages.find((p) => p.id === currentPageId)?.name ?? 'board'
+    return { strokes: strokes.filter((s) => strokePage(s) === currentPageId), slug: name.toLowerCase().replace(/[^a-z0-9]+/g, '-') }
+  }
+
+  async function exportPng() {
+    setIsOpen(false)
+    const { strokes, slug } = currentPage()
+    try {
+      downloadBlob(await renderBoardPng(strokes), `whiteboard-${slug}-${Date.now()}.png`)
+    } catch {
+      addToast({ id: `wb-export-${Date.now()}`, message: 'Could not export the whiteboard image', variant: 'warn' })
+    }
+  }
+
+  function exportSvg() {
+    setIsOpen(false)
+    const { strokes, slug } = currentPage()
+    downloadBlob(new Blob([renderBoardSvg(strokes)], { type: 'image/svg+xml' }), `whiteboard-${slug}-${Date.now()}.svg`)
+  }
+
+  function exportJson() {
+    setIsOpen(false)
+    const { pages, strokes } = useWhiteboardStore.getState()
+    downloadBlob(new Blob([serializeBoard(pages, strokes)], { type: 'application/json' }), `whiteboard-${Date.now()}.json`)
+  }
+
+  async function handleFile(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    setIsOpen(false)
+    if (!file || !onImport) return
+    try {
+      onImport(parseBoard(await file.text()))
+    } catch (err) {
+      addToast({ id: `wb-import-${Date.now()}`, message: (err as Error).message, variant: 'warn' })
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        data-testid="btn-whiteboard-file"
+        aria-label="Export or import the whiteboard"
+        onClick={() => setIsOpen((v) => !v)}
+        className="flex items-center gap-1.5 px-3 py-1.5 rounded text-sm text-[var(--text-secondary)] hover:bg-[var(--surface-hover)] transition-colors"
+      >
+        ⤓ File {isOpen ? '▴' : '▾'}
+      </button>
+
+      {isOpen && (
+        <div
+          data-testid="whiteboard-file-menu"
+          className="absolute right-0 top-full mt-1 w-48 bg-[var(--surface-raised)] border border-[var(--border-subtle)] rounded-lg shadow-lg overflow-hidden z-10"
+        >
+          <button data-testid="btn-export-png" onClick={exportPng} className={itemClass}>Export page as PNG</button>
+          <button data-testid="btn-export-svg" onClick={exportSvg} className={itemClass}>Export page as SVG</button>
+          <button data-testid="btn-export-json" onClick={exportJson} className={itemClass}>Export board as JSON</button>
+          {onImport && (
+            <button
+              data-testid="btn-import-json"
+              onClick={() => fileInputRef.current?.click()}
+              className={`${itemClass} border-t border-[var(--border-subtle)]`}
+            >
+              Import board…
+            </button>
+          )}
+        </div>
+      )}
+
+      {onImport && (
+        <input
+          ref={fileInputRef}
+          data-testid="input-import-board"
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          className="hidden"
+        />
+      )}
+    </div>
+  )
+}
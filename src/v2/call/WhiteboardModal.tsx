@@ -1,10 +1,15 @@
-import { useRef, useEffect, useCallback } from 'react'
+import { useRef, useEffect, useCallback, useState } from 'react'
 import { useWhiteboardStore } from '../store/useWhiteboardStore'
 import { useCallStore } from '../store/useCallStore'
 import { WhiteboardToolbar } from './WhiteboardToolbar'
+import { WhiteboardPages } from './WhiteboardPages'
 import { ThumbnailStrip } from './ThumbnailStrip'
 import { WhiteboardParticipantDropdown } from './WhiteboardParticipantDropdown'
-import type { Stroke, StrokePoint } from '../types'
+import { WhiteboardFileMenu } from './WhiteboardFileMenu'
+import { WhiteboardCursors } from './WhiteboardCursors'
+import { POINTER_INTERVAL_MS, drawStroke, strokePage, textSize } from '../lib/whiteboard'
+import { lastOwnStroke } from '../lib/whiteboardCrdt'
+import type { Stroke, StrokePoint, WhiteboardDocument, WhiteboardPointer, WhiteboardTool } from '../types'
 
 interface WhiteboardModalProps {
   onStroke: (stroke: Stroke) => void
@@ -13,43 +18,46 @@ interface WhiteboardModalProps {
   canDraw: boolean
   onGrant: (peerId: string) => void
   onRevoke: (peerId: string) => void
+  onUndo: () => void
+  onRedo: () => void
+  onAddPage: (name: string) => void
+  onImport: (doc: WhiteboardDocument) => void
+  onPointer: (pointer: WhiteboardPointer) => void
 }
 
-function drawStroke(ctx: CanvasRenderingContext2D, stroke: Stroke, w: number, h: number) {
-  if (stroke.points.length < 2) return
-  ctx.save()
-  if (stroke.tool === 'eraser') {
-    ctx.globalCompositeOperation = 'destination-out'
-    ctx.strokeStyle = 'rgba(0,0,0,1)'
-    ctx.lineWidth = stroke.width
-  } else {
-    ctx.globalCompositeOperation = 'source-over'
-    ctx.strokeStyle = stroke.color
-    ctx.lineWidth = stroke.width
-  }
-  ctx.lineCap = 'round'
-  ctx.lineJoin = 'round'
-  ctx.beginPath()
-  ctx.moveTo(stroke.points[0].x * w, stroke.points[0].y * h)
-  for (let i = 1; i < stroke.points.length; i++) {
-    ctx.lineTo(stroke.points[i].x * w, stroke.points[i].y * h)
-  }
-  ctx.stroke()
-  ctx.restore()
+const ERASER_WIDTH = 20
+const SHAPE_TOOLS: ReadonlySet<WhiteboardTool> = new Set(['line', 'rect', 'ellipse', 'arrow'])
+
+interface TextDraft {
+  point: StrokePoint
+  left: number
+  top: number
 }
 
-export function WhiteboardModal({ onStroke, onClear, onClose, canDraw, onGrant, onRevoke }: WhiteboardModalProps) {
+export function WhiteboardModal({ onStroke, onClear, onClose, canDraw, onGrant, onRevoke, onUndo, onRedo, onAddPage, onImport, onPointer }: WhiteboardModalProps) {
   const canvasRef = useRef<HTMLCanvasElement>(null)
   const isDrawingRef = useRef(false)
   const currentPointsRef = useRef<StrokePoint[]>([])
+  const [textDraft, setTextDraft] = useState<TextDraft | null>(null)
+  const [textValue, setTextValue] = useState('')
 
   const socketId = useCallStore((s) => s.socketId)
-  const isHost = useCallStore((s) => s.isHost)
-  const strokes = useWhiteboardStore((s) => s.strokes)
+  const canModerate = useCallStore((s) => s.isHost || s.role === 'cohost')
+  const allStrokes = useWhiteboardStore((s) => s.strokes)
+  const redoStack = useWhiteboardStore((s) => s.redoStack)
+  const canUndo = useWhiteboardStore((s) => lastOwnStroke(s.crdt, s.actorId, s.currentPageId) !== null)
+  const currentPageId = useWhiteboardStore((s) => s.currentPageId)
   const currentTool = useWhiteboardStore((s) => s.currentTool)
   const currentColor = useWhiteboardStore((s) => s.currentColor)
+  const currentWidth = useWhiteboardStore((s) => s.currentWidth)
   const setTool = useWhiteboardStore((s) => s.setTool)
   const setColor = useWhiteboardStore((s) => s.setColor)
+  const setWidth = useWhiteboardStore((s) => s.setWidth)
+  const extendLocalTrail = useWhiteboardStore((s) => s.extendLocalTrail)
+
+  const drawerId = socketId ?? '__local'
+  const strokes = allStrokes.filter((s) => strokePage(s) === currentPageId)
+  const canRedo = redoStack.some((s) => strokePage(s) === currentPageId)
 
   const redraw = useCallback(() => {
     const canvas = canvasRef.current
@@ -57,10 +65,10 @@ export function WhiteboardModal({ onStroke, onClear, onClose, canDraw, onGrant,
     const ctx = canvas.getContext('2d')
     if (!ctx) return
     ctx.clearRect(0, 0, canvas.width, canvas.height)
-    for (const stroke of strokes) {
-      drawStroke(ctx, stroke, canvas.width, canvas.height)
+    for (const stroke of allStrokes) {
+      if (strokePage(stroke) === currentPageId) drawStroke(ctx, stroke, canvas.width, canvas.height)
     }
-  }, [strokes])
+  }, [allStrokes, currentPageId])
 
   const redrawRef = useRef<() => void>(redraw)
   useEffect(() => { redrawRef.current = redraw }, [redraw])
@@ -82,6 +90,44 @@ export function WhiteboardModal({ onStroke, onClear, onClose, canDraw, onGrant,
     return () => observer.disconnect()
   }, [])  // created once on mount only
 
+  // Pointer positions are throttled to one per POINTER_INTERVAL_MS; the last
+  // position in a burst still goes out once the interval has passed.
+  const pendingPointerRef = useRef<WhiteboardPointer | null>(null)
+  const pointerTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
+  const lastPointerAtRef = useRef(0)
+  const onPointerRef = useRef(onPointer)
+  useEffect(() => { onPointerRef.current = onPointer }, [onPointer])
+
+  function flushPointer() {
+    pointerTimerRef.current = null
+    if (!pendingPointerRef.current) return
+    lastPointerAtRef.current = Date.now()
+    onPointerRef.current(pendingPointerRef.current)
+    pendingPointerRef.current = null
+  }
+
+  function sharePointer(point: StrokePoint) {
+    const laser = currentTool === 'laser' && canDraw
+    if (laser) extendLocalTrail(point)
+    pendingPointerRef.current = { x: point.x, y: point.y, pageId: currentPageId, laser, t: Date.now() }
+    if (pointerTimerRef.current) return
+    const wait = lastPointerAtRef.current + POINTER_INTERVAL_MS - Date.now()
+    if (wait <= 0) flushPointer()
+    else pointerTimerRef.current = setTimeout(flushPointer, wait)
+  }
+
+  const hidePointer = useCallback(() => {
+    if (pointerTimerRef.current) clearTimeout(pointerTimerRef.current)
+    pointerTimerRef.current = null
+    pendingPointerRef.current = null
+    if (lastPointerAtRef.current === 0) return
+    lastPointerAtRef.current = 0
+    onPointerRef.current({ x: 0, y: 0, pageId: currentPageId, laser: false, hidden: true, t: Date.now() })
+  }, [currentPageId])
+
+  // Closing the board or switching pages takes our cursor away for everyone.
+  useEffect(() => hidePointer, [hidePointer])
+
   function getPoint(e: React.MouseEvent<HTMLCanvasElement>): StrokePoint {
     const canvas = canvasRef.current!
     const rect = canvas.getBoundingClientRect()
@@ -101,9 +147,14 @@ export function WhiteboardModal({ onStroke, onClear, onClose, canDraw, onGrant,
     }
   }
 
+
+  function strokeWidth(): number {
+    return currentTool === 'eraser' ? ERASER_WIDTH : currentWidth
+  }
+
   function redrawWithPreview() {
     const canvas = canvasRef.current
-    if (!canvas) return
+    if (!canvas || currentTool === 'laser') return
     const ctx = canvas.getContext('2d')
     if (!ctx) return
     ctx.clearRect(0, 0, canvas.width, canvas.height)
@@ -114,54 +165,98 @@ export function WhiteboardModal({ onStroke, onClear, onClose, canDraw, onGrant,
       id: '__preview',
       tool: currentTool,
       color: currentColor,
-      width: currentTool === 'eraser' ? 20 : 3,
+      width: strokeWidth(),
       points: currentPointsRef.current,
       drawerId: '__local',
     }, canvas.width, canvas.height)
   }
 
+  function beginAt(point: StrokePoint) {
+    if (currentTool === 'laser') return
+    if (currentTool === 'text') {
+      const canvas = canvasRef.current!
+      setTextDraft({ point, left: point.x * canvas.width, top: point.y * canvas.height })
+      setTextValue('')
+      return
+    }
+    isDrawingRef.current = true
+    currentPointsRef.current = [point]
+  }
+
+  // Shapes only need their two corners; freehand tools keep every sample.
+  function extendTo(point: StrokePoint) {
+    if (SHAPE_TOOLS.has(currentTool)) {
+      currentPointsRef.current = [currentPointsRef.current[0], point]
+    } else {
+      currentPointsRef.current.push(point)
+    }
+    redrawWithPreview()
+  }
+
   function handleMouseDown(e: React.MouseEvent<HTMLCanvasElement>) {
     if (!canDraw) return
-    isDrawingRef.current = true
-    currentPointsRef.current = [getPoint(e)]
+    beginAt(getPoint(e))
   }
 
   function handleMouseMove(e: React.MouseEvent<HTMLCanvasElement>) {
+    const point = getPoint(e)
+    sharePointer(point)
     if (!isDrawingRef.current || !canDraw) return
-    currentPointsRef.current.push(getPoint(e))
-    redrawWithPreview()
+    extendTo(point)
   }
 
   function finalizeStroke() {
-    if (!isDrawingRef.current || !canDraw) return
+    if (!isDrawingRef.current || !canDraw || currentTool === 'laser') return
     isDrawingRef.current = false
     const points = currentPointsRef.current
     currentPointsRef.current = []
     if (points.length < 2) return
+    if (SHAPE_TOOLS.has(currentTool) && points[0].x === points[1].x && points[0].y === points[1].y) return
     const stroke: Stroke = {
       id: crypto.randomUUID(),
       tool: currentTool,
       color: currentColor,
-      width: currentTool === 'eraser' ? 20 : 3,
+      width: strokeWidth(),
       points,
-      drawerId: socketId ?? '__local',
+      drawerId,
+      pageId: currentPageId,
     }
     onStroke(stroke)
   }
 
+  function commitText() {
+    if (!textDraft) return
+    const text = textValue.trim()
+    setTextDraft(null)
+    setTextValue('')
+    if (!text) return
+    onStroke({
+      id: crypto.randomUUID(),
+      tool: 'text',
+      color: currentColor,
+      width: currentWidth,
+      points: [textDraft.point],
+      drawerId,
+      text,
+      pageId: currentPageId,
+    })
+  }
+
   return (
     <div className="fixed inset-0 z-50 flex flex-col bg-white" data-testid="whiteboard-modal">
-      <div className="flex items-center justify-between px-4 py-3 bg-[var(--surface-raised)] border-b border-[var(--border-subtle)] shrink-0">
-        <div className="flex items-center gap-2">
-          <span className="text-sm font-semibold text-[var(--text-primary)]">✏️ Whiteboard</span>
+      <div className="flex items-center justify-between gap-3 px-4 py-3 bg-[var(--surface-raised)] border-b border-[var(--border-subtle)] shrink-0">
+        <div className="flex items-center gap-2 min-w-0">
+          <span className="text-sm font-semibold text-[var(--text-primary)] shrink-0">✏️ Whiteboard</span>
           {!canDraw && (
-            <span className="text-xs text-[var(--text-secondary)] bg-[var(--surface-hover)] px-2 py-0.5 rounded">
+            <span className="text-xs text-[var(--text-secondary)] bg-[var(--surface-hover)] px-2 py-0.5 rounded shrink-0">
               View only
             </span>
           )}
+          <WhiteboardPages canEdit={canDraw} onAddPage={onAddPage} />
         </div>
-        <div className="flex items-center gap-2">
-          {isHost && <WhiteboardParticipantDropdown onGrant={onGrant} onRevoke={onRevoke} />}
+        <div className="flex items-center gap-2 shrink-0">
+          <WhiteboardFileMenu onImport={canModerate ? onImport : undefined} />
+          {canModerate && <WhiteboardParticipantDropdown onGrant={onGrant} onRevoke={onRevoke} />}
           <button
             data-testid="btn-whiteboard-close"
             aria-label="Close whiteboard"
@@ -177,35 +272,70 @@ export function WhiteboardModal({ onStroke, onClear, onClose, canDraw, onGrant,
         <WhiteboardToolbar
           currentTool={currentTool}
           currentColor={currentColor}
+          currentWidth={currentWidth}
           onToolChange={setTool}
           onColorChange={setColor}
+          onWidthChange={setWidth}
           onClear={onClear}
+          onUndo={onUndo}
+          onRedo={onRedo}
+          canUndo={canUndo}
+          canRedo={canRedo}
         />
       )}
 
-      <canvas
-        ref={canvasRef}
-        data-testid="whiteboard-canvas"
-        className="flex-1 w-full cursor-crosshair"
-        style={{ touchAction: 'none', background: '#fff' }}
-        onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
-        onMouseUp={finalizeStroke}
-        onMouseLeave={finalizeStroke}
-        onTouchStart={(e) => {
-          if (!canDraw) return
-          e.preventDefault()
-          isDrawingRef.current = true
-          currentPointsRef.current = [getTouchPoint(e)]
-        }}
-        onTouchMove={(e) => {
-          e.preventDefault()
-          if (!isDrawingRef.current || !canDraw) return
-          currentPointsRef.current.push(getTouchPoint(e))
-          redrawWithPreview()
-        }}
-        onTouchEnd={finalizeStroke}
-      />
+      <div className="relative flex-1 min-h-0">
+        <canvas
+          ref={canvasRef}
+          data-testid="whiteboard-canvas"
+          className={`absolute inset-0 w-full h-full ${currentTool === 'text' && canDraw ? 'cursor-text' : 'cursor-crosshair'}`}
+          style={{ touchAction: 'none', background: '#fff' }}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={finalizeStroke}
+          onMouseLeave={() => {
+            finalizeStroke()
+            hidePointer()
+          }}
+          onTouchStart={(e) => {
+            if (!canDraw) return
+            e.preventDefault()
+            beginAt(getTouchPoint(e))
+          }}
+          onTouchMove={(e) => {
+            e.preventDefault()
+            const point = getTouchPoint(e)
+            sharePointer(point)
+            if (!isDrawingRef.current || !canDraw) return
+            extendTo(point)
+          }}
+          onTouchEnd={() => {
+            finalizeStroke()
+            hidePointer()
+          }}
+        />
+        <WhiteboardCursors pageId={currentPageId} />
+        {textDraft && (
+          <input
+            data-testid="whiteboard-text-input"
+            autoFocus
+            value={textValue}
+            maxLength={500}
+            placeholder="Type, then Enter"
+            onChange={(e) => setTextValue(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitText()
+              if (e.key === 'Escape') {
+                setTextDraft(null)
+                setTextValue('')
+              }
+            }}
+            onBlur={commitText}
+            style={{ left: textDraft.left, top: textDraft.top, color: currentColor, fontSize: textSize(currentWidth) }}
+            className="absolute bg-transparent border border-dashed border-[var(--border-strong)] outline-none px-1 min-w-[120px]"
+          />
+        )}
+      </div>
 
       <div className="shrink-0 border-t border-[var(--border-subtle)]">
         <ThumbnailStrip />
@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import { useWhiteboardStore } from '../store/useWhiteboardStore'
+
+interface WhiteboardPagesProps {
+  canEdit: boolean
+  onAddPage: (name: string) => void
+}
+
+/** Page tabs. Switching is local; the page list itself is shared by the room. */
+export function WhiteboardPages({ canEdit, onAddPage }: WhiteboardPagesProps) {
+  const pages = useWhiteboardStore((s) => s.pages)
+  const currentPageId = useWhiteboardStore((s) => s.currentPageId)
+  const setCurrentPage = useWhiteboardStore((s) => s.setCurrentPage)
+  const [draftName, setDraftName] = useState<string | null>(null)
+
+  function submit() {
+    const name = draftName?.trim() || `Page ${pages.length + 1}`
+    onAddPage(name)
+    setDraftName(null)
+  }
+
+  return (
+    <div data-testid="whiteboard-pages" className="flex items-center gap-1 overflow-x-auto">
+      {pages.map((page) => (
+        <button
+          key={page.id}
+          data-testid={`wb-page-tab-${page.id}`}
+          aria-pressed={page.id === currentPageId}
+          onClick={() => setCurrentPage(page.id)}
+          className={`text-xs px-2.5 py-1 rounded whitespace-nowrap transition-colors ${
+            page.id === currentPageId
+              ? 'bg-[var(--surface-hover)] text-[var(--text-primary)] font-medium'
+              : 'text-[var(--text-secondary)] hover:bg-[var(--surface-hover)]'
+          }`}
+        >
+          {page.name}
+        </button>
+      ))}
+
+      {canEdit && draftName === null && (
+        <button
+          data-testid="btn-add-page"
+          aria-label="Add page"
+          onClick={() => setDraftName('')}
+          className="text-xs px-2 py-1 rounded text-[var(--text-muted)] hover:text-[var(--text-primary)] hover:bg-[var(--surface-hover)]"
+        >
+          + Page
+        </button>
+      )}
+      {canEdit && draftName !== null && (
+        <input
+          data-testid="wb-page-name-input"
+          autoFocus
+          value={draftName}
+          maxLength={40}
+          placeholder={`Page ${pages.length + 1}`}
+          onChange={(e) => setDraftName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submit()
+            if (e.key === 'Escape') setDraftName(null)
+          }}
+          onBlur={() => setDraftName(null)}
+          className="text-xs w-28 bg-[var(--surface-base)] border border-[var(--border-subtle)] rounded px-2 py-1 text-[var(--text-primary)] outline-none focus:border-[var(--border-strong)]"
+        />
+      )}
+    </div>
+  )
+}
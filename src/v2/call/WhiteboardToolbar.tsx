@@ -1,49 +1,67 @@
+import type { WhiteboardTool } from '../types'
+
 const COLORS = ['#222222', '#ff4444', '#4a9eff', '#22cc22'] as const
 
+const TOOLS: Array<{ tool: WhiteboardTool; label: string; icon: string }> = [
+  { tool: 'pen', label: 'Pen', icon: '✏️ Pen' },
+  { tool: 'eraser', label: 'Eraser', icon: '🧹 Eraser' },
+  { tool: 'line', label: 'Line', icon: '╱' },
+  { tool: 'arrow', label: 'Arrow', icon: '↗' },
+  { tool: 'rect', label: 'Rectangle', icon: '▭' },
+  { tool: 'ellipse', label: 'Ellipse', icon: '◯' },
+  { tool: 'text', label: 'Text', icon: 'T' },
+  { tool: 'laser', label: 'Laser pointer', icon: '🔴' },
+]
+
 interface WhiteboardToolbarProps {
-  currentTool: 'pen' | 'eraser'
+  currentTool: WhiteboardTool
   currentColor: string
-  onToolChange: (tool: 'pen' | 'eraser') => void
+  onToolChange: (tool: WhiteboardTool) => void
   onColorChange: (color: string) => void
   onClear: () => void
+  currentWidth?: number
+  onWidthChange?: (width: number) => void
+  onUndo?: () => void
+  onRedo?: () => void
+  canUndo?: boolean
+  canRedo?: boolean
 }
 
+const historyButtonClass =
+  'px-2 py-1.5 rounded text-sm text-[var(--text-secondary)] hover:bg-[var(--surface-hover)] disabled:opacity-40 disabled:hover:bg-transparent transition-colors'
+
 export function WhiteboardToolbar({
   currentTool,
   currentColor,
   onToolChange,
   onColorChange,
   onClear,
+  currentWidth,
+  onWidthChange,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
 }: WhiteboardToolbarProps) {
   return (
-    <div className="flex items-center gap-2 px-4 py-2 bg-[var(--surface-raised)] border-b border-[var(--border-subtle)]">
-      <button
-        data-testid="btn-tool-pen"
-        aria-pressed={currentTool === 'pen' ? 'true' : 'false'}
-        aria-label="Pen"
-        onClick={() => onToolChange('pen')}
-        className={`px-3 py-1.5 rounded text-sm font-medium transition-colors ${
-          currentTool === 'pen'
-            ? 'bg-[var(--accent-primary)] text-white'
-            : 'bg-transparent text-[var(--text-secondary)] hover:bg-[var(--surface-hover)]'
-        }`}
-      >
-        ✏️ Pen
-      </button>
-
-      <button
-        data-testid="btn-tool-eraser"
-        aria-pressed={currentTool === 'eraser' ? 'true' : 'false'}
-        aria-label="Eraser"
-        onClick={() => onToolChange('eraser')}
-        className={`px-3 py-1.5 rounded text-sm font-medium transition-colors ${
-          currentTool === 'eraser'
-            ? 'bg-[var(--accent-primary)] text-white'
-            : 'bg-transparent text-[var(--text-secondary)] hover:bg-[var(--surface-hover)]'
-        }`}
-      >
-        🧹 Eraser
-      </button>
+    <div className="flex flex-wrap items-center gap-2 px-4 py-2 bg-[var(--surface-raised)] border-b border-[var(--border-subtle)]">
+      {TOOLS.map(({ tool, label, icon }) => (
+        <button
+          key={tool}
+          data-testid={`btn-tool-${tool}`}
+          aria-pressed={currentTool === tool ? 'true' : 'false'}
+          aria-label={label}
+          title={label}
+          onClick={() => onToolChange(tool)}
+          className={`px-3 py-1.5 rounded text-sm font-medium transition-colors ${
+            currentTool === tool
+              ? 'bg-[var(--accent-primary)] text-white'
+              : 'bg-transparent text-[var(--text-secondary)] hover:bg-[var(--surface-hover)]'
+          }`}
+        >
+          {icon}
+        </button>
+      ))}
 
       <div className="w-px h-6 bg-[var(--border-subtle)]" />
 
@@ -63,8 +81,34 @@ export function WhiteboardToolbar({
         ))}
       </div>
 
+      {onWidthChange && (
+        <label className="flex items-center gap-1.5 text-xs text-[var(--text-secondary)]">
+          Width
+          <input
+            type="range"
+            data-testid="whiteboard-width"
+            min={1}
+            max={20}
+            value={currentWidth ?? 3}
+            onChange={(e) => onWidthChange(Number(e.target.value))}
+            className="w-20"
+          />
+        </label>
+      )}
+
       <div className="w-px h-6 bg-[var(--border-subtle)]" />
 
+      {onUndo && (
+        <button data-testid="btn-undo" aria-label="Undo" title="Undo" disabled={!canUndo} onClick={onUndo} className={historyButtonClass}>
+          ↶
+        </button>
+      )}
+      {onRedo && (
+        <button data-testid="btn-redo" aria-label="Redo" title="Redo" disabled={!canRedo} onClick={onRedo} className={historyButtonClass}>
+          ↷
+        </button>
+      )}
+
       <button
         data-testid="btn-clear"
         aria-label="Clear canvas"
@@ -0,0 +1,17 @@
+import { useEffect, useId } from 'react'
+import { usePeerStore } from '../store/usePeerStore'
+import type { VideoLayer } from '../types'
+
+/**
+ * Tells PeerManager which simulcast layer this view renders each peer at.
+ * Peers left out are not on screen here; those no view shows get paused.
+ */
+export function useVideoLayers(layers: Record<string, VideoLayer>) {
+  const view = useId()
+
+  useEffect(() => {
+    usePeerStore.getState().setViewLayers(view, layers)
+  })
+
+  useEffect(() => () => usePeerStore.getState().setViewLayers(view, null), [view])
+}
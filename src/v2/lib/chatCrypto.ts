@@ -1,42 +1,166 @@
-export async function deriveKey(roomId: string, secret: string): Promise<CryptoKey> {
-  const keyMaterial = await crypto.subtle.importKey(
-    'raw',
-    new TextEncoder().encode(roomId + ':' + secret),
-    { name: 'PBKDF2' },
+/*
+ * Chat is encrypted with a per-room AES-GCM key the server never sees.
+ *
+ * Each client makes an ECDH key pair and announces the public half. Members
+ * who hold the room key wrap it for a newcomer under a key derived from their
+ * ECDH shared secret, and an invite link can carry the key in its fragment
+ * (which browsers never send to a server). When someone leaves, a remaining
+ * member rotates to a fresh key; old keys are kept so history still reads.
+ *
+ * The same room key also seeds the media-frame keys for end-to-end encrypted
+ * audio and video (see media/frameCrypto), so both rotate together.
+ */
+
+export interface RoomKey {
+  id: string          // fingerprint of the key bytes; tags each message
+  key: CryptoKey
+  createdAt: number   // the newest key is the one to send with
+}
+
+type Bytes = Uint8Array<ArrayBuffer>
+
+/** A media-frame key, named on the wire by a 32-bit tag taken from its room key's id. */
+export interface MediaKey {
+  tag: number
+  key: CryptoKey
+}
+
+const ECDH_PARAMS: EcKeyImportParams = { name: 'ECDH', namedCurve: 'P-256' }
+const WRAP_INFO = new TextEncoder().encode('chat-room-key')
+const MEDIA_INFO = new TextEncoder().encode('media-frame-key')
+
+function toBase64(bytes: Uint8Array): string {
+  return btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(''))
+}
+
+function fromBase64(encoded: string): Bytes {
+  return Uint8Array.from(atob(encoded), (c) => c.charCodeAt(0))
+}
+
+// Link fragments use the URL-safe alphabet without padding.
+function toBase64Url(bytes: Uint8Array): string {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(encoded: string): Bytes {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/')
+  return fromBase64(base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+}
+
+function gcmParams(iv: Bytes, additionalData?: Bytes): AesGcmParams {
+  return additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv }
+}
+
+async function seal(plaintext: Bytes, key: CryptoKey, additionalData?: Bytes): Promise<string> {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const ciphertext = await crypto.subtle.encrypt(gcmParams(iv, additionalData), key, plaintext)
+  const combined = new Uint8Array(iv.byteLength + ciphertext.byteLength)
+  combined.set(iv, 0)
+  combined.set(new Uint8Array(ciphertext), iv.byteLength)
+  return toBase64(combined)
+}
+
+async function open(encoded: string, key: CryptoKey, additionalData?: Bytes): Promise<Bytes> {
+  const bytes = fromBase64(encoded)
+  const plaintext = await crypto.subtle.decrypt(gcmParams(bytes.slice(0, 12), additionalData), key, bytes.slice(12))
+  return new Uint8Array(plaintext)
+}
+
+/** Our identity for the key exchange; the private half never leaves this tab. */
+export function generateKeyPair(): Promise<CryptoKeyPair> {
+  return crypto.subtle.generateKey(ECDH_PARAMS, false, ['deriveBits'])
+}
+
+export async function exportPublicKey(key: CryptoKey): Promise<string> {
+  return toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)))
+}
+
+export function importPublicKey(encoded: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey('raw', fromBase64(encoded), ECDH_PARAMS, true, [])
+}
+
+async function fingerprint(raw: Bytes): Promise<string> {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', raw))
+  return Array.from(digest.slice(0, 8), (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+async function roomKeyFromRaw(raw: Bytes, createdAt: number): Promise<RoomKey> {
+  const key = await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt'])
+  return { id: await fingerprint(raw), key, createdAt }
+}
+
+export async function generateRoomKey(createdAt = Date.now()): Promise<RoomKey> {
+  return roomKeyFromRaw(crypto.getRandomValues(new Uint8Array(32)), createdAt)
+}
+
+/** For an invite-link fragment. */
+export async function exportRoomKey(roomKey: RoomKey): Promise<string> {
+  return toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', roomKey.key)))
+}
+
+/**
+ * A key from an invite link. Its age is unknown, so it defaults to older than
+ * any key a member hands us.
+ */
+export function importRoomKey(encoded: string, createdAt = 0): Promise<RoomKey> {
+  return roomKeyFromRaw(fromBase64Url(encoded), createdAt)
+}
+
+// ECDH alone gives raw shared bits; HKDF turns them into a wrapping key.
+async function wrappingKey(privateKey: CryptoKey, theirPublicKey: CryptoKey): Promise<CryptoKey> {
+  const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: theirPublicKey }, privateKey, 256)
+  const material = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: WRAP_INFO },
+    material,
+    { name: 'AES-GCM', length: 256 },
     false,
-    ['deriveKey'],
+    ['encrypt', 'decrypt'],
   )
-  return crypto.subtle.deriveKey(
-    {
-      name: 'PBKDF2',
-      salt: new TextEncoder().encode('decentralized-video-app-chat'),
-      iterations: 100_000,
-      hash: 'SHA-256',
-    },
-    keyMaterial,
+}
+
+// createdAt is authenticated with the key, so nobody relaying it can make an old key look new.
+const wrapContext = (createdAt: number) => new TextEncoder().encode(String(createdAt))
+
+export async function wrapRoomKey(roomKey: RoomKey, privateKey: CryptoKey, theirPublicKey: CryptoKey): Promise<string> {
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', roomKey.key))
+  return seal(raw, await wrappingKey(privateKey, theirPublicKey), wrapContext(roomKey.createdAt))
+}
+
+export async function unwrapRoomKey(
+  wrapped: string,
+  createdAt: number,
+  privateKey: CryptoKey,
+  theirPublicKey: CryptoKey,
+): Promise<RoomKey> {
+  const raw = await open(wrapped, await wrappingKey(privateKey, theirPublicKey), wrapContext(createdAt))
+  return roomKeyFromRaw(raw, createdAt)
+}
+
+// HKDF from the room key, so a frame key can never decrypt chat or the other way round.
+export async function deriveMediaKey(roomKey: RoomKey): Promise<MediaKey> {
+  const raw = await crypto.subtle.exportKey('raw', roomKey.key)
+  const material = await crypto.subtle.importKey('raw', raw, 'HKDF', false, ['deriveKey'])
+  const key = await crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: MEDIA_INFO },
+    material,
     { name: 'AES-GCM', length: 256 },
     false,
     ['encrypt', 'decrypt'],
   )
+  return { tag: parseInt(roomKey.id.slice(0, 8), 16), key }
+}
+
+/** Orders keys by age, ties broken by id so every member picks the same one. */
+export function isNewerKey(a: RoomKey, b: RoomKey | null): boolean {
+  if (!b) return true
+  return a.createdAt !== b.createdAt ? a.createdAt > b.createdAt : a.id > b.id
 }
 
 export async function encryptMessage(text: string, key: CryptoKey): Promise<string> {
-  const iv = crypto.getRandomValues(new Uint8Array(12))
-  const ciphertext = await crypto.subtle.encrypt(
-    { name: 'AES-GCM', iv },
-    key,
-    new TextEncoder().encode(text),
-  )
-  const combined = new Uint8Array(iv.byteLength + ciphertext.byteLength)
-  combined.set(iv, 0)
-  combined.set(new Uint8Array(ciphertext), iv.byteLength)
-  return btoa(Array.from(combined, (b) => String.fromCharCode(b)).join(''))
+  return seal(new TextEncoder().encode(text), key)
 }
 
 export async function decryptMessage(encoded: string, key: CryptoKey): Promise<string> {
-  const bytes = Uint8Array.from(atob(encoded), (c) => c.charCodeAt(0))
-  const iv = bytes.slice(0, 12)
-  const ciphertext = bytes.slice(12)
-  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext)
-  return new TextDecoder().decode(plaintext)
+  return new TextDecoder().decode(await open(encoded, key))
 }
@@ -0,0 +1,85 @@
+// Peer-to-peer file sharing. Only the file's metadata goes through the
+// signaling server; the bytes travel over data channels as binary chunk
+// frames, interleaved with the JSON messages already on the channel.
+
+// The receiver holds the whole file in memory until it is verified.
+export const MAX_SHARED_FILE_SIZE = 50 * 1024 * 1024
+
+// 16 KiB payloads stay under every browser's data channel message limit.
+export const FILE_CHUNK_SIZE = 16 * 1024
+
+// The sender stops reading the file while this much is queued on the channel.
+export const FILE_BUFFER_HIGH_WATER = 1024 * 1024
+
+// Images this small download on their own so the chat can show them inline.
+export const AUTO_PREVIEW_MAX_SIZE = 2 * 1024 * 1024
+
+// JSON never starts with a zero byte, so chunk frames cannot be mistaken for it.
+const CHUNK_MARKER = 0x00
+
+export interface FileChunk {
+  fileId: string
+  bytes: Uint8Array
+}
+
+/** Frame layout: marker | fileId length (1 byte) | fileId (UTF-8) | payload. */
+export function encodeFileChunk(fileId: string, bytes: Uint8Array): Uint8Array {
+  const id = new TextEncoder().encode(fileId)
+  const frame = new Uint8Array(2 + id.length + bytes.length)
+  frame[0] = CHUNK_MARKER
+  frame[1] = id.length
+  frame.set(id, 2)
+  frame.set(bytes, 2 + id.length)
+  return frame
+}
+
+export function isFileChunk(raw: string | Uint8Array): raw is Uint8Array {
+  return typeof raw !== 'string' && raw.length >= 2 && raw[0] === CHUNK_MARKER
+}
+
+/** The payload is a view into `raw`; copy it if `raw` may be reused. */
+export function decodeFileChunk(raw: Uint8Array): FileChunk | null {
+  if (!isFileChunk(raw) || raw.length < 2 + raw[1]) return null
+  const idEnd = 2 + raw[1]
+  return { fileId: new TextDecoder().decode(raw.subarray(2, idEnd)), bytes: raw.subarray(idEnd) }
+}
+
+/** Hex SHA-256, sent with the metadata so receivers can check what arrived. */
+export async function sha256Hex(data: BufferSource): Promise<string> {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data))
+  return Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+/** 16 hex digits; collisions only matter within one room's chat. */
+export function newFileId(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(8))
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+/** Resolves once the channel has room for more, or has closed. */
+export function waitForDrain(channel: RTCDataChannel | null, highWater = FILE_BUFFER_HIGH_WATER): Promise<void> {
+  return new Promise((resolve) => {
+    if (!channel || channel.readyState !== 'open' || channel.bufferedAmount < highWater) {
+      resolve()
+      return
+    }
+    const done = () => {
+      channel.removeEventListener('bufferedamountlow', done)
+      channel.removeEventListener('close', done)
+      resolve()
+    }
+    channel.addEventListener('bufferedamountlow', done)
+    channel.addEventListener('close', done)
+  })
+}
+
+export function isImageType(mime: string): boolean {
+  return /^image\/(png|jpe?g|gif|webp|bmp|avif)$/i.test(mime)
+}
+
+/** Sizes as shown next to a shared file, e.g. "1.5 MB". */
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
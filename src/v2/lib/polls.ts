@@ -0,0 +1,34 @@
+import type { Poll } from '../types'
+
+/** Votes per option. Prefers the server's totals, which anonymous polls rely on. */
+export function pollCounts(poll: Poll): number[] {
+  if (poll.counts?.length === poll.options.length) return poll.counts
+  const counts = poll.options.map(() => 0)
+  Object.values(poll.votes ?? {}).forEach((choice) => {
+    ;([] as number[]).concat(choice).forEach((i) => {
+      if (i >= 0 && i < counts.length) counts[i]++
+    })
+  })
+  return counts
+}
+
+/** Names of everyone who picked option `index`. Always empty for anonymous polls. */
+export function pollVotersFor(poll: Poll, index: number): string[] {
+  if (poll.anonymous) return []
+  return Object.entries(poll.votes ?? {})
+    .filter(([, choice]) => ([] as number[]).concat(choice).includes(index))
+    .map(([socketId]) => poll.voterNames?.[socketId] ?? 'Someone')
+}
+
+/** Whole seconds left before an auto-closing poll ends, or null if it has no countdown. */
+export function pollSecondsLeft(poll: Poll, now = Date.now()): number | null {
+  if (!poll.closesAt) return null
+  return Math.max(0, Math.ceil((poll.closesAt - now) / 1000))
+}
+
+/** Formats seconds as m:ss. */
+export function formatCountdown(seconds: number): string {
+  const m = Math.floor(seconds / 60)
+  const s = seconds % 60
+  return `${m}:${String(s).padStart(2, '0')}`
+}
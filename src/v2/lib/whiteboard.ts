@@ -0,0 +1,249 @@
+import type { Stroke, StrokePoint, StrokeTool, TrailPoint, WhiteboardDocument, WhiteboardPage, WhiteboardPointer } from '../types'
+
+export const WHITEBOARD_DOC_VERSION = 1
+
+// Matches the server's default page, so strokes without a pageId land here.
+export const DEFAULT_PAGE_ID = 'page-1'
+
+export function strokePage(stroke: Stroke): string {
+  return stroke.pageId ?? DEFAULT_PAGE_ID
+}
+
+// Exports use a fixed 16:9 surface; strokes are stored normalized, so any size works.
+export const EXPORT_WIDTH = 1600
+export const EXPORT_HEIGHT = 900
+
+const TOOLS: ReadonlySet<StrokeTool> = new Set(['pen', 'eraser', 'line', 'rect', 'ellipse', 'arrow', 'text'])
+
+// Pointer positions go out at most this often; a laser trail fades over LASER_FADE_MS.
+export const POINTER_INTERVAL_MS = 50
+export const LASER_FADE_MS = 1000
+const MAX_TRAIL_POINTS = 60
+
+const CURSOR_COLORS = ['#e8590c', '#1c7ed6', '#2b8a3e', '#ae3ec9', '#c2255c', '#0c8599', '#5f3dc4', '#e67700']
+
+/** A stable color per participant, so a cursor keeps its color while they move. */
+export function cursorColor(peerId: string): string {
+  let hash = 0
+  for (let i = 0; i < peerId.length; i++) hash = (hash * 31 + peerId.charCodeAt(i)) | 0
+  return CURSOR_COLORS[Math.abs(hash) % CURSOR_COLORS.length]
+}
+
+/** Appends a laser position and drops the ones that have faded out. */
+export function extendTrail(trail: TrailPoint[], point: StrokePoint, now: number): TrailPoint[] {
+  return [...trail.filter((p) => now - p.at < LASER_FADE_MS), { x: point.x, y: point.y, at: now }].slice(-MAX_TRAIL_POINTS)
+}
+
+// Pointers arrive from peers over data channels as well as from the server.
+export function isWhiteboardPointer(value: unknown): value is WhiteboardPointer {
+  const p = value as WhiteboardPointer
+  return Boolean(p)
+    && Number.isFinite(p.x) && Number.isFinite(p.y)
+    && typeof p.pageId === 'string'
+    && typeof p.laser === 'boolean'
+    && Number.isFinite(p.t)
+}
+
+// Text scales with the width slider so one control sizes every tool.
+export function textSize(width: number): number {
+  return 12 + width * 2
+}
+
+function arrowHead(start: StrokePoint, end: StrokePoint, width: number): [StrokePoint, StrokePoint] {
+  const angle = Math.atan2(end.y - start.y, end.x - start.x)
+  const head = Math.max(10, width * 3)
+  return [
+    { x: end.x - head * Math.cos(angle - Math.PI / 6), y: end.y - head * Math.sin(angle - Math.PI / 6) },
+    { x: end.x - head * Math.cos(angle + Math.PI / 6), y: end.y - head * Math.sin(angle + Math.PI / 6) },
+  ]
+}
+
+export function drawStroke(ctx: CanvasRenderingContext2D, stroke: Stroke, w: number, h: number) {
+  const points = stroke.points.map((p) => ({ x: p.x * w, y: p.y * h }))
+
+  if (stroke.tool === 'text') {
+    if (!stroke.text || points.length === 0) return
+    ctx.save()
+    ctx.fillStyle = stroke.color
+    ctx.font = `${textSize(stroke.width)}px sans-serif`
+    ctx.textBaseline = 'top'
+    ctx.fillText(stroke.text, points[0].x, points[0].y)
+    ctx.restore()
+    return
+  }
+
+  if (points.length < 2) return
+  ctx.save()
+  if (stroke.tool === 'eraser') {
+    ctx.globalCompositeOperation = 'destination-out'
+    ctx.strokeStyle = 'rgba(0,0,0,1)'
+    ctx.lineWidth = stroke.width
+  } else {
+    ctx.globalCompositeOperation = 'source-over'
+    ctx.strokeStyle = stroke.color
+    ctx.lineWidth = stroke.width
+  }
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+  ctx.beginPath()
+
+  const start = points[0]
+  const end = points[points.length - 1]
+  switch (stroke.tool) {
+    case 'line':
+      ctx.moveTo(start.x, start.y)
+      ctx.lineTo(end.x, end.y)
+      break
+    case 'arrow': {
+      const [left, right] = arrowHead(start, end, stroke.width)
+      ctx.moveTo(start.x, start.y)
+      ctx.lineTo(end.x, end.y)
+      ctx.moveTo(end.x, end.y)
+      ctx.lineTo(left.x, left.y)
+      ctx.moveTo(end.x, end.y)
+      ctx.lineTo(right.x, right.y)
+      break
+    }
+    case 'rect':
+      ctx.rect(Math.min(start.x, end.x), Math.min(start.y, end.y), Math.abs(end.x - start.x), Math.abs(end.y - start.y))
+      break
+    case 'ellipse':
+      ctx.ellipse(
+        (start.x + end.x) / 2,
+        (start.y + end.y) / 2,
+        Math.abs(end.x - start.x) / 2,
+        Math.abs(end.y - start.y) / 2,
+        0,
+        0,
+        Math.PI * 2
+      )
+      break
+    default:
+      ctx.moveTo(start.x, start.y)
+      for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y)
+  }
+  ctx.stroke()
+  ctx.restore()
+}
+
+/** Rasterizes strokes onto a white background with the same routine the live canvas uses. */
+export function renderBoardPng(strokes: Stroke[], w = EXPORT_WIDTH, h = EXPORT_HEIGHT): Promise<Blob> {
+  const canvas = document.createElement('canvas')
+  canvas.width = w
+  canvas.height = h
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return Promise.reject(new Error('Canvas is not available'))
+  // Ink goes down first so erasers cut to transparency; the white background is then slid underneath.
+  for (const stroke of strokes) drawStroke(ctx, stroke, w, h)
+  ctx.save()
+  ctx.globalCompositeOperation = 'destination-over'
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, w, h)
+  ctx.restore()
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png')
+  })
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+const n = (v: number) => Number(v.toFixed(2))
+
+function svgElement(stroke: Stroke, w: number, h: number): string {
+  const points = stroke.points.map((p) => ({ x: n(p.x * w), y: n(p.y * h) }))
+  const color = escapeXml(stroke.color)
+
+  if (stroke.tool === 'text') {
+    if (!stroke.text || points.length === 0) return ''
+    return `<text x="${points[0].x}" y="${points[0].y}" fill="${color}" font-family="sans-serif" font-size="${textSize(stroke.width)}" dominant-baseline="hanging">${escapeXml(stroke.text)}</text>`
+  }
+  if (points.length < 2) return ''
+
+  // SVG has no destination-out, so eraser strokes paint the background colour instead.
+  const paint = `fill="none" stroke="${stroke.tool === 'eraser' ? '#ffffff' : color}" stroke-width="${stroke.width}" stroke-linecap="round" stroke-linejoin="round"`
+  const start = points[0]
+  const end = points[points.length - 1]
+  switch (stroke.tool) {
+    case 'line':
+      return `<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" ${paint}/>`
+    case 'arrow': {
+      const [left, right] = arrowHead(start, end, stroke.width)
+      return `<path d="M${start.x} ${start.y}L${end.x} ${end.y}M${end.x} ${end.y}L${n(left.x)} ${n(left.y)}M${end.x} ${end.y}L${n(right.x)} ${n(right.y)}" ${paint}/>`
+    }
+    case 'rect':
+      return `<rect x="${Math.min(start.x, end.x)}" y="${Math.min(start.y, end.y)}" width="${n(Math.abs(end.x - start.x))}" height="${n(Math.abs(end.y - start.y))}" ${paint}/>`
+    case 'ellipse':
+      return `<ellipse cx="${n((start.x + end.x) / 2)}" cy="${n((start.y + end.y) / 2)}" rx="${n(Math.abs(end.x - start.x) / 2)}" ry="${n(Math.abs(end.y - start.y) / 2)}" ${paint}/>`
+    default:
+      return `<path d="M${points.map((p) => `${p.x} ${p.y}`).join('L')}" ${paint}/>`
+  }
+}
+
+/** Vector export: one SVG element per stroke, scaled from the normalized points. */
+export function renderBoardSvg(strokes: Stroke[], w = EXPORT_WIDTH, h = EXPORT_HEIGHT): string {
+  const body = strokes.map((s) => svgElement(s, w, h)).filter(Boolean).join('\n  ')
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  ${body}
+</svg>
+`
+}
+
+export function serializeBoard(pages: WhiteboardPage[], strokes: Stroke[]): string {
+  const doc: WhiteboardDocument = { version: WHITEBOARD_DOC_VERSION, exportedAt: Date.now(), pages, strokes }
+  return JSON.stringify(doc, null, 2)
+}
+
+const isPoint = (p: unknown): p is StrokePoint =>
+  typeof p === 'object' && p !== null && Number.isFinite((p as StrokePoint).x) && Number.isFinite((p as StrokePoint).y)
+
+function isStroke(s: unknown): s is Stroke {
+  if (typeof s !== 'object' || s === null) return false
+  const stroke = s as Stroke
+  return typeof stroke.id === 'string'
+    && TOOLS.has(stroke.tool)
+    && typeof stroke.color === 'string'
+    && Number.isFinite(stroke.width)
+    && Array.isArray(stroke.points)
+    && stroke.points.length > 0
+    && stroke.points.every(isPoint)
+    && (stroke.text === undefined || typeof stroke.text === 'string')
+    && (stroke.pageId === undefined || typeof stroke.pageId === 'string')
+}
+
+const isPage = (p: unknown): p is WhiteboardPage =>
+  typeof p === 'object' && p !== null && typeof (p as WhiteboardPage).id === 'string' && typeof (p as WhiteboardPage).name === 'string'
+
+/** Parses an exported board. Throws on anything that is not a version-1 document. */
+export function parseBoard(text: string): WhiteboardDocument {
+  let raw: unknown
+  try {
+    raw = JSON.parse(text)
+  } catch {
+    throw new Error('Not a whiteboard file')
+  }
+  const doc = raw as Partial<WhiteboardDocument> | null
+  if (!doc || typeof doc !== 'object' || doc.version !== WHITEBOARD_DOC_VERSION) {
+    throw new Error('Unsupported whiteboard file version')
+  }
+  if (!Array.isArray(doc.pages) || !Array.isArray(doc.strokes) || !doc.pages.every(isPage) || !doc.strokes.every(isStroke)) {
+    throw new Error('Whiteboard file is damaged')
+  }
+  return { version: WHITEBOARD_DOC_VERSION, exportedAt: Number(doc.exportedAt) || 0, pages: doc.pages, strokes: doc.strokes }
+}
+
+export function downloadBlob(blob: Blob, filename: string): void {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a') as HTMLAnchorElement
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
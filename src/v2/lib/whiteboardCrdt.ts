@@ -0,0 +1,247 @@
+import { strokePage } from './whiteboard'
+import type { StateVector, Stroke, WhiteboardOp, WhiteboardSyncPayload } from '../types'
+
+/*
+ * The whiteboard as a last-writer-wins element set keyed by Stroke.id.
+ *
+ * Every entry remembers the clock of its latest add and latest remove, and
+ * every page remembers the clock of its latest clear. A stroke is visible when
+ * its add is newer than both, so applying the same ops in any order, any
+ * number of times, gives every participant the same board. Only the actor
+ * that first added a stroke may remove or re-add it (undo/redo).
+ *
+ * The server keeps the same model in lib/WhiteboardDoc.js.
+ */
+
+export const CRDT_LIMIT = 2000
+
+// Key in `clears` for a clear that covers every page
+const ALL_PAGES = '*'
+
+interface Clock {
+  t: number
+  actor: string
+}
+
+interface Entry {
+  stroke: Stroke | null
+  owner: string | null
+  added: Clock | null
+  removed: Clock | null
+}
+
+export interface WhiteboardCrdt {
+  clock: number
+  entries: Record<string, Entry>
+  clears: Record<string, Clock>
+  stateVector: StateVector
+  // Per actor, the highest seq the log may be missing (trimmed, or learned from a snapshot)
+  floor: StateVector
+  log: WhiteboardOp[]
+  // Log ops that arrived ahead of their actor's next seq, waiting for the gap to fill
+  pending: WhiteboardOp[]
+}
+
+export type WhiteboardOpBody =
+  | { kind: 'add'; stroke: Stroke }
+  | { kind: 'remove'; strokeId: string }
+  | { kind: 'clear'; pageId: string | null }
+
+export function createCrdt(): WhiteboardCrdt {
+  return { clock: 0, entries: {}, clears: {}, stateVector: {}, floor: {}, log: [], pending: [] }
+}
+
+export function compareClocks(a: Clock | null | undefined, b: Clock | null | undefined): number {
+  if (!a || !b) return a ? 1 : b ? -1 : 0
+  if (a.t !== b.t) return a.t - b.t
+  return a.actor < b.actor ? -1 : a.actor > b.actor ? 1 : 0
+}
+
+const later = (a: Clock | null | undefined, b: Clock): Clock => (compareClocks(a, b) >= 0 ? a! : b)
+
+function isVisible(entry: Entry, clears: Record<string, Clock>): boolean {
+  if (!entry.added || !entry.stroke) return false
+  if (compareClocks(entry.added, entry.removed) <= 0) return false
+  return compareClocks(entry.added, clears[strokePage(entry.stroke)]) > 0
+    && compareClocks(entry.added, clears[ALL_PAGES]) > 0
+}
+
+function integrate(entries: Record<string, Entry>, clears: Record<string, Clock>, op: WhiteboardOp): boolean {
+  const clock = { t: op.t, actor: op.actor }
+  if (op.kind === 'clear') {
+    const key = op.pageId ?? ALL_PAGES
+    clears[key] = later(clears[key], clock)
+    return true
+  }
+  const id = op.kind === 'add' ? op.stroke.id : op.strokeId
+  const entry = entries[id]
+  if (entry?.owner && entry.owner !== op.actor) return false
+  if (op.kind === 'add') {
+    const isNewer = compareClocks(clock, entry?.added) > 0
+    // A remove that arrived first from someone else never had the right to apply.
+    const removed = entry?.removed && entry.removed.actor === op.actor ? entry.removed : null
+    entries[id] = {
+      stroke: isNewer ? op.stroke : entry!.stroke,
+      owner: op.actor,
+      added: later(entry?.added, clock),
+      removed,
+    }
+  } else {
+    entries[id] = {
+      stroke: entry?.stroke ?? null,
+      owner: entry?.owner ?? null,
+      added: entry?.added ?? null,
+      removed: later(entry?.removed, clock),
+    }
+  }
+  return true
+}
+
+// Keeps the board and log bounded: strokes a clear has hidden for good go
+// first, then the oldest strokes; trimmed log ops raise the floor.
+function trim(doc: WhiteboardCrdt, limit: number) {
+  for (const [id, entry] of Object.entries(doc.entries)) {
+    if (!entry.added || !entry.stroke) continue
+    const pageClear = doc.clears[strokePage(entry.stroke)]
+    if (compareClocks(entry.added, doc.clears[ALL_PAGES]) <= 0 || compareClocks(entry.added, pageClear) <= 0) {
+      delete doc.entries[id]
+    }
+  }
+  const ids = Object.keys(doc.entries)
+  if (ids.length > limit) {
+    ids
+      .sort((a, b) => compareClocks(doc.entries[a].added, doc.entries[b].added))
+      .slice(0, ids.length - limit)
+      .forEach((id) => delete doc.entries[id])
+  }
+  if (doc.log.length > limit) {
+    for (const op of doc.log.splice(0, doc.log.length - limit)) {
+      doc.floor[op.actor] = Math.max(doc.floor[op.actor] ?? 0, op.seq)
+    }
+  }
+}
+
+/**
+ * Merges ops into the document. Log ops already covered by the state vector
+ * are skipped, and ones past an actor's next seq are held in `pending` until
+ * the seqs before them arrive. A sync's state vector vouches for every seq up
+ * to it: any of those the sender did not include are not coming, so nothing
+ * waits on them. Snapshot ops are always merged, and their state vector is
+ * adopted as both seen and floor.
+ */
+export function applyOps(
+  doc: WhiteboardCrdt,
+  ops: WhiteboardOp[],
+  sync: Partial<Pick<WhiteboardSyncPayload, 'stateVector' | 'snapshot'>> = {},
+  limit = CRDT_LIMIT
+): WhiteboardCrdt {
+  const next: WhiteboardCrdt = {
+    clock: doc.clock,
+    entries: { ...doc.entries },
+    clears: { ...doc.clears },
+    stateVector: { ...doc.stateVector },
+    floor: { ...doc.floor },
+    log: [...doc.log],
+    pending: [...doc.pending],
+  }
+  for (const op of ops) {
+    if (sync.snapshot) {
+      integrate(next.entries, next.clears, op)
+      next.clock = Math.max(next.clock, op.t)
+    } else if (
+      op.seq > (next.stateVector[op.actor] ?? 0)
+      && !next.pending.some((held) => held.actor === op.actor && held.seq === op.seq)
+    ) {
+      next.pending.push(op)
+    }
+  }
+  const vouched = sync.stateVector ?? {}
+  // In seq order, so each actor's ops apply one after another in a single pass
+  next.pending = next.pending
+    .sort((a, b) => a.seq - b.seq)
+    .filter((op) => {
+      const seen = next.stateVector[op.actor] ?? 0
+      if (op.seq <= seen) return false
+      if (op.seq !== seen + 1 && op.seq > (vouched[op.actor] ?? 0) + 1) return true
+      next.stateVector[op.actor] = op.seq
+      next.clock = Math.max(next.clock, op.t)
+      if (integrate(next.entries, next.clears, op)) next.log.push(op)
+      return false
+    })
+    .slice(0, limit)
+  for (const [actor, seq] of Object.entries(vouched)) {
+    next.stateVector[actor] = Math.max(next.stateVector[actor] ?? 0, seq)
+    if (sync.snapshot) next.floor[actor] = Math.max(next.floor[actor] ?? 0, seq)
+  }
+  trim(next, limit)
+  return next
+}
+
+/** Stamps a local edit with our next seq and Lamport time. */
+export function createOp(doc: WhiteboardCrdt, actor: string, body: WhiteboardOpBody): WhiteboardOp {
+  return { ...body, actor, seq: (doc.stateVector[actor] ?? 0) + 1, t: doc.clock + 1 } as WhiteboardOp
+}
+
+/** Visible strokes in clock order, which is also the order they are painted. */
+export function visibleStrokes(doc: WhiteboardCrdt): Stroke[] {
+  return Object.values(doc.entries)
+    .filter((entry) => isVisible(entry, doc.clears))
+    .sort((a, b) => compareClocks(a.added, b.added))
+    .map((entry) => entry.stroke!)
+}
+
+/** The newest stroke `actor` still has on `pageId`, i.e. what undo would take back. */
+export function lastOwnStroke(doc: WhiteboardCrdt, actor: string, pageId: string): Stroke | null {
+  let best: Entry | null = null
+  for (const entry of Object.values(doc.entries)) {
+    if (entry.owner !== actor || !isVisible(entry, doc.clears) || strokePage(entry.stroke!) !== pageId) continue
+    if (!best || compareClocks(entry.added, best.added) > 0) best = entry
+  }
+  return best?.stroke ?? null
+}
+
+function snapshotOps(doc: WhiteboardCrdt): WhiteboardOp[] {
+  const ops: WhiteboardOp[] = []
+  for (const [id, entry] of Object.entries(doc.entries)) {
+    if (entry.added && entry.stroke) ops.push({ kind: 'add', actor: entry.added.actor, seq: 0, t: entry.added.t, stroke: entry.stroke })
+    if (entry.removed) ops.push({ kind: 'remove', actor: entry.removed.actor, seq: 0, t: entry.removed.t, strokeId: id })
+  }
+  for (const [key, clock] of Object.entries(doc.clears)) {
+    ops.push({ kind: 'clear', actor: clock.actor, seq: 0, t: clock.t, pageId: key === ALL_PAGES ? null : key })
+  }
+  return ops
+}
+
+/**
+ * What a peer holding `theirs` is missing: log ops past their state vector,
+ * or a full snapshot when our log no longer reaches back far enough.
+ */
+export function opsSince(doc: WhiteboardCrdt, theirs: StateVector): WhiteboardSyncPayload {
+  const needsSnapshot = Object.entries(doc.stateVector).some(
+    ([actor, seq]) => seq > (theirs[actor] ?? 0) && (theirs[actor] ?? 0) < (doc.floor[actor] ?? 0)
+  )
+  return {
+    ops: needsSnapshot ? snapshotOps(doc) : doc.log.filter((op) => op.seq > (theirs[op.actor] ?? 0)),
+    stateVector: { ...doc.stateVector },
+    snapshot: needsSnapshot,
+  }
+}
+
+/** Splits ops into batches that stay under a data channel's message size. */
+export function chunkOps(ops: WhiteboardOp[], maxChars = 60_000): WhiteboardOp[][] {
+  const chunks: WhiteboardOp[][] = []
+  let current: WhiteboardOp[] = []
+  let size = 0
+  for (const op of ops) {
+    const opSize = JSON.stringify(op).length
+    if (current.length > 0 && size + opSize > maxChars) {
+      chunks.push(current)
+      current = []
+      size = 0
+    }
+    current.push(op)
+    size += opSize
+  }
+  if (current.length > 0) chunks.push(current)
+  return chunks
+}
@@ -0,0 +1,87 @@
+import type { MediaKey } from '../lib/chatCrypto'
+import { clearHeaderBytes, decryptFrame, encryptFrame, isEncryptedFrame } from './frameCrypto'
+import type { MediaStatusMessage, MediaTransformOptions, MediaWorkerMessage } from './MediaEncryptionManager'
+
+type EncodedFrame = RTCEncodedVideoFrame | RTCEncodedAudioFrame
+
+// RTCTransformEvent lives in the worker typings, which this project does not load.
+interface TransformEvent {
+  transformer: { readable: ReadableStream; writable: WritableStream; options: unknown }
+}
+
+let enabled = false
+let current: MediaKey | null = null
+// Every key we were given, so frames still in flight under a rotated-out key decrypt.
+const keys = new Map<number, CryptoKey>()
+const encryptTo = new Set<string>()
+const encryptedFrom = new Map<string, boolean>()
+
+function report(peerId: string, encrypted: boolean) {
+  if (encryptedFrom.get(peerId) === encrypted) return
+  encryptedFrom.set(peerId, encrypted)
+  const message: MediaStatusMessage = { type: 'status', peerId, encrypted }
+  self.postMessage(message)
+}
+
+function frameTransform({ operation, peerId, kind }: MediaTransformOptions) {
+  return new TransformStream<EncodedFrame, EncodedFrame>({
+    async transform(frame, controller) {
+      if (operation === 'encrypt') {
+        if (enabled && current && encryptTo.has(peerId)) {
+          const frameType = 'type' in frame ? frame.type : undefined
+          frame.data = await encryptFrame(frame.data, current, clearHeaderBytes(kind, frameType))
+        }
+        controller.enqueue(frame)
+        return
+      }
+      if (!isEncryptedFrame(frame.data)) {
+        report(peerId, false)
+        controller.enqueue(frame)
+        return
+      }
+      const plaintext = await decryptFrame(frame.data, keys)
+      if (!plaintext) return
+      frame.data = plaintext
+      report(peerId, true)
+      controller.enqueue(frame)
+    },
+  })
+}
+
+function pipe(readable: ReadableStream, writable: WritableStream, options: MediaTransformOptions) {
+  readable
+    .pipeThrough(frameTransform(options))
+    .pipeTo(writable)
+    .catch((err) => console.warn('[MediaCryptoWorker] transform ended:', options.peerId, String(err)))
+}
+
+;(self as any).onmessage = (e: MessageEvent<MediaWorkerMessage>) => {
+  const message = e.data
+  switch (message.type) {
+    case 'keys':
+      keys.clear()
+      message.keys.forEach((k) => keys.set(k.tag, k.key))
+      current = message.keys.find((k) => k.tag === message.current) ?? null
+      break
+    case 'enabled':
+      enabled = message.enabled
+      break
+    case 'peer':
+      if (message.encrypt) encryptTo.add(message.peerId)
+      else encryptTo.delete(message.peerId)
+      break
+    case 'remove-peer':
+      encryptTo.delete(message.peerId)
+      encryptedFrom.delete(message.peerId)
+      break
+    case 'streams':
+      pipe(message.readable, message.writable, message.options)
+      break
+  }
+}
+
+// With RTCRtpScriptTransform the browser hands each sender's or receiver's streams over here.
+;(self as any).onrtctransform = (event: TransformEvent) => {
+  const { readable, writable, options } = event.transformer
+  pipe(readable, writable, options as MediaTransformOptions)
+}
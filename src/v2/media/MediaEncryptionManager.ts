@@ -0,0 +1,154 @@
+import type { MediaKey } from '../lib/chatCrypto'
+
+/** Which encoded-transform API this browser offers for end-to-end media encryption. */
+export type EncodedTransformApi = 'script-transform' | 'encoded-streams'
+
+export interface MediaTransformOptions {
+  operation: 'encrypt' | 'decrypt'
+  peerId: string
+  kind: 'audio' | 'video'
+}
+
+/** Main thread → MediaCryptoWorker. */
+export type MediaWorkerMessage =
+  | { type: 'keys'; keys: MediaKey[]; current: number | null }
+  | { type: 'enabled'; enabled: boolean }
+  | { type: 'peer'; peerId: string; encrypt: boolean }
+  | { type: 'remove-peer'; peerId: string }
+  | { type: 'streams'; readable: ReadableStream; writable: WritableStream; options: MediaTransformOptions }
+
+/** MediaCryptoWorker → main thread: whether frames from a peer arrive encrypted. */
+export interface MediaStatusMessage {
+  type: 'status'
+  peerId: string
+  encrypted: boolean
+}
+
+// Chromium's older insertable-streams API; not in the DOM typings.
+type WithEncodedStreams = { createEncodedStreams?: () => { readable: ReadableStream; writable: WritableStream } }
+
+/** Null means no encoded transforms: media still flows, protected by DTLS-SRTP only. */
+export function encodedTransformApi(): EncodedTransformApi | null {
+  if (typeof RTCRtpScriptTransform !== 'undefined') return 'script-transform'
+  if (typeof RTCRtpSender !== 'undefined' && 'createEncodedStreams' in RTCRtpSender.prototype) return 'encoded-streams'
+  return null
+}
+
+/**
+ * Routes every sender and receiver of our peer connections through a
+ * MediaCryptoWorker. Receivers always go through it, so encrypted frames from
+ * any peer are readable; senders encrypt only while enabled, and only to peers
+ * that said they can decrypt.
+ *
+ * Calls made before the worker has loaded are queued and replayed in order.
+ *
+ * @example
+ * ```ts
+ * const manager = new MediaEncryptionManager(workerPromise, 'script-transform', onStatus)
+ * manager.setKeys(mediaKeys, mediaKeys[0].tag)
+ * pc.getSenders().forEach((s) => manager.attachSender(s, peerId))
+ * ```
+ */
+export class MediaEncryptionManager {
+  private worker: Worker | null = null
+  private pending: Array<(worker: Worker) => void> = []
+  private attached = new WeakSet<RTCRtpSender | RTCRtpReceiver>()
+  private disposed = false
+
+  /**
+   * @param workerReady - Resolves to the MediaCryptoWorker (or a mock in tests).
+   * @param api         - From `encodedTransformApi()`.
+   * @param onStatus    - Called when frames from a peer switch between encrypted and clear.
+   */
+  constructor(
+    workerReady: Promise<Worker>,
+    private api: EncodedTransformApi,
+    onStatus: (peerId: string, encrypted: boolean) => void,
+  ) {
+    workerReady
+      .then((worker) => {
+        if (this.disposed) {
+          worker.terminate()
+          return
+        }
+        worker.onmessage = (e: MessageEvent<MediaStatusMessage>) => {
+          if (e.data?.type === 'status') onStatus(e.data.peerId, e.data.encrypted)
+        }
+        this.worker = worker
+        this.pending.splice(0).forEach((run) => run(worker))
+      })
+      .catch((err) => {
+        console.error('[MediaEncryptionManager] worker failed to start:', err)
+      })
+  }
+
+  /** Extra RTCPeerConnection config; the older API has to be switched on per connection up front. */
+  get rtcConfig(): { encodedInsertableStreams?: boolean } {
+    return this.api === 'encoded-streams' ? { encodedInsertableStreams: true } : {}
+  }
+
+  setKeys(keys: MediaKey[], current: number | null): void {
+    this.post({ type: 'keys', keys, current })
+  }
+
+  setEnabled(enabled: boolean): void {
+    this.post({ type: 'enabled', enabled })
+  }
+
+  /** Whether our frames to this peer should be encrypted, i.e. it told us it can decrypt. */
+  setPeerEncryption(peerId: string, encrypt: boolean): void {
+    this.post({ type: 'peer', peerId, encrypt })
+  }
+
+  removePeer(peerId: string): void {
+    this.post({ type: 'remove-peer', peerId })
+  }
+
+  /** Safe to call again for the same sender; each one is attached once. */
+  attachSender(sender: RTCRtpSender, peerId: string): void {
+    const kind = sender.track?.kind === 'audio' ? 'audio' : 'video'
+    this.attach(sender, { operation: 'encrypt', peerId, kind })
+  }
+
+  attachReceiver(receiver: RTCRtpReceiver, peerId: string): void {
+    const kind = receiver.track.kind === 'audio' ? 'audio' : 'video'
+    this.attach(receiver, { operation: 'decrypt', peerId, kind })
+  }
+
+  dispose(): void {
+    this.disposed = true
+    this.pending = []
+    this.worker?.terminate()
+    this.worker = null
+  }
+
+  private attach(endpoint: RTCRtpSender | RTCRtpReceiver, options: MediaTransformOptions): void {
+    if (this.attached.has(endpoint)) return
+    this.attached.add(endpoint)
+    if (this.api === 'encoded-streams') {
+      // Taken straight away: on an insertable-streams connection an untaken
+      // stream carries nothing, and once frames flow it is too late to take it.
+      const streams = (endpoint as unknown as WithEncodedStreams).createEncodedStreams?.()
+      if (!streams) return
+      const { readable, writable } = streams
+      this.withWorker((worker) => {
+        const message: MediaWorkerMessage = { type: 'streams', readable, writable, options }
+        worker.postMessage(message, [readable, writable])
+      })
+    } else {
+      this.withWorker((worker) => {
+        endpoint.transform = new RTCRtpScriptTransform(worker, options)
+      })
+    }
+  }
+
+  private post(message: MediaWorkerMessage): void {
+    this.withWorker((worker) => worker.postMessage(message))
+  }
+
+  private withWorker(run: (worker: Worker) => void): void {
+    if (this.disposed) return
+    if (this.worker) run(this.worker)
+    else this.pending.push(run)
+  }
+}
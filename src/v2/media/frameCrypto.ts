@@ -0,0 +1,76 @@
+import type { MediaKey } from '../lib/chatCrypto'
+
+/*
+ * SFrame-style encryption of encoded media frames, run inside MediaCryptoWorker.
+ *
+ * The first few bytes of each frame stay in the clear because the packetizer
+ * and decoder read them (the VP8 payload header, the Opus TOC byte); they are
+ * still authenticated as AES-GCM additional data. An encrypted frame is:
+ *
+ *   clear header | ciphertext + GCM tag | IV (12) | key tag (4) | header length (1) | magic (2)
+ *
+ * The magic trailer lets a receiver pass through frames from peers that are
+ * not encrypting, so browsers without encoded transforms can share the room.
+ */
+
+const IV_BYTES = 12
+const TRAILER_BYTES = IV_BYTES + 4 + 1 + 2
+const MAGIC = [0xe2, 0xee]
+
+/** Bytes left in the clear at the front of a frame. Sized for VP8 and Opus. */
+export function clearHeaderBytes(kind: 'audio' | 'video', frameType?: string): number {
+  if (kind === 'audio') return 1
+  return frameType === 'key' ? 10 : 3
+}
+
+export async function encryptFrame(data: ArrayBuffer, mediaKey: MediaKey, headerBytes: number): Promise<ArrayBuffer> {
+  const bytes = new Uint8Array(data)
+  const header = bytes.slice(0, headerBytes)
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES))
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    mediaKey.key,
+    bytes.slice(header.length),
+  ))
+
+  const out = new Uint8Array(header.length + ciphertext.length + TRAILER_BYTES)
+  const trailer = header.length + ciphertext.length
+  out.set(header, 0)
+  out.set(ciphertext, header.length)
+  out.set(iv, trailer)
+  new DataView(out.buffer).setUint32(trailer + IV_BYTES, mediaKey.tag)
+  out[trailer + IV_BYTES + 4] = header.length
+  out.set(MAGIC, trailer + IV_BYTES + 5)
+  return out.buffer
+}
+
+export function isEncryptedFrame(data: ArrayBuffer): boolean {
+  const bytes = new Uint8Array(data)
+  return bytes.length >= TRAILER_BYTES && bytes[bytes.length - 2] === MAGIC[0] && bytes[bytes.length - 1] === MAGIC[1]
+}
+
+/**
+ * The original frame, or null when it cannot be read (unknown key, tampered
+ * or truncated). Callers drop those frames: a gap beats decoding garbage.
+ */
+export async function decryptFrame(data: ArrayBuffer, keys: ReadonlyMap<number, CryptoKey>): Promise<ArrayBuffer | null> {
+  const bytes = new Uint8Array(data)
+  const trailer = bytes.length - TRAILER_BYTES
+  if (trailer < 0) return null
+  const key = keys.get(new DataView(data).getUint32(trailer + IV_BYTES))
+  const headerLength = bytes[trailer + IV_BYTES + 4]
+  if (!key || headerLength > trailer) return null
+  try {
+    const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.slice(trailer, trailer + IV_BYTES), additionalData: bytes.slice(0, headerLength) },
+      key,
+      bytes.slice(headerLength, trailer),
+    ))
+    const out = new Uint8Array(headerLength + plaintext.length)
+    out.set(bytes.subarray(0, headerLength), 0)
+    out.set(plaintext, headerLength)
+    return out.buffer
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,131 @@
+import { ADVANCED_FEATURES } from '../../config/advancedFeatures'
+import type { VideoLayer } from '../types'
+import type Peer from 'simple-peer'
+
+/*
+ * Simulcast layers for camera video.
+ *
+ * Video goes out on a transceiver with three encodings, one per layer (rid
+ * low, medium and high), and a layer request switches encodings on and off
+ * rather than resizing them. The side that makes the offer sets them up: in a
+ * mesh that is whoever dials; through the SFU it is the server, whose offer
+ * asks for all three rids, so the sender we answer with takes them on. A
+ * mesh answer gets them the same way, should the offer ask for them.
+ *
+ * Through the SFU a publisher sends every layer some subscriber wants and the
+ * server forwards each subscriber the one it asked for. A mesh connection has
+ * a single receiver, so only its layer stays on. Browsers answer a mesh offer
+ * without simulcast, which leaves the sender one encoding; that one is scaled
+ * to the layer asked for instead.
+ */
+
+export const SIMULCAST_ENABLED: boolean = ADVANCED_FEATURES.SIMULCAST.enabled
+
+/** Layers from weakest to strongest. */
+export const VIDEO_LAYERS: readonly VideoLayer[] = ['paused', ...ADVANCED_FEATURES.SIMULCAST.layers as VideoLayer[]]
+
+export const LAYER_ENCODINGS: Record<Exclude<VideoLayer, 'paused'>, { scaleResolutionDownBy: number; maxBitrate: number }> = {
+  low: { scaleResolutionDownBy: 4, maxBitrate: 150_000 },
+  medium: { scaleResolutionDownBy: 2, maxBitrate: 500_000 },
+  high: { scaleResolutionDownBy: 1, maxBitrate: 1_500_000 },
+}
+
+export function isVideoLayer(value: unknown): value is VideoLayer {
+  return typeof value === 'string' && VIDEO_LAYERS.includes(value as VideoLayer)
+}
+
+/** The strongest of several requests for the same video; 'paused' when there are none. */
+export function strongestLayer(layers: Iterable<VideoLayer>): VideoLayer {
+  let strongest: VideoLayer = 'paused'
+  for (const layer of layers) {
+    if (VIDEO_LAYERS.indexOf(layer) > VIDEO_LAYERS.indexOf(strongest)) strongest = layer
+  }
+  return strongest
+}
+
+/** What the offering side asks a video sender for: every layer, strongest last. */
+export const SIMULCAST_ENCODINGS: readonly RTCRtpEncodingParameters[] = Object.entries(LAYER_ENCODINGS)
+  .map(([rid, encoding]) => ({ rid, ...encoding }))
+
+const isEncodedLayer = (rid: string | undefined): rid is keyof typeof LAYER_ENCODINGS =>
+  rid !== undefined && rid in LAYER_ENCODINGS
+
+type WebRtc = NonNullable<Peer.Options['wrtc']>
+let simulcastRtc: WebRtc | undefined
+
+/**
+ * The WebRTC implementation simple-peer connects with (its `wrtc` option):
+ * the browser's, except that video tracks go out on a simulcast transceiver.
+ * simple-peer still sees the sender it would have got from addTrack, so
+ * replacing and removing tracks work as before. Undefined without WebRTC.
+ */
+export function simulcastWebRtc(): WebRtc | undefined {
+  if (simulcastRtc || typeof RTCPeerConnection === 'undefined') return simulcastRtc
+  class SimulcastPeerConnection extends RTCPeerConnection {
+    // Our simulcast transceivers no offer has carried yet, with their track's streams
+    private unsent = new Map<RTCRtpTransceiver, MediaStream[]>()
+    // Senders simple-peer holds that were swapped for another (see setRemoteDescription)
+    private moved = new WeakMap<RTCRtpSender, RTCRtpSender>()
+
+    addTrack(track: MediaStreamTrack, ...streams: MediaStream[]): RTCRtpSender {
+      if (track.kind !== 'video') return super.addTrack(track, ...streams)
+      const transceiver = this.addTransceiver(track, {
+        direction: 'sendrecv',
+        streams,
+        sendEncodings: SIMULCAST_ENCODINGS.map((encoding) => ({ ...encoding })),
+      })
+      this.unsent.set(transceiver, streams)
+      return transceiver.sender
+    }
+
+    // When answering, an offer's m-lines only take up transceivers made by
+    // addTrack, so video still waiting for an m-line moves onto one of those
+    // first. The answer then sends it with the rids the offer asks to receive,
+    // or as one encoding, and simple-peer's sender forwards to the new one.
+    setRemoteDescription(description: RTCSessionDescriptionInit): Promise<void> {
+      if (description?.type === 'offer') {
+        for (const [transceiver, streams] of this.unsent) {
+          const { sender } = transceiver
+          const track = sender.track
+          transceiver.stop()
+          if (!track) continue
+          const replacement = super.addTrack(track, ...streams)
+          this.moved.set(sender, replacement)
+          sender.replaceTrack = (next) => replacement.replaceTrack(next)
+        }
+      }
+      this.unsent.clear()
+      return super.setRemoteDescription(description)
+    }
+
+    removeTrack(sender: RTCRtpSender): void {
+      super.removeTrack(this.moved.get(sender) ?? sender)
+    }
+  }
+  const { RTCSessionDescription, RTCIceCandidate } = globalThis
+  simulcastRtc = { RTCPeerConnection: SimulcastPeerConnection, RTCSessionDescription, RTCIceCandidate }
+  return simulcastRtc
+}
+
+/**
+ * Leaves on the encodings of a video sender for the given layers and turns
+ * the rest off; none at all pauses it. Senders not negotiated yet have no
+ * encodings to change; callers apply the layers again once they are.
+ */
+export async function applyVideoLayers(sender: RTCRtpSender, layers: readonly VideoLayer[]): Promise<void> {
+  const params = sender.getParameters()
+  if (!params.encodings?.length) return
+  if (params.encodings.length === 1) {
+    // Simulcast was not negotiated: one encoding, sized for the strongest request.
+    const layer = strongestLayer(layers)
+    params.encodings = [layer === 'paused'
+      ? { ...params.encodings[0], active: false }
+      : { ...params.encodings[0], active: true, ...LAYER_ENCODINGS[layer] }]
+  } else {
+    // Encodings from the server's offer come without sizes, so they are set here too.
+    params.encodings = params.encodings.map((encoding) => isEncodedLayer(encoding.rid)
+      ? { ...encoding, ...LAYER_ENCODINGS[encoding.rid], active: layers.includes(encoding.rid) }
+      : encoding)
+  }
+  await sender.setParameters(params)
+}
@@ -0,0 +1,8 @@
+/**
+ * Thin factory that isolates `import.meta.url` from Jest's Babel/CJS transform,
+ * like `audio/workerFactory`. PeerManager loads this module on demand, and only
+ * in browsers that support encoded transforms, so Jest never reaches it.
+ */
+export function createMediaCryptoWorker(): Worker {
+  return new Worker(new URL('./MediaCryptoWorker.ts', import.meta.url), { type: 'module' })
+}
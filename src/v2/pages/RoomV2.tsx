@@ -3,14 +3,20 @@ import { useNavigate, useParams } from 'react-router-dom'
 import { useCallStore } from '../store/useCallStore'
 import { useUIStore } from '../store/useUIStore'
 import { MediaController } from '../call/MediaController'
+import { ScreenShareController } from '../call/ScreenShareController'
+import { ActiveSpeakerController } from '../call/ActiveSpeakerController'
+import { PresenceController } from '../call/PresenceController'
 import { PeerManager, type PeerManagerHandle } from '../call/PeerManager'
 import { SpotlightView } from '../call/SpotlightView'
 import { ThumbnailStrip } from '../call/ThumbnailStrip'
+import { GridView } from '../call/GridView'
 import { ControlBar } from '../call/ControlBar'
 import { ChatPanel } from '../call/ChatPanel'
 import { ParticipantsPanel } from '../call/ParticipantsPanel'
+import { WaitingRoom } from '../call/WaitingRoom'
 import { PollBanner } from '../call/PollBanner'
 import { QAPanel } from '../call/QAPanel'
+import { PollsPanel } from '../call/PollsPanel'
 import { AISidePanel } from '../call/AISidePanel'
 import { TranscriptionController } from '../call/TranscriptionController'
 import { CaptionOverlay } from '../components/ai/CaptionOverlay'
@@ -27,33 +33,59 @@ export default function RoomV2() {
   const peerManagerRef = useRef<PeerManagerHandle>(null)
   const userName = useCallStore((s) => s.userName)
   const resetCall = useCallStore((s) => s.reset)
+  const leaveReason = useCallStore((s) => s.leaveReason)
+  const isWaitingForAdmission = useCallStore((s) => s.isWaitingForAdmission)
   const isChatOpen = useUIStore((s) => s.isChatOpen)
   const isParticipantsOpen = useUIStore((s) => s.isParticipantsOpen)
   const isQAOpen = useUIStore((s) => s.isQAOpen)
+  const isPollsOpen = useUIStore((s) => s.isPollsOpen)
   const isAIOpen = useUIStore((s) => s.isAIOpen)
   const isWhiteboardOpen = useUIStore((s) => s.isWhiteboardOpen)
   const toggleWhiteboard = useUIStore((s) => s.toggleWhiteboard)
+  const layout = useUIStore((s) => s.layout)
   const socketId = useCallStore((s) => s.socketId)
-  const isHost = useCallStore((s) => s.isHost)
+  const canModerate = useCallStore((s) => s.isHost || s.role === 'cohost')
   const grantedPeerIds = useWhiteboardStore((s) => s.grantedPeerIds)
-  const canDraw = isHost || grantedPeerIds.has(socketId ?? '')
+  const canDraw = canModerate || grantedPeerIds.has(socketId ?? '')
   const setRecordingState = useSessionStore((s) => s.setRecordingState)
   const [linkCopied, setLinkCopied] = useState(false)
 
   const handleCopyLink = async () => {
-    const url = `${window.location.origin}/room/${roomId}`
+    // The fragment never reaches a server, so the link can carry the chat key.
+    const chatKey = await peerManagerRef.current?.getInviteKey().catch(() => null)
+    const url = `${window.location.origin}/room/${roomId}${chatKey ? `#key=${chatKey}` : ''}`
     await navigator.clipboard.writeText(url)
     setLinkCopied(true)
     setTimeout(() => setLinkCopied(false), 2000)
   }
 
+  // Take the chat key out of the address bar before anything can redirect
+  // away from it or the user copies the URL somewhere less private.
+  useEffect(() => {
+    const key = new URLSearchParams(window.location.hash.slice(1)).get('key')
+    if (!key || !roomId) return
+    useCallStore.getState().setInviteChatKey({ roomId, key })
+    window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search)
+  }, [roomId])
+
   useEffect(() => {
     if (!userName) navigate(`/?redirect=/room/${roomId}`)
   }, [userName, roomId, navigate])
 
+  // The server removed us or turned us away (locked room, lobby denial) — leave the call.
+  // A passphrase request goes back to JoinForm with this room filled in.
+  useEffect(() => {
+    if (!leaveReason) return
+    resetCall()
+    navigate(leaveReason === 'password' ? `/?redirect=/room/${roomId}` : '/')
+  }, [leaveReason, resetCall, navigate, roomId])
+
   return (
     <div className="v2 flex flex-col h-screen bg-[var(--surface-base)]" data-testid="room-v2">
       <MediaController />
+      <ScreenShareController />
+      <ActiveSpeakerController />
+      <PresenceController />
       <TranscriptionController />
       <RecordingController roomId={roomId ?? ''} />
       {isWhiteboardOpen && <WhiteboardController />}
@@ -72,65 +104,134 @@ export default function RoomV2() {
         </button>
       </div>
 
-      <div className="flex flex-1 min-h-0">
-        <div className="flex flex-col flex-1 min-w-0 relative">
-          <SpotlightView />
-          <ThumbnailStrip />
-          <PollBanner onVotePoll={(id, idx) => peerManagerRef.current?.votePoll(id, idx)} />
-          <CaptionOverlay />
-          <div className="absolute top-4 right-4 z-10">
-            <RecordingIndicator />
+      {isWaitingForAdmission ? (
+        <WaitingRoom onLeave={() => { resetCall(); navigate('/') }} />
+      ) : (
+        <div className="flex flex-1 min-h-0">
+          <div className="flex flex-col flex-1 min-w-0 relative">
+            {layout === 'grid' ? (
+              <GridView />
+            ) : (
+              <>
+                <SpotlightView />
+                <ThumbnailStrip />
+              </>
+            )}
+            <PollBanner onVotePoll={(id, idx) => peerManagerRef.current?.votePoll(id, idx)} />
+            <CaptionOverlay />
+            <div className="absolute top-4 right-4 z-10">
+              <RecordingIndicator />
+            </div>
+            <ControlBar
+              onEndCall={() => { resetCall(); navigate('/') }}
+              onToggleHand={(raised) =>
+                raised ? peerManagerRef.current?.raiseHand() : peerManagerRef.current?.lowerHand()
+              }
+              onSendReaction={(emoji) => peerManagerRef.current?.sendReaction(emoji)}
+              onStartRecording={() => {
+                setRecordingState('recording')
+                peerManagerRef.current?.broadcastRecordingStarted()
+              }}
+              onStopRecording={() => {
+                setRecordingState('idle')
+                peerManagerRef.current?.broadcastRecordingStopped()
+              }}
+            />
           </div>
-          <ControlBar
-            onEndCall={() => { resetCall(); navigate('/') }}
-            onToggleHand={(raised) =>
-              raised ? peerManagerRef.current?.raiseHand() : peerManagerRef.current?.lowerHand()
-            }
-            onSendReaction={(emoji) => peerManagerRef.current?.sendReaction(emoji)}
-            onStartRecording={() => {
-              setRecordingState('recording')
-              peerManagerRef.current?.broadcastRecordingStarted()
-            }}
-            onStopRecording={() => {
-              setRecordingState('idle')
-              peerManagerRef.current?.broadcastRecordingStopped()
-            }}
-          />
-        </div>
 
-        {isChatOpen && (
-          <ChatPanel onSendMessage={(text) => peerManagerRef.current?.sendMessage(text)} />
-        )}
+          {isChatOpen && (
+            <ChatPanel
+              onSendMessage={(text, replyTo) => peerManagerRef.current?.sendMessage(text, replyTo)}
+              onEditMessage={(id, text) => peerManagerRef.current?.editMessage(id, text)}
+              onDeleteMessage={(id) => peerManagerRef.current?.deleteMessage(id)}
+              onReactToMessage={(id, emoji) => peerManagerRef.current?.reactToMessage(id, emoji)}
+              onShareFile={(file) => peerManagerRef.current?.shareFile(file)}
+              onDownloadFile={(fileId) => peerManagerRef.current?.downloadFile(fileId)}
+              onCancelFileTransfer={(fileId) => peerManagerRef.current?.cancelFileTransfer(fileId)}
+              onTyping={(isTyping) => peerManagerRef.current?.setTyping(isTyping)}
+              onPinMessage={(id) => peerManagerRef.current?.pinMessage(id)}
+              onUnpinMessage={() => peerManagerRef.current?.unpinMessage()}
+            />
+          )}
 
-        {isParticipantsOpen && (
-          <ParticipantsPanel />
-        )}
+          {isParticipantsOpen && (
+            <ParticipantsPanel
+              onTransferHost={(peerId) => peerManagerRef.current?.transferHost(peerId)}
+              onSetRole={(peerId, role) => peerManagerRef.current?.setPeerRole(peerId, role)}
+              onKick={(peerId) => peerManagerRef.current?.kickParticipant(peerId)}
+              onRequestMute={(peerId, kind) => peerManagerRef.current?.requestMute(peerId, kind)}
+              onLowerAllHands={() => peerManagerRef.current?.lowerAllHands()}
+              onLockRoom={(locked) => peerManagerRef.current?.lockRoom(locked)}
+              onSetLobbyEnabled={(enabled) => peerManagerRef.current?.setLobbyEnabled(enabled)}
+              onSetTrickleIce={(enabled) => peerManagerRef.current?.setTrickleIce(enabled)}
+              onAdmit={(peerId) => peerManagerRef.current?.admitParticipant(peerId)}
+              onDeny={(peerId) => peerManagerRef.current?.denyParticipant(peerId)}
+            />
+          )}
 
-        {isQAOpen && (
-          <QAPanel
-            onSubmitQuestion={(text) => peerManagerRef.current?.submitQuestion(text)}
-            onVoteQuestion={(id) => peerManagerRef.current?.voteQuestion(id)}
-            onAnswerQuestion={(id, ans) => peerManagerRef.current?.answerQuestion(id, ans)}
-          />
-        )}
+          {isQAOpen && (
+            <QAPanel
+              onSubmitQuestion={(text) => peerManagerRef.current?.submitQuestion(text)}
+              onVoteQuestion={(id) => peerManagerRef.current?.voteQuestion(id)}
+              onAnswerQuestion={(id, ans) => peerManagerRef.current?.answerQuestion(id, ans)}
+            />
+          )}
 
-        {isAIOpen && (
-          <AISidePanel peerManagerRef={peerManagerRef} />
-        )}
-      </div>
+          {isPollsOpen && (
+            <PollsPanel
+              onCreatePoll={(draft) => peerManagerRef.current?.createPoll(draft)}
+              onEndPoll={(pollId) => peerManagerRef.current?.endPoll(pollId)}
+            />
+          )}
 
-      {isWhiteboardOpen && (
+          {isAIOpen && (
+            <AISidePanel peerManagerRef={peerManagerRef} />
+          )}
+        </div>
+      )}
+
+      {isWhiteboardOpen && !isWaitingForAdmission && (
         <WhiteboardModal
           canDraw={canDraw}
           onClose={toggleWhiteboard}
           onStroke={(stroke) => {
-            useWhiteboardStore.getState().addStroke(stroke)
-            peerManagerRef.current?.broadcastWhiteboardStroke(stroke)
+            const op = useWhiteboardStore.getState().commitStroke(stroke)
+            peerManagerRef.current?.broadcastWhiteboardOps([op])
           }}
           onClear={() => {
-            useWhiteboardStore.getState().clearStrokes()
-            peerManagerRef.current?.broadcastWhiteboardClear()
+            const { currentPageId, clearStrokes } = useWhiteboardStore.getState()
+            peerManagerRef.current?.broadcastWhiteboardOps([clearStrokes(currentPageId)])
+          }}
+          onUndo={() => {
+            const op = useWhiteboardStore.getState().undo()
+            if (op) peerManagerRef.current?.broadcastWhiteboardOps([op])
+          }}
+          onRedo={() => {
+            const op = useWhiteboardStore.getState().redo()
+            if (op) peerManagerRef.current?.broadcastWhiteboardOps([op])
+          }}
+          onAddPage={(name) => {
+            const page = { id: crypto.randomUUID(), name }
+            useWhiteboardStore.getState().addPage(page)
+            useWhiteboardStore.getState().setCurrentPage(page.id)
+            peerManagerRef.current?.addWhiteboardPage(page)
+          }}
+          onImport={(doc) => {
+            // The import replaces the board. Strokes get fresh ids so they are
+            // ours to undo even if someone imported the same file before.
+            const wb = useWhiteboardStore.getState()
+            const drawerId = useCallStore.getState().socketId ?? '__local'
+            for (const page of doc.pages) {
+              wb.addPage(page)
+              peerManagerRef.current?.addWhiteboardPage(page)
+            }
+            const ops = [
+              wb.clearStrokes(),
+              ...doc.strokes.map((stroke) => wb.addStroke({ ...stroke, id: crypto.randomUUID(), drawerId })),
+            ]
+            peerManagerRef.current?.broadcastWhiteboardOps(ops)
           }}
+          onPointer={(pointer) => peerManagerRef.current?.sendWhiteboardPointer(pointer)}
           onGrant={(peerId) => {
             useWhiteboardStore.getState().grantDrawing(peerId)
             peerManagerRef.current?.broadcastWhiteboardGrant(peerId)
@@ -10,10 +10,14 @@ function generateRoomId(): string {
 export function JoinForm() {
   const [name, setName] = useState('')
   const [roomId, setRoomId] = useState('')
+  const [passphrase, setPassphrase] = useState('')
   const [copied, setCopied] = useState(false)
   const [searchParams] = useSearchParams()
   const navigate = useNavigate()
   const setUserName = useCallStore((s) => s.setUserName)
+  const setRoomPassword = useCallStore((s) => s.setRoomPassword)
+  const passwordPrompt = useCallStore((s) => s.passwordPrompt)
+  const setPasswordPrompt = useCallStore((s) => s.setPasswordPrompt)
 
   // Pre-fill room ID from invite link redirect parameter
   useEffect(() => {
@@ -26,15 +30,23 @@ export function JoinForm() {
     }
   }, [searchParams])
 
+  // Sent with the room-token request: protects a new room, unlocks an existing one
+  function submitPassphrase() {
+    setRoomPassword(passphrase)
+    setPasswordPrompt(null)
+  }
+
   async function handleCreate() {
     const id = roomId.trim() || generateRoomId()
     setUserName(name.trim())
+    submitPassphrase()
     navigate(`/room/${id}`)
   }
 
   async function handleJoin() {
     const id = roomId.trim()
     setUserName(name.trim())
+    submitPassphrase()
     navigate(`/room/${id}`)
   }
 
@@ -104,6 +116,37 @@ export function JoinForm() {
           )}
         </div>
 
+        <div className="flex flex-col gap-1.5">
+          <label className="text-[var(--text-muted)] text-[10px] uppercase tracking-widest">
+            Passphrase
+          </label>
+          <input
+            type="password"
+            data-testid="input-passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder={passwordPrompt ? 'Passphrase' : 'Passphrase (optional)'}
+            autoFocus={passwordPrompt !== null}
+            autoComplete="off"
+            className={`bg-[var(--surface-raised)] border rounded-[8px] px-3.5 py-3 text-[var(--text-primary)] text-sm outline-none focus:border-[var(--border-strong)] transition-colors placeholder:text-[var(--text-muted)] ${
+              passwordPrompt ? 'border-[var(--accent-danger)]' : 'border-[var(--border-default)]'
+            }`}
+          />
+          {passwordPrompt ? (
+            <p data-testid="passphrase-prompt" role="alert" className="text-[var(--accent-danger)] text-xs">
+              {passwordPrompt === 'incorrect'
+                ? 'That passphrase is incorrect. Try again.'
+                : passwordPrompt === 'not-set'
+                  ? 'This room is already open without a passphrase. Clear it to join anyway.'
+                  : 'This room is protected. Enter its passphrase.'}
+            </p>
+          ) : (
+            <p className="text-[var(--text-muted)] text-xs">
+              Set one when opening a new room to keep it private.
+            </p>
+          )}
+        </div>
+
         <div className="flex gap-2 mt-1">
           <Button
             variant="primary"
@@ -1,27 +1,60 @@
 import { create } from 'zustand'
 import { useWhiteboardStore } from './useWhiteboardStore'
+import type { PeerRole, Presence } from '../types'
 
 interface CallStore {
   localStream: MediaStream | null
   isMuted: boolean
   isCamOff: boolean
+  isSpeaking: boolean
   isNoiseSuppressed: boolean
+  /** Encrypt our outgoing media end to end, to every peer that can decrypt it. */
+  isMediaEncrypted: boolean
   hasRaisedHand: boolean
+  /** Our own presence, worked out by PresenceController and broadcast by PeerManager. */
+  presence: Presence
   isHost: boolean
+  role: PeerRole
   userName: string
   socketId: string | null
   screenSharePeerId: string | null
+  isScreenSharing: boolean
+  screenStream: MediaStream | null
   mediaError: string | null
+  /** Set when the server ends our stay in the room; RoomV2 navigates home. */
+  leaveReason: 'removed' | 'locked' | 'denied' | 'password' | 'full' | null
+  /** True while the server holds us in the lobby; RoomV2 shows the waiting room. */
+  isWaitingForAdmission: boolean
+  /** Passphrase sent with the room-token request; sets it when we open an empty room. */
+  roomPassword: string
+  /** Why JoinForm should ask for a passphrase. Survives reset() so it outlives the room. */
+  passwordPrompt: 'required' | 'incorrect' | 'not-set' | null
+  /**
+   * Chat room key from an invite link's #key= fragment, tied to the room it
+   * was for. Survives reset() so a passphrase detour through JoinForm keeps it.
+   */
+  inviteChatKey: { roomId: string; key: string } | null
   setLocalStream: (stream: MediaStream | null) => void
   setMuted: (value: boolean) => void
   setCamOff: (value: boolean) => void
+  setSpeaking: (value: boolean) => void
   toggleNoiseSuppression: () => void
+  setMediaEncrypted: (value: boolean) => void
   setHandRaised: (value: boolean) => void
+  setPresence: (presence: Presence) => void
   setIsHost: (value: boolean) => void
+  setRole: (role: PeerRole) => void
   setUserName: (name: string) => void
   setSocketId: (id: string | null) => void
   setScreenSharePeerId: (id: string | null) => void
+  setScreenSharing: (value: boolean) => void
+  setScreenStream: (stream: MediaStream | null) => void
   setMediaError: (err: string | null) => void
+  setLeaveReason: (reason: 'removed' | 'locked' | 'denied' | 'password' | 'full' | null) => void
+  setWaitingForAdmission: (value: boolean) => void
+  setRoomPassword: (password: string) => void
+  setPasswordPrompt: (prompt: 'required' | 'incorrect' | 'not-set' | null) => void
+  setInviteChatKey: (invite: { roomId: string; key: string } | null) => void
   reset: () => void
 }
 
@@ -29,25 +62,47 @@ export const useCallStore = create<CallStore>((set) => ({
   localStream: null,
   isMuted: false,
   isCamOff: false,
+  isSpeaking: false,
   isNoiseSuppressed: true,
+  isMediaEncrypted: false,
   hasRaisedHand: false,
+  presence: 'active',
   isHost: false,
+  role: 'guest',
   userName: '',
   socketId: null,
   screenSharePeerId: null,
+  isScreenSharing: false,
+  screenStream: null,
   mediaError: null,
+  leaveReason: null,
+  isWaitingForAdmission: false,
+  roomPassword: '',
+  passwordPrompt: null,
+  inviteChatKey: null,
   setLocalStream: (stream) => set({ localStream: stream }),
   setMuted: (value) => set({ isMuted: value }),
   setCamOff: (value) => set({ isCamOff: value }),
+  setSpeaking: (value) => set({ isSpeaking: value }),
   toggleNoiseSuppression: () => set((s) => ({ isNoiseSuppressed: !s.isNoiseSuppressed })),
+  setMediaEncrypted: (value) => set({ isMediaEncrypted: value }),
   setHandRaised: (value) => set({ hasRaisedHand: value }),
-  setIsHost: (value) => set({ isHost: value }),
+  setPresence: (presence) => set({ presence }),
+  setIsHost: (value) => set({ isHost: value, role: value ? 'host' : 'guest' }),
+  setRole: (role) => set({ role, isHost: role === 'host' }),
   setUserName: (name) => set({ userName: name }),
   setSocketId: (id) => set({ socketId: id }),
   setScreenSharePeerId: (id) => set({ screenSharePeerId: id }),
+  setScreenSharing: (value) => set({ isScreenSharing: value }),
+  setScreenStream: (stream) => set({ screenStream: stream }),
   setMediaError: (err) => set({ mediaError: err }),
+  setLeaveReason: (reason) => set({ leaveReason: reason }),
+  setWaitingForAdmission: (value) => set({ isWaitingForAdmission: value }),
+  setRoomPassword: (password) => set({ roomPassword: password }),
+  setPasswordPrompt: (prompt) => set({ passwordPrompt: prompt }),
+  setInviteChatKey: (invite) => set({ inviteChatKey: invite }),
   reset: () => {
     useWhiteboardStore.getState().reset()
-    set({ isMuted: false, isCamOff: false, mediaError: null, isNoiseSuppressed: true, socketId: null, hasRaisedHand: false })
+    set({ isMuted: false, isCamOff: false, isSpeaking: false, mediaError: null, isNoiseSuppressed: true, isMediaEncrypted: false, socketId: null, hasRaisedHand: false, presence: 'active', isScreenSharing: false, screenSharePeerId: null, leaveReason: null, isWaitingForAdmission: false, roomPassword: '' })
   },
 }))
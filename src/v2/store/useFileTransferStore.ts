@@ -0,0 +1,28 @@
+import { create } from 'zustand'
+import type { FileTransfer } from '../types'
+
+const EMPTY_TRANSFER: FileTransfer = { status: 'idle', received: 0, url: null, sending: 0, error: null }
+
+interface FileTransferStore {
+  /** Keyed by SharedFile id. Files with no entry have not been touched yet. */
+  transfers: Record<string, FileTransfer>
+  patchTransfer: (fileId: string, patch: Partial<FileTransfer>) => void
+  /** Revokes every object URL; called when we leave the room. */
+  reset: () => void
+}
+
+export const getTransfer = (transfers: Record<string, FileTransfer>, fileId: string): FileTransfer =>
+  transfers[fileId] ?? EMPTY_TRANSFER
+
+export const useFileTransferStore = create<FileTransferStore>((set, get) => ({
+  transfers: {},
+  patchTransfer: (fileId, patch) => set((s) => {
+    const current = getTransfer(s.transfers, fileId)
+    if (patch.url !== undefined && current.url && current.url !== patch.url) URL.revokeObjectURL(current.url)
+    return { transfers: { ...s.transfers, [fileId]: { ...current, ...patch } } }
+  }),
+  reset: () => {
+    Object.values(get().transfers).forEach((t) => { if (t.url) URL.revokeObjectURL(t.url) })
+    set({ transfers: {} })
+  },
+}))
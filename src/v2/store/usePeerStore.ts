@@ -1,15 +1,25 @@
 import { create } from 'zustand'
-import type { PeerRecord } from '../types'
+import { strongestLayer } from '../media/simulcast'
+import type { PeerRecord, VideoLayer } from '../types'
 
 interface PeerStore {
   peers: Map<string, PeerRecord>
+  /** Most recent remote peer to start speaking; sticky until someone else does. */
+  activeSpeakerId: string | null
+  /** Simulcast layer each mounted view renders its peers at, keyed by view. */
+  viewLayers: Record<string, Record<string, VideoLayer>>
   setPeer: (id: string, record: PeerRecord) => void
   patchPeer: (id: string, partial: Partial<PeerRecord>) => void
   removePeer: (id: string) => void
+  setActiveSpeaker: (id: string | null) => void
+  /** null when the view unmounts. */
+  setViewLayers: (view: string, layers: Record<string, VideoLayer> | null) => void
 }
 
 export const usePeerStore = create<PeerStore>((set, get) => ({
   peers: new Map(),
+  activeSpeakerId: null,
+  viewLayers: {},
 
   setPeer: (id, record) => {
     const peers = new Map(get().peers)
@@ -29,6 +39,29 @@ export const usePeerStore = create<PeerStore>((set, get) => ({
     if (!get().peers.has(id)) return
     const peers = new Map(get().peers)
     peers.delete(id)
-    set({ peers })
+    set(get().activeSpeakerId === id ? { peers, activeSpeakerId: null } : { peers })
+  },
+
+  setActiveSpeaker: (id) => set({ activeSpeakerId: id }),
+
+  setViewLayers: (view, layers) => {
+    const current = get().viewLayers
+    const previous = current[view]
+    if (layers && previous && sameLayers(previous, layers)) return
+    if (!layers && !previous) return
+    const viewLayers = { ...current }
+    if (layers) viewLayers[view] = layers
+    else delete viewLayers[view]
+    set({ viewLayers })
   },
 }))
+
+function sameLayers(a: Record<string, VideoLayer>, b: Record<string, VideoLayer>): boolean {
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every((id) => a[id] === b[id])
+}
+
+/** The layer we need of a peer: the strongest any view renders it at, 'paused' when none shows it. */
+export function wantedLayer(viewLayers: Record<string, Record<string, VideoLayer>>, peerId: string): VideoLayer {
+  return strongestLayer(Object.values(viewLayers).flatMap((layers) => layers[peerId] ?? []))
+}
@@ -1,39 +1,84 @@
 import { create } from 'zustand'
-import type { ChatMessage, Poll, Question } from '../types'
+import type { ChatMessage, LobbyEntry, MediaMode, Poll, Question } from '../types'
 
 interface SessionStore {
   messages: ChatMessage[]
   pinnedMessage: ChatMessage | null
   activePoll: Poll | null
+  /** Every poll run in this room, oldest first. */
+  polls: Poll[]
+  /** Most recently closed poll, shown as a results banner until dismissed. */
+  closedPoll: Poll | null
   pollResponses: Record<string, string>
   recordingState: 'idle' | 'recording' | 'paused'
   recordingConsentPeers: string[]
   questions: Question[]
+  isRoomLocked: boolean
+  isLobbyEnabled: boolean
+  /** Off when a moderator keeps the room on full-gathering offers and answers. */
+  isTrickleIceEnabled: boolean
+  /** The server moves a room to its SFU once it grows too big for a mesh. */
+  mediaMode: MediaMode
+  /** Joiners waiting for admission; only sent to moderators. */
+  lobby: LobbyEntry[]
   addMessage: (msg: ChatMessage) => void
+  /** Replaces the message with the same id (edits, deletions, reactions), or appends it. */
+  upsertMessage: (msg: ChatMessage) => void
   pinMessage: (msg: ChatMessage) => void
   unpinMessage: () => void
   setActivePoll: (poll: Poll | null) => void
+  setPolls: (polls: Poll[]) => void
+  upsertPoll: (poll: Poll) => void
+  setClosedPoll: (poll: Poll | null) => void
   recordPollResponse: (peerId: string, choiceId: string) => void
   setRecordingState: (state: 'idle' | 'recording' | 'paused') => void
   addRecordingConsent: (peerId: string) => void
   addQuestion: (q: Question) => void
   updateQuestion: (q: Question) => void
   setQuestionsHistory: (qs: Question[]) => void
+  setRoomLocked: (locked: boolean) => void
+  setLobbyEnabled: (enabled: boolean) => void
+  setTrickleIceEnabled: (enabled: boolean) => void
+  setMediaMode: (mode: MediaMode) => void
+  setLobby: (entries: LobbyEntry[]) => void
 }
 
 export const useSessionStore = create<SessionStore>((set, get) => ({
   messages: [],
   pinnedMessage: null,
   activePoll: null,
+  polls: [],
+  closedPoll: null,
   pollResponses: {},
   recordingState: 'idle',
   recordingConsentPeers: [],
   questions: [],
+  isRoomLocked: false,
+  isLobbyEnabled: false,
+  isTrickleIceEnabled: true,
+  mediaMode: 'mesh',
+  lobby: [],
 
   addMessage: (msg) => set((s) => ({ messages: [...s.messages, msg] })),
+  upsertMessage: (msg) => set((s) => {
+    const idx = s.messages.findIndex((m) => m.id === msg.id)
+    if (idx === -1) return { messages: [...s.messages, msg] }
+    const next = [...s.messages]
+    next[idx] = msg
+    return { messages: next }
+  }),
   pinMessage: (msg) => set({ pinnedMessage: msg }),
   unpinMessage: () => set({ pinnedMessage: null }),
   setActivePoll: (poll) => set({ activePoll: poll, pollResponses: {} }),
+  setPolls: (polls) => set({ polls }),
+  upsertPoll: (poll) => set((s) => {
+    const idx = s.polls.findIndex((p) => p.id === poll.id)
+    if (idx === -1) return { polls: [...s.polls, poll] }
+    const next = [...s.polls]
+    next[idx] = poll
+    return { polls: next }
+  }),
+  setClosedPoll: (poll) => set({ closedPoll: poll }),
   recordPollResponse: (peerId, choiceId) =>
     set((s) => ({ pollResponses: { ...s.pollResponses, [peerId]: choiceId } })),
   setRecordingState: (state) => set({ recordingState: state }),
@@ -51,4 +96,9 @@ export const useSessionStore = create<SessionStore>((set, get) => ({
     return { questions: next }
   }),
   setQuestionsHistory: (qs) => set({ questions: qs }),
+  setRoomLocked: (locked) => set({ isRoomLocked: locked }),
+  setLobbyEnabled: (enabled) => set({ isLobbyEnabled: enabled }),
+  setTrickleIceEnabled: (enabled) => set({ isTrickleIceEnabled: enabled }),
+  setMediaMode: (mode) => set({ mediaMode: mode }),
+  setLobby: (entries) => set({ lobby: entries }),
 }))
@@ -2,49 +2,66 @@ import { create } from 'zustand'
 import type { Toast } from '../types'
 import { useTranscriptionStore } from './useTranscriptionStore'
 
+type Layout = 'spotlight' | 'grid'
+
+const LAYOUT_KEY = 'velo_layout'
+
+function getSavedLayout(): Layout {
+  try {
+    return localStorage.getItem(LAYOUT_KEY) === 'grid' ? 'grid' : 'spotlight'
+  } catch {
+    return 'spotlight'
+  }
+}
+
 interface UIStore {
   isChatOpen: boolean
   isParticipantsOpen: boolean
   isQAOpen: boolean
+  isPollsOpen: boolean
   isAIOpen: boolean
   isCaptionsOpen: boolean
   isWhiteboardOpen: boolean
   activeModal: string | null
   toasts: Toast[]
-  layout: 'spotlight' | 'grid'
+  layout: Layout
   toggleChat: () => void
   toggleParticipants: () => void
   toggleQA: () => void
+  togglePolls: () => void
   toggleAI: () => void
   toggleCaptions: () => void
   toggleWhiteboard: () => void
   setActiveModal: (modal: string | null) => void
   addToast: (toast: Toast) => void
   removeToast: (id: string) => void
-  setLayout: (layout: 'spotlight' | 'grid') => void
+  setLayout: (layout: Layout) => void
 }
 
 export const useUIStore = create<UIStore>((set, get) => ({
   isChatOpen: false,
   isParticipantsOpen: false,
   isQAOpen: false,
+  isPollsOpen: false,
   isAIOpen: false,
   isCaptionsOpen: false,
   isWhiteboardOpen: false,
   activeModal: null,
   toasts: [],
-  layout: 'spotlight',
+  layout: getSavedLayout(),
 
   // Panels are mutually exclusive: opening any one closes all others.
-  toggleChat: () => set((s) => ({ isChatOpen: !s.isChatOpen, isParticipantsOpen: false, isQAOpen: false, isAIOpen: false, isWhiteboardOpen: false })),
-  toggleParticipants: () => set((s) => ({ isParticipantsOpen: !s.isParticipantsOpen, isChatOpen: false, isQAOpen: false, isAIOpen: false, isWhiteboardOpen: false })),
-  toggleQA: () => set((s) => ({ isQAOpen: !s.isQAOpen, isChatOpen: false, isParticipantsOpen: false, isAIOpen: false, isWhiteboardOpen: false })),
-  toggleAI: () => set((s) => ({ isAIOpen: !s.isAIOpen, isChatOpen: false, isParticipantsOpen: false, isQAOpen: false, isWhiteboardOpen: false })),
+  toggleChat: () => set((s) => ({ isChatOpen: !s.isChatOpen, isParticipantsOpen: false, isQAOpen: false, isPollsOpen: false, isAIOpen: false, isWhiteboardOpen: false })),
+  toggleParticipants: () => set((s) => ({ isParticipantsOpen: !s.isParticipantsOpen, isChatOpen: false, isQAOpen: false, isPollsOpen: false, isAIOpen: false, isWhiteboardOpen: false })),
+  toggleQA: () => set((s) => ({ isQAOpen: !s.isQAOpen, isChatOpen: false, isParticipantsOpen: false, isPollsOpen: false, isAIOpen: false, isWhiteboardOpen: false })),
+  togglePolls: () => set((s) => ({ isPollsOpen: !s.isPollsOpen, isChatOpen: false, isParticipantsOpen: false, isQAOpen: false, isAIOpen: false, isWhiteboardOpen: false })),
+  toggleAI: () => set((s) => ({ isAIOpen: !s.isAIOpen, isChatOpen: false, isParticipantsOpen: false, isQAOpen: false, isPollsOpen: false, isWhiteboardOpen: false })),
   toggleWhiteboard: () => set((s) => ({
     isWhiteboardOpen: !s.isWhiteboardOpen,
     isChatOpen: false,
     isParticipantsOpen: false,
     isQAOpen: false,
+    isPollsOpen: false,
     isAIOpen: false,
   })),
 
@@ -62,5 +79,12 @@ export const useUIStore = create<UIStore>((set, get) => ({
   setActiveModal: (modal) => set({ activeModal: modal }),
   addToast: (toast) => set((s) => ({ toasts: [...s.toasts, toast] })),
   removeToast: (id) => set((s) => ({ toasts: s.toasts.filter((t) => t.id !== id) })),
-  setLayout: (layout) => set({ layout }),
+  setLayout: (layout) => {
+    try {
+      localStorage.setItem(LAYOUT_KEY, layout)
+    } catch {
+      // storage unavailable (private mode / quota) — the choice just won't persist
+    }
+    set({ layout })
+  },
 }))
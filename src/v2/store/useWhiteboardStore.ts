@@ -1,42 +1,173 @@
 import { create } from 'zustand'
-import type { Stroke } from '../types'
+import { DEFAULT_PAGE_ID, extendTrail, strokePage } from '../lib/whiteboard'
+import {
+  applyOps as mergeOps,
+  createCrdt,
+  createOp,
+  lastOwnStroke,
+  visibleStrokes,
+  type WhiteboardCrdt,
+  type WhiteboardOpBody,
+} from '../lib/whiteboardCrdt'
+import type {
+  RemoteCursor,
+  Stroke,
+  StrokePoint,
+  TrailPoint,
+  WhiteboardOp,
+  WhiteboardPage,
+  WhiteboardPointer,
+  WhiteboardSyncPayload,
+  WhiteboardTool,
+} from '../types'
+
+const DEFAULT_PAGES: WhiteboardPage[] = [{ id: DEFAULT_PAGE_ID, name: 'Page 1' }]
+
+// Identifies this tab's edits. It outlives socket reconnects so undo keeps
+// working, and is replaced on reset() when we leave the room. It only needs
+// to be unique within a room, not unguessable.
+const newActorId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
 
 interface WhiteboardStore {
+  actorId: string
+  crdt: WhiteboardCrdt
+  // Materialized from `crdt`: the visible strokes in paint order
   strokes: Stroke[]
+  // Our own strokes taken back by undo, newest last
+  redoStack: Stroke[]
+  pages: WhiteboardPage[]
+  currentPageId: string
   grantedPeerIds: Set<string>
-  currentTool: 'pen' | 'eraser'
+  currentTool: WhiteboardTool
   currentColor: string
-  addStroke: (stroke: Stroke) => void
-  clearStrokes: () => void
+  currentWidth: number
+  // Where everyone else is pointing, by peer id
+  cursors: Record<string, RemoteCursor>
+  // Our own laser trail; it is only drawn locally, peers rebuild it from our pointer
+  localTrail: TrailPoint[]
+  // Local edits: each returns the op to broadcast.
+  addStroke: (stroke: Stroke) => WhiteboardOp
+  commitStroke: (stroke: Stroke) => WhiteboardOp
+  undo: () => WhiteboardOp | null
+  redo: () => WhiteboardOp | null
+  clearStrokes: (pageId?: string) => WhiteboardOp
+  // Remote edits and sync replies
+  applyOps: (ops: WhiteboardOp[], sync?: Partial<Pick<WhiteboardSyncPayload, 'stateVector' | 'snapshot'>>) => void
+  setPages: (pages: WhiteboardPage[]) => void
+  addPage: (page: WhiteboardPage) => void
+  setCurrentPage: (pageId: string) => void
   grantDrawing: (peerId: string) => void
   revokeDrawing: (peerId: string) => void
-  setTool: (tool: 'pen' | 'eraser') => void
+  setTool: (tool: WhiteboardTool) => void
   setColor: (color: string) => void
+  setWidth: (width: number) => void
+  movePointer: (peerId: string, name: string, pointer: WhiteboardPointer) => void
+  removeCursor: (peerId: string) => void
+  extendLocalTrail: (point: StrokePoint) => void
   reset: () => void
 }
 
-export const useWhiteboardStore = create<WhiteboardStore>((set) => ({
-  strokes: [],
-  grantedPeerIds: new Set(),
-  currentTool: 'pen',
-  currentColor: '#222222',
+export const useWhiteboardStore = create<WhiteboardStore>((set, get) => {
+  function commit(body: WhiteboardOpBody, extra: Partial<WhiteboardStore> = {}): WhiteboardOp {
+    const { crdt, actorId } = get()
+    const op = createOp(crdt, actorId, body)
+    const next = mergeOps(crdt, [op])
+    set({ ...extra, crdt: next, strokes: visibleStrokes(next) })
+    return op
+  }
 
-  addStroke: (stroke) => set((s) => ({ strokes: [...s.strokes, stroke] })),
-  clearStrokes: () => set({ strokes: [] }),
-  grantDrawing: (peerId) =>
-    set((s) => ({ grantedPeerIds: new Set([...s.grantedPeerIds, peerId]) })),
-  revokeDrawing: (peerId) =>
-    set((s) => {
-      const next = new Set(s.grantedPeerIds)
-      next.delete(peerId)
-      return { grantedPeerIds: next }
-    }),
-  setTool: (tool) => set({ currentTool: tool }),
-  setColor: (color) => set({ currentColor: color }),
-  reset: () => set({
+  return {
+    actorId: newActorId(),
+    crdt: createCrdt(),
     strokes: [],
+    redoStack: [],
+    pages: DEFAULT_PAGES,
+    currentPageId: DEFAULT_PAGE_ID,
     grantedPeerIds: new Set(),
     currentTool: 'pen',
     currentColor: '#222222',
-  }),
-}))
+    currentWidth: 3,
+    cursors: {},
+    localTrail: [],
+
+    addStroke: (stroke) => commit({ kind: 'add', stroke }),
+    // A fresh local stroke starts a new history branch, so nothing is left to redo.
+    commitStroke: (stroke) => commit({ kind: 'add', stroke }, { redoStack: [] }),
+    undo: () => {
+      const { crdt, actorId, currentPageId, redoStack } = get()
+      const target = lastOwnStroke(crdt, actorId, currentPageId)
+      if (!target) return null
+      return commit({ kind: 'remove', strokeId: target.id }, { redoStack: [...redoStack, target] })
+    },
+    redo: () => {
+      const { redoStack, currentPageId } = get()
+      const target = redoStack.findLast((x) => strokePage(x) === currentPageId)
+      if (!target) return null
+      return commit({ kind: 'add', stroke: target }, { redoStack: redoStack.filter((x) => x.id !== target.id) })
+    },
+    clearStrokes: (pageId) =>
+      commit(
+        { kind: 'clear', pageId: pageId ?? null },
+        { redoStack: pageId ? get().redoStack.filter((x) => strokePage(x) !== pageId) : [] }
+      ),
+    applyOps: (ops, sync) =>
+      set((s) => {
+        const next = mergeOps(s.crdt, ops, sync)
+        return { crdt: next, strokes: visibleStrokes(next) }
+      }),
+    setPages: (pages) =>
+      set((s) => {
+        const next = pages.length > 0 ? pages : DEFAULT_PAGES
+        return {
+          pages: next,
+          currentPageId: next.some((p) => p.id === s.currentPageId) ? s.currentPageId : next[0].id,
+        }
+      }),
+    addPage: (page) =>
+      set((s) => (s.pages.some((p) => p.id === page.id) ? s : { pages: [...s.pages, page] })),
+    setCurrentPage: (pageId) =>
+      set((s) => (s.pages.some((p) => p.id === pageId) ? { currentPageId: pageId } : s)),
+    grantDrawing: (peerId) =>
+      set((s) => ({ grantedPeerIds: new Set([...s.grantedPeerIds, peerId]) })),
+    revokeDrawing: (peerId) =>
+      set((s) => {
+        const next = new Set(s.grantedPeerIds)
+        next.delete(peerId)
+        return { grantedPeerIds: next }
+      }),
+    setTool: (tool) => set({ currentTool: tool }),
+    setColor: (color) => set({ currentColor: color }),
+    setWidth: (width) => set({ currentWidth: width }),
+    movePointer: (peerId, name, pointer) =>
+      set((s) => {
+        const prev = s.cursors[peerId]
+        if (prev && prev.t >= pointer.t) return s
+        const { [peerId]: _gone, ...rest } = s.cursors
+        if (pointer.hidden) return { cursors: rest }
+        const keepsTrail = pointer.laser && prev?.laser && prev.pageId === pointer.pageId
+        const trail = pointer.laser ? extendTrail(keepsTrail ? prev.trail : [], pointer, Date.now()) : []
+        return { cursors: { ...rest, [peerId]: { ...pointer, peerId, name, trail } } }
+      }),
+    removeCursor: (peerId) =>
+      set((s) => {
+        if (!s.cursors[peerId]) return s
+        const { [peerId]: _gone, ...rest } = s.cursors
+        return { cursors: rest }
+      }),
+    extendLocalTrail: (point) => set((s) => ({ localTrail: extendTrail(s.localTrail, point, Date.now()) })),
+    reset: () => set({
+      actorId: newActorId(),
+      crdt: createCrdt(),
+      strokes: [],
+      redoStack: [],
+      pages: DEFAULT_PAGES,
+      currentPageId: DEFAULT_PAGE_ID,
+      grantedPeerIds: new Set(),
+      currentTool: 'pen',
+      currentColor: '#222222',
+      currentWidth: 3,
+      cursors: {},
+      localTrail: [],
+    }),
+  }
+})
@@ -11,6 +11,32 @@ export interface ChatMessage {
   peerName: string
   text: string
   sentAt: number
+  replyTo?: string | null                // id of the message this one quotes
+  editedAt?: number | null
+  deleted?: boolean                      // tombstone: text is empty
+  reactions?: Record<string, string[]>   // emoji → socketIds that reacted
+  file?: SharedFile                      // set on file shares; text is empty
+}
+
+// Metadata the signaling server relays for a file shared in chat. The bytes
+// only ever travel peer to peer.
+export interface SharedFile {
+  id: string
+  name: string
+  size: number
+  mime: string
+  hash: string    // hex SHA-256 of the whole file
+}
+
+export type FileTransferStatus = 'idle' | 'receiving' | 'complete' | 'failed' | 'cancelled'
+
+// LOCAL ONLY — this client's view of one shared file
+export interface FileTransfer {
+  status: FileTransferStatus
+  received: number       // bytes downloaded so far
+  url: string | null     // object URL of the verified file, or of our own share
+  sending: number        // uploads of our own share in flight
+  error: string | null
 }
 
 export interface Poll {
@@ -20,7 +46,23 @@ export interface Poll {
   createdAt: number
   createdBy: string
   isActive: boolean
-  votes: Record<string, number>   // socketId → optionIndex
+  votes: Record<string, number | number[]>   // socketId → optionIndex (multi-choice: indexes); empty when anonymous
+  anonymous?: boolean
+  multiChoice?: boolean
+  closesAt?: number | null    // auto-close deadline, ms since epoch
+  closedAt?: number | null
+  counts?: number[]           // per-option totals computed by the server
+  voterCount?: number
+  voterNames?: Record<string, string>   // socketId → name; empty when anonymous
+}
+
+// What a moderator fills in to start a poll.
+export interface PollDraft {
+  question: string
+  options: string[]
+  anonymous: boolean
+  multiChoice: boolean
+  durationSec: number | null   // null = stays open until ended
 }
 
 export interface Question {
@@ -43,11 +85,38 @@ export interface Toast {
   variant: 'info' | 'warn' | 'danger'
 }
 
+export interface MediaState {
+  isMuted: boolean
+  isCamOff: boolean
+}
+
+// Broadcast by each participant. Away: the tab is hidden. Idle: no input for a
+// while. Reconnecting: every media connection has dropped and is recovering.
+export type Presence = 'active' | 'away' | 'idle' | 'reconnecting'
+
+/** How a room's media travels: peer to peer, or published once to the server's SFU. */
+export type MediaMode = 'mesh' | 'sfu'
+
+/** Simulcast layer a receiver asks a sender for; 'paused' while none of its tiles are on screen. */
+export type VideoLayer = 'low' | 'medium' | 'high' | 'paused'
+
+// Assigned by the signaling server; cohosts share the host's moderation rights.
+export type PeerRole = 'host' | 'cohost' | 'guest'
+
+// Someone the server is holding in the lobby until a moderator admits them.
+export interface LobbyEntry {
+  id: string
+  name: string
+  isMuted: boolean
+  isCamOff: boolean
+  requestedAt: number
+}
+
 export interface PeerRecord {
   // identity
   id: string
   name: string
-  role: 'host' | 'guest'
+  role: PeerRole
 
   // media
   stream: MediaStream | null
@@ -59,14 +128,15 @@ export interface PeerRecord {
   // connection
   connectionState: RTCPeerConnectionState
   networkQuality: 'good' | 'fair' | 'poor'
+  isEncrypted: boolean        // LOCAL ONLY — their frames reach us end-to-end encrypted
 
-  // interactions (broadcast except isPinned)
-  isSpeaking: boolean         // local: Web Audio API then broadcast. remote: received cache.
+  // interactions (broadcast except isPinned and isSpeaking)
+  isSpeaking: boolean         // LOCAL ONLY — derived from the peer stream by ActiveSpeakerController
   isPinned: boolean           // LOCAL ONLY — never emit over Socket.io
   hasRaisedHand: boolean
   handRaisedAt: number | null // enables ordered speaker queue
   reaction: Reaction | null   // auto-cleared after 3000ms
-  isAway: boolean             // Page Visibility API
+  presence: Presence          // reported by the peer via presence-update
   isTyping: boolean           // typing indicator in chat
 }
 
@@ -82,11 +152,74 @@ export interface StrokePoint {
   y: number  // normalized: rawY / canvasHeight
 }
 
+export type StrokeTool = 'pen' | 'eraser' | 'line' | 'rect' | 'ellipse' | 'arrow' | 'text'
+
+// The laser only points; it never leaves a stroke behind.
+export type WhiteboardTool = StrokeTool | 'laser'
+
 export interface Stroke {
   id: string             // crypto.randomUUID()
-  tool: 'pen' | 'eraser'
+  tool: StrokeTool
   color: string          // hex e.g. '#ff4444'
-  width: number          // pen: 3, eraser: 20
-  points: StrokePoint[]
+  width: number          // line width in px; text size derives from it
+  points: StrokePoint[]  // freehand path; [start, end] for shapes; [anchor] for text
   drawerId: string       // socket ID of the peer who drew
+  text?: string          // text tool only
+  pageId?: string        // absent on older payloads, which belong to the first page
+}
+
+export interface WhiteboardPage {
+  id: string
+  name: string
+}
+
+// Where someone is pointing on the whiteboard. Sent many times a second and never stored.
+export interface WhiteboardPointer {
+  x: number              // normalized like StrokePoint
+  y: number
+  pageId: string
+  laser: boolean
+  hidden?: boolean       // the pointer left the board
+  t: number              // sender's Date.now(); a copy that arrives late is ignored
+}
+
+export interface TrailPoint extends StrokePoint {
+  at: number             // local time the point was seen, for fading
+}
+
+export interface RemoteCursor extends WhiteboardPointer {
+  peerId: string
+  name: string
+  trail: TrailPoint[]    // recent laser positions, oldest first
+}
+
+// Whiteboard sync operations. Each participant numbers its own ops 1, 2, 3… (`seq`)
+// and stamps them with a Lamport time (`t`); (t, actor) orders concurrent edits.
+interface WhiteboardOpBase {
+  actor: string
+  seq: number
+  t: number
+}
+
+export type WhiteboardOp =
+  | (WhiteboardOpBase & { kind: 'add'; stroke: Stroke })
+  | (WhiteboardOpBase & { kind: 'remove'; strokeId: string })
+  | (WhiteboardOpBase & { kind: 'clear'; pageId: string | null })
+
+// Highest op seq seen per actor
+export type StateVector = Record<string, number>
+
+export interface WhiteboardSyncPayload {
+  ops: WhiteboardOp[]
+  stateVector: StateVector
+  // Ops rebuilt from current state rather than taken from the log; applied regardless of seq.
+  snapshot: boolean
+}
+
+// What a board export holds; `version` guards imports against future formats.
+export interface WhiteboardDocument {
+  version: 1
+  exportedAt: number
+  pages: WhiteboardPage[]
+  strokes: Stroke[]
 }
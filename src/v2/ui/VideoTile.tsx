@@ -1,6 +1,6 @@
 import { useEffect, useRef } from 'react'
 import { Avatar } from './Avatar'
-import type { Reaction } from '../types'
+import type { Presence, Reaction } from '../types'
 
 interface VideoTileProps {
   peerId: string
@@ -9,12 +9,31 @@ interface VideoTileProps {
   isMuted: boolean
   isCamOff: boolean
   networkQuality: 'good' | 'fair' | 'poor'
-  isAway: boolean
+  /** Anything but 'active' dims the tile and says why. */
+  presence?: Presence
+  /** Our connection to this peer; while it is being recovered that outranks presence. */
+  connectionState?: RTCPeerConnectionState
   reaction: Reaction | null
   hasRaisedHand: boolean
+  isSpeaking?: boolean
+  /** Media on this tile is end-to-end encrypted (for the local tile: we are encrypting). */
+  isEncrypted?: boolean
   className?: string
 }
 
+const presenceLabels: Record<Presence, string | null> = {
+  active: null,
+  away: 'Away',
+  idle: 'Idle',
+  reconnecting: 'Reconnecting…',
+}
+
+function overlayLabel(presence: Presence, connectionState: RTCPeerConnectionState | undefined): string | null {
+  if (connectionState === 'disconnected') return 'Reconnecting…'
+  if (connectionState === 'failed') return 'Connection lost'
+  return presenceLabels[presence]
+}
+
 const qualityColors = {
   good: 'var(--accent-live)',
   fair: 'var(--accent-warn)',
@@ -23,9 +42,10 @@ const qualityColors = {
 
 export function VideoTile({
   peerId, name, stream, isMuted, isCamOff, networkQuality,
-  isAway, reaction, hasRaisedHand, className = '',
+  presence = 'active', connectionState, reaction, hasRaisedHand, isSpeaking = false, isEncrypted = false, className = '',
 }: VideoTileProps) {
   const videoRef = useRef<HTMLVideoElement>(null)
+  const overlay = overlayLabel(presence, connectionState)
 
   useEffect(() => {
     if (videoRef.current && stream) {
@@ -43,9 +63,9 @@ export function VideoTile({
         </div>
       )}
 
-      {isAway && (
-        <div className="absolute inset-0 bg-black/60 flex items-center justify-center">
-          <span className="text-[var(--text-muted)] text-xs uppercase tracking-widest">Away</span>
+      {overlay && (
+        <div data-testid="presence-overlay" className="absolute inset-0 bg-black/60 flex items-center justify-center">
+          <span className="text-[var(--text-muted)] text-xs uppercase tracking-widest">{overlay}</span>
         </div>
       )}
 
@@ -56,6 +76,11 @@ export function VideoTile({
       <div className="absolute bottom-0 left-0 right-0 flex items-center justify-between px-2 py-1.5 bg-gradient-to-t from-black/60 to-transparent">
         <span className="text-[var(--text-primary)] text-xs font-medium truncate">{name}</span>
         <div className="flex items-center gap-1.5">
+          {isEncrypted && (
+            <span data-testid="e2ee-indicator" className="text-[10px] leading-none" title="End-to-end encrypted" aria-label="End-to-end encrypted">
+              🔒
+            </span>
+          )}
           {isMuted && (
             <span data-testid="muted-indicator" className="w-1.5 h-1.5 rounded-full bg-[var(--accent-danger)]" />
           )}
@@ -63,6 +88,13 @@ export function VideoTile({
         </div>
       </div>
 
+      {isSpeaking && (
+        <div
+          data-testid="speaking-ring"
+          className="absolute inset-0 rounded-[8px] ring-2 ring-inset ring-[var(--accent-live)] pointer-events-none"
+        />
+      )}
+
       {hasRaisedHand && (
         <div data-testid="raised-hand" className="absolute top-2 left-2 text-base">✋</div>
       )}
@@ -9,6 +9,9 @@ import { render, act } from '@testing-library/react'
 import { usePeerStore } from '../../../src/v2/store/usePeerStore'
 import { useSessionStore } from '../../../src/v2/store/useSessionStore'
 import { useCallStore } from '../../../src/v2/store/useCallStore'
+import {
+  ICE_RESTART_GRACE_MS, MAX_REBUILD_ATTEMPTS, REBUILD_BASE_MS, REBUILD_MAX_MS,
+} from '../../../src/v2/call/PeerManager'
 
 // ── Socket mock ────────────────────────────────────────────────────────────────
 const socketCallbacks: Record<string, Function[]> = {}
@@ -191,3 +194,135 @@ test('new poll replaces previous poll and resets responses', async () => {
   expect(session.activePoll?.id).toBe('poll-2')
   expect(session.pollResponses).toEqual({})
 })
+
+describe('connection recovery', () => {
+  const SimplePeer = require('simple-peer') as jest.Mock
+  const stream = { getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream
+
+  // A connection of its own, so the one a rebuild replaces can be told apart from the new one.
+  function freshPeer() {
+    const callbacks: Record<string, Function> = {}
+    const peer = {
+      on: jest.fn((event: string, cb: Function) => { callbacks[event] = cb }),
+      signal: jest.fn(),
+      destroy: jest.fn(() => { peer.destroyed = true }),
+      addTrack: jest.fn(),
+      negotiate: jest.fn(),
+      send: jest.fn(),
+      initiator: true,
+      destroyed: false,
+      _pc: { restartIce: jest.fn(), getSenders: () => [], getReceivers: () => [] },
+    }
+    SimplePeer.mockImplementationOnce(() => peer)
+    return { peer, callbacks }
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    Object.assign(mockSocket, { connected: true })
+    useCallStore.setState({ localStream: stream })
+    SimplePeer.mockClear()
+  })
+
+  afterEach(() => {
+    delete (mockSocket as { connected?: boolean }).connected
+    jest.useRealTimers()
+    jest.restoreAllMocks()
+  })
+
+  const stateOf = (id: string) => usePeerStore.getState().peers.get(id)?.connectionState
+  const offersTo = (id: string) => mockSocket.emit.mock.calls.filter(([event, payload]) => event === 'sending-signal' && payload.userToSignal === id)
+
+  test('a dropped connection restarts ICE, then is rebuilt when ICE fails, and the room sees it come back', async () => {
+    const first = freshPeer()
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fire('connect')
+      fire('room-token', { token: 'tok-1' })
+      fire('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }])
+    })
+    act(() => {
+      first.callbacks['signal']?.({ type: 'offer', sdp: 'first' })
+      fire('receiving-returned-signal', { id: 'peer-a', signal: { type: 'answer', sdp: 'first' } })
+      first.callbacks['connect']?.()
+    })
+    expect(stateOf('peer-a')).toBe('connected')
+
+    // disconnected: after the grace period we restart ICE over the same connection
+    act(() => { first.callbacks['iceStateChange']?.('disconnected') })
+    expect(stateOf('peer-a')).toBe('disconnected')
+    act(() => { jest.advanceTimersByTime(ICE_RESTART_GRACE_MS) })
+    expect(first.peer._pc.restartIce).toHaveBeenCalled()
+    mockSocket.emit.mockClear()
+    act(() => { first.callbacks['signal']?.({ type: 'offer', sdp: 'restart' }) })
+    expect(offersTo('peer-a')).toEqual([
+      ['sending-signal', { userToSignal: 'peer-a', signal: { type: 'offer', sdp: 'restart' }, renegotiate: true }],
+    ])
+
+    // failed: simple-peer reports ICE failure as an error, and we start over
+    const second = freshPeer()
+    act(() => {
+      first.callbacks['iceStateChange']?.('failed')
+      first.callbacks['error']?.(new Error('Ice connection failed.'))
+    })
+    expect(first.peer.destroy).toHaveBeenCalled()
+    expect(stateOf('peer-a')).toBe('disconnected')
+    expect(SimplePeer).toHaveBeenCalledTimes(1)
+
+    // rebuild: a brand new connection opens with a fresh offer after the first backoff step
+    act(() => { jest.advanceTimersByTime(REBUILD_BASE_MS) })
+    expect(SimplePeer).toHaveBeenCalledTimes(2)
+    expect(SimplePeer).toHaveBeenLastCalledWith(expect.objectContaining({ initiator: true, stream }))
+    mockSocket.emit.mockClear()
+    act(() => { second.callbacks['signal']?.({ type: 'offer', sdp: 'rebuilt' }) })
+    expect(offersTo('peer-a')).toEqual([
+      ['sending-signal', { userToSignal: 'peer-a', signal: { type: 'offer', sdp: 'rebuilt' } }],
+    ])
+    act(() => {
+      fire('receiving-returned-signal', { id: 'peer-a', signal: { type: 'answer', sdp: 'rebuilt' } })
+      second.callbacks['connect']?.()
+    })
+    expect(second.peer.signal).toHaveBeenCalledWith({ type: 'answer', sdp: 'rebuilt' })
+    expect(first.peer.signal).not.toHaveBeenCalledWith({ type: 'answer', sdp: 'rebuilt' })
+    expect(stateOf('peer-a')).toBe('connected')
+    expect(usePeerStore.getState().peers.get('peer-a')?.name).toBe('Alice')
+
+    // the torn-down connection closing late changes nothing, and no rebuild is left armed
+    act(() => { first.callbacks['close']?.() })
+    act(() => { jest.advanceTimersByTime(10 * 60_000) })
+    expect(SimplePeer).toHaveBeenCalledTimes(2)
+    expect(stateOf('peer-a')).toBe('connected')
+  })
+
+  test('backs off between rebuilds, gives the last one its full wait, then marks the peer failed', async () => {
+    const first = freshPeer()
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fire('connect')
+      fire('room-token', { token: 'tok-1' })
+      fire('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }])
+    })
+    act(() => { first.callbacks['close']?.() })
+
+    // 2s, 4s, 8s… capped; no rebuild ever connects, so each one times out into the next.
+    let last = first
+    for (let attempt = 0; attempt < MAX_REBUILD_ATTEMPTS; attempt++) {
+      last = freshPeer()
+      const delay = Math.min(REBUILD_BASE_MS * 2 ** attempt, REBUILD_MAX_MS)
+      act(() => { jest.advanceTimersByTime(delay - 1) })
+      expect(SimplePeer).toHaveBeenCalledTimes(1 + attempt)
+      act(() => { jest.advanceTimersByTime(1) })
+      expect(SimplePeer).toHaveBeenCalledTimes(2 + attempt)
+    }
+    expect(last.peer.destroy).not.toHaveBeenCalled()
+    expect(stateOf('peer-a')).not.toBe('failed')
+
+    act(() => { jest.advanceTimersByTime(REBUILD_MAX_MS) })
+    expect(last.peer.destroy).toHaveBeenCalled()
+    expect(stateOf('peer-a')).toBe('failed')
+    expect(usePeerStore.getState().peers.get('peer-a')?.stream).toBeNull()
+    act(() => { jest.advanceTimersByTime(10 * 60_000) })
+    expect(SimplePeer).toHaveBeenCalledTimes(1 + MAX_REBUILD_ATTEMPTS)
+  })
+})
@@ -1,4 +1,4 @@
-const { RoomManager } = require('../../../lib/RoomManager')
+const { RoomManager, DEFAULT_WHITEBOARD_PAGE } = require('../../../lib/RoomManager')
 
 const mockPerf = {
   recordRoomActivity: jest.fn(),
@@ -137,3 +137,431 @@ test('removeRaisedHand returns false when the user has no raised hand', () => {
   rm.initializeRoom('r1')
   expect(rm.removeRaisedHand('r1', 'ghost')).toBe(false)
 })
+
+// setScreenSharer / clearScreenSharer
+test('setScreenSharer records the sharer and exposes it in room data', () => {
+  rm.initializeRoom('r1')
+  expect(rm.setScreenSharer('r1', 'socket-1')).toBeNull()
+  expect(rm.getRoomData('r1').screenSharer).toBe('socket-1')
+})
+
+test('setScreenSharer returns the displaced sharer when someone else takes over', () => {
+  rm.initializeRoom('r1')
+  rm.setScreenSharer('r1', 'socket-1')
+  expect(rm.setScreenSharer('r1', 'socket-2')).toBe('socket-1')
+  expect(rm.getRoomData('r1').screenSharer).toBe('socket-2')
+})
+
+test('setScreenSharer is idempotent for the current sharer', () => {
+  rm.initializeRoom('r1')
+  rm.setScreenSharer('r1', 'socket-1')
+  expect(rm.setScreenSharer('r1', 'socket-1')).toBeNull()
+})
+
+test('clearScreenSharer only clears when the socket is the current sharer', () => {
+  rm.initializeRoom('r1')
+  rm.setScreenSharer('r1', 'socket-1')
+  expect(rm.clearScreenSharer('r1', 'socket-2')).toBe(false)
+  expect(rm.clearScreenSharer('r1', 'socket-1')).toBe(true)
+  expect(rm.getRoomData('r1').screenSharer).toBeNull()
+})
+
+test('cleanupRoom drops the screen sharer', () => {
+  rm.initializeRoom('r1')
+  rm.setScreenSharer('r1', 'socket-1')
+  rm.cleanupRoom('r1')
+  expect(rm.getRoomData('r1').screenSharer).toBeNull()
+})
+
+// host / co-host roles
+test('claimHost makes the first claimant host and refuses later ones', () => {
+  expect(rm.claimHost('r1', 'a')).toBe(true)
+  expect(rm.claimHost('r1', 'b')).toBe(false)
+  expect(rm.getHost('r1')).toBe('a')
+  expect(rm.getRoomData('r1').host).toBe('a')
+})
+
+test('getRole reports host, cohost and guest', () => {
+  rm.claimHost('r1', 'a')
+  rm.setCoHost('r1', 'b', true)
+  expect(rm.getRole('r1', 'a')).toBe('host')
+  expect(rm.getRole('r1', 'b')).toBe('cohost')
+  expect(rm.getRole('r1', 'c')).toBe('guest')
+})
+
+test('setHost transfers the role and returns the previous host', () => {
+  rm.claimHost('r1', 'a')
+  rm.setCoHost('r1', 'b', true)
+  expect(rm.setHost('r1', 'b')).toBe('a')
+  expect(rm.getRole('r1', 'b')).toBe('host')
+  expect(rm.getRole('r1', 'a')).toBe('guest')
+  expect(rm.getRoomData('r1').coHosts).toEqual([])
+})
+
+test('setCoHost reports whether the role changed and never demotes the host', () => {
+  rm.claimHost('r1', 'a')
+  expect(rm.setCoHost('r1', 'b', true)).toBe(true)
+  expect(rm.setCoHost('r1', 'b', true)).toBe(false)
+  expect(rm.setCoHost('r1', 'b', false)).toBe(true)
+  expect(rm.setCoHost('r1', 'a', true)).toBe(false)
+  expect(rm.getRole('r1', 'a')).toBe('host')
+})
+
+test('releaseRoles passes host to the first remaining co-host', () => {
+  rm.claimHost('r1', 'a')
+  rm.setCoHost('r1', 'c', true)
+  expect(rm.releaseRoles('r1', 'a', ['b', 'c'])).toBe('c')
+  expect(rm.getHost('r1')).toBe('c')
+})
+
+test('releaseRoles falls back to the longest-present participant', () => {
+  rm.claimHost('r1', 'a')
+  expect(rm.releaseRoles('r1', 'a', ['b', 'c'])).toBe('b')
+  expect(rm.getHost('r1')).toBe('b')
+})
+
+test('releaseRoles clears the host when the room empties', () => {
+  rm.claimHost('r1', 'a')
+  expect(rm.releaseRoles('r1', 'a', [])).toBeNull()
+  expect(rm.getHost('r1')).toBeNull()
+  expect(rm.claimHost('r1', 'b')).toBe(true)
+})
+
+test('releaseRoles for a non-host only drops co-host', () => {
+  rm.claimHost('r1', 'a')
+  rm.setCoHost('r1', 'b', true)
+  expect(rm.releaseRoles('r1', 'b', ['a'])).toBeNull()
+  expect(rm.getRole('r1', 'b')).toBe('guest')
+  expect(rm.getHost('r1')).toBe('a')
+})
+
+test('cleanupRoom drops host and co-hosts', () => {
+  rm.claimHost('r1', 'a')
+  rm.setCoHost('r1', 'b', true)
+  rm.cleanupRoom('r1')
+  expect(rm.getRoomData('r1').host).toBeNull()
+  expect(rm.getRoomData('r1').coHosts).toEqual([])
+})
+
+// moderation
+test('clearRaisedHands returns the lowered hands and empties the queue', () => {
+  rm.addRaisedHand('r1', { userId: 'u1', userName: 'A', timestamp: 1 })
+  rm.addRaisedHand('r1', { userId: 'u2', userName: 'B', timestamp: 2 })
+  expect(rm.clearRaisedHands('r1').map((h) => h.userId)).toEqual(['u1', 'u2'])
+  expect(rm.getRoomData('r1').raisedHands).toEqual([])
+  expect(rm.clearRaisedHands('r1')).toEqual([])
+})
+
+test('setRoomLocked reports changes and exposes the lock in room data', () => {
+  rm.initializeRoom('r1')
+  expect(rm.isRoomLocked('r1')).toBe(false)
+  expect(rm.setRoomLocked('r1', true)).toBe(true)
+  expect(rm.setRoomLocked('r1', true)).toBe(false)
+  expect(rm.getRoomData('r1').locked).toBe(true)
+  expect(rm.setRoomLocked('r1', false)).toBe(true)
+  expect(rm.isRoomLocked('r1')).toBe(false)
+})
+
+test('banToken is scoped to the room', () => {
+  rm.banToken('r1', 'tok-a')
+  expect(rm.isTokenBanned('r1', 'tok-a')).toBe(true)
+  expect(rm.isTokenBanned('r1', 'tok-b')).toBe(false)
+  expect(rm.isTokenBanned('r2', 'tok-a')).toBe(false)
+})
+
+test('banAddress is scoped to the room', () => {
+  rm.banAddress('r1', '203.0.113.7')
+  rm.banAddress('r1', undefined)
+  expect(rm.isAddressBanned('r1', '203.0.113.7')).toBe(true)
+  expect(rm.isAddressBanned('r1', '203.0.113.8')).toBe(false)
+  expect(rm.isAddressBanned('r1', undefined)).toBe(false)
+  expect(rm.isAddressBanned('r2', '203.0.113.7')).toBe(false)
+})
+
+test('cleanupRoom drops the lock and banned tokens and addresses', () => {
+  rm.initializeRoom('r1')
+  rm.setRoomLocked('r1', true)
+  rm.banToken('r1', 'tok-a')
+  rm.banAddress('r1', '203.0.113.7')
+  rm.cleanupRoom('r1')
+  expect(rm.isRoomLocked('r1')).toBe(false)
+  expect(rm.isTokenBanned('r1', 'tok-a')).toBe(false)
+  expect(rm.isAddressBanned('r1', '203.0.113.7')).toBe(false)
+})
+
+// lobby
+test('setLobbyEnabled reports changes and exposes lobby mode in room data', () => {
+  rm.initializeRoom('r1')
+  expect(rm.setLobbyEnabled('r1', true)).toBe(true)
+  expect(rm.setLobbyEnabled('r1', true)).toBe(false)
+  expect(rm.getRoomData('r1').lobbyEnabled).toBe(true)
+  expect(rm.setLobbyEnabled('r1', false)).toBe(true)
+  expect(rm.isLobbyEnabled('r1')).toBe(false)
+})
+
+test('lobby keeps waiting joiners in arrival order', () => {
+  rm.addToLobby('r1', { id: 's1', name: 'A', requestedAt: 1 })
+  rm.addToLobby('r1', { id: 's2', name: 'B', requestedAt: 2 })
+  expect(rm.getLobby('r1').map((e) => e.id)).toEqual(['s1', 's2'])
+  expect(rm.getRoomData('r1').lobby).toHaveLength(2)
+})
+
+test('addToLobby replaces an existing entry for the same socket', () => {
+  rm.addToLobby('r1', { id: 's1', name: 'A', requestedAt: 1 })
+  rm.addToLobby('r1', { id: 's1', name: 'A2', requestedAt: 2 })
+  expect(rm.getLobby('r1')).toEqual([{ id: 's1', name: 'A2', requestedAt: 2 }])
+})
+
+test('removeFromLobby returns the entry, or null when absent', () => {
+  rm.addToLobby('r1', { id: 's1', name: 'A', requestedAt: 1 })
+  expect(rm.removeFromLobby('r1', 's1')).toEqual({ id: 's1', name: 'A', requestedAt: 1 })
+  expect(rm.removeFromLobby('r1', 's1')).toBeNull()
+  expect(rm.removeFromLobby('r2', 's1')).toBeNull()
+})
+
+test('clearLobby returns and drops every waiting entry', () => {
+  rm.addToLobby('r1', { id: 's1', name: 'A', requestedAt: 1 })
+  expect(rm.clearLobby('r1').map((e) => e.id)).toEqual(['s1'])
+  expect(rm.getLobby('r1')).toEqual([])
+})
+
+test('cleanupRoom drops lobby mode and waiting entries', () => {
+  rm.setLobbyEnabled('r1', true)
+  rm.addToLobby('r1', { id: 's1', name: 'A', requestedAt: 1 })
+  rm.cleanupRoom('r1')
+  expect(rm.isLobbyEnabled('r1')).toBe(false)
+  expect(rm.getLobby('r1')).toEqual([])
+})
+
+// trickle ICE
+test('trickle ICE is on by default and can be turned off per room', () => {
+  rm.initializeRoom('r1')
+  expect(rm.getRoomData('r1').trickleIce).toBe(true)
+  expect(rm.setTrickleIce('r1', false)).toBe(true)
+  expect(rm.setTrickleIce('r1', false)).toBe(false)
+  expect(rm.getRoomData('r1').trickleIce).toBe(false)
+  expect(rm.isTrickleIceEnabled('r2')).toBe(true)
+  rm.cleanupRoom('r1')
+  expect(rm.isTrickleIceEnabled('r1')).toBe(true)
+})
+
+// media mode
+test('rooms start as a mesh and stay on the SFU until cleaned up', () => {
+  rm.initializeRoom('r1')
+  expect(rm.getRoomData('r1').mediaMode).toBe('mesh')
+  expect(rm.setMediaMode('r1', 'sfu')).toBe(true)
+  expect(rm.setMediaMode('r1', 'sfu')).toBe(false)
+  expect(rm.getRoomData('r1').mediaMode).toBe('sfu')
+  expect(rm.getMediaMode('r2')).toBe('mesh')
+  rm.cleanupRoom('r1')
+  expect(rm.getMediaMode('r1')).toBe('mesh')
+})
+
+// passwords
+test('rooms without a passphrase accept any attempt', () => {
+  expect(rm.hasPassword('r1')).toBe(false)
+  expect(rm.verifyPassword('r1', undefined)).toBe(true)
+  expect(rm.getPasswordStamp('r1')).toBeNull()
+})
+
+test('verifyPassword accepts only the passphrase that was set', () => {
+  rm.setPassword('r1', 'open sesame')
+  expect(rm.hasPassword('r1')).toBe(true)
+  expect(rm.verifyPassword('r1', 'open sesame')).toBe(true)
+  expect(rm.verifyPassword('r1', 'open sesame!')).toBe(false)
+  expect(rm.verifyPassword('r1', '')).toBe(false)
+  expect(rm.verifyPassword('r1', undefined)).toBe(false)
+})
+
+test('the passphrase is kept only as a salted hash', () => {
+  rm.setPassword('r1', 'open sesame')
+  const data = rm.getRoomData('r1')
+  expect(data.hasPassword).toBe(true)
+  expect(JSON.stringify(data)).not.toContain('open sesame')
+  const entry = rm.roomPasswords.get('r1')
+  expect(Buffer.isBuffer(entry.hash)).toBe(true)
+  expect(entry.hash.toString('utf8')).not.toContain('open sesame')
+})
+
+test('the same passphrase gets a different salt per room and per change', () => {
+  rm.setPassword('r1', 'open sesame')
+  rm.setPassword('r2', 'open sesame')
+  const first = rm.getPasswordStamp('r1')
+  expect(first).not.toBe(rm.getPasswordStamp('r2'))
+  expect(rm.roomPasswords.get('r1').hash.equals(rm.roomPasswords.get('r2').hash)).toBe(false)
+  rm.setPassword('r1', 'open sesame')
+  expect(rm.getPasswordStamp('r1')).not.toBe(first)
+})
+
+test('clearPassword and cleanupRoom drop the passphrase', () => {
+  rm.setPassword('r1', 'open sesame')
+  rm.clearPassword('r1')
+  expect(rm.hasPassword('r1')).toBe(false)
+  rm.setPassword('r1', 'open sesame')
+  rm.cleanupRoom('r1')
+  expect(rm.hasPassword('r1')).toBe(false)
+})
+
+// poll options and closing
+test('recordPollVote rejects option indexes outside the poll', () => {
+  rm.addPoll('r1', { id: 'p1', question: 'Q?', options: ['Yes', 'No'], isActive: true, votes: {} })
+  expect(rm.recordPollVote('r1', 'p1', 'socket-1', 2)).toBeNull()
+  expect(rm.recordPollVote('r1', 'p1', 'socket-1', -1)).toBeNull()
+  expect(rm.recordPollVote('r1', 'p1', 'socket-1', [0])).toBeNull()
+  expect(rm.getPoll('r1', 'p1').votes).toEqual({})
+})
+
+test('multi-choice polls store a sorted set of picks, and an empty set withdraws', () => {
+  rm.addPoll('r1', { id: 'p1', question: 'Q?', options: ['A', 'B', 'C'], isActive: true, votes: {}, multiChoice: true })
+  expect(rm.recordPollVote('r1', 'p1', 'socket-1', 1)).toBeNull()
+  expect(rm.recordPollVote('r1', 'p1', 'socket-1', [2, 0, 2]).votes['socket-1']).toEqual([0, 2])
+  expect(rm.recordPollVote('r1', 'p1', 'socket-1', [0, 5])).toBeNull()
+  expect(rm.recordPollVote('r1', 'p1', 'socket-1', []).votes).toEqual({})
+})
+
+test('recordPollVote remembers voter names only for named polls', () => {
+  rm.addPoll('r1', { id: 'named', question: 'Q?', options: ['A', 'B'], isActive: true, votes: {} })
+  rm.addPoll('r1', { id: 'anon', question: 'Q?', options: ['A', 'B'], isActive: true, votes: {}, anonymous: true })
+  expect(rm.recordPollVote('r1', 'named', 'socket-1', 0, 'Ann').voterNames).toEqual({ 'socket-1': 'Ann' })
+  expect(rm.recordPollVote('r1', 'anon', 'socket-1', 0, 'Ann').voterNames).toBeUndefined()
+})
+
+test('getActivePoll returns the running poll', () => {
+  rm.addPoll('r1', { id: 'p1', question: 'Q?', options: ['A', 'B'], isActive: false, votes: {} })
+  rm.addPoll('r1', { id: 'p2', question: 'Q?', options: ['A', 'B'], isActive: true, votes: {} })
+  expect(rm.getActivePoll('r1').id).toBe('p2')
+  expect(rm.getActivePoll('r2')).toBeNull()
+})
+
+test('closePoll stops voting and is idempotent', () => {
+  rm.addPoll('r1', { id: 'p1', question: 'Q?', options: ['A', 'B'], isActive: true, votes: {} })
+  const closed = rm.closePoll('r1', 'p1')
+  expect(closed.isActive).toBe(false)
+  expect(typeof closed.closedAt).toBe('number')
+  expect(rm.closePoll('r1', 'p1')).toBeNull()
+  expect(rm.recordPollVote('r1', 'p1', 'socket-1', 0)).toBeNull()
+  expect(rm.closePoll('r1', 'missing')).toBeNull()
+})
+
+const addOp = (actor, seq, id, pageId) => ({
+  kind: 'add', actor, seq, t: seq, stroke: { id, pageId, points: [{ x: 0, y: 0 }] },
+})
+
+test('applyWhiteboardOps keeps a per-room board and returns only what changed it', () => {
+  expect(rm.applyWhiteboardOps('r1', [addOp('a', 1, 's1')])).toHaveLength(1)
+  expect(rm.applyWhiteboardOps('r1', [addOp('a', 1, 's1')])).toEqual([])
+  expect(rm.getWhiteboard('r1').opsSince({}).ops.map((op) => op.stroke.id)).toEqual(['s1'])
+  expect(rm.getWhiteboard('r2').opsSince({}).ops).toEqual([])
+})
+
+test('the room board is bounded by WHITEBOARD_HISTORY_LIMIT', () => {
+  const small = new RoomManager(mockPerf, { MESSAGE_HISTORY_LIMIT: 100, WHITEBOARD_HISTORY_LIMIT: 2, INACTIVE_ROOM_TTL: 3600000 })
+  small.applyWhiteboardOps('r1', [addOp('a', 1, 's1'), addOp('a', 2, 's2'), addOp('a', 3, 's3')])
+  const { ops, snapshot } = small.getWhiteboard('r1').opsSince({})
+  expect(snapshot).toBe(true)
+  expect(ops.map((op) => op.stroke.id)).toEqual(['s2', 's3'])
+})
+
+test('claimWhiteboardActor keeps an actor with its socket until that socket is gone', () => {
+  const present = new Set(['a', 'b'])
+  const isPresent = (id) => present.has(id)
+  expect(rm.claimWhiteboardActor('r1', 'tab-1', 'a', isPresent)).toBe(true)
+  expect(rm.claimWhiteboardActor('r1', 'tab-1', 'a', isPresent)).toBe(true)
+  expect(rm.claimWhiteboardActor('r1', 'tab-1', 'b', isPresent)).toBe(false)
+  expect(rm.claimWhiteboardActor('r2', 'tab-1', 'b', isPresent)).toBe(true)
+
+  present.delete('a')
+  expect(rm.claimWhiteboardActor('r1', 'tab-1', 'c', isPresent)).toBe(true)
+})
+
+test('inactive-room cleanup drops the whiteboard', () => {
+  rm.applyWhiteboardOps('r1', [addOp('a', 1, 's1', DEFAULT_WHITEBOARD_PAGE.id)])
+  rm.roomMetadata.get('r1').lastActivity = Date.now() - 2 * 3600000
+  expect(rm.cleanupInactiveRooms()).toBe(1)
+  expect(rm.roomWhiteboards.has('r1')).toBe(false)
+})
+
+test('whiteboard pages start with the default page and reject duplicate ids', () => {
+  rm.initializeRoom('r1')
+  expect(rm.getWhiteboardPages('r1')).toEqual([DEFAULT_WHITEBOARD_PAGE])
+  expect(rm.addWhiteboardPage('r1', { id: 'page-2', name: 'Ideas' })).toBe(true)
+  expect(rm.addWhiteboardPage('r1', { id: 'page-2', name: 'Again' })).toBe(false)
+  expect(rm.getRoomData('r1').whiteboardPages.map((p) => p.name)).toEqual(['Page 1', 'Ideas'])
+  rm.cleanupRoom('r1')
+  expect(rm.getWhiteboardPages('r1')).toEqual([DEFAULT_WHITEBOARD_PAGE])
+})
+
+// Chat message updates
+const chatMessage = (id, overrides = {}) =>
+  ({ id, text: 'cipher', keyId: 'k1', userId: 's1', userName: 'Alice', timestamp: 1, ...overrides })
+
+test('editMessage replaces the text and key and stamps editedAt', () => {
+  rm.addMessage('r1', chatMessage('m1'))
+  const edited = rm.editMessage('r1', 'm1', 'cipher-2', 'k2')
+  expect(edited).toMatchObject({ id: 'm1', text: 'cipher-2', keyId: 'k2', timestamp: 1 })
+  expect(edited.editedAt).toEqual(expect.any(Number))
+  expect(rm.getRoomData('r1').messages[0]).toBe(edited)
+  expect(rm.editMessage('r1', 'missing', 'x')).toBeNull()
+})
+
+test('deleteMessage leaves a tombstone that cannot be edited or reacted to', () => {
+  rm.addMessage('r1', chatMessage('m1', { reactions: { '👍': ['s2'] } }))
+  const deleted = rm.deleteMessage('r1', 'm1')
+  expect(deleted).toMatchObject({ id: 'm1', text: '', deleted: true, reactions: {} })
+  expect(deleted.keyId).toBeUndefined()
+  expect(rm.deleteMessage('r1', 'm1')).toBeNull()
+  expect(rm.editMessage('r1', 'm1', 'again')).toBeNull()
+  expect(rm.toggleMessageReaction('r1', 'm1', '👍', 's2')).toBeNull()
+})
+
+test('toggleMessageReaction adds and removes a reactor per emoji', () => {
+  rm.addMessage('r1', chatMessage('m1'))
+  rm.toggleMessageReaction('r1', 'm1', '👍', 's1')
+  rm.toggleMessageReaction('r1', 'm1', '👍', 's2')
+  expect(rm.getMessage('r1', 'm1').reactions).toEqual({ '👍': ['s1', 's2'] })
+  rm.toggleMessageReaction('r1', 'm1', '👍', 's1')
+  rm.toggleMessageReaction('r1', 'm1', '👍', 's2')
+  expect(rm.getMessage('r1', 'm1').reactions).toEqual({})
+})
+
+test('toggleMessageReaction caps the distinct emoji on a message', () => {
+  rm.addMessage('r1', chatMessage('m1'))
+  for (let i = 0; i < 20; i++) rm.toggleMessageReaction('r1', 'm1', `e${i}`, 's1')
+  expect(rm.toggleMessageReaction('r1', 'm1', 'one-more', 's1')).toBeNull()
+  expect(rm.toggleMessageReaction('r1', 'm1', 'e0', 's2').reactions.e0).toEqual(['s1', 's2'])
+})
+
+// Pinned messages
+test('pinMessage keeps one pin per room and exposes it in room data', () => {
+  rm.addMessage('r1', chatMessage('m1'))
+  rm.addMessage('r1', chatMessage('m2'))
+  expect(rm.pinMessage('r1', 'm1')).toBe(true)
+  expect(rm.pinMessage('r1', 'm1')).toBe(false)
+  expect(rm.pinMessage('r1', 'm2')).toBe(true)
+  expect(rm.getRoomData('r1').pinnedMessageId).toBe('m2')
+  expect(rm.pinMessage('r1', 'missing')).toBe(false)
+  expect(rm.unpinMessage('r1')).toBe(true)
+  expect(rm.unpinMessage('r1')).toBe(false)
+  expect(rm.getRoomData('r1').pinnedMessageId).toBeNull()
+})
+
+test('deleting or evicting the pinned message clears the pin', () => {
+  rm = new RoomManager(mockPerf, { MESSAGE_HISTORY_LIMIT: 2 })
+  rm.addMessage('r1', chatMessage('m1'))
+  rm.addMessage('r1', chatMessage('m2'))
+  rm.pinMessage('r1', 'm2')
+  rm.deleteMessage('r1', 'm2')
+  expect(rm.getPinnedMessageId('r1')).toBeNull()
+  expect(rm.pinMessage('r1', 'm2')).toBe(false)
+
+  rm.pinMessage('r1', 'm1')
+  rm.addMessage('r1', chatMessage('m3'))
+  expect(rm.getPinnedMessageId('r1')).toBeNull()
+})
+
+test('cleanupRoom drops the pin', () => {
+  rm.addMessage('r1', chatMessage('m1'))
+  rm.pinMessage('r1', 'm1')
+  rm.cleanupRoom('r1')
+  expect(rm.getPinnedMessageId('r1')).toBeNull()
+})
@@ -0,0 +1,286 @@
+const { SfuManager } = require('../../../lib/SfuManager')
+
+function fakeEvent() {
+  const listeners = []
+  return {
+    subscribe: (cb) => { listeners.push(cb) },
+    fire: (...args) => listeners.forEach((cb) => cb(...args)),
+  }
+}
+
+// Just enough of werift's RTCPeerConnection: mids are handed out when an
+// offer is applied, as setLocalDescription does.
+function fakePeerConnection() {
+  let nextMid = 0
+  const pc = {
+    transceivers: [],
+    localDescription: null,
+    connectionStateChange: fakeEvent(),
+    createDataChannel: jest.fn(),
+    addTransceiver: jest.fn((trackOrKind, options) => {
+      const transceiver = {
+        kind: typeof trackOrKind === 'string' ? trackOrKind : trackOrKind.kind,
+        track: typeof trackOrKind === 'string' ? null : trackOrKind,
+        direction: options.direction,
+        mid: null,
+        onTrack: fakeEvent(),
+        receiver: { sendRtcpPLI: jest.fn().mockResolvedValue(undefined) },
+        sender: { replaceTrack: jest.fn(), onPictureLossIndication: fakeEvent() },
+      }
+      pc.transceivers.push(transceiver)
+      return transceiver
+    }),
+    createOffer: jest.fn(async () => ({ type: 'offer', sdp: `offer-${pc.transceivers.length}` })),
+    setLocalDescription: jest.fn(async (description) => {
+      pc.transceivers.forEach((t) => { if (t.mid == null) t.mid = String(nextMid++) })
+      pc.localDescription = description
+    }),
+    setRemoteDescription: jest.fn().mockResolvedValue(undefined),
+    removeTrack: jest.fn(),
+    close: jest.fn().mockResolvedValue(undefined),
+  }
+  return pc
+}
+
+async function flush() {
+  for (let i = 0; i < 10; i++) await Promise.resolve()
+}
+
+let sfu
+let pcs
+let signals
+
+beforeEach(() => {
+  pcs = []
+  signals = []
+  sfu = new SfuManager(() => {
+    const pc = fakePeerConnection()
+    pcs.push(pc)
+    return pc
+  })
+  sfu.on('signal', (socketId, payload) => signals.push({ socketId, ...payload }))
+})
+
+// The participant behind `pc` starts sending `kind`.
+function publish(pc, kind, track = { kind, ssrc: 1234 }) {
+  pc.transceivers.find((t) => t.kind === kind && t.direction === 'recvonly').onTrack.fire(track)
+  return track
+}
+
+test('joining opens a connection to receive audio and video and sends the first offer', async () => {
+  sfu.join('r1', 'a')
+  await flush()
+  expect(pcs[0].createDataChannel).toHaveBeenCalled()
+  expect(pcs[0].transceivers.map((t) => [t.kind, t.direction])).toEqual([['audio', 'recvonly'], ['video', 'recvonly']])
+  expect(signals).toEqual([{ socketId: 'a', signal: { type: 'offer', sdp: 'offer-2' }, streams: {} }])
+})
+
+test('a published track is forwarded to the rest of the room, mapped to its publisher', async () => {
+  sfu.join('r1', 'a')
+  sfu.join('r1', 'b')
+  await flush()
+  await sfu.answer('a', 'answer-a')
+  await sfu.answer('b', 'answer-b')
+  signals.length = 0
+
+  const track = publish(pcs[0], 'video')
+  await flush()
+  expect(pcs[1].addTransceiver).toHaveBeenLastCalledWith(track, { direction: 'sendonly' })
+  expect(signals).toEqual([{ socketId: 'b', signal: { type: 'offer', sdp: 'offer-3' }, streams: { 2: 'a' } }])
+})
+
+test('a late joiner gets what the room already publishes in its first offer', async () => {
+  sfu.join('r1', 'a')
+  await flush()
+  publish(pcs[0], 'audio')
+  publish(pcs[0], 'video')
+  sfu.join('r1', 'b')
+  sfu.join('r2', 'c')
+  await flush()
+  expect(signals.find((s) => s.socketId === 'b').streams).toEqual({ 2: 'a', 3: 'a' })
+  expect(signals.find((s) => s.socketId === 'c').streams).toEqual({})
+})
+
+test('keeps one offer in flight and sends what changed meanwhile once it is answered', async () => {
+  sfu.join('r1', 'a')
+  sfu.join('r1', 'b')
+  await flush()
+  publish(pcs[0], 'audio')
+  publish(pcs[0], 'video')
+  await flush()
+  expect(signals.filter((s) => s.socketId === 'b')).toHaveLength(1)
+
+  await expect(sfu.answer('b', 'answer-b')).resolves.toBe(true)
+  await flush()
+  expect(pcs[1].setRemoteDescription).toHaveBeenCalledWith({ type: 'answer', sdp: 'answer-b' })
+  expect(signals.filter((s) => s.socketId === 'b').pop().streams).toEqual({ 2: 'a', 3: 'a' })
+  await expect(sfu.answer('nobody', 'answer')).resolves.toBe(false)
+})
+
+test('a republished track replaces the forwarded one without a new offer', async () => {
+  sfu.join('r1', 'a')
+  sfu.join('r1', 'b')
+  await flush()
+  await sfu.answer('a', 'answer-a')
+  await sfu.answer('b', 'answer-b')
+  publish(pcs[0], 'video')
+  await flush()
+  await sfu.answer('b', 'answer-b')
+  signals.length = 0
+
+  const camera = publish(pcs[0], 'video', { kind: 'video', ssrc: 5678 })
+  await flush()
+  expect(pcs[1].transceivers[2].sender.replaceTrack).toHaveBeenCalledWith(camera)
+  expect(signals).toEqual([])
+})
+
+test('leaving stops forwarding to everyone else', async () => {
+  sfu.join('r1', 'a')
+  sfu.join('r1', 'b')
+  await flush()
+  await sfu.answer('a', 'answer-a')
+  await sfu.answer('b', 'answer-b')
+  publish(pcs[0], 'video')
+  await flush()
+  await sfu.answer('b', 'answer-b')
+  signals.length = 0
+
+  sfu.leave('a')
+  await flush()
+  expect(pcs[0].close).toHaveBeenCalled()
+  expect(sfu.has('a')).toBe(false)
+  expect(pcs[1].removeTrack).toHaveBeenCalledWith(pcs[1].transceivers[2].sender)
+  expect(signals).toEqual([{ socketId: 'b', signal: expect.objectContaining({ type: 'offer' }), streams: {} }])
+})
+
+test("a subscriber's keyframe request reaches the publisher", async () => {
+  sfu.join('r1', 'a')
+  await flush()
+  publish(pcs[0], 'video', { kind: 'video', ssrc: 42 })
+  sfu.join('r1', 'b')
+  pcs[1].transceivers[2].sender.onPictureLossIndication.fire()
+  expect(pcs[0].transceivers[1].receiver.sendRtcpPLI).toHaveBeenCalledWith(42)
+})
+
+test('a failed connection is dropped and reported', () => {
+  const closed = jest.fn()
+  sfu.on('closed', closed)
+  sfu.join('r1', 'a')
+  pcs[0].connectionStateChange.fire('failed')
+  expect(closed).toHaveBeenCalledWith('a')
+  expect(sfu.has('a')).toBe(false)
+
+  // Leaving ourselves closes the connection too, but that is not a failure.
+  sfu.join('r1', 'b')
+  sfu.leave('b')
+  pcs[1].connectionStateChange.fire('closed')
+  expect(closed).toHaveBeenCalledTimes(1)
+})
+
+test("the offer asks for every layer of a publisher's video by rid", () => {
+  sfu.join('r1', 'a')
+  expect(pcs[0].addTransceiver).toHaveBeenCalledWith('video', {
+    direction: 'recvonly',
+    simulcast: [{ rid: 'low', direction: 'recv' }, { rid: 'medium', direction: 'recv' }, { rid: 'high', direction: 'recv' }],
+  })
+  expect(pcs[0].addTransceiver).toHaveBeenCalledWith('audio', { direction: 'recvonly' })
+})
+
+describe('simulcast', () => {
+  const forwardOf = (pc) => pc.transceivers.find((t) => t.direction === 'sendonly' && t.kind === 'video')
+  let low, medium, high
+
+  // a publishes all three layers to b and c, who have not said what they render it at yet.
+  async function simulcasting() {
+    for (const id of ['a', 'b', 'c']) sfu.join('r1', id)
+    await flush()
+    low = publish(pcs[0], 'video', { kind: 'video', rid: 'low', ssrc: 1 })
+    medium = publish(pcs[0], 'video', { kind: 'video', rid: 'medium', ssrc: 2 })
+    high = publish(pcs[0], 'video', { kind: 'video', rid: 'high', ssrc: 3 })
+    await flush()
+  }
+
+  const forwarded = (pc) => {
+    const created = pc.addTransceiver.mock.calls.find(([, options]) => options.direction === 'sendonly')[0]
+    const replaced = forwardOf(pc).sender.replaceTrack.mock.calls
+    return replaced.length > 0 ? replaced[replaced.length - 1][0] : created
+  }
+
+  test('keeps every layer and forwards each subscriber the one it asked for', async () => {
+    await simulcasting()
+    expect(forwarded(pcs[1])).toBe(high)
+    expect(forwarded(pcs[2])).toBe(high)
+
+    sfu.setLayer('b', 'a', 'low')
+    expect(forwarded(pcs[1])).toBe(low)
+    expect(forwarded(pcs[2])).toBe(high)
+    expect(pcs[0].transceivers[1].receiver.sendRtcpPLI).toHaveBeenLastCalledWith(1)
+
+    sfu.setLayer('c', 'a', 'medium')
+    sfu.setLayer('b', 'a', 'paused')
+    expect(forwarded(pcs[1])).toBeNull()
+    expect(forwarded(pcs[2])).toBe(medium)
+  })
+
+  test('a layer the publisher does not send falls back to the nearest, weaker first', async () => {
+    for (const id of ['a', 'b']) sfu.join('r1', id)
+    await flush()
+    low = publish(pcs[0], 'video', { kind: 'video', rid: 'low', ssrc: 1 })
+    high = publish(pcs[0], 'video', { kind: 'video', rid: 'high', ssrc: 3 })
+    await flush()
+
+    sfu.setLayer('b', 'a', 'medium')
+    expect(forwarded(pcs[1])).toBe(low)
+    sfu.setLayer('b', 'a', 'high')
+    expect(forwarded(pcs[1])).toBe(high)
+  })
+
+  test('a late switch does not undo a newer one', async () => {
+    await simulcasting()
+    const { sender } = forwardOf(pcs[1])
+    sender.replaceTrack.mockClear()
+    let landMedium
+    sender.replaceTrack.mockImplementationOnce(() => new Promise((resolve) => { landMedium = resolve }))
+    sfu.setLayer('b', 'a', 'medium')
+    sfu.setLayer('b', 'a', 'low')
+    landMedium()
+    await flush()
+    expect(sender.replaceTrack.mock.calls.map(([track]) => track)).toEqual([medium, low, low])
+  })
+
+  test("a subscriber's keyframe request is for the layer it is forwarded", async () => {
+    await simulcasting()
+    sfu.setLayer('b', 'a', 'medium')
+    pcs[0].transceivers[1].receiver.sendRtcpPLI.mockClear()
+    forwardOf(pcs[1]).sender.onPictureLossIndication.fire()
+    expect(pcs[0].transceivers[1].receiver.sendRtcpPLI).toHaveBeenCalledWith(2)
+  })
+})
+
+test('a publisher is told every layer somebody wants', () => {
+  const layers = []
+  sfu.on('layers', (socketId, wanted) => layers.push([socketId, wanted]))
+  sfu.join('r1', 'a')
+  expect(layers).toEqual([['a', []]])
+  sfu.join('r1', 'b')
+  sfu.join('r1', 'c')
+  sfu.join('r2', 'd')
+  expect(layers.filter(([id]) => id === 'a')).toEqual([['a', []], ['a', ['high']]])
+  layers.length = 0
+
+  expect(sfu.setLayer('b', 'a', 'low')).toBe(true)
+  expect(sfu.setLayer('c', 'a', 'paused')).toBe(true)
+  expect(layers).toEqual([['a', ['low', 'high']], ['a', ['low']]])
+  sfu.setLayer('c', 'a', 'medium')
+  expect(layers.pop()).toEqual(['a', ['low', 'medium']])
+
+  // Only someone in the same room, asking for a real layer, counts.
+  expect(sfu.setLayer('d', 'a', 'high')).toBe(false)
+  expect(sfu.setLayer('b', 'a', 'ultra')).toBe(false)
+  expect(sfu.setLayer('a', 'a', 'high')).toBe(false)
+
+  sfu.leave('c')
+  expect(layers.pop()).toEqual(['a', ['low']])
+  sfu.leave('b')
+  expect(layers.pop()).toEqual(['a', []])
+})
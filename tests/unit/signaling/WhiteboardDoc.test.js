@@ -0,0 +1,74 @@
+const { WhiteboardDoc } = require('../../../lib/WhiteboardDoc')
+
+const stroke = (id, pageId) => ({ id, pageId, tool: 'pen', color: '#000', width: 2, points: [{ x: 0, y: 0 }] })
+const add = (actor, seq, t, id, pageId) => ({ kind: 'add', actor, seq, t, stroke: stroke(id, pageId) })
+const remove = (actor, seq, t, strokeId) => ({ kind: 'remove', actor, seq, t, strokeId })
+const clear = (actor, seq, t, pageId = null) => ({ kind: 'clear', actor, seq, t, pageId })
+
+const visibleIds = (doc) => {
+  const ids = new Set()
+  for (const op of doc.snapshotOps()) {
+    if (op.kind === 'add') ids.add(op.stroke.id)
+  }
+  for (const op of doc.snapshotOps()) {
+    if (op.kind === 'remove') ids.delete(op.strokeId)
+  }
+  return [...ids].sort()
+}
+
+test('duplicate ops are dropped by the state vector', () => {
+  const doc = new WhiteboardDoc()
+  expect(doc.apply([add('a', 1, 1, 's1')])).toHaveLength(1)
+  expect(doc.apply([add('a', 1, 1, 's1')])).toEqual([])
+  expect(doc.log).toHaveLength(1)
+})
+
+test('ops that arrive out of order wait for the ones before them', () => {
+  const doc = new WhiteboardDoc()
+  expect(doc.apply([add('a', 1, 1, 's1'), add('a', 2, 2, 's2')])).toHaveLength(2)
+  expect(doc.apply([add('a', 5, 5, 's5')])).toEqual([])
+  expect(doc.stateVector.get('a')).toBe(2)
+  expect(doc.apply([add('a', 3, 3, 's3')]).map((op) => op.seq)).toEqual([3])
+  expect(doc.apply([add('a', 4, 4, 's4')]).map((op) => op.seq)).toEqual([4, 5])
+  expect(visibleIds(doc)).toEqual(['s1', 's2', 's3', 's4', 's5'])
+  expect(doc.stateVector.get('a')).toBe(5)
+  expect(doc.opsSince({ a: 2 }).ops.map((op) => op.seq)).toEqual([3, 4, 5])
+})
+
+test('replicas converge however the actors\' ops interleave', () => {
+  const fromA = [add('a', 1, 1, 's1'), remove('a', 2, 3, 's1')]
+  const fromB = [add('b', 1, 2, 's2'), clear('b', 2, 4), add('b', 3, 5, 's3')]
+  const aFirst = new WhiteboardDoc()
+  const bFirst = new WhiteboardDoc()
+  aFirst.apply([...fromA, ...fromB])
+  bFirst.apply([...fromB, ...fromA])
+  expect(visibleIds(aFirst)).toEqual(['s3'])
+  expect(visibleIds(bFirst)).toEqual(visibleIds(aFirst))
+})
+
+test('a clear only hides strokes added before it', () => {
+  const doc = new WhiteboardDoc()
+  doc.apply([add('a', 1, 1, 'before'), add('b', 1, 3, 'after'), clear('c', 1, 2)])
+  expect([...doc.entries.keys()]).toEqual(['after'])
+})
+
+test('only the owner of a stroke may remove it', () => {
+  const doc = new WhiteboardDoc()
+  doc.apply([add('a', 1, 1, 's1')])
+  expect(doc.apply([remove('b', 1, 2, 's1')])).toEqual([])
+  expect(doc.stateVector.get('b')).toBe(1)
+  expect(doc.apply([remove('a', 2, 3, 's1')])).toHaveLength(1)
+})
+
+test('opsSince returns the missing log ops, or a snapshot once the log was trimmed', () => {
+  const doc = new WhiteboardDoc(2)
+  doc.apply([add('a', 1, 1, 's1'), add('a', 2, 2, 's2')])
+  expect(doc.opsSince({ a: 1 })).toEqual({ ops: [expect.objectContaining({ seq: 2 })], stateVector: { a: 2 }, snapshot: false })
+
+  doc.apply([add('a', 3, 3, 's3')])
+  const behind = doc.opsSince({})
+  expect(behind.snapshot).toBe(true)
+  expect(behind.ops.every((op) => op.seq === 0)).toBe(true)
+  expect(doc.opsSince({ a: 2 }).snapshot).toBe(false)
+  expect(doc.opsSince({ a: 3 }).ops).toEqual([])
+})
@@ -0,0 +1,328 @@
+// Runs the real signaling server in a child process and drives it with
+// socket.io clients, for rules that live in its socket handlers. The clients
+// use jsdom's WebSocket, whose page origin is one the server allows; the
+// Node transport would need `ws`, which jsdom resolves to its browser stub.
+const { spawn } = require('child_process')
+const crypto = require('crypto')
+const path = require('path')
+const { io } = jest.requireActual('socket.io-client')
+const { WebSocket } = jest.requireActual('engine.io-client')
+
+const PORT = 5300 + (process.pid % 500)
+const MAX_CONNECTIONS_PER_ROOM = 3
+// Known here so a test can sign a peer token the way the server would.
+const SIGNALING_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex')
+
+jest.setTimeout(20000)
+
+let server
+let clients = []
+
+beforeAll(() => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [path.join(__dirname, '../../../signaling-server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      NODE_ENV: 'development',
+      MAX_CONNECTIONS_PER_ROOM: String(MAX_CONNECTIONS_PER_ROOM),
+      SFU_ENABLED: 'false',
+      SIGNALING_ENCRYPTION_KEY,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+  const timer = setTimeout(() => reject(new Error('signaling server did not start')), 15000)
+  server.stdout.on('data', (chunk) => {
+    if (String(chunk).includes('Signaling server is running')) {
+      clearTimeout(timer)
+      resolve()
+    }
+  })
+  server.stderr.resume()
+  server.on('exit', (code) => {
+    clearTimeout(timer)
+    reject(new Error(`signaling server exited with ${code}`))
+  })
+}))
+
+afterEach(() => {
+  clients.forEach((client) => client.close())
+  clients = []
+})
+
+afterAll(() => {
+  server?.kill()
+})
+
+// Every event a client receives lands in its inbox, so nothing is missed
+// between emitting and starting to wait.
+async function connect() {
+  const socket = io(`http://127.0.0.1:${PORT}`, {
+    transports: [WebSocket],
+    forceNew: true,
+    reconnection: false,
+  })
+  socket.inbox = []
+  socket.onAny((event, payload) => socket.inbox.push({ event, payload }))
+  clients.push(socket)
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve)
+    socket.once('connect_error', reject)
+  })
+  return socket
+}
+
+function next(socket, event, ms = 3000) {
+  const started = Date.now()
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      const index = socket.inbox.findIndex((m) => m.event === event)
+      if (index >= 0) return resolve(socket.inbox.splice(index, 1)[0].payload)
+      if (Date.now() - started > ms) return reject(new Error(`no ${event} within ${ms}ms`))
+      setTimeout(poll, 20)
+    }
+    poll()
+  })
+}
+
+const received = (socket, event) => socket.inbox.filter((m) => m.event === event).map((m) => m.payload)
+const settle = (ms = 300) => new Promise((resolve) => setTimeout(resolve, ms))
+
+async function requestToken(socket, roomId, userName, password) {
+  socket.emit('request-room-token', password ? { roomId, userName, password } : { roomId, userName })
+  return (await next(socket, 'room-token')).token
+}
+
+// Asks for a token and joins with it; the caller waits for the outcome.
+async function join(roomId, name) {
+  const socket = await connect()
+  const token = await requestToken(socket, roomId, name)
+  socket.emit('join-room', { roomId, token, name, isMuted: false, isCamOff: false })
+  return socket
+}
+
+describe('lobby', () => {
+  test('turning the lobby off seats waiting joiners only up to room capacity', async () => {
+    const host = await join('lobby-capacity', 'Hana')
+    await next(host, 'all-users')
+    host.emit('set-lobby', { enabled: true })
+    await next(host, 'lobby-mode')
+
+    const waiting = []
+    for (const name of ['Ann', 'Ben', 'Cal']) {
+      const socket = await join('lobby-capacity', name)
+      await next(socket, 'waiting-for-admission')
+      waiting.push(socket)
+    }
+
+    host.emit('set-lobby', { enabled: false })
+    const [ann, ben, cal] = waiting
+    await next(ann, 'all-users')
+    await next(ben, 'all-users')
+    expect(await next(cal, 'error')).toEqual(expect.objectContaining({ code: 'ROOM_FULL' }))
+    await settle()
+    expect(received(cal, 'admission-granted')).toEqual([])
+    expect(received(cal, 'all-users')).toEqual([])
+    expect(received(host, 'user-joined').map((u) => u.name)).not.toContain('Cal')
+  })
+})
+
+describe('removal', () => {
+  test('a removed participant cannot come back with a fresh token or a spare one', async () => {
+    const host = await join('kick-room', 'Hana')
+    await next(host, 'all-users')
+    const spare = await connect()
+    const spareToken = await requestToken(spare, 'kick-room', 'Mal')
+    const mal = await join('kick-room', 'Mal')
+    await next(mal, 'all-users')
+    const { callerID } = await next(host, 'user-joined')
+
+    host.emit('kick-participant', { peerId: callerID })
+    await next(mal, 'removed-from-room')
+
+    const back = await connect()
+    back.emit('request-room-token', { roomId: 'kick-room', userName: 'Mal' })
+    expect(await next(back, 'error')).toEqual(expect.objectContaining({ code: 'REMOVED_FROM_ROOM' }))
+    expect(received(back, 'room-token')).toEqual([])
+
+    spare.emit('join-room', { roomId: 'kick-room', token: spareToken, name: 'Mal' })
+    expect(await next(spare, 'error')).toEqual(expect.objectContaining({ code: 'REMOVED_FROM_ROOM' }))
+    await settle()
+    expect(received(spare, 'all-users')).toEqual([])
+    expect(received(host, 'user-joined')).toEqual([])
+  })
+})
+
+describe('room passphrases', () => {
+  test('a passphrase for a room that is already open unprotected is refused', async () => {
+    const host = await join('open-room', 'Hana')
+    await next(host, 'all-users')
+
+    const late = await connect()
+    late.emit('request-room-token', { roomId: 'open-room', userName: 'Ann', password: 'open sesame' })
+    expect(await next(late, 'error')).toEqual(expect.objectContaining({ code: 'PASSWORD_NOT_SET' }))
+    expect(received(late, 'room-token')).toEqual([])
+  })
+
+  test('the passphrase goes when the room empties, and the next opener decides', async () => {
+    const host = await connect()
+    const token = await requestToken(host, 'closing-room', 'Hana', 'open sesame')
+    host.emit('join-room', { roomId: 'closing-room', token, name: 'Hana' })
+    await next(host, 'all-users')
+    const stranger = await connect()
+    stranger.emit('request-room-token', { roomId: 'closing-room', userName: 'Ann' })
+    expect(await next(stranger, 'error')).toEqual(expect.objectContaining({ code: 'PASSWORD_REQUIRED' }))
+
+    host.close()
+    await settle()
+
+    expect(await requestToken(stranger, 'closing-room', 'Ann')).toEqual(expect.any(String))
+  })
+
+  test('asking for a token with a passphrase does not protect the room until the asker opens it', async () => {
+    const squatter = await connect()
+    const squatterToken = await requestToken(squatter, 'squatted-room', 'Sam', 'mine now')
+
+    const host = await join('squatted-room', 'Hana')
+    await next(host, 'all-users')
+
+    squatter.emit('join-room', { roomId: 'squatted-room', token: squatterToken, name: 'Sam' })
+    expect(await next(squatter, 'error')).toEqual(expect.objectContaining({ code: 'PASSWORD_NOT_SET' }))
+    const late = await join('squatted-room', 'Ann')
+    await next(late, 'all-users')
+  })
+
+  // Every client in this suite connects from the same address, so this one
+  // uses up that address's guesses and has to stay the last to send one.
+  test('failed passphrases are counted per client as well as per room', async () => {
+    const host = await connect()
+    const token = await requestToken(host, 'guarded-room', 'Hana', 'open sesame')
+    host.emit('join-room', { roomId: 'guarded-room', token, name: 'Hana' })
+    await next(host, 'all-users')
+
+    for (let i = 0; i < 5; i++) {
+      const guesser = await connect()
+      guesser.emit('request-room-token', { roomId: 'guarded-room', userName: 'Mal', password: `guess ${i}` })
+      expect(await next(guesser, 'error')).toEqual(expect.objectContaining({ code: 'INVALID_PASSWORD' }))
+    }
+    // Five failures leave the room's own allowance of ten far from spent
+    const again = await connect()
+    again.emit('request-room-token', { roomId: 'guarded-room', userName: 'Mal', password: 'open sesame' })
+    expect(await next(again, 'error')).toEqual(expect.objectContaining({ code: 'RATE_LIMIT_EXCEEDED' }))
+    expect(received(again, 'room-token')).toEqual([])
+  })
+})
+
+describe('signal routing', () => {
+  // Two members of one room, with the second's offer already delivered to the first.
+  async function offered(roomId) {
+    const callee = await join(roomId, 'Hana')
+    await next(callee, 'all-users')
+    const caller = await join(roomId, 'Ann')
+    await next(caller, 'all-users')
+    await next(callee, 'user-joined') // the announcement, before any offer
+    caller.emit('sending-signal', { userToSignal: callee.id, signal: { type: 'offer', sdp: 'v=0' } })
+    const offer = await next(callee, 'user-joined')
+    return { callee, caller, offer }
+  }
+
+  function signToken(fields) {
+    const payload = JSON.stringify({ timestamp: Date.now(), nonce: 'n', ...fields })
+    const signature = crypto.createHmac('sha256', SIGNALING_ENCRYPTION_KEY).update(payload).digest('hex')
+    return { payload, signature }
+  }
+
+  test('offers, answers and candidates are relayed between members of a room', async () => {
+    const { callee, caller, offer } = await offered('signal-room')
+    expect(offer).toEqual(expect.objectContaining({ callerID: caller.id, signal: { type: 'offer', sdp: 'v=0' } }))
+
+    callee.emit('returning-signal', { callerID: caller.id, token: offer.token, signal: { type: 'answer', sdp: 'v=0' } })
+    expect(await next(caller, 'receiving-returned-signal')).toEqual({ id: callee.id, signal: { type: 'answer', sdp: 'v=0' } })
+
+    caller.emit('ice-candidate', { to: callee.id, candidate: { candidate: 'candidate:1 1 udp 1 10.0.0.1 9 typ host', sdpMid: '0', sdpMLineIndex: 0 } })
+    expect(await next(callee, 'ice-candidate')).toEqual(expect.objectContaining({ from: caller.id }))
+  })
+
+  test('signals to a socket in another room are dropped', async () => {
+    const other = await join('signal-elsewhere', 'Hana')
+    await next(other, 'all-users')
+    const caller = await join('signal-here', 'Ann')
+    await next(caller, 'all-users')
+
+    caller.emit('sending-signal', { userToSignal: other.id, signal: { type: 'offer', sdp: 'v=0' } })
+    caller.emit('returning-signal', { callerID: other.id, token: signToken({ peerId: other.id, roomId: 'signal-here', socketId: caller.id }), signal: {} })
+    caller.emit('ice-candidate', { to: other.id, candidate: { candidate: 'candidate:1 1 udp 1 10.0.0.1 9 typ host' } })
+    await settle()
+
+    expect(received(other, 'user-joined')).toEqual([])
+    expect(received(other, 'receiving-returned-signal')).toEqual([])
+    expect(received(other, 'ice-candidate')).toEqual([])
+  })
+
+  test('answers with a forged, misdirected or expired peer token are dropped', async () => {
+    const { callee, caller, offer } = await offered('signal-tokens')
+    const answer = (token) => callee.emit('returning-signal', { callerID: caller.id, token, signal: { type: 'answer', sdp: 'v=0' } })
+    const fields = { peerId: caller.id, roomId: 'signal-tokens', socketId: callee.id }
+
+    answer({ ...offer.token, signature: '0'.repeat(64) })
+    answer(signToken({ ...fields, socketId: caller.id }))
+    answer(signToken({ ...fields, timestamp: Date.now() - 13 * 60 * 60 * 1000 }))
+    answer(undefined)
+    await settle()
+    expect(received(caller, 'receiving-returned-signal')).toEqual([])
+
+    answer(signToken(fields))
+    expect(await next(caller, 'receiving-returned-signal')).toEqual(expect.objectContaining({ id: callee.id }))
+  })
+
+  test('moderation commands only reach someone in the moderator\'s own room', async () => {
+    const host = await join('moderated-room', 'Hana')
+    await next(host, 'all-users')
+    const outsider = await join('another-room', 'Ann')
+    await next(outsider, 'all-users')
+
+    host.emit('transfer-host', { peerId: outsider.id })
+    expect(await next(host, 'error')).toEqual(expect.objectContaining({ code: 'INVALID_TARGET' }))
+    await settle()
+    expect(received(outsider, 'role-updated')).toEqual([])
+  })
+})
+
+describe('whiteboard ops', () => {
+  const stroke = (id) => ({ id, tool: 'pen', color: '#000', width: 2, points: [{ x: 0, y: 0 }], drawerId: 'x' })
+  const add = (actor, seq, id) => ({ kind: 'add', actor, seq, t: seq, stroke: stroke(id) })
+
+  test('an actor id belongs to the socket that first drew with it', async () => {
+    const alice = await join('wb-actors', 'Alice')
+    await next(alice, 'all-users')
+    const mallory = await join('wb-actors', 'Mallory')
+    await next(mallory, 'all-users')
+
+    alice.emit('whiteboard-op', [add('alice-tab', 1, 'a1')])
+    expect(await next(mallory, 'whiteboard-op')).toEqual([add('alice-tab', 1, 'a1')])
+
+    mallory.emit('whiteboard-op', [{ kind: 'remove', actor: 'alice-tab', seq: 2, t: 2, strokeId: 'a1' }])
+    expect(await next(mallory, 'error')).toEqual(expect.objectContaining({ code: 'INVALID_OP' }))
+    await settle()
+    expect(received(alice, 'whiteboard-op')).toEqual([])
+
+    mallory.emit('whiteboard-sync', { stateVector: {} })
+    const { ops } = await next(mallory, 'whiteboard-ops')
+    expect(ops).toEqual([add('alice-tab', 1, 'a1')])
+  })
+
+  test('an op that skips ahead of its actor\'s next seq is refused', async () => {
+    const alice = await join('wb-order', 'Alice')
+    await next(alice, 'all-users')
+    const bob = await join('wb-order', 'Bob')
+    await next(bob, 'all-users')
+
+    alice.emit('whiteboard-op', [add('alice-tab', 1, 'a1'), add('alice-tab', 2, 'a2')])
+    expect((await next(bob, 'whiteboard-op')).map((op) => op.seq)).toEqual([1, 2])
+
+    alice.emit('whiteboard-op', [add('alice-tab', 5, 'a5')])
+    expect(await next(alice, 'error')).toEqual(expect.objectContaining({ code: 'OUT_OF_ORDER' }))
+    alice.emit('whiteboard-op', [add('alice-tab', 3, 'a3')])
+    expect((await next(bob, 'whiteboard-op')).map((op) => op.seq)).toEqual([3])
+    expect(received(bob, 'whiteboard-op')).toEqual([])
+  })
+})
@@ -0,0 +1,174 @@
+import { SpeakerDetector, AudioLevelMonitor, rmsLevel } from '../../../../src/v2/audio/SpeakerDetector'
+
+// Constant-amplitude frame: its RMS level equals `amplitude`.
+const frame = (amplitude: number, size = 512) => new Float32Array(size).fill(amplitude)
+const loud = frame(0.1)
+const mid = frame(0.015) // between stopLevel (0.01) and startLevel (0.02)
+const silent = frame(0)
+
+describe('rmsLevel', () => {
+  test('returns 0 for an empty or silent frame', () => {
+    expect(rmsLevel(new Float32Array(0))).toBe(0)
+    expect(rmsLevel(silent)).toBe(0)
+  })
+
+  test('returns the amplitude of a constant frame', () => {
+    expect(rmsLevel(frame(0.5))).toBeCloseTo(0.5)
+  })
+
+  test('treats negative samples the same as positive ones', () => {
+    const wave = new Float32Array([0.5, -0.5, 0.5, -0.5])
+    expect(rmsLevel(wave)).toBeCloseTo(0.5)
+  })
+})
+
+describe('SpeakerDetector', () => {
+  test('starts silent', () => {
+    expect(new SpeakerDetector().isSpeaking).toBe(false)
+  })
+
+  test('starts speaking once the level reaches startLevel', () => {
+    const d = new SpeakerDetector()
+    expect(d.update(loud, 0)).toBe(true)
+    expect(d.isSpeaking).toBe(true)
+  })
+
+  test('a level between the thresholds does not start speaking', () => {
+    const d = new SpeakerDetector()
+    expect(d.update(mid, 0)).toBe(false)
+    expect(d.update(mid, 1000)).toBe(false)
+  })
+
+  test('a level between the thresholds keeps an active speaker on (hysteresis)', () => {
+    const d = new SpeakerDetector({ holdMs: 100 })
+    d.update(loud, 0)
+    expect(d.update(mid, 500)).toBe(true)
+    expect(d.update(mid, 5000)).toBe(true)
+  })
+
+  test('holds through silence shorter than holdMs', () => {
+    const d = new SpeakerDetector({ holdMs: 800 })
+    d.update(loud, 0)
+    expect(d.update(silent, 100)).toBe(true)
+    expect(d.update(silent, 800)).toBe(true)
+  })
+
+  test('stops after silence lasting holdMs', () => {
+    const d = new SpeakerDetector({ holdMs: 800 })
+    d.update(loud, 0)
+    d.update(silent, 100)
+    expect(d.update(silent, 900)).toBe(false)
+  })
+
+  test('a loud frame during the hold restarts the silence timer', () => {
+    const d = new SpeakerDetector({ holdMs: 800 })
+    d.update(loud, 0)
+    d.update(silent, 100)
+    d.update(loud, 700)
+    d.update(silent, 800)
+    expect(d.update(silent, 1500)).toBe(true)
+    expect(d.update(silent, 1600)).toBe(false)
+  })
+
+  test('reset() returns to silent', () => {
+    const d = new SpeakerDetector()
+    d.update(loud, 0)
+    d.reset()
+    expect(d.isSpeaking).toBe(false)
+  })
+})
+
+describe('AudioLevelMonitor', () => {
+  let level = 0
+  const mockSource = { connect: jest.fn(), disconnect: jest.fn() }
+  const mockAnalyser = {
+    fftSize: 0,
+    getFloatTimeDomainData: jest.fn((buf: Float32Array) => buf.fill(level)),
+  }
+  const mockCtx = {
+    createMediaStreamSource: jest.fn(() => mockSource),
+    createAnalyser: jest.fn(() => mockAnalyser),
+    close: jest.fn().mockResolvedValue(undefined),
+  }
+  const audioStream = () => ({ getAudioTracks: () => [{}] } as unknown as MediaStream)
+
+  beforeEach(() => {
+    level = 0
+    jest.clearAllMocks()
+    global.AudioContext = jest.fn().mockReturnValue(mockCtx) as any
+  })
+
+  afterEach(() => {
+    delete (global as any).AudioContext
+  })
+
+  test('wires the stream source into an analyser', () => {
+    const monitor = new AudioLevelMonitor(jest.fn())
+    monitor.add('a', audioStream())
+    expect(mockSource.connect).toHaveBeenCalledWith(mockAnalyser)
+    expect(monitor.has('a')).toBe(true)
+    monitor.dispose()
+  })
+
+  test('ignores streams without audio tracks', () => {
+    const monitor = new AudioLevelMonitor(jest.fn())
+    monitor.add('a', { getAudioTracks: () => [] } as unknown as MediaStream)
+    expect(monitor.has('a')).toBe(false)
+    expect(mockCtx.createMediaStreamSource).not.toHaveBeenCalled()
+  })
+
+  test('is a no-op when AudioContext is unavailable', () => {
+    delete (global as any).AudioContext
+    const monitor = new AudioLevelMonitor(jest.fn())
+    monitor.add('a', audioStream())
+    expect(monitor.has('a')).toBe(false)
+  })
+
+  test('reports only speaking transitions', () => {
+    const onChange = jest.fn()
+    const monitor = new AudioLevelMonitor(onChange, { holdMs: 200 })
+    monitor.add('a', audioStream())
+    monitor.tick(0)
+    expect(onChange).not.toHaveBeenCalled()
+    level = 0.1
+    monitor.tick(100)
+    monitor.tick(200)
+    expect(onChange).toHaveBeenCalledTimes(1)
+    expect(onChange).toHaveBeenCalledWith('a', true)
+    level = 0
+    monitor.tick(300)
+    monitor.tick(500)
+    expect(onChange).toHaveBeenLastCalledWith('a', false)
+    monitor.dispose()
+  })
+
+  test('re-adding the same stream does not create a second source', () => {
+    const monitor = new AudioLevelMonitor(jest.fn())
+    const stream = audioStream()
+    monitor.add('a', stream)
+    monitor.add('a', stream)
+    expect(mockCtx.createMediaStreamSource).toHaveBeenCalledTimes(1)
+    monitor.dispose()
+  })
+
+  test('remove() of a speaking stream reports it as silent', () => {
+    const onChange = jest.fn()
+    const monitor = new AudioLevelMonitor(onChange)
+    monitor.add('a', audioStream())
+    level = 0.1
+    monitor.tick(0)
+    monitor.remove('a')
+    expect(mockSource.disconnect).toHaveBeenCalled()
+    expect(onChange).toHaveBeenLastCalledWith('a', false)
+    monitor.dispose()
+  })
+
+  test('dispose() disconnects sources and closes the context', () => {
+    const monitor = new AudioLevelMonitor(jest.fn())
+    monitor.add('a', audioStream())
+    monitor.dispose()
+    expect(mockSource.disconnect).toHaveBeenCalled()
+    expect(mockCtx.close).toHaveBeenCalled()
+    expect(monitor.has('a')).toBe(false)
+  })
+})
@@ -0,0 +1,146 @@
+import { render, act } from '@testing-library/react'
+import { ActiveSpeakerController, SPOTLIGHT_HOLD_MS } from '../../../../src/v2/call/ActiveSpeakerController'
+import { useCallStore } from '../../../../src/v2/store/useCallStore'
+import { usePeerStore } from '../../../../src/v2/store/usePeerStore'
+import type { PeerRecord } from '../../../../src/v2/types'
+
+jest.mock('../../../../src/v2/audio/SpeakerDetector')
+
+import { AudioLevelMonitor } from '../../../../src/v2/audio/SpeakerDetector'
+const MockAudioLevelMonitor = AudioLevelMonitor as jest.MockedClass<typeof AudioLevelMonitor>
+
+const mockMonitor = {
+  add: jest.fn(),
+  remove: jest.fn(),
+  has: jest.fn(() => true),
+  dispose: jest.fn(),
+}
+
+const makePeer = (id: string, stream: MediaStream | null = null): PeerRecord => ({
+  id, name: id, role: 'guest', stream, isMuted: false, isCamOff: false,
+  videoEnabled: true, isScreenSharing: false, connectionState: 'connected',
+  networkQuality: 'good', isSpeaking: false, isPinned: false,
+  hasRaisedHand: false, handRaisedAt: null, reaction: null, presence: 'active', isTyping: false,
+})
+
+const makeMockStream = (): MediaStream =>
+  ({ getAudioTracks: () => [{}] } as unknown as MediaStream)
+
+/** The speaking-change callback the controller handed to the monitor. */
+const onChange = () => MockAudioLevelMonitor.mock.calls[0][0]
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  MockAudioLevelMonitor.mockImplementation(() => mockMonitor as any)
+  useCallStore.setState({ localStream: null, isSpeaking: false })
+  usePeerStore.setState({ peers: new Map(), activeSpeakerId: null })
+})
+
+test('renders null (renderless component)', () => {
+  const { container } = render(<ActiveSpeakerController />)
+  expect(container).toBeEmptyDOMElement()
+})
+
+test('attaches the local stream under the "local" id', () => {
+  const stream = makeMockStream()
+  useCallStore.setState({ localStream: stream })
+  render(<ActiveSpeakerController />)
+  expect(mockMonitor.add).toHaveBeenCalledWith('local', stream)
+})
+
+test('attaches peer streams and skips peers without one', () => {
+  const stream = makeMockStream()
+  usePeerStore.getState().setPeer('peer-a', makePeer('peer-a', stream))
+  usePeerStore.getState().setPeer('peer-b', makePeer('peer-b'))
+  render(<ActiveSpeakerController />)
+  expect(mockMonitor.add).toHaveBeenCalledWith('peer-a', stream)
+  expect(mockMonitor.add).not.toHaveBeenCalledWith('peer-b', expect.anything())
+})
+
+test('detaches a peer when it leaves', () => {
+  usePeerStore.getState().setPeer('peer-a', makePeer('peer-a', makeMockStream()))
+  render(<ActiveSpeakerController />)
+  act(() => { usePeerStore.getState().removePeer('peer-a') })
+  expect(mockMonitor.remove).toHaveBeenCalledWith('peer-a')
+})
+
+test('local speaking change updates useCallStore.isSpeaking', () => {
+  render(<ActiveSpeakerController />)
+  act(() => { onChange()('local', true) })
+  expect(useCallStore.getState().isSpeaking).toBe(true)
+})
+
+test('remote speaking start patches the peer and makes it the active speaker', () => {
+  usePeerStore.getState().setPeer('peer-a', makePeer('peer-a', makeMockStream()))
+  render(<ActiveSpeakerController />)
+  act(() => { onChange()('peer-a', true) })
+  expect(usePeerStore.getState().peers.get('peer-a')?.isSpeaking).toBe(true)
+  expect(usePeerStore.getState().activeSpeakerId).toBe('peer-a')
+})
+
+test('remote speaking stop keeps the active speaker', () => {
+  usePeerStore.getState().setPeer('peer-a', makePeer('peer-a', makeMockStream()))
+  render(<ActiveSpeakerController />)
+  act(() => { onChange()('peer-a', true) })
+  act(() => { onChange()('peer-a', false) })
+  expect(usePeerStore.getState().peers.get('peer-a')?.isSpeaking).toBe(false)
+  expect(usePeerStore.getState().activeSpeakerId).toBe('peer-a')
+})
+
+describe('spotlight hold', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+    usePeerStore.getState().setPeer('peer-a', makePeer('peer-a', makeMockStream()))
+    usePeerStore.getState().setPeer('peer-b', makePeer('peer-b', makeMockStream()))
+  })
+
+  afterEach(() => { jest.useRealTimers() })
+
+  const speak = (id: string, speaking: boolean) => act(() => { onChange()(id, speaking) })
+  const wait = (ms: number) => act(() => { jest.advanceTimersByTime(ms) })
+
+  test('a short interjection does not take the spotlight', () => {
+    render(<ActiveSpeakerController />)
+    speak('peer-a', true)
+    wait(200)
+    speak('peer-b', true)
+    wait(300)
+    speak('peer-b', false)
+    wait(SPOTLIGHT_HOLD_MS)
+    expect(usePeerStore.getState().activeSpeakerId).toBe('peer-a')
+  })
+
+  test('a new speaker who keeps talking takes it once the hold is up', () => {
+    render(<ActiveSpeakerController />)
+    speak('peer-a', true)
+    wait(200)
+    speak('peer-b', true)
+    wait(SPOTLIGHT_HOLD_MS - 201)
+    expect(usePeerStore.getState().activeSpeakerId).toBe('peer-a')
+    wait(1)
+    expect(usePeerStore.getState().activeSpeakerId).toBe('peer-b')
+  })
+
+  test('once the current speaker has held it long enough, the next one takes it at once', () => {
+    render(<ActiveSpeakerController />)
+    speak('peer-a', true)
+    wait(SPOTLIGHT_HOLD_MS)
+    speak('peer-b', true)
+    expect(usePeerStore.getState().activeSpeakerId).toBe('peer-b')
+  })
+
+  test('unmounting drops a pending switch', () => {
+    const { unmount } = render(<ActiveSpeakerController />)
+    speak('peer-a', true)
+    speak('peer-b', true)
+    unmount()
+    wait(SPOTLIGHT_HOLD_MS)
+    expect(usePeerStore.getState().activeSpeakerId).toBe('peer-a')
+  })
+})
+
+test('disposes the monitor on unmount', () => {
+  const { unmount } = render(<ActiveSpeakerController />)
+  unmount()
+  expect(mockMonitor.dispose).toHaveBeenCalled()
+})
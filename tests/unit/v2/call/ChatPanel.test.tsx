@@ -1,7 +1,9 @@
-import { render, screen, fireEvent } from '@testing-library/react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
 import { ChatPanel } from '../../../../src/v2/call/ChatPanel'
 import { useSessionStore } from '../../../../src/v2/store/useSessionStore'
 import { usePeerStore } from '../../../../src/v2/store/usePeerStore'
+import { useCallStore } from '../../../../src/v2/store/useCallStore'
+import { useFileTransferStore } from '../../../../src/v2/store/useFileTransferStore'
 import type { PeerRecord } from '../../../../src/v2/types'
 
 function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
@@ -10,7 +12,7 @@ function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
     stream: null, isMuted: false, isCamOff: false, videoEnabled: false, isScreenSharing: false,
     connectionState: 'connected', networkQuality: 'good',
     isSpeaking: false, isPinned: false, hasRaisedHand: false, handRaisedAt: null,
-    reaction: null, isAway: false, isTyping: false,
+    reaction: null, presence: 'active', isTyping: false,
     ...overrides,
   }
 }
@@ -18,6 +20,7 @@ function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
 beforeEach(() => {
   useSessionStore.setState({ messages: [], pinnedMessage: null })
   usePeerStore.setState({ peers: new Map() })
+  useCallStore.setState({ socketId: 'me', role: 'guest', isHost: false })
 })
 
 test('renders chat panel', () => {
@@ -86,3 +89,196 @@ test('Shift+Enter does not send message', () => {
   fireEvent.keyDown(screen.getByTestId('chat-input'), { key: 'Enter', shiftKey: true })
   expect(onSendMessage).not.toHaveBeenCalled()
 })
+
+describe('message actions', () => {
+  const mine = { id: 'm1', peerId: 'me', peerName: 'Me', text: 'My note', sentAt: 1000 }
+  const theirs = { id: 'm2', peerId: 'p1', peerName: 'Alice', text: 'Their note', sentAt: 2000 }
+  const handlers = () => ({
+    onSendMessage: jest.fn(),
+    onEditMessage: jest.fn(),
+    onDeleteMessage: jest.fn(),
+    onReactToMessage: jest.fn(),
+  })
+
+  beforeEach(() => {
+    useSessionStore.setState({ messages: [mine, theirs] })
+  })
+
+  test('only own messages can be edited; guests delete only their own', () => {
+    render(<ChatPanel {...handlers()} />)
+    expect(screen.getByTestId('chat-edit-m1')).toBeInTheDocument()
+    expect(screen.getByTestId('chat-delete-m1')).toBeInTheDocument()
+    expect(screen.queryByTestId('chat-edit-m2')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('chat-delete-m2')).not.toBeInTheDocument()
+  })
+
+  test('hosts and co-hosts can delete anyone\'s message', () => {
+    useCallStore.setState({ role: 'cohost' })
+    const props = handlers()
+    render(<ChatPanel {...props} />)
+    fireEvent.click(screen.getByTestId('chat-delete-m2'))
+    expect(props.onDeleteMessage).toHaveBeenCalledWith('m2')
+    expect(screen.queryByTestId('chat-edit-m2')).not.toBeInTheDocument()
+  })
+
+  test('editing loads the text into the input and sends an edit instead of a message', () => {
+    const props = handlers()
+    render(<ChatPanel {...props} />)
+    fireEvent.click(screen.getByTestId('chat-edit-m1'))
+    expect(screen.getByTestId('chat-input')).toHaveValue('My note')
+    fireEvent.change(screen.getByTestId('chat-input'), { target: { value: 'My better note' } })
+    fireEvent.click(screen.getByTestId('chat-send'))
+    expect(props.onEditMessage).toHaveBeenCalledWith('m1', 'My better note')
+    expect(props.onSendMessage).not.toHaveBeenCalled()
+    expect(screen.queryByTestId('chat-compose-context')).not.toBeInTheDocument()
+  })
+
+  test('Escape cancels an edit and clears the input', () => {
+    render(<ChatPanel {...handlers()} />)
+    fireEvent.click(screen.getByTestId('chat-edit-m1'))
+    fireEvent.keyDown(screen.getByTestId('chat-input'), { key: 'Escape' })
+    expect(screen.getByTestId('chat-input')).toHaveValue('')
+    expect(screen.queryByTestId('chat-compose-context')).not.toBeInTheDocument()
+  })
+
+  test('replying shows who is quoted and sends the quoted id', () => {
+    const props = handlers()
+    render(<ChatPanel {...props} />)
+    fireEvent.click(screen.getByTestId('chat-reply-m2'))
+    expect(screen.getByTestId('chat-compose-context')).toHaveTextContent('Replying to Alice: Their note')
+    fireEvent.change(screen.getByTestId('chat-input'), { target: { value: 'Agreed' } })
+    fireEvent.keyDown(screen.getByTestId('chat-input'), { key: 'Enter' })
+    expect(props.onSendMessage).toHaveBeenCalledWith('Agreed', 'm2')
+  })
+
+  test('replies render the quoted message, or say it was deleted', () => {
+    useSessionStore.setState({
+      messages: [
+        { ...theirs, deleted: true, text: '' },
+        { id: 'm3', peerId: 'p2', peerName: 'Bob', text: 'Reply', sentAt: 3000, replyTo: 'm2' },
+        { id: 'm4', peerId: 'p2', peerName: 'Bob', text: 'Reply to mine', sentAt: 4000, replyTo: 'm1' },
+      ],
+    })
+    render(<ChatPanel {...handlers()} />)
+    const quotes = screen.getAllByTestId('chat-quote')
+    expect(quotes[0]).toHaveTextContent('Message deleted')
+    expect(quotes[1]).toHaveTextContent('Original message unavailable')
+    expect(screen.getByTestId('chat-deleted')).toBeInTheDocument()
+    expect(screen.queryByTestId('chat-reply-m2')).not.toBeInTheDocument()
+  })
+
+  test('shows the edited marker', () => {
+    useSessionStore.setState({ messages: [{ ...mine, editedAt: 1500 }] })
+    render(<ChatPanel {...handlers()} />)
+    expect(screen.getByTestId('chat-edited')).toHaveTextContent('(edited)')
+  })
+
+  test('reactions show counts, mark our own and toggle from the chip or the picker', () => {
+    useSessionStore.setState({ messages: [{ ...theirs, reactions: { '👍': ['me', 'p3'], '😂': ['p3'] } }] })
+    const props = handlers()
+    render(<ChatPanel {...props} />)
+    const thumbs = screen.getByTestId('chat-reaction-m2-👍')
+    expect(thumbs).toHaveTextContent('👍 2')
+    expect(thumbs).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.getByTestId('chat-reaction-m2-😂')).toHaveAttribute('aria-pressed', 'false')
+
+    fireEvent.click(thumbs)
+    expect(props.onReactToMessage).toHaveBeenCalledWith('m2', '👍')
+
+    fireEvent.click(screen.getByTestId('chat-react-m2'))
+    fireEvent.click(screen.getByLabelText('React with 🎉'))
+    expect(props.onReactToMessage).toHaveBeenCalledWith('m2', '🎉')
+    expect(screen.queryByTestId('chat-reaction-picker')).not.toBeInTheDocument()
+  })
+
+  test('reports typing while the draft has text and stops after sending', () => {
+    const onTyping = jest.fn()
+    render(<ChatPanel onSendMessage={jest.fn()} onTyping={onTyping} />)
+    const input = screen.getByTestId('chat-input')
+    fireEvent.change(input, { target: { value: 'Hel' } })
+    expect(onTyping).toHaveBeenLastCalledWith(true)
+    fireEvent.change(input, { target: { value: '  ' } })
+    expect(onTyping).toHaveBeenLastCalledWith(false)
+    fireEvent.change(input, { target: { value: 'Hello' } })
+    fireEvent.keyDown(input, { key: 'Enter' })
+    expect(onTyping).toHaveBeenLastCalledWith(false)
+  })
+
+  test('only the host can pin and unpin, and the pinned message offers no pin', () => {
+    const onPinMessage = jest.fn()
+    const onUnpinMessage = jest.fn()
+    useSessionStore.setState({ pinnedMessage: theirs })
+    const { rerender } = render(<ChatPanel onSendMessage={jest.fn()} onPinMessage={onPinMessage} onUnpinMessage={onUnpinMessage} />)
+    expect(screen.queryByTestId('chat-pin-m1')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('chat-unpin')).not.toBeInTheDocument()
+
+    act(() => { useCallStore.setState({ isHost: true, role: 'host' }) })
+    rerender(<ChatPanel onSendMessage={jest.fn()} onPinMessage={onPinMessage} onUnpinMessage={onUnpinMessage} />)
+    expect(screen.queryByTestId('chat-pin-m2')).not.toBeInTheDocument()
+    fireEvent.click(screen.getByTestId('chat-pin-m1'))
+    expect(onPinMessage).toHaveBeenCalledWith('m1')
+    fireEvent.click(screen.getByTestId('chat-unpin'))
+    expect(onUnpinMessage).toHaveBeenCalled()
+  })
+})
+
+describe('shared files', () => {
+  const file = { id: 'f1', name: 'report.pdf', size: 2048, mime: 'application/pdf', hash: 'a'.repeat(64) }
+  const share = (overrides = {}) => ({ id: 'file:f1', peerId: 'p1', peerName: 'Alice', text: '', sentAt: 1000, file, ...overrides })
+
+  beforeEach(() => {
+    useFileTransferStore.setState({ transfers: {} })
+  })
+
+  test('the attach button shares the picked file', () => {
+    const onShareFile = jest.fn()
+    render(<ChatPanel onSendMessage={jest.fn()} onShareFile={onShareFile} />)
+    const picked = new File(['hi'], 'hi.txt', { type: 'text/plain' })
+    fireEvent.change(screen.getByTestId('chat-file-input'), { target: { files: [picked] } })
+    expect(onShareFile).toHaveBeenCalledWith(picked)
+  })
+
+  test('a file from someone else can be downloaded, with progress and cancel while it arrives', () => {
+    useSessionStore.setState({ messages: [share()] })
+    const onDownloadFile = jest.fn()
+    const onCancelFileTransfer = jest.fn()
+    render(<ChatPanel onSendMessage={jest.fn()} onDownloadFile={onDownloadFile} onCancelFileTransfer={onCancelFileTransfer} />)
+    expect(screen.getByTestId('shared-file-f1')).toHaveTextContent('report.pdf')
+    expect(screen.getByTestId('shared-file-f1')).toHaveTextContent('2.0 KB')
+    expect(screen.queryByTestId('chat-reply-file:f1')).not.toBeInTheDocument()
+    fireEvent.click(screen.getByTestId('file-download-f1'))
+    expect(onDownloadFile).toHaveBeenCalledWith('f1')
+
+    act(() => { useFileTransferStore.getState().patchTransfer('f1', { status: 'receiving', received: 1024 }) })
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '50')
+    expect(screen.queryByTestId('file-download-f1')).not.toBeInTheDocument()
+    fireEvent.click(screen.getByTestId('file-cancel-f1'))
+    expect(onCancelFileTransfer).toHaveBeenCalledWith('f1')
+  })
+
+  test('a verified image shows inline with a save link', () => {
+    useSessionStore.setState({ messages: [share({ file: { ...file, name: 'cat.png', mime: 'image/png' } })] })
+    useFileTransferStore.setState({ transfers: { f1: { status: 'complete', received: 2048, url: 'blob:cat', sending: 0, error: null } } })
+    render(<ChatPanel onSendMessage={jest.fn()} />)
+    expect(screen.getByTestId('shared-file-preview')).toHaveAttribute('src', 'blob:cat')
+    expect(screen.getByTestId('file-save-f1')).toHaveAttribute('download', 'cat.png')
+  })
+
+  test('a failed download shows why and can be retried', () => {
+    useSessionStore.setState({ messages: [share()] })
+    useFileTransferStore.setState({ transfers: { f1: { status: 'failed', received: 0, url: null, sending: 0, error: 'The file did not match its checksum' } } })
+    render(<ChatPanel onSendMessage={jest.fn()} onDownloadFile={jest.fn()} />)
+    expect(screen.getByTestId('shared-file-error')).toHaveTextContent('checksum')
+    expect(screen.getByTestId('file-download-f1')).toHaveTextContent('Try again')
+  })
+
+  test('our own share shows uploads in flight and can be stopped', () => {
+    useSessionStore.setState({ messages: [share({ peerId: 'me' })] })
+    useFileTransferStore.setState({ transfers: { f1: { status: 'complete', received: 2048, url: 'blob:own', sending: 2, error: null } } })
+    const onCancelFileTransfer = jest.fn()
+    render(<ChatPanel onSendMessage={jest.fn()} onCancelFileTransfer={onCancelFileTransfer} />)
+    expect(screen.getByTestId('shared-file-f1')).toHaveTextContent('Sending to 2…')
+    fireEvent.click(screen.getByTestId('file-stop-f1'))
+    expect(onCancelFileTransfer).toHaveBeenCalledWith('f1')
+  })
+})
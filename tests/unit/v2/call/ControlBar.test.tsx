@@ -22,7 +22,7 @@ jest.mock('framer-motion', () => {
 
 beforeEach(() => {
   useCallStore.setState({ isMuted: false, isCamOff: false, isNoiseSuppressed: true })
-  useUIStore.setState({ isChatOpen: false, isParticipantsOpen: false, isQAOpen: false, isAIOpen: false, isCaptionsOpen: false, isWhiteboardOpen: false })
+  useUIStore.setState({ isChatOpen: false, isParticipantsOpen: false, isQAOpen: false, isPollsOpen: false, isAIOpen: false, isCaptionsOpen: false, isWhiteboardOpen: false, layout: 'spotlight' })
   useTranscriptionStore.setState({ isLoading: false, isEnabled: false, segments: [] })
   jest.useFakeTimers()
 })
@@ -237,6 +237,27 @@ test('clicking noise button toggles isNoiseSuppressed in store', () => {
   expect(useCallStore.getState().isNoiseSuppressed).toBe(true)
 })
 
+test('E2EE button is disabled in browsers without encoded transforms', () => {
+  render(<ControlBar onEndCall={jest.fn()} />)
+  expect(screen.getByTestId('btn-e2ee')).toBeDisabled()
+  expect(screen.getByTestId('btn-e2ee')).toHaveAttribute('title', 'This browser cannot encrypt media end to end')
+})
+
+test('clicking E2EE button toggles isMediaEncrypted when the browser supports it', () => {
+  ;(global as any).RTCRtpScriptTransform = jest.fn()
+  try {
+    useCallStore.setState({ isMediaEncrypted: false })
+    render(<ControlBar onEndCall={jest.fn()} />)
+    expect(screen.getByTestId('btn-e2ee')).toHaveTextContent('🔓 E2EE: Off')
+    fireEvent.click(screen.getByTestId('btn-e2ee'))
+    expect(useCallStore.getState().isMediaEncrypted).toBe(true)
+    expect(screen.getByTestId('btn-e2ee')).toHaveTextContent('🔒 E2EE: On')
+  } finally {
+    delete (global as any).RTCRtpScriptTransform
+    useCallStore.setState({ isMediaEncrypted: false })
+  }
+})
+
 test('CC button renders in control bar', () => {
   render(<ControlBar onEndCall={jest.fn()} />)
   expect(screen.getByTestId('btn-cc')).toBeInTheDocument()
@@ -360,3 +381,30 @@ test('whiteboard button renders with primary variant when isWhiteboardOpen is tr
   // The btn-whiteboard should have aria-label="Whiteboard"
   expect(btn).toHaveAttribute('aria-label', 'Whiteboard')
 })
+
+test('screen share button toggles isScreenSharing in store', () => {
+  useCallStore.setState({ isScreenSharing: false })
+  render(<ControlBar onEndCall={jest.fn()} />)
+  fireEvent.click(screen.getByTestId('btn-screen-share'))
+  expect(useCallStore.getState().isScreenSharing).toBe(true)
+  expect(screen.getByTestId('btn-screen-share')).toHaveAttribute('aria-label', 'Stop Sharing')
+  fireEvent.click(screen.getByTestId('btn-screen-share'))
+  expect(useCallStore.getState().isScreenSharing).toBe(false)
+})
+
+test('layout button toggles between spotlight and grid', () => {
+  render(<ControlBar onEndCall={jest.fn()} />)
+  fireEvent.click(screen.getByTestId('btn-layout'))
+  expect(useUIStore.getState().layout).toBe('grid')
+  expect(screen.getByTestId('btn-layout')).toHaveAttribute('aria-label', 'Spotlight View')
+  fireEvent.click(screen.getByTestId('btn-layout'))
+  expect(useUIStore.getState().layout).toBe('spotlight')
+})
+
+test('Polls button toggles isPollsOpen in store', () => {
+  render(<ControlBar onEndCall={jest.fn()} />)
+  fireEvent.click(screen.getByTestId('btn-polls'))
+  expect(useUIStore.getState().isPollsOpen).toBe(true)
+  fireEvent.click(screen.getByTestId('btn-polls'))
+  expect(useUIStore.getState().isPollsOpen).toBe(false)
+})
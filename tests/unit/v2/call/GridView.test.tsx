@@ -0,0 +1,95 @@
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import { GridView } from '../../../../src/v2/call/GridView'
+import { usePeerStore, wantedLayer } from '../../../../src/v2/store/usePeerStore'
+import { useCallStore } from '../../../../src/v2/store/useCallStore'
+import type { PeerRecord } from '../../../../src/v2/types'
+
+function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
+  return {
+    id: 'peer-1', name: 'Alice', role: 'guest',
+    stream: null, isMuted: false, isCamOff: false, videoEnabled: false, isScreenSharing: false,
+    connectionState: 'connected', networkQuality: 'good',
+    isSpeaking: false, isPinned: false, hasRaisedHand: false, handRaisedAt: null,
+    reaction: null, presence: 'active', isTyping: false,
+    ...overrides,
+  }
+}
+
+function addPeers(n: number) {
+  for (let i = 1; i <= n; i++) {
+    usePeerStore.getState().setPeer(`peer-${i}`, makePeer({ id: `peer-${i}`, name: `Peer ${i}` }))
+  }
+}
+
+const tileCount = (container: HTMLElement) => container.querySelectorAll('[data-peer-id]').length
+
+beforeEach(() => {
+  usePeerStore.setState({ peers: new Map(), activeSpeakerId: null })
+  useCallStore.setState({ localStream: null, isMuted: false, isCamOff: false, isSpeaking: false, userName: 'Ralph', socketId: null, screenSharePeerId: null, screenStream: null })
+})
+
+test('renders the local tile and every peer', () => {
+  addPeers(2)
+  const { container } = render(<GridView />)
+  expect(screen.getByText('Ralph')).toBeInTheDocument()
+  expect(screen.getByText('Peer 1')).toBeInTheDocument()
+  expect(screen.getByText('Peer 2')).toBeInTheDocument()
+  expect(tileCount(container)).toBe(3)
+})
+
+test('lays tiles out with calcGrid columns', () => {
+  addPeers(4)
+  const { container } = render(<GridView />)
+  const grid = container.querySelector('.grid') as HTMLElement
+  expect(grid.style.gridTemplateColumns).toBe('repeat(3, minmax(0, 1fr))')
+  expect(grid.style.gridTemplateRows).toBe('repeat(2, minmax(0, 1fr))')
+})
+
+test('does not paginate within the page size', () => {
+  addPeers(3)
+  render(<GridView pageSize={4} />)
+  expect(screen.queryByTestId('grid-next')).not.toBeInTheDocument()
+})
+
+test('paginates past the page size', () => {
+  addPeers(5)
+  const { container } = render(<GridView pageSize={4} />)
+  expect(tileCount(container)).toBe(4)
+  expect(screen.getByTestId('grid-page')).toHaveTextContent('1 / 2')
+  expect(screen.getByTestId('grid-prev')).toBeDisabled()
+
+  fireEvent.click(screen.getByTestId('grid-next'))
+  expect(tileCount(container)).toBe(2)
+  expect(screen.getByText('Peer 5')).toBeInTheDocument()
+  expect(screen.getByTestId('grid-next')).toBeDisabled()
+})
+
+test('asks for the medium layer of peers on the current page and pauses the rest', () => {
+  addPeers(5)
+  const { unmount } = render(<GridView pageSize={4} />)
+  const layerOf = (id: string) => wantedLayer(usePeerStore.getState().viewLayers, id)
+  expect(['peer-1', 'peer-3', 'peer-4', 'peer-5'].map(layerOf)).toEqual(['medium', 'medium', 'paused', 'paused'])
+
+  fireEvent.click(screen.getByTestId('grid-next'))
+  expect(['peer-1', 'peer-4', 'peer-5'].map(layerOf)).toEqual(['paused', 'medium', 'medium'])
+  unmount()
+  expect(usePeerStore.getState().viewLayers).toEqual({})
+})
+
+test('returns to the last page that still exists when peers leave', () => {
+  addPeers(5)
+  render(<GridView pageSize={4} />)
+  fireEvent.click(screen.getByTestId('grid-next'))
+  act(() => {
+    usePeerStore.getState().removePeer('peer-5')
+    usePeerStore.getState().removePeer('peer-4')
+  })
+  expect(screen.queryByTestId('grid-page')).not.toBeInTheDocument()
+  expect(screen.getByText('Ralph')).toBeInTheDocument()
+})
+
+test('passes isSpeaking through to tiles', () => {
+  usePeerStore.getState().setPeer('peer-1', makePeer({ isSpeaking: true }))
+  render(<GridView />)
+  expect(screen.getByTestId('speaking-ring')).toBeInTheDocument()
+})
@@ -1,6 +1,8 @@
-import { render, screen } from '@testing-library/react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
 import { ParticipantsPanel } from '../../../../src/v2/call/ParticipantsPanel'
 import { usePeerStore } from '../../../../src/v2/store/usePeerStore'
+import { useCallStore } from '../../../../src/v2/store/useCallStore'
+import { useSessionStore } from '../../../../src/v2/store/useSessionStore'
 import type { PeerRecord } from '../../../../src/v2/types'
 
 function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
@@ -10,7 +12,7 @@ function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
     connectionState: 'connected', networkQuality: 'good',
     isSpeaking: false, isPinned: false,
     hasRaisedHand: false, handRaisedAt: null,
-    reaction: null, isAway: false, isTyping: false,
+    reaction: null, presence: 'active', isTyping: false,
     ...overrides,
   }
 }
@@ -67,3 +69,208 @@ test('shows gray dot for peer with connecting state', () => {
   expect(dot).not.toHaveClass('bg-[var(--accent-live)]')
   expect(dot).not.toHaveClass('bg-[var(--accent-danger)]')
 })
+
+test('shows each participant\'s presence, including our own', () => {
+  usePeerStore.setState({
+    peers: new Map([
+      ['peer-1', makePeer({ id: 'peer-1', presence: 'away' })],
+      ['peer-2', makePeer({ id: 'peer-2', name: 'Bob', presence: 'reconnecting' })],
+      ['peer-3', makePeer({ id: 'peer-3', name: 'Cleo' })],
+    ]),
+  })
+  useCallStore.setState({ presence: 'idle' })
+  render(<ParticipantsPanel />)
+  expect(screen.getByTestId('peer-presence-peer-1')).toHaveTextContent('Away')
+  expect(screen.getByTestId('peer-presence-peer-2')).toHaveTextContent('Reconnecting')
+  expect(screen.queryByTestId('peer-presence-peer-3')).not.toBeInTheDocument()
+  expect(screen.getByTestId('peer-presence-local')).toHaveTextContent('Idle')
+  useCallStore.setState({ presence: 'active' })
+})
+
+describe('roles', () => {
+  beforeEach(() => {
+    useCallStore.setState({ isHost: false, role: 'guest' })
+  })
+
+  test('labels host and co-host peers', () => {
+    usePeerStore.getState().setPeer('peer-1', makePeer({ id: 'peer-1', role: 'host' }))
+    usePeerStore.getState().setPeer('peer-2', makePeer({ id: 'peer-2', name: 'Bob', role: 'cohost' }))
+    usePeerStore.getState().setPeer('peer-3', makePeer({ id: 'peer-3', name: 'Cy' }))
+    render(<ParticipantsPanel />)
+    expect(screen.getByTestId('peer-role-peer-1')).toHaveTextContent('Host')
+    expect(screen.getByTestId('peer-role-peer-2')).toHaveTextContent('Co-host')
+    expect(screen.queryByTestId('peer-role-peer-3')).not.toBeInTheDocument()
+  })
+
+  test('labels the local user when they are host', () => {
+    useCallStore.setState({ isHost: true, role: 'host' })
+    render(<ParticipantsPanel />)
+    expect(screen.getByTestId('peer-role-local')).toHaveTextContent('Host')
+  })
+
+  test('co-hosts get moderation actions but no role controls', () => {
+    useCallStore.setState({ role: 'cohost' })
+    usePeerStore.getState().setPeer('peer-1', makePeer())
+    render(<ParticipantsPanel />)
+    fireEvent.click(screen.getByTestId('btn-actions-peer-1'))
+    expect(screen.getByTestId('action-kick-peer-1')).toBeInTheDocument()
+    expect(screen.queryByTestId('btn-cohost-peer-1')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('btn-make-host-peer-1')).not.toBeInTheDocument()
+  })
+
+  test('host can promote, demote and hand over host', () => {
+    useCallStore.setState({ isHost: true, role: 'host' })
+    usePeerStore.getState().setPeer('peer-1', makePeer())
+    usePeerStore.getState().setPeer('peer-2', makePeer({ id: 'peer-2', name: 'Bob', role: 'cohost' }))
+    const onSetRole = jest.fn()
+    const onTransferHost = jest.fn()
+    render(<ParticipantsPanel onSetRole={onSetRole} onTransferHost={onTransferHost} />)
+    fireEvent.click(screen.getByTestId('btn-actions-peer-1'))
+    fireEvent.click(screen.getByTestId('btn-cohost-peer-1'))
+    expect(onSetRole).toHaveBeenCalledWith('peer-1', 'cohost')
+    fireEvent.click(screen.getByTestId('btn-actions-peer-2'))
+    fireEvent.click(screen.getByTestId('btn-cohost-peer-2'))
+    expect(onSetRole).toHaveBeenCalledWith('peer-2', 'guest')
+    fireEvent.click(screen.getByTestId('btn-actions-peer-1'))
+    fireEvent.click(screen.getByTestId('btn-make-host-peer-1'))
+    expect(onTransferHost).toHaveBeenCalledWith('peer-1')
+  })
+})
+
+describe('moderation', () => {
+  beforeEach(() => {
+    useCallStore.setState({ isHost: false, role: 'guest' })
+    useSessionStore.setState({ isRoomLocked: false })
+  })
+
+  test('guests see no action menus or room controls', () => {
+    usePeerStore.getState().setPeer('peer-1', makePeer())
+    render(<ParticipantsPanel />)
+    expect(screen.queryByTestId('btn-actions-peer-1')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('btn-lock-room')).not.toBeInTheDocument()
+  })
+
+  test('guests see when the room is locked', () => {
+    useSessionStore.setState({ isRoomLocked: true })
+    render(<ParticipantsPanel />)
+    expect(screen.getByTestId('room-locked-indicator')).toBeInTheDocument()
+  })
+
+  test('co-hosts cannot act on the host or other co-hosts', () => {
+    useCallStore.setState({ role: 'cohost' })
+    usePeerStore.getState().setPeer('peer-1', makePeer({ role: 'host' }))
+    usePeerStore.getState().setPeer('peer-2', makePeer({ id: 'peer-2', role: 'cohost' }))
+    render(<ParticipantsPanel />)
+    expect(screen.queryByTestId('btn-actions-peer-1')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('btn-actions-peer-2')).not.toBeInTheDocument()
+  })
+
+  test('action menu mutes, turns off camera and removes a participant', () => {
+    useCallStore.setState({ isHost: true, role: 'host' })
+    usePeerStore.getState().setPeer('peer-1', makePeer())
+    const onRequestMute = jest.fn()
+    const onKick = jest.fn()
+    render(<ParticipantsPanel onRequestMute={onRequestMute} onKick={onKick} />)
+
+    fireEvent.click(screen.getByTestId('btn-actions-peer-1'))
+    fireEvent.click(screen.getByTestId('action-mute-peer-1'))
+    expect(onRequestMute).toHaveBeenCalledWith('peer-1', 'audio')
+    expect(screen.queryByTestId('action-menu-peer-1')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByTestId('btn-actions-peer-1'))
+    fireEvent.click(screen.getByTestId('action-cam-off-peer-1'))
+    expect(onRequestMute).toHaveBeenCalledWith('peer-1', 'video')
+
+    fireEvent.click(screen.getByTestId('btn-actions-peer-1'))
+    fireEvent.click(screen.getByTestId('action-kick-peer-1'))
+    expect(onKick).toHaveBeenCalledWith('peer-1')
+  })
+
+  test('hides mute actions that are already in effect', () => {
+    useCallStore.setState({ isHost: true, role: 'host' })
+    usePeerStore.getState().setPeer('peer-1', makePeer({ isMuted: true, isCamOff: true }))
+    render(<ParticipantsPanel />)
+    fireEvent.click(screen.getByTestId('btn-actions-peer-1'))
+    expect(screen.queryByTestId('action-mute-peer-1')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('action-cam-off-peer-1')).not.toBeInTheDocument()
+  })
+
+  test('lower-all-hands and lock toggle call their handlers', () => {
+    useCallStore.setState({ isHost: true, role: 'host' })
+    const onLowerAllHands = jest.fn()
+    const onLockRoom = jest.fn()
+    const { rerender } = render(<ParticipantsPanel onLowerAllHands={onLowerAllHands} onLockRoom={onLockRoom} />)
+    fireEvent.click(screen.getByTestId('btn-lower-all-hands'))
+    expect(onLowerAllHands).toHaveBeenCalled()
+    fireEvent.click(screen.getByTestId('btn-lock-room'))
+    expect(onLockRoom).toHaveBeenCalledWith(true)
+
+    act(() => { useSessionStore.setState({ isRoomLocked: true }) })
+    rerender(<ParticipantsPanel onLowerAllHands={onLowerAllHands} onLockRoom={onLockRoom} />)
+    expect(screen.getByTestId('btn-lock-room')).toHaveAttribute('aria-label', 'Unlock room')
+    fireEvent.click(screen.getByTestId('btn-lock-room'))
+    expect(onLockRoom).toHaveBeenCalledWith(false)
+  })
+})
+
+describe('lobby', () => {
+  const waiting = { id: 'sock-9', name: 'Dana', isMuted: false, isCamOff: false, requestedAt: 1 }
+
+  beforeEach(() => {
+    useCallStore.setState({ isHost: true, role: 'host' })
+    useSessionStore.setState({ isLobbyEnabled: false, lobby: [] })
+  })
+
+  test('lobby toggle reports the next state', () => {
+    const onSetLobbyEnabled = jest.fn()
+    const { rerender } = render(<ParticipantsPanel onSetLobbyEnabled={onSetLobbyEnabled} />)
+    fireEvent.click(screen.getByTestId('btn-lobby-mode'))
+    expect(onSetLobbyEnabled).toHaveBeenCalledWith(true)
+
+    act(() => { useSessionStore.setState({ isLobbyEnabled: true }) })
+    rerender(<ParticipantsPanel onSetLobbyEnabled={onSetLobbyEnabled} />)
+    expect(screen.getByTestId('btn-lobby-mode')).toHaveAttribute('aria-pressed', 'true')
+    fireEvent.click(screen.getByTestId('btn-lobby-mode'))
+    expect(onSetLobbyEnabled).toHaveBeenLastCalledWith(false)
+  })
+
+  test('trickle ICE toggle reports the next state', () => {
+    const onSetTrickleIce = jest.fn()
+    const { rerender } = render(<ParticipantsPanel onSetTrickleIce={onSetTrickleIce} />)
+    expect(screen.getByTestId('btn-trickle-ice')).toHaveAttribute('aria-pressed', 'true')
+    fireEvent.click(screen.getByTestId('btn-trickle-ice'))
+    expect(onSetTrickleIce).toHaveBeenCalledWith(false)
+
+    act(() => { useSessionStore.setState({ isTrickleIceEnabled: false }) })
+    rerender(<ParticipantsPanel onSetTrickleIce={onSetTrickleIce} />)
+    fireEvent.click(screen.getByTestId('btn-trickle-ice'))
+    expect(onSetTrickleIce).toHaveBeenLastCalledWith(true)
+    useSessionStore.setState({ isTrickleIceEnabled: true })
+  })
+
+  test('moderators can admit or deny waiting joiners', () => {
+    useSessionStore.setState({ lobby: [waiting] })
+    const onAdmit = jest.fn()
+    const onDeny = jest.fn()
+    render(<ParticipantsPanel onAdmit={onAdmit} onDeny={onDeny} />)
+    expect(screen.getByTestId('lobby-queue')).toHaveTextContent('Waiting (1)')
+    expect(screen.getByTestId('lobby-entry-sock-9')).toHaveTextContent('Dana')
+    fireEvent.click(screen.getByTestId('btn-admit-sock-9'))
+    expect(onAdmit).toHaveBeenCalledWith('sock-9')
+    fireEvent.click(screen.getByTestId('btn-deny-sock-9'))
+    expect(onDeny).toHaveBeenCalledWith('sock-9')
+  })
+
+  test('the queue is hidden when nobody is waiting', () => {
+    render(<ParticipantsPanel />)
+    expect(screen.queryByTestId('lobby-queue')).not.toBeInTheDocument()
+  })
+
+  test('guests see neither the queue nor the lobby toggle', () => {
+    useCallStore.setState({ isHost: false, role: 'guest' })
+    useSessionStore.setState({ lobby: [waiting] })
+    render(<ParticipantsPanel />)
+    expect(screen.queryByTestId('lobby-queue')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('btn-lobby-mode')).not.toBeInTheDocument()
+  })
+})
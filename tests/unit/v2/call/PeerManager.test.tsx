@@ -3,12 +3,24 @@ import { createRef } from 'react'
 import { usePeerStore } from '../../../../src/v2/store/usePeerStore'
 import { useSessionStore } from '../../../../src/v2/store/useSessionStore'
 import { useCallStore } from '../../../../src/v2/store/useCallStore'
+import { useUIStore } from '../../../../src/v2/store/useUIStore'
+import { useFileTransferStore } from '../../../../src/v2/store/useFileTransferStore'
+import { FILE_CHUNK_SIZE, MAX_SHARED_FILE_SIZE, decodeFileChunk, encodeFileChunk, sha256Hex } from '../../../../src/v2/lib/fileTransfer'
 import type { PeerManagerHandle } from '../../../../src/v2/call/PeerManager'
+import {
+  ICE_RESTART_GRACE_MS, ICE_RESTART_TIMEOUT_MS, MAX_REBUILD_ATTEMPTS, REBUILD_BASE_MS,
+} from '../../../../src/v2/call/PeerManager'
+import { simulcastWebRtc } from '../../../../src/v2/media/simulcast'
+import type { Poll } from '../../../../src/v2/types'
 
 jest.mock('../../../../src/v2/store/useWhiteboardStore', () => {
   const state = {
-    addStroke: jest.fn(),
-    clearStrokes: jest.fn(),
+    actorId: 'me',
+    crdt: { clock: 0, entries: {}, clears: {}, stateVector: {}, floor: {}, log: [] as unknown[], pending: [] as unknown[] },
+    applyOps: jest.fn(),
+    movePointer: jest.fn(),
+    removeCursor: jest.fn(),
+    setPages: jest.fn(),
     grantDrawing: jest.fn(),
     revokeDrawing: jest.fn(),
     reset: jest.fn(),
@@ -20,9 +32,24 @@ jest.mock('../../../../src/v2/store/useWhiteboardStore', () => {
   }
 })
 
-// chatCrypto mock — deterministic substitute for Web Crypto operations
+// chatCrypto mock — deterministic substitute for Web Crypto operations.
+// Room keys are plain objects; a wrapped key is just 'WRAPPED:' + its id.
 jest.mock('../../../../src/v2/lib/chatCrypto', () => ({
-  deriveKey: jest.fn().mockResolvedValue({ type: 'mock-aes-gcm-key' }),
+  generateKeyPair: jest.fn().mockResolvedValue({ publicKey: 'own-public', privateKey: 'own-private' }),
+  exportPublicKey: jest.fn().mockResolvedValue('OWN-PUBLIC'),
+  importPublicKey: jest.fn((encoded: string) => Promise.resolve({ encoded })),
+  generateRoomKey: jest.fn(() => Promise.resolve({ id: 'room-key', key: 'aes-room-key', createdAt: 100 })),
+  exportRoomKey: jest.fn(({ id }: { id: string }) => Promise.resolve(`EXPORTED:${id}`)),
+  importRoomKey: jest.fn((encoded: string) => Promise.resolve({ id: `invite:${encoded}`, key: 'aes-invite-key', createdAt: 0 })),
+  wrapRoomKey: jest.fn(({ id }: { id: string }) => Promise.resolve(`WRAPPED:${id}`)),
+  unwrapRoomKey: jest.fn((wrapped: string, createdAt: number) =>
+    wrapped.startsWith('WRAPPED:')
+      ? Promise.resolve({ id: wrapped.slice(8), key: `aes-${wrapped.slice(8)}`, createdAt })
+      : Promise.reject(new Error('OperationError'))
+  ),
+  deriveMediaKey: jest.fn(({ id }: { id: string }) => Promise.resolve({ tag: 7, key: `media-${id}` })),
+  isNewerKey: (a: { id: string; createdAt: number }, b: { id: string; createdAt: number } | null) =>
+    !b || (a.createdAt !== b.createdAt ? a.createdAt > b.createdAt : a.id > b.id),
   encryptMessage: jest.fn((text: string) => Promise.resolve(`ENCRYPTED:${text}`)),
   decryptMessage: jest.fn((encoded: string) =>
     encoded.startsWith('ENCRYPTED:')
@@ -31,6 +58,11 @@ jest.mock('../../../../src/v2/lib/chatCrypto', () => ({
   ),
 }))
 
+// Only reached in tests that fake RTCRtpScriptTransform support.
+jest.mock('../../../../src/v2/media/workerFactory', () => ({
+  createMediaCryptoWorker: jest.fn(),
+}))
+
 // Event-capturing simple-peer mock — overrides global jest.setup.js mock for this file
 const peerCallbacks: Record<string, Function> = {}
 const mockRTCConn = { getStats: jest.fn(), iceConnectionState: 'connected' as RTCIceConnectionState }
@@ -39,6 +71,10 @@ const mockPeerInstance = {
   signal: jest.fn(),
   destroy: jest.fn(),
   addTrack: jest.fn(),
+  replaceTrack: jest.fn(),
+  removeTrack: jest.fn(),
+  send: jest.fn(),
+  connected: true,
   destroyed: false,
   _pc: mockRTCConn,
 }
@@ -76,6 +112,19 @@ function fireSocketEvent(event: string, payload?: unknown) {
   socketCallbacks[event]?.forEach((cb) => cb(payload))
 }
 
+// Chat key work runs on a promise chain; let it drain (works under fake timers too).
+async function flushChat() {
+  await act(async () => {
+    for (let i = 0; i < 30; i++) await Promise.resolve()
+  })
+}
+
+// Seats us alone in the room, so we start the chat room key ('room-key') ourselves.
+async function joinEmptyRoom() {
+  act(() => { fireSocketEvent('all-users', []) })
+  await flushChat()
+}
+
 // Import AFTER mock is defined
 let PeerManager: typeof import('../../../../src/v2/call/PeerManager').PeerManager
 
@@ -95,16 +144,22 @@ beforeEach(() => {
   mockPeerInstance.signal.mockClear()
   mockPeerInstance.destroy.mockClear()
   mockPeerInstance.addTrack.mockClear()
+  mockPeerInstance.replaceTrack.mockClear()
+  mockPeerInstance.removeTrack.mockClear()
+  mockPeerInstance.send.mockClear()
   mockPeerInstance.destroyed = false
   // Clear whiteboard store mocks between tests
   const wbState = (require('../../../../src/v2/store/useWhiteboardStore') as any).useWhiteboardStore.getState()
-  wbState.addStroke.mockClear()
-  wbState.clearStrokes.mockClear()
+  wbState.applyOps.mockClear()
+  wbState.movePointer.mockClear()
+  wbState.removeCursor.mockClear()
+  wbState.crdt = { clock: 0, entries: {}, clears: {}, stateVector: {}, floor: {}, log: [], pending: [] }
+  wbState.setPages.mockClear()
   wbState.grantDrawing.mockClear()
   wbState.revokeDrawing.mockClear()
-  usePeerStore.setState({ peers: new Map() })
+  usePeerStore.setState({ peers: new Map(), viewLayers: {} })
   useSessionStore.setState({ messages: [], questions: [] })
-  useCallStore.setState({ userName: 'Ralph' })
+  useCallStore.setState({ userName: 'Ralph', inviteChatKey: null })
 })
 
 test('emits request-room-token on connect', async () => {
@@ -151,7 +206,7 @@ test('creates peer record when a user joins after us (user-joined)', async () =>
 })
 
 test('removes peer on user-left', async () => {
-  usePeerStore.getState().setPeer('peer-a', { id: 'peer-a', name: 'Alice', role: 'guest', stream: null, isMuted: false, isCamOff: false, videoEnabled: false, isScreenSharing: false, connectionState: 'connected', networkQuality: 'good', isSpeaking: false, isPinned: false, hasRaisedHand: false, handRaisedAt: null, reaction: null, isAway: false, isTyping: false })
+  usePeerStore.getState().setPeer('peer-a', { id: 'peer-a', name: 'Alice', role: 'guest', stream: null, isMuted: false, isCamOff: false, videoEnabled: false, isScreenSharing: false, connectionState: 'connected', networkQuality: 'good', isSpeaking: false, isPinned: false, hasRaisedHand: false, handRaisedAt: null, reaction: null, presence: 'active', isTyping: false })
   await act(async () => { render(<PeerManager roomId="room-1" />) })
   act(() => { fireSocketEvent('user-left', 'peer-a') })
   expect(usePeerStore.getState().peers.has('peer-a')).toBe(false)
@@ -159,11 +214,13 @@ test('removes peer on user-left', async () => {
 
 test('loads chat-history into store', async () => {
   await act(async () => { render(<PeerManager roomId="room-1" />) })
-  await act(async () => {
+  await joinEmptyRoom()
+  act(() => {
     fireSocketEvent('chat-history', [
-      { id: 'msg-0', sender: 'peer-a', senderName: 'Alice', text: 'hey', timestamp: 500 },
+      { id: 'msg-0', sender: 'peer-a', senderName: 'Alice', text: 'ENCRYPTED:hey', keyId: 'room-key', timestamp: 500 },
     ])
   })
+  await flushChat()
   expect(useSessionStore.getState().messages[0]?.text).toBe('hey')
   expect(useSessionStore.getState().messages[0]?.peerId).toBe('peer-a')
   expect(useSessionStore.getState().messages[0]?.peerName).toBe('Alice')
@@ -171,9 +228,11 @@ test('loads chat-history into store', async () => {
 
 test('adds incoming chat messages to store', async () => {
   await act(async () => { render(<PeerManager roomId="room-1" />) })
-  await act(async () => {
-    fireSocketEvent('new-message', { id: 'msg-1', sender: 'peer-a', senderName: 'Alice', text: 'Hello!', timestamp: 1000 })
+  await joinEmptyRoom()
+  act(() => {
+    fireSocketEvent('new-message', { id: 'msg-1', sender: 'peer-a', senderName: 'Alice', text: 'ENCRYPTED:Hello!', keyId: 'room-key', timestamp: 1000 })
   })
+  await flushChat()
   expect(useSessionStore.getState().messages[0]?.text).toBe('Hello!')
   expect(useSessionStore.getState().messages[0]?.peerName).toBe('Alice')
 })
@@ -206,13 +265,164 @@ test('logs server error event without throwing', async () => {
 test('sendMessage encrypts text before emitting', async () => {
   const ref = createRef<PeerManagerHandle>()
   await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  await joinEmptyRoom()
   await act(async () => { ref.current?.sendMessage('Hi there') })
   expect(mockSocket.emit).toHaveBeenCalledWith(
     'send-message',
-    expect.objectContaining({ text: 'ENCRYPTED:Hi there' }),
+    expect.objectContaining({ text: 'ENCRYPTED:Hi there', keyId: 'room-key' }),
   )
 })
 
+test('reads the author from the userId/userName the server stores', async () => {
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  await joinEmptyRoom()
+  act(() => {
+    fireSocketEvent('new-message', { id: 'msg-3', userId: 'peer-c', userName: 'Cleo', text: 'ENCRYPTED:yo', keyId: 'room-key', timestamp: 3000 })
+  })
+  await flushChat()
+  expect(useSessionStore.getState().messages[0]).toMatchObject({ peerId: 'peer-c', peerName: 'Cleo', text: 'yo' })
+})
+
+test('message-updated replaces the shown message: edits decrypt, deletions leave a tombstone', async () => {
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  await joinEmptyRoom()
+  const original = { id: 'msg-1', userId: 'peer-a', userName: 'Alice', text: 'ENCRYPTED:first', keyId: 'room-key', timestamp: 1000 }
+  act(() => { fireSocketEvent('new-message', original) })
+  act(() => {
+    fireSocketEvent('message-updated', { ...original, text: 'ENCRYPTED:second', editedAt: 2000, reactions: { '👍': ['peer-b'] } })
+  })
+  await flushChat()
+  expect(useSessionStore.getState().messages).toHaveLength(1)
+  expect(useSessionStore.getState().messages[0]).toMatchObject({ text: 'second', editedAt: 2000, reactions: { '👍': ['peer-b'] } })
+
+  act(() => { fireSocketEvent('message-updated', { ...original, text: '', keyId: undefined, deleted: true, reactions: {} }) })
+  await flushChat()
+  expect(useSessionStore.getState().messages[0]).toMatchObject({ text: '', deleted: true })
+})
+
+test('replies carry the quoted id; edits are re-encrypted under the current key', async () => {
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  await joinEmptyRoom()
+  await act(async () => { ref.current?.sendMessage('Agreed', 'msg-1') })
+  expect(mockSocket.emit).toHaveBeenCalledWith(
+    'send-message',
+    expect.objectContaining({ text: 'ENCRYPTED:Agreed', keyId: 'room-key', replyTo: 'msg-1' }),
+  )
+  await act(async () => { ref.current?.editMessage('msg-2', 'Fixed typo') })
+  expect(mockSocket.emit).toHaveBeenCalledWith('edit-message', { id: 'msg-2', text: 'ENCRYPTED:Fixed typo', keyId: 'room-key' })
+})
+
+test('deleteMessage and reactToMessage emit their socket events', async () => {
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  act(() => {
+    ref.current?.deleteMessage('msg-1')
+    ref.current?.reactToMessage('msg-1', '🎉')
+  })
+  expect(mockSocket.emit).toHaveBeenCalledWith('delete-message', { id: 'msg-1' })
+  expect(mockSocket.emit).toHaveBeenCalledWith('react-message', { id: 'msg-1', emoji: '🎉' })
+})
+
+describe('typing and pinned messages', () => {
+  let previousStream: MediaStream | null
+
+  beforeEach(() => {
+    previousStream = useCallStore.getState().localStream
+    useCallStore.setState({ localStream: { getTracks: () => [] } as unknown as MediaStream })
+  })
+
+  afterEach(() => { useCallStore.setState({ localStream: previousStream }) })
+
+  test('setTyping sends one typing-start per burst and typing-stop once idle', async () => {
+    jest.useFakeTimers()
+    const ref = createRef<PeerManagerHandle>()
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    act(() => {
+      ref.current?.setTyping(true)
+      ref.current?.setTyping(true)
+    })
+    const typingEmits = () => mockSocket.emit.mock.calls.filter(([event]) => event.startsWith('typing-')).map(([event]) => event)
+    expect(typingEmits()).toEqual(['typing-start'])
+    act(() => { jest.advanceTimersByTime(2000); ref.current?.setTyping(true) })
+    act(() => { jest.advanceTimersByTime(2000) })
+    expect(typingEmits()).toEqual(['typing-start'])
+    act(() => { jest.advanceTimersByTime(1000) })
+    expect(typingEmits()).toEqual(['typing-start', 'typing-stop'])
+  })
+
+  test('clearing the draft or sending stops typing at once', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    await joinEmptyRoom()
+    act(() => { ref.current?.setTyping(true); ref.current?.setTyping(false) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('typing-stop')
+    mockSocket.emit.mockClear()
+    act(() => { ref.current?.setTyping(true) })
+    await act(async () => { ref.current?.sendMessage('done') })
+    expect(mockSocket.emit.mock.calls.map(([event]) => event)).toEqual(['typing-start', 'typing-stop', 'send-message'])
+  })
+
+  test('typing-start and typing-stop toggle the peer indicator, which also times out', async () => {
+    jest.useFakeTimers()
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { fireSocketEvent('typing-start', { peerId: 'peer-a' }) })
+    expect(usePeerStore.getState().peers.get('peer-a')?.isTyping).toBe(true)
+    act(() => { fireSocketEvent('typing-stop', { peerId: 'peer-a' }) })
+    expect(usePeerStore.getState().peers.get('peer-a')?.isTyping).toBe(false)
+
+    act(() => { fireSocketEvent('typing-start', { peerId: 'peer-a' }) })
+    act(() => { jest.advanceTimersByTime(8000) })
+    expect(usePeerStore.getState().peers.get('peer-a')?.isTyping).toBe(false)
+  })
+
+  test('pinMessage and unpinMessage emit their socket events', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    act(() => {
+      ref.current?.pinMessage('msg-1')
+      ref.current?.unpinMessage()
+    })
+    expect(mockSocket.emit).toHaveBeenCalledWith('pin-message', { id: 'msg-1' })
+    expect(mockSocket.emit).toHaveBeenCalledWith('unpin-message')
+  })
+
+  test('message-pinned shows the decrypted message and message-unpinned clears it', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    await joinEmptyRoom()
+    act(() => {
+      fireSocketEvent('new-message', { id: 'msg-1', userId: 'peer-a', userName: 'Alice', text: 'ENCRYPTED:Agenda', keyId: 'room-key', timestamp: 1000 })
+      fireSocketEvent('message-pinned', { messageId: 'msg-1' })
+    })
+    await flushChat()
+    expect(useSessionStore.getState().pinnedMessage).toMatchObject({ id: 'msg-1', text: 'Agenda' })
+
+    act(() => {
+      fireSocketEvent('message-updated', { id: 'msg-1', userId: 'peer-a', userName: 'Alice', text: 'ENCRYPTED:New agenda', keyId: 'room-key', timestamp: 1000, editedAt: 2000 })
+    })
+    await flushChat()
+    expect(useSessionStore.getState().pinnedMessage?.text).toBe('New agenda')
+
+    act(() => { fireSocketEvent('message-unpinned') })
+    expect(useSessionStore.getState().pinnedMessage).toBeNull()
+  })
+
+  test('a pin for a message not decrypted yet shows once it arrives', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('message-pinned', { messageId: 'msg-9' }) })
+    await flushChat()
+    expect(useSessionStore.getState().pinnedMessage).toBeNull()
+
+    await joinEmptyRoom()
+    act(() => {
+      fireSocketEvent('new-message', { id: 'msg-9', userId: 'peer-a', userName: 'Alice', text: 'ENCRYPTED:Read me', keyId: 'room-key', timestamp: 1000 })
+    })
+    await flushChat()
+    expect(useSessionStore.getState().pinnedMessage).toMatchObject({ id: 'msg-9', text: 'Read me' })
+  })
+})
+
 test('sendReaction emits send-reaction via socket', async () => {
   const ref = createRef<PeerManagerHandle>()
   await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
@@ -389,14 +599,14 @@ test('peer created with stream in constructor when localStream already set at al
   expect(mockPeerInstance.addTrack).not.toHaveBeenCalled()
 })
 
-test('peer error sets connectionState failed and destroys conn', async () => {
+test('peer error marks the peer disconnected, for recovery to rebuild, and destroys conn', async () => {
   jest.spyOn(console, 'error').mockImplementation(() => {})
   await act(async () => { render(<PeerManager roomId="room-1" />) })
   act(() => {
     fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }])
   })
   act(() => { peerCallbacks['error']?.(new Error('ice fail')) })
-  expect(usePeerStore.getState().peers.get('peer-a')?.connectionState).toBe('failed')
+  expect(usePeerStore.getState().peers.get('peer-a')?.connectionState).toBe('disconnected')
   expect(mockPeerInstance.destroy).toHaveBeenCalled()
   jest.restoreAllMocks()
 })
@@ -438,6 +648,21 @@ test('receiver peer signal callback emits returning-signal', async () => {
   }))
 })
 
+test('answers carry back the token the server issued with the offer', async () => {
+  const token = { payload: '{"peerId":"peer-b"}', signature: 'sig' }
+  const previousStream = useCallStore.getState().localStream
+  useCallStore.setState({ localStream: null })
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  act(() => {
+    fireSocketEvent('user-joined', { signal: { type: 'offer', sdp: 'sdp' }, callerID: 'peer-b', token, name: 'Bob', role: 'guest' })
+  })
+  // The offer waits for our camera; the token has to survive the wait.
+  act(() => { useCallStore.getState().setLocalStream({ getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream) })
+  act(() => { peerCallbacks['signal']?.({ type: 'answer', sdp: 'sdp-answer' }) })
+  expect(mockSocket.emit).toHaveBeenCalledWith('returning-signal', { signal: { type: 'answer', sdp: 'sdp-answer' }, callerID: 'peer-b', token })
+  useCallStore.setState({ localStream: previousStream })
+})
+
 test('destroyPeerConn skips destroy when peer already destroyed', async () => {
   await act(async () => { render(<PeerManager roomId="room-1" />) })
   act(() => {
@@ -746,24 +971,28 @@ test('answerQuestion emits answer-question via socket', async () => {
 
 test('new-message: decrypts ciphertext before storing in session store', async () => {
   await act(async () => { render(<PeerManager roomId="room-1" />) })
-  await act(async () => {
+  await joinEmptyRoom()
+  act(() => {
     fireSocketEvent('new-message', {
       id: 'msg-enc', sender: 'peer-a', senderName: 'Alice',
-      text: 'ENCRYPTED:Hello world', timestamp: 1000,
+      text: 'ENCRYPTED:Hello world', keyId: 'room-key', timestamp: 1000,
     })
   })
+  await flushChat()
   expect(useSessionStore.getState().messages[0]?.text).toBe('Hello world')
   expect(useSessionStore.getState().messages[0]?.peerName).toBe('Alice')
 })
 
 test('chat-history: decrypts all messages before storing', async () => {
   await act(async () => { render(<PeerManager roomId="room-1" />) })
-  await act(async () => {
+  await joinEmptyRoom()
+  act(() => {
     fireSocketEvent('chat-history', [
-      { id: 'm1', sender: 'peer-a', senderName: 'Alice', text: 'ENCRYPTED:First', timestamp: 1 },
-      { id: 'm2', sender: 'peer-b', senderName: 'Bob', text: 'ENCRYPTED:Second', timestamp: 2 },
+      { id: 'm1', sender: 'peer-a', senderName: 'Alice', text: 'ENCRYPTED:First', keyId: 'room-key', timestamp: 1 },
+      { id: 'm2', sender: 'peer-b', senderName: 'Bob', text: 'ENCRYPTED:Second', keyId: 'room-key', timestamp: 2 },
     ])
   })
+  await flushChat()
   expect(useSessionStore.getState().messages[0]?.text).toBe('First')
   expect(useSessionStore.getState().messages[1]?.text).toBe('Second')
 })
@@ -775,26 +1004,354 @@ test('new-message: corrupted ciphertext falls back to [encrypted message]', asyn
   decryptMessage.mockRejectedValueOnce(new Error('Decryption failed'))
 
   await act(async () => { render(<PeerManager roomId="room-1" />) })
+  await joinEmptyRoom()
+  act(() => {
+    fireSocketEvent('new-message', { id: 'msg-bad', sender: 'peer-a', text: 'corrupted-data', keyId: 'room-key', timestamp: 1000 })
+  })
+  await flushChat()
+  expect(useSessionStore.getState().messages[0]?.text).toBe('[encrypted message]')
+})
+
+test('new-message under a key we never received shows [encrypted message]', async () => {
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  await joinEmptyRoom()
+  act(() => {
+    fireSocketEvent('new-message', { id: 'msg-old', sender: 'peer-a', text: 'ENCRYPTED:secret', keyId: 'rotated-away', timestamp: 1000 })
+  })
+  await flushChat()
+  expect(useSessionStore.getState().messages[0]?.text).toBe('[encrypted message]')
+})
+
+test('sends and edits wait for a room key and go out, in order, once we hold one', async () => {
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  mockSocket.emit.mockClear()
   await act(async () => {
-    fireSocketEvent('new-message', { id: 'msg-bad', sender: 'peer-a', text: 'corrupted-data', timestamp: 1000 })
+    ref.current?.sendMessage('Too early')
+    ref.current?.editMessage('msg-1', 'Also early')
+  })
+  const chatCalls = () => mockSocket.emit.mock.calls.filter(([event]) => event === 'send-message' || event === 'edit-message')
+  expect(chatCalls()).toHaveLength(0)
+
+  await joinEmptyRoom()
+  expect(chatCalls()).toEqual([
+    ['send-message', expect.objectContaining({ text: 'ENCRYPTED:Too early', keyId: 'room-key' })],
+    ['edit-message', { id: 'msg-1', text: 'ENCRYPTED:Also early', keyId: 'room-key' }],
+  ])
+})
+
+test('joining an empty room announces our public key and starts a room key', async () => {
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  await joinEmptyRoom()
+  expect(mockSocket.emit).toHaveBeenCalledWith('chat-public-key', { publicKey: 'OWN-PUBLIC' })
+  expect(mockSocket.emit).not.toHaveBeenCalledWith('chat-room-key', expect.anything())
+  await expect(ref.current!.getInviteKey()).resolves.toBe('EXPORTED:room-key')
+})
+
+test('getInviteKey is null before we hold a room key', async () => {
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  await expect(ref.current!.getInviteKey()).resolves.toBeNull()
+})
+
+test('holds chat-history until a member hands over the room key', async () => {
+  const { unwrapRoomKey } = require('../../../../src/v2/lib/chatCrypto') as { unwrapRoomKey: jest.Mock }
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  act(() => {
+    fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', chatPublicKey: 'PUB-A' }])
+    fireSocketEvent('chat-history', [
+      { id: 'm1', sender: 'peer-a', senderName: 'Alice', text: 'ENCRYPTED:early', keyId: 'their-key', timestamp: 1 },
+    ])
+  })
+  await flushChat()
+  expect(useSessionStore.getState().messages).toHaveLength(0)
+
+  act(() => {
+    fireSocketEvent('chat-room-key', { from: 'peer-a', publicKey: 'PUB-A', keyId: 'their-key', createdAt: 50, wrappedKey: 'WRAPPED:their-key' })
+  })
+  await flushChat()
+  expect(unwrapRoomKey).toHaveBeenCalledWith('WRAPPED:their-key', 50, 'own-private', { encoded: 'PUB-A' })
+  expect(useSessionStore.getState().messages[0]?.text).toBe('early')
+})
+
+test('ignores a wrapped key whose id does not match the one announced', async () => {
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', chatPublicKey: 'PUB-A' }]) })
+  act(() => {
+    fireSocketEvent('chat-room-key', { from: 'peer-a', publicKey: 'PUB-A', keyId: 'claimed', createdAt: 50, wrappedKey: 'WRAPPED:actual' })
+  })
+  await flushChat()
+  await expect(ref.current!.getInviteKey()).resolves.toBeNull()
+})
+
+test('starts and distributes its own room key when no member answers in time', async () => {
+  jest.useFakeTimers()
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  act(() => {
+    fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', chatPublicKey: 'PUB-A' }])
+    fireSocketEvent('new-message', { id: 'm1', sender: 'peer-a', text: 'ENCRYPTED:lost', keyId: 'their-key', timestamp: 1 })
+  })
+  await flushChat()
+  expect(useSessionStore.getState().messages).toHaveLength(0)
+
+  act(() => { jest.advanceTimersByTime(5000) })
+  await flushChat()
+  expect(mockSocket.emit).toHaveBeenCalledWith('chat-room-key', {
+    keyId: 'room-key', createdAt: 100, keys: [{ to: 'peer-a', wrappedKey: 'WRAPPED:room-key' }],
   })
   expect(useSessionStore.getState().messages[0]?.text).toBe('[encrypted message]')
 })
 
-test('sendMessage is dropped when key is not yet derived', async () => {
-  const { deriveKey } = require('../../../../src/v2/lib/chatCrypto') as {
-    deriveKey: jest.Mock
-  }
-  deriveKey.mockReturnValueOnce(new Promise(() => {}))
+test('wraps the current room key for a member who announces a public key', async () => {
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  await joinEmptyRoom()
+  act(() => { fireSocketEvent('chat-public-key', { peerId: 'peer-b', publicKey: 'PUB-B' }) })
+  await flushChat()
+  expect(mockSocket.emit).toHaveBeenCalledWith('chat-room-key', {
+    keyId: 'room-key', createdAt: 100, keys: [{ to: 'peer-b', wrappedKey: 'WRAPPED:room-key' }],
+  })
+})
 
+test('rotates the room key for the remaining members when someone leaves', async () => {
+  const { generateRoomKey } = require('../../../../src/v2/lib/chatCrypto') as { generateRoomKey: jest.Mock }
   const ref = createRef<PeerManagerHandle>()
   await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  await joinEmptyRoom()
+  act(() => {
+    fireSocketEvent('chat-public-key', { peerId: 'peer-b', publicKey: 'PUB-B' })
+    fireSocketEvent('chat-public-key', { peerId: 'peer-c', publicKey: 'PUB-C' })
+  })
+  await flushChat()
   mockSocket.emit.mockClear()
-  await act(async () => { ref.current?.sendMessage('Too early') })
-  const sendMessageCalls = mockSocket.emit.mock.calls.filter(
-    ([event]) => event === 'send-message',
-  )
-  expect(sendMessageCalls).toHaveLength(0)
+  generateRoomKey.mockResolvedValueOnce({ id: 'rotated', key: 'aes-rotated', createdAt: 200 })
+
+  act(() => { fireSocketEvent('user-left', 'peer-c') })
+  await flushChat()
+  expect(mockSocket.emit).toHaveBeenCalledWith('chat-room-key', {
+    keyId: 'rotated', createdAt: 200, keys: [{ to: 'peer-b', wrappedKey: 'WRAPPED:rotated' }],
+  })
+  await expect(ref.current!.getInviteKey()).resolves.toBe('EXPORTED:rotated')
+})
+
+test('leaves rotation to a remaining member with a lower socket id', async () => {
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  await joinEmptyRoom()
+  act(() => {
+    fireSocketEvent('chat-public-key', { peerId: 'a-lower-id', publicKey: 'PUB-L' })
+    fireSocketEvent('chat-public-key', { peerId: 'peer-c', publicKey: 'PUB-C' })
+  })
+  await flushChat()
+  mockSocket.emit.mockClear()
+
+  act(() => { fireSocketEvent('user-left', 'peer-c') })
+  await flushChat()
+  expect(mockSocket.emit).not.toHaveBeenCalledWith('chat-room-key', expect.anything())
+})
+
+test('uses the room key from an invite link for this room', async () => {
+  useCallStore.setState({ inviteChatKey: { roomId: 'room-1', key: 'abc' } })
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  await flushChat()
+  await act(async () => { ref.current?.sendMessage('hello') })
+  expect(mockSocket.emit).toHaveBeenCalledWith('send-message', expect.objectContaining({ keyId: 'invite:abc' }))
+})
+
+test('ignores an invite key meant for another room', async () => {
+  useCallStore.setState({ inviteChatKey: { roomId: 'other-room', key: 'abc' } })
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  await flushChat()
+  await expect(ref.current!.getInviteKey()).resolves.toBeNull()
+})
+
+describe('file sharing', () => {
+  const createObjectURL = jest.fn(() => 'blob:mock')
+  let previousStream: MediaStream | null
+
+  const fakeFile = (bytes: Uint8Array, name: string, type: string, size = bytes.length) => ({
+    name, type, size,
+    arrayBuffer: async () => bytes.slice().buffer,
+    slice: (start: number, end: number) => ({ arrayBuffer: async () => bytes.slice(start, end).buffer }),
+  }) as unknown as File
+
+  // Hashing goes through WebCrypto, which settles outside the microtask queue.
+  async function settle() {
+    await act(async () => { await new Promise((resolve) => setTimeout(resolve, 20)) })
+  }
+
+  async function shareFrom(from: string, file: { id: string; name: string; size: number; mime: string; hash: string }) {
+    act(() => { fireSocketEvent('file-shared', { ...file, from, fromName: 'Alice', timestamp: 5 }) })
+    await flushChat()
+  }
+
+  async function joinWithAlice(ref?: React.Ref<PeerManagerHandle>) {
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    await flushChat()
+  }
+
+  const sentFrames = () => mockPeerInstance.send.mock.calls
+    .map(([data]) => data)
+    .filter((data): data is Uint8Array => data instanceof Uint8Array)
+
+  beforeEach(() => {
+    previousStream = useCallStore.getState().localStream
+    useCallStore.setState({ localStream: { getTracks: () => [] } as unknown as MediaStream })
+    ;(URL as any).createObjectURL = createObjectURL
+    ;(URL as any).revokeObjectURL = jest.fn()
+    createObjectURL.mockClear()
+    useFileTransferStore.setState({ transfers: {} })
+  })
+
+  afterEach(() => {
+    useCallStore.setState({ localStream: previousStream })
+    // Unmounting resets the store, which would revoke these after they are gone.
+    useFileTransferStore.setState({ transfers: {} })
+    delete (URL as any).createObjectURL
+    delete (URL as any).revokeObjectURL
+  })
+
+  test('shareFile sends only metadata to the server and streams chunks to peers that ask', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await joinWithAlice(ref)
+    const bytes = new Uint8Array(FILE_CHUNK_SIZE + 10).map((_, i) => i % 251)
+    act(() => { ref.current?.shareFile(fakeFile(bytes, 'notes.txt', 'text/plain')) })
+    await settle()
+
+    const hash = await sha256Hex(bytes)
+    expect(mockSocket.emit).toHaveBeenCalledWith('share-file', {
+      id: expect.stringMatching(/^[0-9a-f]{16}$/), name: 'notes.txt', size: bytes.length, mime: 'text/plain', hash,
+    })
+    const [, { id }] = mockSocket.emit.mock.calls.find(([event]) => event === 'share-file')!
+    expect(useFileTransferStore.getState().transfers[id]).toMatchObject({ status: 'complete', url: 'blob:mock' })
+
+    mockPeerInstance.send.mockClear()
+    act(() => { peerCallbacks['data'](JSON.stringify({ type: 'file-request', fileId: id })) })
+    await settle()
+    const chunks = sentFrames().map((frame) => decodeFileChunk(frame)!)
+    expect(chunks.map((c) => c.fileId)).toEqual([id, id])
+    expect(Array.from(chunks.flatMap((c) => Array.from(c.bytes)))).toEqual(Array.from(bytes))
+    expect(useFileTransferStore.getState().transfers[id].sending).toBe(0)
+  })
+
+  test('files over the size limit are refused with a toast', async () => {
+    useUIStore.setState({ toasts: [] })
+    const ref = createRef<PeerManagerHandle>()
+    await joinWithAlice(ref)
+    act(() => { ref.current?.shareFile(fakeFile(new Uint8Array(1), 'huge.iso', '', MAX_SHARED_FILE_SIZE + 1)) })
+    await settle()
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('share-file', expect.anything())
+    expect(useUIStore.getState().toasts.some((t) => t.message.includes('at most'))).toBe(true)
+  })
+
+  test('downloads a shared file from its sender and verifies it before offering it', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await joinWithAlice(ref)
+    const bytes = new Uint8Array(100).map((_, i) => i)
+    await shareFrom('peer-a', { id: 'f1', name: 'a.bin', size: 100, mime: 'application/octet-stream', hash: await sha256Hex(bytes) })
+    expect(useSessionStore.getState().messages[0]).toMatchObject({ id: 'file:f1', peerId: 'peer-a', file: { id: 'f1', name: 'a.bin' } })
+    expect(mockPeerInstance.send).not.toHaveBeenCalledWith(JSON.stringify({ type: 'file-request', fileId: 'f1' }))
+
+    act(() => { ref.current?.downloadFile('f1') })
+    expect(mockPeerInstance.send).toHaveBeenCalledWith(JSON.stringify({ type: 'file-request', fileId: 'f1' }))
+    expect(useFileTransferStore.getState().transfers.f1.status).toBe('receiving')
+
+    act(() => { peerCallbacks['data'](encodeFileChunk('f1', bytes.subarray(0, 60))) })
+    expect(useFileTransferStore.getState().transfers.f1.received).toBe(60)
+    act(() => { peerCallbacks['data'](encodeFileChunk('f1', bytes.subarray(60))) })
+    await settle()
+    expect(useFileTransferStore.getState().transfers.f1).toMatchObject({ status: 'complete', received: 100, url: 'blob:mock' })
+    expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob))
+  })
+
+  test('a file that fails its checksum is not offered', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await joinWithAlice(ref)
+    await shareFrom('peer-a', { id: 'f1', name: 'a.bin', size: 3, mime: 'application/octet-stream', hash: await sha256Hex(new Uint8Array([9, 9, 9])) })
+    act(() => { ref.current?.downloadFile('f1') })
+    act(() => { peerCallbacks['data'](encodeFileChunk('f1', new Uint8Array([1, 2, 3]))) })
+    await settle()
+    expect(useFileTransferStore.getState().transfers.f1).toMatchObject({ status: 'failed', url: null })
+    expect(useFileTransferStore.getState().transfers.f1.error).toMatch(/checksum/)
+  })
+
+  test('small images from a connected sender download on their own', async () => {
+    await joinWithAlice()
+    await shareFrom('peer-a', { id: 'img', name: 'cat.png', size: 10, mime: 'image/png', hash: 'a'.repeat(64) })
+    expect(mockPeerInstance.send).toHaveBeenCalledWith(JSON.stringify({ type: 'file-request', fileId: 'img' }))
+  })
+
+  test('cancelling tells the sender, and the sender leaving fails the download', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await joinWithAlice(ref)
+    await shareFrom('peer-a', { id: 'f1', name: 'a.bin', size: 10, mime: 'application/octet-stream', hash: 'a'.repeat(64) })
+    act(() => { ref.current?.downloadFile('f1') })
+    act(() => { ref.current?.cancelFileTransfer('f1') })
+    expect(mockPeerInstance.send).toHaveBeenCalledWith(JSON.stringify({ type: 'file-cancel', fileId: 'f1' }))
+    expect(useFileTransferStore.getState().transfers.f1.status).toBe('cancelled')
+
+    act(() => { ref.current?.downloadFile('f1') })
+    act(() => { fireSocketEvent('user-left', 'peer-a') })
+    expect(useFileTransferStore.getState().transfers.f1.status).toBe('failed')
+  })
+})
+
+describe('media E2EE', () => {
+  const worker = { onmessage: null as ((e: { data: unknown }) => void) | null, postMessage: jest.fn(), terminate: jest.fn() }
+  const ScriptTransform = jest.fn()
+  const sender = { track: { kind: 'video' } }
+  const rtc = mockRTCConn as unknown as { getSenders?: () => unknown[] }
+  let previousStream: MediaStream | null
+
+  beforeEach(() => {
+    previousStream = useCallStore.getState().localStream
+    const { createMediaCryptoWorker } = require('../../../../src/v2/media/workerFactory') as { createMediaCryptoWorker: jest.Mock }
+    createMediaCryptoWorker.mockReturnValue(worker)
+    worker.postMessage.mockClear()
+    ScriptTransform.mockClear()
+    ;(global as any).RTCRtpScriptTransform = ScriptTransform
+    rtc.getSenders = () => [sender]
+    useCallStore.setState({ localStream: { getTracks: () => [] } as unknown as MediaStream })
+  })
+
+  afterEach(() => {
+    delete (global as any).RTCRtpScriptTransform
+    delete rtc.getSenders
+    useCallStore.setState({ localStream: previousStream, isMediaEncrypted: false })
+  })
+
+  async function loadWorker() {
+    await act(async () => { await new Promise((resolve) => setTimeout(resolve, 0)) })
+  }
+
+  test('routes peer media through the worker and encrypts to peers that can decrypt', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    await loadWorker()
+    expect(ScriptTransform).toHaveBeenCalledWith(worker, { operation: 'encrypt', peerId: 'peer-a', kind: 'video' })
+
+    act(() => { peerCallbacks['connect']() })
+    expect(mockPeerInstance.send).toHaveBeenCalledWith(JSON.stringify({ type: 'media-e2ee' }))
+    act(() => { peerCallbacks['data'](JSON.stringify({ type: 'media-e2ee' })) })
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: 'peer', peerId: 'peer-a', encrypt: true })
+
+    act(() => { worker.onmessage!({ data: { type: 'status', peerId: 'peer-a', encrypted: true } }) })
+    expect(usePeerStore.getState().peers.get('peer-a')?.isEncrypted).toBe(true)
+  })
+
+  test('hands the worker frame keys for the room key and follows the E2EE toggle', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    await joinEmptyRoom()
+    await loadWorker()
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: 'keys', keys: [{ tag: 7, key: 'media-room-key' }], current: 7 })
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: 'enabled', enabled: false })
+
+    act(() => { useCallStore.getState().setMediaEncrypted(true) })
+    expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'enabled', enabled: true })
+  })
 })
 
 test('unmount removes Q&A socket listeners', async () => {
@@ -821,19 +1378,102 @@ test('getPeerConnections returns RTCPeerConnection for each active peer', async
   expect(conns?.get('peer-a')).toBe(mockRTCConn)
 })
 
-test('broadcastWhiteboardStroke emits whiteboard-stroke with stroke payload', async () => {
+const wbOp = (seq: number) => ({
+  kind: 'add' as const,
+  actor: 'me',
+  seq,
+  t: seq,
+  stroke: { id: `s${seq}`, tool: 'pen' as const, color: '#222', width: 3, points: [{ x: 0, y: 0 }], drawerId: 'me' },
+})
+
+test('broadcastWhiteboardOps sends ops to the server and over peer data channels', async () => {
   const ref = createRef<PeerManagerHandle>()
   await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
-  const stroke = { id: 'stroke-1', tool: 'pen' as const, color: '#222', width: 3, points: [], drawerId: 'me' }
-  act(() => { ref.current?.broadcastWhiteboardStroke(stroke) })
-  expect(mockSocket.emit).toHaveBeenCalledWith('whiteboard-stroke', stroke)
+  act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+  act(() => { ref.current?.broadcastWhiteboardOps([wbOp(1)]) })
+  expect(mockSocket.emit).toHaveBeenCalledWith('whiteboard-op', [wbOp(1)])
+  expect(mockPeerInstance.send).toHaveBeenCalledWith(JSON.stringify({ type: 'wb-ops', ops: [wbOp(1)] }))
+})
+
+test('incoming whiteboard-op is merged into the store', async () => {
+  const { applyOps } = (require('../../../../src/v2/store/useWhiteboardStore') as any).useWhiteboardStore.getState()
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  await act(async () => { fireSocketEvent('whiteboard-op', [wbOp(1)]) })
+  expect(applyOps).toHaveBeenCalledWith([wbOp(1)])
+})
+
+test('seating sends whiteboard-sync; the reply is merged and the server gets what it lacks of ours', async () => {
+  const wbState = (require('../../../../src/v2/store/useWhiteboardStore') as any).useWhiteboardStore.getState()
+  const theirs = { ...wbOp(1), actor: 'them' }
+  wbState.crdt = { ...wbState.crdt, stateVector: { me: 2, them: 1 }, log: [wbOp(1), theirs, wbOp(2)] }
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  act(() => { fireSocketEvent('all-users', []) })
+  expect(mockSocket.emit).toHaveBeenCalledWith('whiteboard-sync', { stateVector: { me: 2, them: 1 } })
+
+  const reply = { ops: [], stateVector: { me: 1 }, snapshot: false }
+  act(() => { fireSocketEvent('whiteboard-ops', reply) })
+  expect(wbState.applyOps).toHaveBeenCalledWith([], { stateVector: { me: 1 }, snapshot: false })
+  expect(mockSocket.emit).toHaveBeenCalledWith('whiteboard-op', [wbOp(2)])
+  expect(mockSocket.emit).not.toHaveBeenCalledWith('whiteboard-op', expect.arrayContaining([theirs]))
 })
 
-test('broadcastWhiteboardClear emits whiteboard-clear', async () => {
+test('peers run the state-vector handshake over the data channel', async () => {
+  const wbState = (require('../../../../src/v2/store/useWhiteboardStore') as any).useWhiteboardStore.getState()
+  wbState.crdt = { ...wbState.crdt, stateVector: { me: 2 }, log: [wbOp(1), wbOp(2)] }
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+
+  act(() => { peerCallbacks['connect']() })
+  expect(mockPeerInstance.send).toHaveBeenCalledWith(JSON.stringify({ type: 'wb-sync', stateVector: { me: 2 } }))
+
+  mockPeerInstance.send.mockClear()
+  act(() => { peerCallbacks['data'](JSON.stringify({ type: 'wb-sync', stateVector: { me: 1 } })) })
+  expect(mockPeerInstance.send).toHaveBeenCalledWith(JSON.stringify({ type: 'wb-ops', ops: [wbOp(2)] }))
+
+  act(() => {
+    peerCallbacks['data'](new TextEncoder().encode(JSON.stringify({ type: 'wb-ops', ops: [wbOp(3), { kind: 'add' }] })))
+    peerCallbacks['data']('not json')
+  })
+  expect(wbState.applyOps).toHaveBeenCalledTimes(1)
+  expect(wbState.applyOps).toHaveBeenCalledWith([wbOp(3)], { stateVector: undefined, snapshot: undefined })
+})
+
+test('pointers go over open data channels and through the server for everyone else', async () => {
   const ref = createRef<PeerManagerHandle>()
   await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
-  act(() => { ref.current?.broadcastWhiteboardClear() })
-  expect(mockSocket.emit).toHaveBeenCalledWith('whiteboard-clear')
+  act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+  const pointer = { x: 0.1, y: 0.2, pageId: 'page-1', laser: true, t: 1 }
+
+  act(() => { ref.current?.sendWhiteboardPointer(pointer) })
+  expect(mockPeerInstance.send).toHaveBeenCalledWith(JSON.stringify({ type: 'wb-pointer', pointer }))
+  expect(mockSocket.emit).not.toHaveBeenCalledWith('whiteboard-pointer', expect.anything())
+
+  mockPeerInstance.connected = false
+  try {
+    act(() => { ref.current?.sendWhiteboardPointer(pointer) })
+  } finally {
+    mockPeerInstance.connected = true
+  }
+  expect(mockSocket.emit).toHaveBeenCalledWith('whiteboard-pointer', { pointer, to: ['peer-a'] })
+})
+
+test('incoming pointers from either transport reach the store; leaving drops the cursor', async () => {
+  const wbState = (require('../../../../src/v2/store/useWhiteboardStore') as any).useWhiteboardStore.getState()
+  await act(async () => { render(<PeerManager roomId="room-1" />) })
+  act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+  const pointer = { x: 0.1, y: 0.2, pageId: 'page-1', laser: false, t: 1 }
+
+  act(() => {
+    peerCallbacks['data'](JSON.stringify({ type: 'wb-pointer', pointer }))
+    fireSocketEvent('whiteboard-pointer', { peerId: 'peer-b', name: 'Bob', pointer })
+    fireSocketEvent('whiteboard-pointer', { peerId: 'peer-c', name: 'Eve', pointer: { x: 'nope' } })
+  })
+  expect(wbState.movePointer).toHaveBeenCalledTimes(2)
+  expect(wbState.movePointer).toHaveBeenCalledWith('peer-a', 'Alice', pointer)
+  expect(wbState.movePointer).toHaveBeenCalledWith('peer-b', 'Bob', pointer)
+
+  act(() => { fireSocketEvent('user-left', 'peer-b') })
+  expect(wbState.removeCursor).toHaveBeenCalledWith('peer-b')
 })
 
 test('broadcastWhiteboardGrant emits whiteboard-grant with peerId', async () => {
@@ -850,19 +1490,19 @@ test('broadcastWhiteboardRevoke emits whiteboard-revoke with peerId', async () =
   expect(mockSocket.emit).toHaveBeenCalledWith('whiteboard-revoke', { peerId: 'peer-abc' })
 })
 
-test('incoming whiteboard-stroke calls useWhiteboardStore.addStroke', async () => {
-  const { addStroke } = (require('../../../../src/v2/store/useWhiteboardStore') as any).useWhiteboardStore.getState()
-  await act(async () => { render(<PeerManager roomId="room-1" />) })
-  const stroke = { id: 's1', tool: 'pen' as const, color: '#222', width: 3, points: [], drawerId: 'peer-a' }
-  await act(async () => { fireSocketEvent('whiteboard-stroke', stroke) })
-  expect(addStroke).toHaveBeenCalledWith(stroke)
+test('addWhiteboardPage emits whiteboard-page-add with the page', async () => {
+  const ref = createRef<PeerManagerHandle>()
+  await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+  act(() => { ref.current?.addWhiteboardPage({ id: 'page-2', name: 'Ideas' }) })
+  expect(mockSocket.emit).toHaveBeenCalledWith('whiteboard-page-add', { id: 'page-2', name: 'Ideas' })
 })
 
-test('incoming whiteboard-clear calls useWhiteboardStore.clearStrokes', async () => {
-  const { clearStrokes } = (require('../../../../src/v2/store/useWhiteboardStore') as any).useWhiteboardStore.getState()
+test('incoming page list reaches the store', async () => {
+  const { setPages } = (require('../../../../src/v2/store/useWhiteboardStore') as any).useWhiteboardStore.getState()
   await act(async () => { render(<PeerManager roomId="room-1" />) })
-  await act(async () => { fireSocketEvent('whiteboard-clear') })
-  expect(clearStrokes).toHaveBeenCalled()
+  const pages = [{ id: 'page-1', name: 'Page 1' }, { id: 'page-2', name: 'Ideas' }]
+  await act(async () => { fireSocketEvent('whiteboard-pages', pages) })
+  expect(setPages).toHaveBeenCalledWith(pages)
 })
 
 test('incoming whiteboard-grant calls useWhiteboardStore.grantDrawing', async () => {
@@ -885,3 +1525,889 @@ test('user-left revokes whiteboard drawing for departing peer', async () => {
   await act(async () => { fireSocketEvent('user-left', 'peer-departing') })
   expect(revokeDrawing).toHaveBeenCalledWith('peer-departing')
 })
+
+describe('screen sharing', () => {
+  const cameraTrack = { kind: 'video', id: 'cam' } as MediaStreamTrack
+  const screenTrack = { kind: 'video', id: 'screen' } as MediaStreamTrack
+  const camStream = { getTracks: () => [cameraTrack], getVideoTracks: () => [cameraTrack] } as unknown as MediaStream
+  const displayStream = { getTracks: () => [screenTrack], getVideoTracks: () => [screenTrack] } as unknown as MediaStream
+
+  beforeEach(() => {
+    useCallStore.setState({ localStream: camStream, screenStream: null, screenSharePeerId: null, isScreenSharing: false, socketId: 'mock-socket-id' })
+  })
+
+  afterEach(() => {
+    useCallStore.setState({ localStream: null, screenStream: null, screenSharePeerId: null, isScreenSharing: false, socketId: null })
+  })
+
+  test('replaces the camera track on existing peers and announces the share', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    mockSocket.emit.mockClear()
+    act(() => { useCallStore.getState().setScreenStream(displayStream) })
+    expect(mockPeerInstance.replaceTrack).toHaveBeenCalledWith(cameraTrack, screenTrack, camStream)
+    expect(mockSocket.emit).toHaveBeenCalledWith('screen-share-started')
+    expect(useCallStore.getState().screenSharePeerId).toBe('mock-socket-id')
+  })
+
+  test('restores the camera track and announces the stop when the share ends', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { useCallStore.getState().setScreenStream(displayStream) })
+    mockSocket.emit.mockClear()
+    act(() => { useCallStore.getState().setScreenStream(null) })
+    expect(mockPeerInstance.replaceTrack).toHaveBeenLastCalledWith(screenTrack, cameraTrack, camStream)
+    expect(mockSocket.emit).toHaveBeenCalledWith('screen-share-stopped')
+    expect(useCallStore.getState().screenSharePeerId).toBeNull()
+  })
+
+  test('adds the screen as a new track when there is no camera track', async () => {
+    const audioOnly = { getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream
+    useCallStore.setState({ localStream: audioOnly })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { useCallStore.getState().setScreenStream(displayStream) })
+    expect(mockPeerInstance.addTrack).toHaveBeenCalledWith(screenTrack, displayStream)
+    act(() => { useCallStore.getState().setScreenStream(null) })
+    expect(mockPeerInstance.removeTrack).toHaveBeenCalledWith(screenTrack, displayStream)
+  })
+
+  test('peers created mid-share receive the screen track', async () => {
+    useCallStore.setState({ screenStream: displayStream })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    mockPeerInstance.replaceTrack.mockClear()
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-b', name: 'Bob', role: 'guest' }]) })
+    expect(mockPeerInstance.replaceTrack).toHaveBeenCalledWith(cameraTrack, screenTrack, camStream)
+  })
+
+  test('re-announces an active share once seated again', async () => {
+    useCallStore.setState({ screenStream: displayStream })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    mockSocket.emit.mockClear()
+    act(() => { fireSocketEvent('connect'); fireSocketEvent('room-token', { token: 'tok' }) })
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('screen-share-started')
+    act(() => { fireSocketEvent('all-users', []) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('screen-share-started')
+  })
+
+  test('an active share waits out the lobby and is announced on admission', async () => {
+    useCallStore.setState({ screenStream: displayStream })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    mockSocket.emit.mockClear()
+    act(() => {
+      fireSocketEvent('connect')
+      fireSocketEvent('room-token', { token: 'tok' })
+      fireSocketEvent('waiting-for-admission', { roomId: 'room-1' })
+    })
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('screen-share-started')
+    act(() => {
+      fireSocketEvent('admission-granted', { roomId: 'room-1' })
+      fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'host' }])
+    })
+    expect(mockSocket.emit).toHaveBeenCalledWith('screen-share-started')
+  })
+
+  test('incoming screen-share-started spotlights the sharer', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { fireSocketEvent('screen-share-started', { peerId: 'peer-a' }) })
+    expect(useCallStore.getState().screenSharePeerId).toBe('peer-a')
+    expect(usePeerStore.getState().peers.get('peer-a')?.isScreenSharing).toBe(true)
+  })
+
+  test('incoming screen-share-stopped clears the spotlight', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { fireSocketEvent('screen-share-started', { peerId: 'peer-a' }) })
+    act(() => { fireSocketEvent('screen-share-stopped', { peerId: 'peer-a' }) })
+    expect(useCallStore.getState().screenSharePeerId).toBeNull()
+    expect(usePeerStore.getState().peers.get('peer-a')?.isScreenSharing).toBe(false)
+  })
+
+  test('screen-share-stopped for our own socket turns local sharing off', async () => {
+    useCallStore.setState({ isScreenSharing: true })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('screen-share-stopped', { peerId: 'mock-socket-id' }) })
+    expect(useCallStore.getState().isScreenSharing).toBe(false)
+  })
+
+  test('user-left clears the spotlight when the sharer leaves', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { fireSocketEvent('screen-share-started', { peerId: 'peer-a' }) })
+    act(() => { fireSocketEvent('user-left', 'peer-a') })
+    expect(useCallStore.getState().screenSharePeerId).toBeNull()
+  })
+})
+
+describe('media state', () => {
+  afterEach(() => {
+    useCallStore.setState({ isMuted: false, isCamOff: false, localStream: null })
+  })
+
+  test('join-room carries the current mic/camera state', async () => {
+    useCallStore.setState({ isMuted: true, isCamOff: false })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('connect'); fireSocketEvent('room-token', { token: 'tok' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('join-room', expect.objectContaining({ isMuted: true, isCamOff: false }))
+  })
+
+  test('emits media-state when mute or camera toggles', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    mockSocket.emit.mockClear()
+    act(() => { useCallStore.getState().setMuted(true) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('media-state', { isMuted: true, isCamOff: false })
+    act(() => { useCallStore.getState().setCamOff(true) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('media-state', { isMuted: true, isCamOff: true })
+  })
+
+  test('incoming media-state patches the peer record', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('user-joined', { callerID: 'peer-c', name: 'Carol', role: 'guest', signal: null }) })
+    act(() => { fireSocketEvent('media-state', { peerId: 'peer-c', isMuted: true, isCamOff: true }) })
+    const peer = usePeerStore.getState().peers.get('peer-c')
+    expect(peer?.isMuted).toBe(true)
+    expect(peer?.isCamOff).toBe(true)
+  })
+
+  test('all-users snapshot seeds late joiners with each peer\'s state', async () => {
+    useCallStore.setState({ localStream: { getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fireSocketEvent('all-users', [
+        { id: 'peer-a', name: 'Alice', role: 'guest', isMuted: true, isCamOff: false },
+        { id: 'peer-b', name: 'Bob', role: 'guest' },
+      ])
+    })
+    expect(usePeerStore.getState().peers.get('peer-a')?.isMuted).toBe(true)
+    expect(usePeerStore.getState().peers.get('peer-b')?.isMuted).toBe(false)
+  })
+
+  test('user-joined applies the joiner\'s state', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('user-joined', { callerID: 'peer-c', name: 'Carol', role: 'guest', signal: null, isCamOff: true }) })
+    expect(usePeerStore.getState().peers.get('peer-c')?.isCamOff).toBe(true)
+  })
+
+  test('media-state received while a peer is pending is applied when the stream arrives', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { fireSocketEvent('media-state', { peerId: 'peer-a', isMuted: true, isCamOff: false }) })
+    act(() => { useCallStore.getState().setLocalStream({ getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream) })
+    expect(usePeerStore.getState().peers.get('peer-a')?.isMuted).toBe(true)
+  })
+})
+
+describe('presence', () => {
+  let previousStream: MediaStream | null
+
+  beforeEach(() => {
+    previousStream = useCallStore.getState().localStream
+  })
+
+  afterEach(() => {
+    useCallStore.setState({ presence: 'active', localStream: previousStream })
+  })
+
+  test('join-room carries our presence and changes are broadcast', async () => {
+    useCallStore.setState({ presence: 'away' })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('connect'); fireSocketEvent('room-token', { token: 'tok' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('join-room', expect.objectContaining({ presence: 'away' }))
+    act(() => { useCallStore.getState().setPresence('idle') })
+    expect(mockSocket.emit).toHaveBeenCalledWith('presence-update', { state: 'idle' })
+  })
+
+  test('the snapshot, joiners and presence-update set each peer\'s presence', async () => {
+    useCallStore.setState({ localStream: { getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fireSocketEvent('all-users', [
+        { id: 'peer-a', name: 'Alice', role: 'guest', presence: 'idle' },
+        { id: 'peer-b', name: 'Bob', role: 'guest', presence: 'sleeping' },
+      ])
+      fireSocketEvent('user-joined', { callerID: 'peer-c', name: 'Carol', role: 'guest', signal: null, presence: 'away' })
+    })
+    const presenceOf = (id: string) => usePeerStore.getState().peers.get(id)?.presence
+    expect(presenceOf('peer-a')).toBe('idle')
+    expect(presenceOf('peer-b')).toBe('active')
+    expect(presenceOf('peer-c')).toBe('away')
+    act(() => { fireSocketEvent('presence-update', { peerId: 'peer-a', state: 'reconnecting' }) })
+    expect(presenceOf('peer-a')).toBe('reconnecting')
+  })
+
+  test('presence-update received while a peer is pending is applied when the stream arrives', async () => {
+    useCallStore.setState({ localStream: null })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { fireSocketEvent('presence-update', { peerId: 'peer-a', state: 'away' }) })
+    act(() => { useCallStore.getState().setLocalStream({ getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream) })
+    expect(usePeerStore.getState().peers.get('peer-a')?.presence).toBe('away')
+  })
+
+  test('an ICE drop marks the connection disconnected until it recovers', async () => {
+    useCallStore.setState({ localStream: { getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { peerCallbacks['iceStateChange']?.('disconnected') })
+    expect(usePeerStore.getState().peers.get('peer-a')?.connectionState).toBe('disconnected')
+    act(() => { peerCallbacks['iceStateChange']?.('connected') })
+    expect(usePeerStore.getState().peers.get('peer-a')?.connectionState).toBe('connected')
+  })
+})
+
+describe('trickle ICE', () => {
+  const SimplePeer = require('simple-peer') as jest.Mock
+  const candidate = { candidate: 'candidate:1 1 udp 2122260223 10.0.0.2 54321 typ host', sdpMid: '0', sdpMLineIndex: 0 }
+  const stream = { getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream
+  let previousStream: MediaStream | null
+
+  beforeEach(() => {
+    previousStream = useCallStore.getState().localStream
+    useCallStore.setState({ localStream: stream })
+    SimplePeer.mockClear()
+  })
+
+  afterEach(() => {
+    useCallStore.setState({ localStream: previousStream })
+    useSessionStore.setState({ isTrickleIceEnabled: true })
+  })
+
+  test('peers trickle by default and our candidates go out as ice-candidate', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    expect(SimplePeer).toHaveBeenCalledWith(expect.objectContaining({ initiator: true, trickle: true }))
+    mockSocket.emit.mockClear()
+    act(() => { peerCallbacks['signal']?.({ type: 'candidate', candidate }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('ice-candidate', { to: 'peer-a', candidate })
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('sending-signal', expect.anything())
+  })
+
+  test('a room with trickle ICE off gathers fully, as before', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('trickle-ice', { enabled: false }) })
+    expect(useSessionStore.getState().isTrickleIceEnabled).toBe(false)
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    expect(SimplePeer).toHaveBeenCalledWith(expect.objectContaining({ trickle: false }))
+  })
+
+  test('candidates that beat the answer wait for it', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { fireSocketEvent('ice-candidate', { from: 'peer-a', candidate }) })
+    expect(mockPeerInstance.signal).not.toHaveBeenCalled()
+
+    act(() => { fireSocketEvent('receiving-returned-signal', { id: 'peer-a', signal: { type: 'answer', sdp: 'sdp' } }) })
+    expect(mockPeerInstance.signal.mock.calls).toEqual([
+      [{ type: 'answer', sdp: 'sdp' }],
+      [{ type: 'candidate', candidate }],
+    ])
+    act(() => { fireSocketEvent('ice-candidate', { from: 'peer-a', candidate: { ...candidate, sdpMLineIndex: 1 } }) })
+    expect(mockPeerInstance.signal).toHaveBeenLastCalledWith({ type: 'candidate', candidate: { ...candidate, sdpMLineIndex: 1 } })
+  })
+
+  test('candidates for an offer still waiting on our camera are applied after it', async () => {
+    useCallStore.setState({ localStream: null })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fireSocketEvent('user-joined', { signal: { type: 'offer', sdp: 'sdp' }, callerID: 'peer-b', name: 'Bob', role: 'guest' })
+      fireSocketEvent('ice-candidate', { from: 'peer-b', candidate })
+    })
+    act(() => { useCallStore.getState().setLocalStream(stream) })
+    expect(mockPeerInstance.signal.mock.calls).toEqual([
+      [{ type: 'offer', sdp: 'sdp' }],
+      [{ type: 'candidate', candidate }],
+    ])
+  })
+
+  test('setTrickleIce asks the server to change the room setting', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    act(() => { ref.current?.setTrickleIce(false) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('set-trickle-ice', { enabled: false })
+  })
+})
+
+describe('connection recovery', () => {
+  const SimplePeer = require('simple-peer') as jest.Mock
+  const stream = { getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream
+  const negotiate = jest.fn()
+  const restartIce = jest.fn()
+  let previousStream: MediaStream | null
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    previousStream = useCallStore.getState().localStream
+    useCallStore.setState({ localStream: stream })
+    Object.assign(mockPeerInstance, { initiator: true, negotiate })
+    Object.assign(mockRTCConn, { restartIce })
+    negotiate.mockClear()
+    restartIce.mockClear()
+    SimplePeer.mockClear()
+  })
+
+  afterEach(() => {
+    useCallStore.setState({ localStream: previousStream })
+    jest.restoreAllMocks()
+  })
+
+  const stateOf = (id: string) => usePeerStore.getState().peers.get(id)?.connectionState
+
+  test('the dialing side restarts ICE when the connection drops', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { peerCallbacks['signal']?.({ type: 'offer', sdp: 'first' }) })
+
+    act(() => { peerCallbacks['iceStateChange']?.('disconnected') })
+    expect(stateOf('peer-a')).toBe('disconnected')
+    expect(restartIce).not.toHaveBeenCalled()
+    act(() => { jest.advanceTimersByTime(ICE_RESTART_GRACE_MS) })
+    expect(restartIce).toHaveBeenCalled()
+    expect(negotiate).toHaveBeenCalled()
+
+    mockSocket.emit.mockClear()
+    act(() => { peerCallbacks['signal']?.({ type: 'offer', sdp: 'restart' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('sending-signal', {
+      userToSignal: 'peer-a', signal: { type: 'offer', sdp: 'restart' }, renegotiate: true,
+    })
+
+    act(() => { peerCallbacks['iceStateChange']?.('connected') })
+    expect(stateOf('peer-a')).toBe('connected')
+    act(() => { jest.advanceTimersByTime(ICE_RESTART_TIMEOUT_MS) })
+    expect(mockPeerInstance.destroy).not.toHaveBeenCalled()
+  })
+
+  test('a renegotiation offer is applied to the connection we already have', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fireSocketEvent('user-joined', { signal: { type: 'offer', sdp: 'first' }, callerID: 'peer-b', token: { payload: 'p1', signature: 's1' }, name: 'Bob', role: 'guest' })
+    })
+    SimplePeer.mockClear()
+    mockPeerInstance.signal.mockClear()
+
+    act(() => {
+      fireSocketEvent('user-joined', { signal: { type: 'offer', sdp: 'restart' }, callerID: 'peer-b', token: { payload: 'p2', signature: 's2' }, renegotiate: true, name: 'Bob', role: 'guest' })
+    })
+    expect(SimplePeer).not.toHaveBeenCalled()
+    expect(mockPeerInstance.destroy).not.toHaveBeenCalled()
+    expect(mockPeerInstance.signal).toHaveBeenCalledWith({ type: 'offer', sdp: 'restart' })
+
+    mockSocket.emit.mockClear()
+    act(() => { peerCallbacks['signal']?.({ type: 'answer', sdp: 'restart-answer' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('returning-signal', {
+      signal: { type: 'answer', sdp: 'restart-answer' }, callerID: 'peer-b', token: { payload: 'p2', signature: 's2' },
+    })
+  })
+
+  test('an ICE restart that does not connect falls back to a rebuild with backoff', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { peerCallbacks['signal']?.({ type: 'offer', sdp: 'first' }) })
+    SimplePeer.mockClear()
+
+    act(() => { peerCallbacks['iceStateChange']?.('disconnected') })
+    act(() => { jest.advanceTimersByTime(ICE_RESTART_GRACE_MS + ICE_RESTART_TIMEOUT_MS) })
+    expect(mockPeerInstance.destroy).toHaveBeenCalled()
+    expect(stateOf('peer-a')).toBe('disconnected')
+
+    act(() => { jest.advanceTimersByTime(REBUILD_BASE_MS - 1) })
+    expect(SimplePeer).not.toHaveBeenCalled()
+    act(() => { jest.advanceTimersByTime(1) })
+    expect(SimplePeer).toHaveBeenCalledWith(expect.objectContaining({ initiator: true, stream }))
+
+    // A rebuilt connection opens with a fresh offer, not a renegotiation.
+    mockSocket.emit.mockClear()
+    act(() => { peerCallbacks['signal']?.({ type: 'offer', sdp: 'rebuilt' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('sending-signal', { userToSignal: 'peer-a', signal: { type: 'offer', sdp: 'rebuilt' } })
+
+    act(() => { peerCallbacks['connect']?.() })
+    expect(stateOf('peer-a')).toBe('connected')
+    act(() => { jest.advanceTimersByTime(60_000) })
+    expect(SimplePeer).toHaveBeenCalledTimes(1)
+  })
+
+  test('the side with the higher socket id waits for the fresh offer instead of dialing', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'alpha', name: 'Alice', role: 'guest' }]) })
+    act(() => { usePeerStore.getState().patchPeer('alpha', { hasRaisedHand: true }) })
+    SimplePeer.mockClear()
+
+    act(() => { peerCallbacks['error']?.(new Error('Connection failed.')) })
+    act(() => { jest.advanceTimersByTime(REBUILD_BASE_MS) })
+    expect(SimplePeer).not.toHaveBeenCalled()
+
+    act(() => {
+      fireSocketEvent('user-joined', { signal: { type: 'offer', sdp: 'rebuilt' }, callerID: 'alpha', token: { payload: 'p', signature: 's' }, name: 'Alice', role: 'guest' })
+    })
+    expect(SimplePeer).toHaveBeenCalledWith(expect.objectContaining({ initiator: false }))
+    expect(mockPeerInstance.signal).toHaveBeenCalledWith({ type: 'offer', sdp: 'rebuilt' })
+    expect(usePeerStore.getState().peers.get('alpha')?.hasRaisedHand).toBe(true)
+  })
+
+  test('gives up and marks the peer failed once every rebuild has failed', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    SimplePeer.mockClear()
+
+    act(() => { peerCallbacks['close']?.() })
+    act(() => { jest.advanceTimersByTime(10 * 60_000) })
+    expect(SimplePeer).toHaveBeenCalledTimes(MAX_REBUILD_ATTEMPTS)
+    expect(stateOf('peer-a')).toBe('failed')
+  })
+
+  test('a peer that left is not rebuilt', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { peerCallbacks['iceStateChange']?.('disconnected') })
+    SimplePeer.mockClear()
+
+    act(() => { fireSocketEvent('user-left', 'peer-a') })
+    act(() => { peerCallbacks['close']?.() })
+    act(() => { jest.advanceTimersByTime(10 * 60_000) })
+    expect(SimplePeer).not.toHaveBeenCalled()
+    expect(restartIce).not.toHaveBeenCalled()
+  })
+})
+
+describe('SFU mode', () => {
+  const SimplePeer = require('simple-peer') as jest.Mock
+  const stream = { getTracks: () => [], getVideoTracks: () => [] } as unknown as MediaStream
+  const offer = { type: 'offer', sdp: 'sfu-offer' }
+  const originalMediaStream = globalThis.MediaStream
+  let previousStream: MediaStream | null
+
+  beforeEach(() => {
+    previousStream = useCallStore.getState().localStream
+    useCallStore.setState({ localStream: stream })
+    SimplePeer.mockClear()
+    Object.assign(globalThis, {
+      MediaStream: class { constructor(private tracks: MediaStreamTrack[]) {} getTracks() { return this.tracks } },
+    })
+  })
+
+  afterEach(() => {
+    useCallStore.setState({ localStream: previousStream, isMediaEncrypted: false })
+    Object.assign(globalThis, { MediaStream: originalMediaStream })
+  })
+
+  test('join-room offers to use the SFU unless media is end-to-end encrypted', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('connect'); fireSocketEvent('room-token', { token: 'tok' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('join-room', expect.objectContaining({ sfu: true }))
+    act(() => { useCallStore.setState({ isMediaEncrypted: true }) })
+    mockSocket.emit.mockClear()
+    act(() => { fireSocketEvent('room-token', { token: 'tok' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('join-room', expect.objectContaining({ sfu: false }))
+  })
+
+  test('in an SFU room nobody is dialled', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fireSocketEvent('media-mode', { mode: 'sfu' })
+      fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }])
+    })
+    expect(useSessionStore.getState().mediaMode).toBe('sfu')
+    expect(usePeerStore.getState().peers.get('peer-a')?.name).toBe('Alice')
+    expect(SimplePeer).not.toHaveBeenCalled()
+  })
+
+  test('a room moving to the SFU drops the mesh without trying to rebuild it', async () => {
+    jest.useFakeTimers()
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    SimplePeer.mockClear()
+
+    act(() => { fireSocketEvent('media-mode', { mode: 'sfu' }) })
+    expect(mockPeerInstance.destroy).toHaveBeenCalled()
+    expect(usePeerStore.getState().peers.get('peer-a')?.connectionState).toBe('connecting')
+    act(() => { peerCallbacks['close']?.() })
+    act(() => { jest.advanceTimersByTime(60_000) })
+    expect(SimplePeer).not.toHaveBeenCalled()
+  })
+
+  test("the server's offers are answered on one connection, and tracks land on their publisher", async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fireSocketEvent('media-mode', { mode: 'sfu' })
+      fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }])
+      fireSocketEvent('sfu-signal', { signal: offer, streams: { 3: 'peer-a' } })
+    })
+    expect(SimplePeer).toHaveBeenCalledWith(expect.objectContaining({ initiator: false, trickle: false, stream }))
+    expect(mockPeerInstance.signal).toHaveBeenCalledWith(offer)
+
+    act(() => { peerCallbacks['signal']?.({ type: 'answer', sdp: 'sfu-answer' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('sfu-signal', { signal: { type: 'answer', sdp: 'sfu-answer' } })
+
+    const track = { kind: 'video' } as MediaStreamTrack
+    Object.assign(mockRTCConn, { getTransceivers: () => [{ mid: '3', receiver: { track } }] })
+    act(() => { peerCallbacks['track']?.(track) })
+    const alice = usePeerStore.getState().peers.get('peer-a')
+    expect(alice?.stream?.getTracks()).toEqual([track])
+    expect(alice?.connectionState).toBe('connected')
+
+    SimplePeer.mockClear()
+    act(() => { fireSocketEvent('sfu-signal', { signal: { ...offer, sdp: 'sfu-offer-2' }, streams: { 3: 'peer-a', 4: 'peer-b' } }) })
+    expect(SimplePeer).not.toHaveBeenCalled()
+    expect(mockPeerInstance.signal).toHaveBeenLastCalledWith({ ...offer, sdp: 'sfu-offer-2' })
+  })
+
+  test('a lost SFU connection asks the server for a new one', async () => {
+    jest.useFakeTimers()
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fireSocketEvent('media-mode', { mode: 'sfu' })
+      fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }])
+      fireSocketEvent('sfu-signal', { signal: offer, streams: {} })
+    })
+
+    act(() => { peerCallbacks['error']?.(new Error('Connection failed.')) })
+    expect(usePeerStore.getState().peers.get('peer-a')?.connectionState).toBe('disconnected')
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('sfu-join')
+    act(() => { jest.advanceTimersByTime(REBUILD_BASE_MS) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('sfu-join')
+    jest.restoreAllMocks()
+  })
+})
+
+describe('simulcast', () => {
+  const rtc = mockRTCConn as unknown as { getSenders?: () => unknown[] }
+  const camera = { track: { kind: 'video' }, getParameters: jest.fn(), setParameters: jest.fn() }
+  const mic = { track: { kind: 'audio' }, getParameters: jest.fn(), setParameters: jest.fn() }
+  const sentLayers = () => mockPeerInstance.send.mock.calls
+    .map(([raw]) => JSON.parse(raw))
+    .filter((message) => message.type === 'video-layer')
+    .map((message) => message.layer)
+  let previousStream: MediaStream | null
+
+  beforeEach(() => {
+    previousStream = useCallStore.getState().localStream
+    useCallStore.setState({ localStream: { getTracks: () => [] } as unknown as MediaStream })
+    camera.getParameters.mockImplementation(() => ({ encodings: [{ rid: 'low', active: true }, { rid: 'medium', active: true }, { rid: 'high', active: true }] }))
+    camera.setParameters.mockReset().mockResolvedValue(undefined)
+    mic.setParameters.mockReset()
+    rtc.getSenders = () => [camera, mic]
+  })
+
+  afterEach(() => {
+    delete rtc.getSenders
+    useCallStore.setState({ localStream: previousStream })
+  })
+
+  test('asks each peer for the layer our views render it at, once per change', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    act(() => { peerCallbacks['connect']() })
+    expect(sentLayers()).toEqual(['paused'])
+
+    act(() => { usePeerStore.getState().setViewLayers('spotlight', { 'peer-a': 'high' }) })
+    act(() => { usePeerStore.getState().setViewLayers('strip', { 'peer-a': 'low' }) })
+    expect(sentLayers()).toEqual(['paused', 'high'])
+    act(() => { usePeerStore.getState().setViewLayers('spotlight', null) })
+    expect(sentLayers()).toEqual(['paused', 'high', 'low'])
+  })
+
+  const activeRids = () => camera.setParameters.mock.lastCall[0].encodings
+    .filter((encoding: RTCRtpEncodingParameters) => encoding.active)
+    .map((encoding: RTCRtpEncodingParameters) => encoding.rid)
+
+  test('dials with video on a simulcast transceiver', async () => {
+    const SimplePeer = require('simple-peer') as jest.Mock
+    const wrtc = simulcastWebRtc()
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+    expect(SimplePeer).toHaveBeenLastCalledWith(expect.objectContaining({ initiator: true, wrtc }))
+  })
+
+  test('answers with the same simulcast-capable WebRTC', async () => {
+    const SimplePeer = require('simple-peer') as jest.Mock
+    const wrtc = simulcastWebRtc()
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('user-joined', { signal: { type: 'offer', sdp: 'x' }, callerID: 'peer-b', name: 'Bob', role: 'guest', token: 'tok' }) })
+    expect(SimplePeer).toHaveBeenLastCalledWith(expect.objectContaining({ initiator: false, wrtc }))
+  })
+
+  test('leaves on only the encoding a peer asked for on our video senders to it', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }]) })
+
+    act(() => { peerCallbacks['data'](JSON.stringify({ type: 'video-layer', layer: 'low' })) })
+    expect(activeRids()).toEqual(['low'])
+    act(() => { peerCallbacks['data'](JSON.stringify({ type: 'video-layer', layer: 'paused' })) })
+    expect(activeRids()).toEqual([])
+    act(() => { peerCallbacks['data'](JSON.stringify({ type: 'video-layer', layer: 'ultra' })) })
+    expect(camera.setParameters).toHaveBeenCalledTimes(2)
+    expect(mic.setParameters).not.toHaveBeenCalled()
+  })
+
+  test('in an SFU room requests go through the server, which says what to send', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => {
+      fireSocketEvent('media-mode', { mode: 'sfu' })
+      fireSocketEvent('all-users', [{ id: 'peer-a', name: 'Alice', role: 'guest' }])
+      fireSocketEvent('sfu-signal', { signal: { type: 'offer', sdp: 'sfu-offer' }, streams: {} })
+    })
+    act(() => { peerCallbacks['connect']() })
+    expect(mockSocket.emit).toHaveBeenCalledWith('sfu-layer', { publisherId: 'peer-a', layer: 'paused' })
+    act(() => { usePeerStore.getState().setViewLayers('strip', { 'peer-a': 'low' }) })
+    expect(mockSocket.emit).toHaveBeenCalledWith('sfu-layer', { publisherId: 'peer-a', layer: 'low' })
+    expect(sentLayers()).toEqual([])
+
+    act(() => { fireSocketEvent('video-layers', { layers: ['low', 'medium'] }) })
+    expect(activeRids()).toEqual(['low', 'medium'])
+    act(() => { fireSocketEvent('video-layers', { layers: ['medium', 'ultra'] }) })
+    expect(camera.setParameters).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('roles', () => {
+  afterEach(() => {
+    useCallStore.setState({ isHost: false, role: 'guest' })
+    useUIStore.setState({ toasts: [] })
+  })
+
+  test('join-room does not claim a role', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('connect'); fireSocketEvent('room-token', { token: 'tok' }) })
+    const payload = mockSocket.emit.mock.calls.find(([ev]) => ev === 'join-room')?.[1]
+    expect(payload).not.toHaveProperty('role')
+  })
+
+  test('role-updated for our socket updates the local role', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('role-updated', { peerId: 'mock-socket-id', role: 'host' }) })
+    expect(useCallStore.getState().isHost).toBe(true)
+    expect(useCallStore.getState().role).toBe('host')
+    expect(useUIStore.getState().toasts.some((t) => t.message === 'You are now the host')).toBe(true)
+
+    act(() => { fireSocketEvent('role-updated', { peerId: 'mock-socket-id', role: 'guest' }) })
+    expect(useCallStore.getState().isHost).toBe(false)
+  })
+
+  test('role-updated for another peer patches their record', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('user-joined', { callerID: 'peer-c', name: 'Carol', role: 'guest', signal: null }) })
+    act(() => { fireSocketEvent('role-updated', { peerId: 'peer-c', role: 'cohost' }) })
+    expect(usePeerStore.getState().peers.get('peer-c')?.role).toBe('cohost')
+  })
+
+  test('transferHost and setPeerRole emit the role commands', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    act(() => { ref.current?.transferHost('peer-c') })
+    expect(mockSocket.emit).toHaveBeenCalledWith('transfer-host', { peerId: 'peer-c' })
+    act(() => { ref.current?.setPeerRole('peer-c', 'cohost') })
+    expect(mockSocket.emit).toHaveBeenCalledWith('set-role', { peerId: 'peer-c', role: 'cohost' })
+  })
+
+  test('FORBIDDEN server errors surface a toast', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('error', { message: 'Not permitted: whiteboard-grant', code: 'FORBIDDEN' }) })
+    expect(useUIStore.getState().toasts.some((t) => t.variant === 'warn')).toBe(true)
+    consoleSpy.mockRestore()
+  })
+})
+
+describe('moderation', () => {
+  afterEach(() => {
+    useCallStore.setState({ isMuted: false, isCamOff: false, leaveReason: null })
+    useSessionStore.setState({ isRoomLocked: false })
+    useUIStore.setState({ toasts: [] })
+  })
+
+  test('handle methods emit the moderation commands', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    act(() => {
+      ref.current?.kickParticipant('peer-c')
+      ref.current?.requestMute('peer-c', 'video')
+      ref.current?.lowerAllHands()
+      ref.current?.lockRoom(true)
+    })
+    expect(mockSocket.emit).toHaveBeenCalledWith('kick-participant', { peerId: 'peer-c' })
+    expect(mockSocket.emit).toHaveBeenCalledWith('request-mute', { peerId: 'peer-c', kind: 'video' })
+    expect(mockSocket.emit).toHaveBeenCalledWith('lower-all-hands')
+    expect(mockSocket.emit).toHaveBeenCalledWith('lock-room', { locked: true })
+  })
+
+  test('mute-requested turns off our mic or camera', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('mute-requested', { kind: 'audio', by: 'Hana' }) })
+    expect(useCallStore.getState().isMuted).toBe(true)
+    expect(useCallStore.getState().isCamOff).toBe(false)
+    act(() => { fireSocketEvent('mute-requested', { kind: 'video', by: 'Hana' }) })
+    expect(useCallStore.getState().isCamOff).toBe(true)
+    expect(useUIStore.getState().toasts.map((t) => t.message)).toContain('Hana muted your microphone')
+  })
+
+  test('removed-from-room sets the leave reason', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('removed-from-room', { by: 'Hana' }) })
+    expect(useCallStore.getState().leaveReason).toBe('removed')
+  })
+
+  test('ROOM_LOCKED join error sets the leave reason', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('error', { message: 'Room is locked', code: 'ROOM_LOCKED' }) })
+    expect(useCallStore.getState().leaveReason).toBe('locked')
+    consoleSpy.mockRestore()
+  })
+
+  test('room-locked updates the session lock state', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('room-locked', { locked: true, by: 'Hana' }) })
+    expect(useSessionStore.getState().isRoomLocked).toBe(true)
+    act(() => { fireSocketEvent('room-locked', { locked: false, by: 'Hana' }) })
+    expect(useSessionStore.getState().isRoomLocked).toBe(false)
+  })
+})
+
+describe('lobby', () => {
+  const waiting = { id: 'sock-9', name: 'Dana', isMuted: false, isCamOff: false, requestedAt: 1 }
+
+  afterEach(() => {
+    useCallStore.setState({ isWaitingForAdmission: false, leaveReason: null, role: 'guest', isHost: false })
+    useSessionStore.setState({ isLobbyEnabled: false, lobby: [] })
+    useUIStore.setState({ toasts: [] })
+  })
+
+  test('handle methods emit the lobby commands', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    act(() => {
+      ref.current?.setLobbyEnabled(true)
+      ref.current?.admitParticipant('sock-9')
+      ref.current?.denyParticipant('sock-8')
+    })
+    expect(mockSocket.emit).toHaveBeenCalledWith('set-lobby', { enabled: true })
+    expect(mockSocket.emit).toHaveBeenCalledWith('admit-participant', { peerId: 'sock-9' })
+    expect(mockSocket.emit).toHaveBeenCalledWith('deny-participant', { peerId: 'sock-8' })
+  })
+
+  test('waiting-for-admission and admission-granted toggle the waiting state', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('waiting-for-admission', { roomId: 'room-1' }) })
+    expect(useCallStore.getState().isWaitingForAdmission).toBe(true)
+    act(() => { useCallStore.setState({ isMuted: true }) })
+    mockSocket.emit.mockClear()
+    act(() => { fireSocketEvent('admission-granted', { roomId: 'room-1' }) })
+    expect(useCallStore.getState().isWaitingForAdmission).toBe(false)
+    expect(mockSocket.emit).toHaveBeenCalledWith('media-state', { isMuted: true, isCamOff: false })
+    act(() => { useCallStore.setState({ isMuted: false }) })
+  })
+
+  test('admission-denied sets the leave reason', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('waiting-for-admission', { roomId: 'room-1' }) })
+    act(() => { fireSocketEvent('admission-denied', { by: 'Hana' }) })
+    expect(useCallStore.getState().isWaitingForAdmission).toBe(false)
+    expect(useCallStore.getState().leaveReason).toBe('denied')
+    expect(useUIStore.getState().toasts.map((t) => t.message)).toContain('Hana declined your request to join')
+  })
+
+  test('a room that fills up while we wait turns us away', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('waiting-for-admission', { roomId: 'room-1' }) })
+    act(() => { fireSocketEvent('error', { message: 'Room is at capacity', code: 'ROOM_FULL' }) })
+    expect(useCallStore.getState().isWaitingForAdmission).toBe(false)
+    expect(useCallStore.getState().leaveReason).toBe('full')
+    expect(useUIStore.getState().toasts.map((t) => t.message)).toContain('This room is full')
+    consoleSpy.mockRestore()
+  })
+
+  test('lobby-updated stores the queue and announces new arrivals once', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('lobby-updated', [waiting]) })
+    act(() => { fireSocketEvent('lobby-updated', [waiting]) })
+    expect(useSessionStore.getState().lobby).toEqual([waiting])
+    const toasts = useUIStore.getState().toasts.filter((t) => t.message === 'Dana is waiting to join')
+    expect(toasts).toHaveLength(1)
+  })
+
+  test('lobby-mode updates the session and clears the queue when turned off', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('lobby-mode', { enabled: true }) })
+    act(() => { fireSocketEvent('lobby-updated', [waiting]) })
+    expect(useSessionStore.getState().isLobbyEnabled).toBe(true)
+    act(() => { fireSocketEvent('lobby-mode', { enabled: false }) })
+    expect(useSessionStore.getState().isLobbyEnabled).toBe(false)
+    expect(useSessionStore.getState().lobby).toEqual([])
+  })
+})
+
+describe('room passphrase', () => {
+  afterEach(() => {
+    useCallStore.setState({ roomPassword: '', passwordPrompt: null, leaveReason: null })
+  })
+
+  test('request-room-token carries the passphrase when one is set', async () => {
+    useCallStore.setState({ roomPassword: 'open sesame' })
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('connect') })
+    expect(mockSocket.emit).toHaveBeenCalledWith('request-room-token', { roomId: 'room-1', userName: 'Ralph', password: 'open sesame' })
+  })
+
+  test('PASSWORD_REQUIRED and INVALID_PASSWORD send us back to the join form', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('error', { message: 'This room requires a passphrase', code: 'PASSWORD_REQUIRED' }) })
+    expect(useCallStore.getState().passwordPrompt).toBe('required')
+    expect(useCallStore.getState().leaveReason).toBe('password')
+    act(() => { fireSocketEvent('error', { message: 'Incorrect passphrase', code: 'INVALID_PASSWORD' }) })
+    expect(useCallStore.getState().passwordPrompt).toBe('incorrect')
+    act(() => { fireSocketEvent('error', { message: 'This room is already open without a passphrase', code: 'PASSWORD_NOT_SET' }) })
+    expect(useCallStore.getState().passwordPrompt).toBe('not-set')
+    consoleSpy.mockRestore()
+  })
+})
+
+describe('polls', () => {
+  const poll: Poll = {
+    id: 'p1', question: 'Lunch?', options: ['Pizza', 'Sushi'], createdAt: 1, createdBy: 'Ann', isActive: true, votes: {},
+  }
+
+  afterEach(() => {
+    useSessionStore.setState({ activePoll: null, polls: [], closedPoll: null })
+  })
+
+  test('handle methods emit create-poll, end-poll and multi-choice votes', async () => {
+    const ref = createRef<PeerManagerHandle>()
+    await act(async () => { render(<PeerManager ref={ref} roomId="room-1" />) })
+    const draft = { question: 'Lunch?', options: ['Pizza', 'Sushi'], anonymous: true, multiChoice: true, durationSec: 60 }
+    act(() => {
+      ref.current?.createPoll(draft)
+      ref.current?.endPoll('p1')
+      ref.current?.votePoll('p1', [0, 1])
+    })
+    expect(mockSocket.emit).toHaveBeenCalledWith('create-poll', draft)
+    expect(mockSocket.emit).toHaveBeenCalledWith('end-poll', { pollId: 'p1' })
+    expect(mockSocket.emit).toHaveBeenCalledWith('vote-poll', { pollId: 'p1', optionIndices: [0, 1] })
+  })
+
+  test('new-poll and poll-updated keep the poll history current', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('new-poll', poll) })
+    act(() => { fireSocketEvent('poll-updated', { ...poll, votes: { s1: 0 } }) })
+    expect(useSessionStore.getState().polls).toEqual([{ ...poll, votes: { s1: 0 } }])
+  })
+
+  test('poll-ended with results records the closed poll', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('new-poll', poll) })
+    const closed = { ...poll, isActive: false, closedAt: 2 }
+    act(() => { fireSocketEvent('poll-ended', closed) })
+    expect(useSessionStore.getState().activePoll).toBeNull()
+    expect(useSessionStore.getState().closedPoll).toEqual(closed)
+    expect(useSessionStore.getState().polls).toEqual([closed])
+  })
+
+  test('polls-history fills the poll history', async () => {
+    await act(async () => { render(<PeerManager roomId="room-1" />) })
+    act(() => { fireSocketEvent('polls-history', [{ ...poll, isActive: false }]) })
+    expect(useSessionStore.getState().polls).toHaveLength(1)
+  })
+})
@@ -1,4 +1,4 @@
-import { render, screen, fireEvent } from '@testing-library/react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
 import { PollBanner } from '../../../../src/v2/call/PollBanner'
 import { useSessionStore } from '../../../../src/v2/store/useSessionStore'
 import type { Poll } from '../../../../src/v2/types'
@@ -93,3 +93,50 @@ test('votedIndex resets when poll id changes', () => {
   rerender(<PollBanner onVotePoll={jest.fn()} />)
   expect(screen.getByTestId('poll-option-9am')).not.toBeDisabled()
 })
+
+describe('poll options', () => {
+  beforeEach(() => {
+    useSessionStore.setState({ activePoll: null, closedPoll: null })
+  })
+
+  test('multi-choice polls collect picks and vote with all of them', () => {
+    useSessionStore.setState({ activePoll: { ...poll, multiChoice: true } })
+    const onVotePoll = jest.fn()
+    render(<PollBanner onVotePoll={onVotePoll} />)
+    expect(screen.getByTestId('poll-submit')).toBeDisabled()
+    fireEvent.click(screen.getByTestId('poll-option-5pm'))
+    fireEvent.click(screen.getByTestId('poll-option-9am'))
+    expect(onVotePoll).not.toHaveBeenCalled()
+    expect(screen.getByTestId('poll-option-9am')).toHaveAttribute('aria-pressed', 'true')
+    fireEvent.click(screen.getByTestId('poll-submit'))
+    expect(onVotePoll).toHaveBeenCalledWith('poll-1', [0, 2])
+    expect(screen.getByTestId('poll-option-2pm')).toBeDisabled()
+  })
+
+  test('shows a countdown for auto-closing polls', () => {
+    jest.useFakeTimers()
+    jest.setSystemTime(1_000_000)
+    useSessionStore.setState({ activePoll: { ...poll, closesAt: 1_000_000 + 65_000 } })
+    render(<PollBanner onVotePoll={jest.fn()} />)
+    expect(screen.getByTestId('poll-countdown')).toHaveTextContent('1:05')
+    act(() => { jest.advanceTimersByTime(2000) })
+    expect(screen.getByTestId('poll-countdown')).toHaveTextContent('1:03')
+    jest.useRealTimers()
+  })
+
+  test('marks anonymous polls', () => {
+    useSessionStore.setState({ activePoll: { ...poll, anonymous: true } })
+    render(<PollBanner onVotePoll={jest.fn()} />)
+    expect(screen.getByTestId('poll-anonymous-badge')).toBeInTheDocument()
+  })
+
+  test('shows the results of a closed poll until dismissed', () => {
+    useSessionStore.setState({ closedPoll: { ...pollWithVotes, isActive: false } })
+    render(<PollBanner onVotePoll={jest.fn()} />)
+    expect(screen.getByTestId('poll-results-banner')).toHaveTextContent('Best time to meet?')
+    expect(screen.getByTestId('poll-results-poll-1')).toBeInTheDocument()
+    fireEvent.click(screen.getByTestId('btn-dismiss-poll-results'))
+    expect(screen.queryByTestId('poll-results-banner')).not.toBeInTheDocument()
+    expect(useSessionStore.getState().closedPoll).toBeNull()
+  })
+})
@@ -0,0 +1,63 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { PollComposer } from '../../../../src/v2/call/PollComposer'
+
+function fill(question: string, options: string[]) {
+  fireEvent.change(screen.getByTestId('poll-question-input'), { target: { value: question } })
+  options.forEach((value, i) => {
+    if (!screen.queryByTestId(`poll-option-input-${i}`)) fireEvent.click(screen.getByTestId('btn-add-option'))
+    fireEvent.change(screen.getByTestId(`poll-option-input-${i}`), { target: { value } })
+  })
+}
+
+test('starts with two empty options and a disabled submit', () => {
+  render(<PollComposer onCreate={jest.fn()} />)
+  expect(screen.getByTestId('poll-option-input-0')).toBeInTheDocument()
+  expect(screen.getByTestId('poll-option-input-1')).toBeInTheDocument()
+  expect(screen.getByTestId('btn-create-poll')).toBeDisabled()
+})
+
+test('creates a single-choice named poll by default', () => {
+  const onCreate = jest.fn()
+  render(<PollComposer onCreate={onCreate} />)
+  fill('Lunch?', ['Pizza', 'Sushi'])
+  fireEvent.click(screen.getByTestId('btn-create-poll'))
+  expect(onCreate).toHaveBeenCalledWith({
+    question: 'Lunch?', options: ['Pizza', 'Sushi'], anonymous: false, multiChoice: false, durationSec: null,
+  })
+})
+
+test('passes anonymous, multi-choice and countdown settings', () => {
+  const onCreate = jest.fn()
+  render(<PollComposer onCreate={onCreate} />)
+  fill('Lunch?', ['Pizza', 'Sushi', 'Tacos'])
+  fireEvent.click(screen.getByTestId('poll-anonymous'))
+  fireEvent.click(screen.getByTestId('poll-multi-choice'))
+  fireEvent.change(screen.getByTestId('poll-duration'), { target: { value: '60' } })
+  fireEvent.click(screen.getByTestId('btn-create-poll'))
+  expect(onCreate).toHaveBeenCalledWith({
+    question: 'Lunch?', options: ['Pizza', 'Sushi', 'Tacos'], anonymous: true, multiChoice: true, durationSec: 60,
+  })
+})
+
+test('skips blank options and rejects duplicates', () => {
+  render(<PollComposer onCreate={jest.fn()} />)
+  fill('Lunch?', ['Pizza', 'Pizza'])
+  expect(screen.getByTestId('btn-create-poll')).toBeDisabled()
+  fill('Lunch?', ['Pizza', 'Sushi', ''])
+  expect(screen.getByTestId('btn-create-poll')).not.toBeDisabled()
+})
+
+test('options can be removed down to two', () => {
+  render(<PollComposer onCreate={jest.fn()} />)
+  expect(screen.queryByTestId('btn-remove-option-0')).not.toBeInTheDocument()
+  fireEvent.click(screen.getByTestId('btn-add-option'))
+  fireEvent.click(screen.getByTestId('btn-remove-option-2'))
+  expect(screen.queryByTestId('poll-option-input-2')).not.toBeInTheDocument()
+})
+
+test('stops offering more options at ten', () => {
+  render(<PollComposer onCreate={jest.fn()} />)
+  for (let i = 0; i < 8; i++) fireEvent.click(screen.getByTestId('btn-add-option'))
+  expect(screen.getByTestId('poll-option-input-9')).toBeInTheDocument()
+  expect(screen.queryByTestId('btn-add-option')).not.toBeInTheDocument()
+})
@@ -0,0 +1,27 @@
+import { render, screen } from '@testing-library/react'
+import { PollResults } from '../../../../src/v2/call/PollResults'
+import type { Poll } from '../../../../src/v2/types'
+
+const makePoll = (overrides: Partial<Poll> = {}): Poll => ({
+  id: 'p1', question: 'Lunch?', options: ['Pizza', 'Sushi'],
+  createdAt: 1, createdBy: 'Ann', isActive: false, votes: {},
+  ...overrides,
+})
+
+test('shows counts and percentages per option', () => {
+  render(<PollResults poll={makePoll({ votes: { s1: 0, s2: 0, s3: 1 } })} />)
+  expect(screen.getByTestId('poll-result-p1-0')).toHaveTextContent('2 (67%)')
+  expect(screen.getByTestId('poll-result-p1-1')).toHaveTextContent('1 (33%)')
+})
+
+test('named polls list who voted for each option', () => {
+  render(<PollResults poll={makePoll({ votes: { s1: 0 }, voterNames: { s1: 'Ben' } })} />)
+  expect(screen.getByTestId('poll-voters-p1-0')).toHaveTextContent('Ben')
+})
+
+test('anonymous polls show totals only', () => {
+  render(<PollResults poll={makePoll({ anonymous: true, counts: [3, 1], voterCount: 4 })} />)
+  expect(screen.getByTestId('poll-result-p1-0')).toHaveTextContent('3 (75%)')
+  expect(screen.queryByTestId('poll-voters-p1-0')).not.toBeInTheDocument()
+  expect(screen.getByText(/Anonymous · 4 voted/)).toBeInTheDocument()
+})
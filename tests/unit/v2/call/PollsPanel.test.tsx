@@ -0,0 +1,65 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { PollsPanel } from '../../../../src/v2/call/PollsPanel'
+import { useSessionStore } from '../../../../src/v2/store/useSessionStore'
+import { useCallStore } from '../../../../src/v2/store/useCallStore'
+import type { Poll } from '../../../../src/v2/types'
+
+const makePoll = (overrides: Partial<Poll> = {}): Poll => ({
+  id: 'p1', question: 'Lunch?', options: ['Pizza', 'Sushi'],
+  createdAt: 1, createdBy: 'Ann', isActive: true, votes: {},
+  ...overrides,
+})
+
+beforeEach(() => {
+  useSessionStore.setState({ polls: [] })
+  useCallStore.setState({ isHost: false, role: 'guest' })
+})
+
+test('shows an empty state without polls', () => {
+  render(<PollsPanel onCreatePoll={jest.fn()} onEndPoll={jest.fn()} />)
+  expect(screen.getByTestId('polls-empty')).toBeInTheDocument()
+})
+
+test('lists polls newest first with their status', () => {
+  useSessionStore.setState({
+    polls: [
+      makePoll({ id: 'old', createdAt: 1, isActive: false, question: 'Old?' }),
+      makePoll({ id: 'new', createdAt: 2, question: 'New?' }),
+    ],
+  })
+  render(<PollsPanel onCreatePoll={jest.fn()} onEndPoll={jest.fn()} />)
+  const cards = screen.getAllByTestId(/^poll-card-/)
+  expect(cards[0]).toHaveTextContent('New?')
+  expect(screen.getByTestId('poll-status-new')).toHaveTextContent('Live')
+  expect(screen.getByTestId('poll-status-old')).toHaveTextContent('Closed')
+})
+
+test('guests cannot start or end polls', () => {
+  useSessionStore.setState({ polls: [makePoll()] })
+  render(<PollsPanel onCreatePoll={jest.fn()} onEndPoll={jest.fn()} />)
+  expect(screen.queryByTestId('btn-new-poll')).not.toBeInTheDocument()
+  expect(screen.queryByTestId('btn-end-poll-p1')).not.toBeInTheDocument()
+})
+
+test('moderators end a running poll', () => {
+  useCallStore.setState({ isHost: false, role: 'cohost' })
+  useSessionStore.setState({ polls: [makePoll(), makePoll({ id: 'p2', isActive: false })] })
+  const onEndPoll = jest.fn()
+  render(<PollsPanel onCreatePoll={jest.fn()} onEndPoll={onEndPoll} />)
+  expect(screen.queryByTestId('btn-end-poll-p2')).not.toBeInTheDocument()
+  fireEvent.click(screen.getByTestId('btn-end-poll-p1'))
+  expect(onEndPoll).toHaveBeenCalledWith('p1')
+})
+
+test('host opens the composer and it closes after creating a poll', () => {
+  useCallStore.setState({ isHost: true, role: 'host' })
+  const onCreatePoll = jest.fn()
+  render(<PollsPanel onCreatePoll={onCreatePoll} onEndPoll={jest.fn()} />)
+  fireEvent.click(screen.getByTestId('btn-new-poll'))
+  fireEvent.change(screen.getByTestId('poll-question-input'), { target: { value: 'Lunch?' } })
+  fireEvent.change(screen.getByTestId('poll-option-input-0'), { target: { value: 'Pizza' } })
+  fireEvent.change(screen.getByTestId('poll-option-input-1'), { target: { value: 'Sushi' } })
+  fireEvent.click(screen.getByTestId('btn-create-poll'))
+  expect(onCreatePoll).toHaveBeenCalledWith(expect.objectContaining({ question: 'Lunch?', options: ['Pizza', 'Sushi'] }))
+  expect(screen.queryByTestId('poll-composer')).not.toBeInTheDocument()
+})
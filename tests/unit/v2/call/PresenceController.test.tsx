@@ -0,0 +1,85 @@
+import { render, act } from '@testing-library/react'
+import { IDLE_AFTER_MS, PresenceController, resolvePresence } from '../../../../src/v2/call/PresenceController'
+import { useCallStore } from '../../../../src/v2/store/useCallStore'
+import { usePeerStore } from '../../../../src/v2/store/usePeerStore'
+import { makePeerRecord } from '../../../../src/v2/call/PeerManager'
+
+let visibility: DocumentVisibilityState = 'visible'
+
+function setVisibility(state: DocumentVisibilityState) {
+  visibility = state
+  act(() => { document.dispatchEvent(new Event('visibilitychange')) })
+}
+
+beforeAll(() => {
+  Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibility })
+})
+
+beforeEach(() => {
+  jest.useFakeTimers()
+  visibility = 'visible'
+  usePeerStore.setState({ peers: new Map() })
+  useCallStore.setState({ presence: 'active' })
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+test('resolvePresence ranks reconnecting over away over idle', () => {
+  expect(resolvePresence({ reconnecting: true, hidden: true, idle: true })).toBe('reconnecting')
+  expect(resolvePresence({ reconnecting: false, hidden: true, idle: true })).toBe('away')
+  expect(resolvePresence({ reconnecting: false, hidden: false, idle: true })).toBe('idle')
+  expect(resolvePresence({ reconnecting: false, hidden: false, idle: false })).toBe('active')
+})
+
+test('hiding the tab makes us away until it is shown again', () => {
+  render(<PresenceController />)
+  setVisibility('hidden')
+  expect(useCallStore.getState().presence).toBe('away')
+  setVisibility('visible')
+  expect(useCallStore.getState().presence).toBe('active')
+})
+
+test('goes idle without input and comes back on the next keypress', () => {
+  render(<PresenceController />)
+  act(() => { jest.advanceTimersByTime(IDLE_AFTER_MS - 1) })
+  expect(useCallStore.getState().presence).toBe('active')
+  act(() => { jest.advanceTimersByTime(1) })
+  expect(useCallStore.getState().presence).toBe('idle')
+  act(() => { window.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' })) })
+  expect(useCallStore.getState().presence).toBe('active')
+})
+
+test('input restarts the idle timer', () => {
+  render(<PresenceController />)
+  act(() => { jest.advanceTimersByTime(IDLE_AFTER_MS - 1000) })
+  act(() => { window.dispatchEvent(new Event('pointerdown')) })
+  act(() => { jest.advanceTimersByTime(IDLE_AFTER_MS - 1000) })
+  expect(useCallStore.getState().presence).toBe('active')
+})
+
+test('reconnecting while every connection we had is down, or the browser is offline', () => {
+  const peer = (id: string, connectionState: RTCPeerConnectionState) => ({ ...makePeerRecord(id, id, 'guest'), connectionState })
+  render(<PresenceController />)
+  act(() => { usePeerStore.setState({ peers: new Map([['a', peer('a', 'disconnected')], ['b', peer('b', 'connected')]]) }) })
+  expect(useCallStore.getState().presence).toBe('active')
+  act(() => { usePeerStore.setState({ peers: new Map([['a', peer('a', 'disconnected')], ['b', peer('b', 'connecting')]]) }) })
+  expect(useCallStore.getState().presence).toBe('reconnecting')
+
+  act(() => { usePeerStore.setState({ peers: new Map() }) })
+  expect(useCallStore.getState().presence).toBe('active')
+  act(() => { window.dispatchEvent(new Event('offline')) })
+  expect(useCallStore.getState().presence).toBe('reconnecting')
+  act(() => { window.dispatchEvent(new Event('online')) })
+  expect(useCallStore.getState().presence).toBe('active')
+})
+
+test('unmounting stops the timers and resets us to active', () => {
+  const { unmount } = render(<PresenceController />)
+  setVisibility('hidden')
+  unmount()
+  expect(useCallStore.getState().presence).toBe('active')
+  act(() => { jest.advanceTimersByTime(IDLE_AFTER_MS) })
+  expect(useCallStore.getState().presence).toBe('active')
+})
@@ -19,7 +19,7 @@ const makePeer = (id: string, stream: MediaStream | null = null): PeerRecord =>
   id, name: 'Peer', role: 'guest', stream, isMuted: false, isCamOff: false,
   videoEnabled: true, isScreenSharing: false, connectionState: 'connected',
   networkQuality: 'good', isSpeaking: false, isPinned: false,
-  hasRaisedHand: false, handRaisedAt: null, reaction: null, isAway: false, isTyping: false,
+  hasRaisedHand: false, handRaisedAt: null, reaction: null, presence: 'active', isTyping: false,
 })
 
 const makeMockStream = (): MediaStream =>
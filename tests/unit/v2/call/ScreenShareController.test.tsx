@@ -0,0 +1,96 @@
+import { render, act } from '@testing-library/react'
+import { ScreenShareController } from '../../../../src/v2/call/ScreenShareController'
+import { useCallStore } from '../../../../src/v2/store/useCallStore'
+import { useUIStore } from '../../../../src/v2/store/useUIStore'
+
+describe('ScreenShareController', () => {
+  const mockScreenTrack = { kind: 'video', stop: jest.fn(), onended: null as (() => void) | null }
+  const mockDisplayStream = {
+    getTracks: () => [mockScreenTrack],
+    getVideoTracks: () => [mockScreenTrack],
+  } as unknown as MediaStream
+  const getDisplayMedia = jest.fn()
+
+  beforeEach(() => {
+    mockScreenTrack.stop.mockClear()
+    mockScreenTrack.onended = null
+    getDisplayMedia.mockReset()
+    getDisplayMedia.mockResolvedValue(mockDisplayStream)
+    Object.defineProperty(navigator.mediaDevices, 'getDisplayMedia', {
+      value: getDisplayMedia,
+      configurable: true,
+      writable: true,
+    })
+    useCallStore.setState({ isScreenSharing: false, screenStream: null })
+    useUIStore.setState({ toasts: [] })
+  })
+
+  afterEach(() => {
+    delete (navigator.mediaDevices as any).getDisplayMedia
+  })
+
+  test('does nothing until sharing is requested', async () => {
+    await act(async () => { render(<ScreenShareController />) })
+    expect(getDisplayMedia).not.toHaveBeenCalled()
+    expect(useCallStore.getState().screenStream).toBeNull()
+  })
+
+  test('captures the display and writes it to the store', async () => {
+    await act(async () => { render(<ScreenShareController />) })
+    await act(async () => { useCallStore.getState().setScreenSharing(true) })
+    expect(getDisplayMedia).toHaveBeenCalledWith({ video: true, audio: false })
+    expect(useCallStore.getState().screenStream).toBe(mockDisplayStream)
+  })
+
+  test('stops the capture and clears the store when sharing turns off', async () => {
+    await act(async () => { render(<ScreenShareController />) })
+    await act(async () => { useCallStore.getState().setScreenSharing(true) })
+    act(() => { useCallStore.getState().setScreenSharing(false) })
+    expect(mockScreenTrack.stop).toHaveBeenCalled()
+    expect(useCallStore.getState().screenStream).toBeNull()
+  })
+
+  test('browser "Stop sharing" ends the share', async () => {
+    await act(async () => { render(<ScreenShareController />) })
+    await act(async () => { useCallStore.getState().setScreenSharing(true) })
+    act(() => { mockScreenTrack.onended?.() })
+    expect(useCallStore.getState().isScreenSharing).toBe(false)
+    expect(useCallStore.getState().screenStream).toBeNull()
+  })
+
+  test('stops the capture on unmount', async () => {
+    let unmount!: () => void
+    await act(async () => { unmount = render(<ScreenShareController />).unmount })
+    await act(async () => { useCallStore.getState().setScreenSharing(true) })
+    act(() => { unmount() })
+    expect(mockScreenTrack.stop).toHaveBeenCalled()
+    expect(useCallStore.getState().screenStream).toBeNull()
+  })
+
+  test('dismissing the picker turns sharing off without a toast', async () => {
+    const denied = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' })
+    getDisplayMedia.mockRejectedValue(denied)
+    await act(async () => { render(<ScreenShareController />) })
+    await act(async () => { useCallStore.getState().setScreenSharing(true) })
+    expect(useCallStore.getState().isScreenSharing).toBe(false)
+    expect(useUIStore.getState().toasts).toHaveLength(0)
+  })
+
+  test('capture failure turns sharing off with a warn toast', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    getDisplayMedia.mockRejectedValue(new Error('boom'))
+    await act(async () => { render(<ScreenShareController />) })
+    await act(async () => { useCallStore.getState().setScreenSharing(true) })
+    expect(useCallStore.getState().isScreenSharing).toBe(false)
+    expect(useUIStore.getState().toasts[0]?.variant).toBe('warn')
+    jest.restoreAllMocks()
+  })
+
+  test('unsupported browser turns sharing off with a toast', async () => {
+    delete (navigator.mediaDevices as any).getDisplayMedia
+    await act(async () => { render(<ScreenShareController />) })
+    await act(async () => { useCallStore.getState().setScreenSharing(true) })
+    expect(useCallStore.getState().isScreenSharing).toBe(false)
+    expect(useUIStore.getState().toasts[0]?.message).toMatch(/isn't supported/)
+  })
+})
@@ -1,6 +1,6 @@
 import { render, screen } from '@testing-library/react'
 import { SpotlightView } from '../../../../src/v2/call/SpotlightView'
-import { usePeerStore } from '../../../../src/v2/store/usePeerStore'
+import { usePeerStore, wantedLayer } from '../../../../src/v2/store/usePeerStore'
 import { useCallStore } from '../../../../src/v2/store/useCallStore'
 import type { PeerRecord } from '../../../../src/v2/types'
 
@@ -11,14 +11,14 @@ function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
     connectionState: 'connected', networkQuality: 'good',
     isSpeaking: false, isPinned: false,
     hasRaisedHand: false, handRaisedAt: null,
-    reaction: null, isAway: false, isTyping: false,
+    reaction: null, presence: 'active', isTyping: false,
     ...overrides,
   }
 }
 
 beforeEach(() => {
-  usePeerStore.setState({ peers: new Map() })
-  useCallStore.setState({ localStream: null, screenSharePeerId: null, isMuted: false, isCamOff: false, userName: 'Ralph' })
+  usePeerStore.setState({ peers: new Map(), activeSpeakerId: null })
+  useCallStore.setState({ localStream: null, screenSharePeerId: null, isMuted: false, isCamOff: false, isSpeaking: false, userName: 'Ralph' })
 })
 
 test('renders spotlight-view container', () => {
@@ -70,3 +70,45 @@ test('falls back to "You" when userName is empty string', () => {
   render(<SpotlightView />)
   expect(screen.getByText('You')).toBeInTheDocument()
 })
+
+test('shows our own screen capture while we are the sharer', () => {
+  const screenStream = { id: 'screen' } as unknown as MediaStream
+  usePeerStore.getState().setPeer('peer-1', makePeer({ name: 'Alice' }))
+  useCallStore.setState({ socketId: 'me', screenSharePeerId: 'me', screenStream, isCamOff: true })
+  const { container } = render(<SpotlightView />)
+  expect(screen.getByText('Ralph')).toBeInTheDocument()
+  expect(container.querySelector('video')).toBeInTheDocument()
+  useCallStore.setState({ socketId: null, screenStream: null })
+})
+
+test('spotlights the active speaker even after they pause', () => {
+  usePeerStore.getState().setPeer('peer-1', makePeer({ id: 'peer-1', name: 'Alice' }))
+  usePeerStore.getState().setPeer('peer-2', makePeer({ id: 'peer-2', name: 'Bob', isSpeaking: false }))
+  usePeerStore.setState({ activeSpeakerId: 'peer-2' })
+  render(<SpotlightView />)
+  expect(screen.getByText('Bob')).toBeInTheDocument()
+  expect(screen.queryByText('Alice')).not.toBeInTheDocument()
+})
+
+test('pinned peer wins over the active speaker', () => {
+  usePeerStore.getState().setPeer('peer-1', makePeer({ id: 'peer-1', name: 'Alice', isPinned: true }))
+  usePeerStore.getState().setPeer('peer-2', makePeer({ id: 'peer-2', name: 'Bob' }))
+  usePeerStore.setState({ activeSpeakerId: 'peer-2' })
+  render(<SpotlightView />)
+  expect(screen.getByText('Alice')).toBeInTheDocument()
+})
+
+test('shows the speaking ring on a speaking spotlight peer', () => {
+  usePeerStore.getState().setPeer('peer-1', makePeer({ name: 'Alice', isSpeaking: true }))
+  render(<SpotlightView />)
+  expect(screen.getByTestId('speaking-ring')).toBeInTheDocument()
+})
+
+test('asks for the high layer of the spotlit peer only', () => {
+  usePeerStore.getState().setPeer('peer-1', makePeer({ id: 'peer-1', name: 'Alice' }))
+  usePeerStore.getState().setPeer('peer-2', makePeer({ id: 'peer-2', name: 'Bob', isPinned: true }))
+  render(<SpotlightView />)
+  const { viewLayers } = usePeerStore.getState()
+  expect(wantedLayer(viewLayers, 'peer-2')).toBe('high')
+  expect(wantedLayer(viewLayers, 'peer-1')).toBe('paused')
+})
@@ -1,6 +1,6 @@
-import { render, screen } from '@testing-library/react'
+import { render, screen, act } from '@testing-library/react'
 import { ThumbnailStrip } from '../../../../src/v2/call/ThumbnailStrip'
-import { usePeerStore } from '../../../../src/v2/store/usePeerStore'
+import { usePeerStore, wantedLayer } from '../../../../src/v2/store/usePeerStore'
 import { useCallStore } from '../../../../src/v2/store/useCallStore'
 import type { PeerRecord } from '../../../../src/v2/types'
 
@@ -10,7 +10,7 @@ function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
     stream: null, isMuted: false, isCamOff: false, videoEnabled: false, isScreenSharing: false,
     connectionState: 'connected', networkQuality: 'good',
     isSpeaking: false, isPinned: false, hasRaisedHand: false, handRaisedAt: null,
-    reaction: null, isAway: false, isTyping: false,
+    reaction: null, presence: 'active', isTyping: false,
     ...overrides,
   }
 }
@@ -48,3 +48,22 @@ test('shows "You" when userName is empty', () => {
   render(<ThumbnailStrip />)
   expect(screen.getByText('You')).toBeInTheDocument()
 })
+
+test('asks for the low layer of thumbnails, pausing those scrolled out of the strip', () => {
+  let report: IntersectionObserverCallback = () => {}
+  const observed: Element[] = []
+  ;(window as unknown as { IntersectionObserver: unknown }).IntersectionObserver = jest.fn((callback: IntersectionObserverCallback) => {
+    report = callback
+    return { observe: (el: Element) => observed.push(el), disconnect: jest.fn() }
+  })
+  usePeerStore.getState().setPeer('peer-1', makePeer({ id: 'peer-1', name: 'Alice' }))
+  usePeerStore.getState().setPeer('peer-2', makePeer({ id: 'peer-2', name: 'Bob' }))
+  render(<ThumbnailStrip />)
+  const layerOf = (id: string) => wantedLayer(usePeerStore.getState().viewLayers, id)
+  expect([layerOf('peer-1'), layerOf('peer-2')]).toEqual(['low', 'low'])
+
+  const bob = observed.find((el) => (el as HTMLElement).dataset.peerId === 'peer-2')!
+  act(() => { report([{ target: bob, isIntersecting: false } as unknown as IntersectionObserverEntry], {} as IntersectionObserver) })
+  expect([layerOf('peer-1'), layerOf('peer-2')]).toEqual(['low', 'paused'])
+  delete (window as unknown as { IntersectionObserver?: unknown }).IntersectionObserver
+})
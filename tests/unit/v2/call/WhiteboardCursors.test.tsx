@@ -0,0 +1,38 @@
+import { render, screen, act } from '@testing-library/react'
+import { WhiteboardCursors } from '../../../../src/v2/call/WhiteboardCursors'
+import { useWhiteboardStore } from '../../../../src/v2/store/useWhiteboardStore'
+import { LASER_FADE_MS } from '../../../../src/v2/lib/whiteboard'
+
+const pointer = { x: 0.25, y: 0.75, pageId: 'page-1', laser: false, t: 1 }
+
+beforeEach(() => {
+  useWhiteboardStore.getState().reset()
+})
+
+afterEach(() => { jest.useRealTimers() })
+
+test('places a named cursor at its normalized position', () => {
+  useWhiteboardStore.getState().movePointer('peer-a', 'Alice', pointer)
+  render(<WhiteboardCursors pageId="page-1" />)
+  const cursor = screen.getByTestId('wb-cursor-peer-a')
+  expect(cursor).toHaveTextContent('Alice')
+  expect(cursor).toHaveStyle({ left: '25%', top: '75%' })
+})
+
+test('only shows cursors on the page being viewed', () => {
+  useWhiteboardStore.getState().movePointer('peer-a', 'Alice', { ...pointer, pageId: 'page-2' })
+  render(<WhiteboardCursors pageId="page-1" />)
+  expect(screen.queryByTestId('wb-cursor-peer-a')).not.toBeInTheDocument()
+})
+
+test('laser trails fade out', () => {
+  jest.useFakeTimers()
+  const { movePointer } = useWhiteboardStore.getState()
+  movePointer('peer-a', 'Alice', { ...pointer, laser: true, t: 1 })
+  movePointer('peer-a', 'Alice', { ...pointer, x: 0.5, laser: true, t: 2 })
+  const { container } = render(<WhiteboardCursors pageId="page-1" />)
+  expect(container.querySelectorAll('line')).toHaveLength(1)
+
+  act(() => { jest.advanceTimersByTime(LASER_FADE_MS + 100) })
+  expect(container.querySelectorAll('line')).toHaveLength(0)
+})
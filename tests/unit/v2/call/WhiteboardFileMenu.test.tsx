@@ -0,0 +1,88 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { WhiteboardFileMenu } from '../../../../src/v2/call/WhiteboardFileMenu'
+import { useWhiteboardStore } from '../../../../src/v2/store/useWhiteboardStore'
+import { useUIStore } from '../../../../src/v2/store/useUIStore'
+import { serializeBoard } from '../../../../src/v2/lib/whiteboard'
+import type { Stroke } from '../../../../src/v2/types'
+
+const stroke: Stroke = { id: 's1', tool: 'pen', color: '#222', width: 3, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], drawerId: 'p1' }
+const otherPage: Stroke = { ...stroke, id: 's2', pageId: 'page-2' }
+
+// jsdom's Blob has no text(); browsers do.
+function readBlob(blob: Blob): Promise<string> {
+  return new Promise((resolve) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result as string)
+    reader.readAsText(blob)
+  })
+}
+
+function boardFile(content: string): File {
+  const file = new File([content], 'board.json', { type: 'application/json' })
+  Object.defineProperty(file, 'text', { value: () => Promise.resolve(content) })
+  return file
+}
+
+let downloads: Blob[]
+let clickSpy: jest.SpyInstance
+
+beforeEach(() => {
+  useWhiteboardStore.getState().reset()
+  useWhiteboardStore.getState().addPage({ id: 'page-2', name: 'Ideas' })
+  useWhiteboardStore.setState({ strokes: [stroke, otherPage] })
+  useUIStore.setState({ toasts: [] })
+  downloads = []
+  URL.createObjectURL = jest.fn((blob: Blob) => {
+    downloads.push(blob)
+    return 'blob:board'
+  })
+  URL.revokeObjectURL = jest.fn()
+  clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+})
+
+afterEach(() => clickSpy.mockRestore())
+
+test('SVG export contains only the page on screen', async () => {
+  render(<WhiteboardFileMenu />)
+  fireEvent.click(screen.getByTestId('btn-whiteboard-file'))
+  fireEvent.click(screen.getByTestId('btn-export-svg'))
+  expect(clickSpy).toHaveBeenCalled()
+  expect(downloads[0].type).toBe('image/svg+xml')
+  expect((await readBlob(downloads[0])).match(/<path/g)).toHaveLength(1)
+})
+
+test('JSON export keeps every page', async () => {
+  render(<WhiteboardFileMenu />)
+  fireEvent.click(screen.getByTestId('btn-whiteboard-file'))
+  fireEvent.click(screen.getByTestId('btn-export-json'))
+  const doc = JSON.parse(await readBlob(downloads[0]))
+  expect(doc.version).toBe(1)
+  expect(doc.pages).toHaveLength(2)
+  expect(doc.strokes).toHaveLength(2)
+})
+
+test('import is offered only when an import handler is given', () => {
+  render(<WhiteboardFileMenu />)
+  fireEvent.click(screen.getByTestId('btn-whiteboard-file'))
+  expect(screen.queryByTestId('btn-import-json')).not.toBeInTheDocument()
+  expect(screen.queryByTestId('input-import-board')).not.toBeInTheDocument()
+})
+
+test('importing a board file hands the parsed document over', async () => {
+  const onImport = jest.fn()
+  render(<WhiteboardFileMenu onImport={onImport} />)
+  const file = boardFile(serializeBoard([{ id: 'page-1', name: 'Page 1' }], [stroke]))
+  fireEvent.change(screen.getByTestId('input-import-board'), { target: { files: [file] } })
+  await waitFor(() => expect(onImport).toHaveBeenCalled())
+  expect(onImport.mock.calls[0][0].strokes).toEqual([stroke])
+})
+
+test('a broken file raises a toast instead of importing', async () => {
+  const onImport = jest.fn()
+  render(<WhiteboardFileMenu onImport={onImport} />)
+  const file = boardFile('{"version":9}')
+  fireEvent.change(screen.getByTestId('input-import-board'), { target: { files: [file] } })
+  await waitFor(() => expect(useUIStore.getState().toasts).toHaveLength(1))
+  expect(useUIStore.getState().toasts[0].message).toBe('Unsupported whiteboard file version')
+  expect(onImport).not.toHaveBeenCalled()
+})
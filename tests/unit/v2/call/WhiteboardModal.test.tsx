@@ -1,6 +1,7 @@
-import { render, screen, fireEvent } from '@testing-library/react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
 import { WhiteboardModal } from '../../../../src/v2/call/WhiteboardModal'
 import { useWhiteboardStore } from '../../../../src/v2/store/useWhiteboardStore'
+import { DEFAULT_PAGE_ID } from '../../../../src/v2/lib/whiteboard'
 import { useCallStore } from '../../../../src/v2/store/useCallStore'
 
 jest.mock('../../../../src/v2/call/ThumbnailStrip', () => ({
@@ -22,6 +23,11 @@ const defaultProps = {
   onClose: jest.fn(),
   onGrant: jest.fn(),
   onRevoke: jest.fn(),
+  onUndo: jest.fn(),
+  onRedo: jest.fn(),
+  onAddPage: jest.fn(),
+  onImport: jest.fn(),
+  onPointer: jest.fn(),
   canDraw: true,
 }
 
@@ -37,6 +43,7 @@ beforeEach(() => {
       configurable: true,
     })
   }
+  useWhiteboardStore.getState().reset()
   useWhiteboardStore.setState({ strokes: [], grantedPeerIds: new Set(), currentTool: 'pen', currentColor: '#222222' })
   useCallStore.setState({ socketId: 'local-socket', isHost: false, userName: 'User', localStream: null, isMuted: false, isCamOff: false, isNoiseSuppressed: true, screenSharePeerId: null, mediaError: null })
   HTMLCanvasElement.prototype.getContext = jest.fn(() => ({
@@ -45,6 +52,9 @@ beforeEach(() => {
     moveTo: jest.fn(),
     lineTo: jest.fn(),
     stroke: jest.fn(),
+    rect: jest.fn(),
+    ellipse: jest.fn(),
+    fillText: jest.fn(),
     save: jest.fn(),
     restore: jest.fn(),
     globalCompositeOperation: 'source-over',
@@ -154,3 +164,129 @@ test('does not call onStroke on touch when canDraw is false', () => {
 
   expect(defaultProps.onStroke).not.toHaveBeenCalled()
 })
+
+describe('tools, history and pages', () => {
+  test('a rectangle keeps only its two corners and is tagged with the page', () => {
+    useWhiteboardStore.setState({ currentTool: 'rect', currentWidth: 6 })
+    render(<WhiteboardModal {...defaultProps} />)
+    const canvas = screen.getByTestId('whiteboard-canvas')
+    fireEvent.mouseDown(canvas, { clientX: 10, clientY: 10 })
+    fireEvent.mouseMove(canvas, { clientX: 20, clientY: 20 })
+    fireEvent.mouseMove(canvas, { clientX: 40, clientY: 30 })
+    fireEvent.mouseUp(canvas)
+    const stroke = defaultProps.onStroke.mock.calls[0][0]
+    expect(stroke.tool).toBe('rect')
+    expect(stroke.points).toHaveLength(2)
+    expect(stroke.width).toBe(6)
+    expect(stroke.pageId).toBe(DEFAULT_PAGE_ID)
+  })
+
+  test('a shape with no size is dropped', () => {
+    useWhiteboardStore.setState({ currentTool: 'ellipse' })
+    render(<WhiteboardModal {...defaultProps} />)
+    const canvas = screen.getByTestId('whiteboard-canvas')
+    fireEvent.mouseDown(canvas, { clientX: 10, clientY: 10 })
+    fireEvent.mouseMove(canvas, { clientX: 10, clientY: 10 })
+    fireEvent.mouseUp(canvas)
+    expect(defaultProps.onStroke).not.toHaveBeenCalled()
+  })
+
+  test('the text tool places typed text at the clicked point', () => {
+    useWhiteboardStore.setState({ currentTool: 'text' })
+    render(<WhiteboardModal {...defaultProps} />)
+    fireEvent.mouseDown(screen.getByTestId('whiteboard-canvas'), { clientX: 30, clientY: 15 })
+    const input = screen.getByTestId('whiteboard-text-input')
+    fireEvent.change(input, { target: { value: 'Hello' } })
+    fireEvent.keyDown(input, { key: 'Enter' })
+    const stroke = defaultProps.onStroke.mock.calls[0][0]
+    expect(stroke).toMatchObject({ tool: 'text', text: 'Hello', points: [{ x: 0.1, y: 0.1 }] })
+    expect(screen.queryByTestId('whiteboard-text-input')).not.toBeInTheDocument()
+  })
+
+  test('Escape discards the text being typed', () => {
+    useWhiteboardStore.setState({ currentTool: 'text' })
+    render(<WhiteboardModal {...defaultProps} />)
+    fireEvent.mouseDown(screen.getByTestId('whiteboard-canvas'), { clientX: 30, clientY: 15 })
+    fireEvent.change(screen.getByTestId('whiteboard-text-input'), { target: { value: 'Hello' } })
+    fireEvent.keyDown(screen.getByTestId('whiteboard-text-input'), { key: 'Escape' })
+    expect(defaultProps.onStroke).not.toHaveBeenCalled()
+  })
+
+  test('undo is available only for our own strokes on the current page', () => {
+    const mine = { id: 's1', tool: 'pen' as const, color: '#222', width: 3, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], drawerId: 'local-socket' }
+    useWhiteboardStore.getState().addStroke({ ...mine, pageId: 'page-2' })
+    useWhiteboardStore.getState().applyOps([{ kind: 'add', actor: 'someone-else', seq: 1, t: 5, stroke: { ...mine, id: 's2' } }])
+    const { unmount } = render(<WhiteboardModal {...defaultProps} />)
+    expect(screen.getByTestId('btn-undo')).toBeDisabled()
+    unmount()
+
+    useWhiteboardStore.getState().addStroke(mine)
+    render(<WhiteboardModal {...defaultProps} />)
+    fireEvent.click(screen.getByTestId('btn-undo'))
+    expect(defaultProps.onUndo).toHaveBeenCalled()
+  })
+
+  test('renders the page switcher', () => {
+    render(<WhiteboardModal {...defaultProps} />)
+    expect(screen.getByTestId(`wb-page-tab-${DEFAULT_PAGE_ID}`)).toBeInTheDocument()
+  })
+
+  test('the file menu offers import to moderators only', () => {
+    const { unmount } = render(<WhiteboardModal {...defaultProps} />)
+    fireEvent.click(screen.getByTestId('btn-whiteboard-file'))
+    expect(screen.queryByTestId('btn-import-json')).not.toBeInTheDocument()
+    unmount()
+
+    useCallStore.setState({ isHost: true })
+    render(<WhiteboardModal {...defaultProps} />)
+    fireEvent.click(screen.getByTestId('btn-whiteboard-file'))
+    expect(screen.getByTestId('btn-import-json')).toBeInTheDocument()
+  })
+})
+
+describe('pointer presence', () => {
+  afterEach(() => { jest.useRealTimers() })
+
+  test('shares a throttled pointer position, normalized like stroke points', () => {
+    jest.useFakeTimers()
+    render(<WhiteboardModal {...defaultProps} canDraw={false} />)
+    const canvas = screen.getByTestId('whiteboard-canvas')
+    fireEvent.mouseMove(canvas, { clientX: 30, clientY: 15 })
+    fireEvent.mouseMove(canvas, { clientX: 60, clientY: 30 })
+    fireEvent.mouseMove(canvas, { clientX: 90, clientY: 45 })
+    expect(defaultProps.onPointer).toHaveBeenCalledTimes(1)
+    expect(defaultProps.onPointer.mock.calls[0][0]).toMatchObject({ x: 0.1, y: 0.1, pageId: DEFAULT_PAGE_ID, laser: false })
+
+    // The last position of the burst follows once the interval has passed.
+    act(() => { jest.advanceTimersByTime(60) })
+    expect(defaultProps.onPointer).toHaveBeenCalledTimes(2)
+    expect(defaultProps.onPointer.mock.calls[1][0]).toMatchObject({ x: 0.3, y: 0.3 })
+  })
+
+  test('leaving the canvas hides the pointer', () => {
+    render(<WhiteboardModal {...defaultProps} />)
+    const canvas = screen.getByTestId('whiteboard-canvas')
+    fireEvent.mouseMove(canvas, { clientX: 30, clientY: 15 })
+    fireEvent.mouseLeave(canvas)
+    expect(defaultProps.onPointer).toHaveBeenLastCalledWith(expect.objectContaining({ hidden: true }))
+  })
+
+  test('the laser leaves a local trail and never a stroke', () => {
+    useWhiteboardStore.setState({ currentTool: 'laser' })
+    render(<WhiteboardModal {...defaultProps} />)
+    const canvas = screen.getByTestId('whiteboard-canvas')
+    fireEvent.mouseDown(canvas, { clientX: 10, clientY: 10 })
+    fireEvent.mouseMove(canvas, { clientX: 20, clientY: 20 })
+    fireEvent.mouseMove(canvas, { clientX: 40, clientY: 30 })
+    fireEvent.mouseUp(canvas)
+    expect(defaultProps.onStroke).not.toHaveBeenCalled()
+    expect(defaultProps.onPointer.mock.calls[0][0]).toMatchObject({ laser: true })
+    expect(useWhiteboardStore.getState().localTrail).toHaveLength(2)
+  })
+
+  test('draws the cursors of other participants on this page', () => {
+    useWhiteboardStore.getState().movePointer('peer-a', 'Alice', { x: 0.5, y: 0.5, pageId: DEFAULT_PAGE_ID, laser: false, t: 1 })
+    render(<WhiteboardModal {...defaultProps} />)
+    expect(screen.getByTestId('wb-cursor-peer-a')).toHaveTextContent('Alice')
+  })
+})
@@ -0,0 +1,45 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { WhiteboardPages } from '../../../../src/v2/call/WhiteboardPages'
+import { useWhiteboardStore } from '../../../../src/v2/store/useWhiteboardStore'
+import { DEFAULT_PAGE_ID } from '../../../../src/v2/lib/whiteboard'
+
+beforeEach(() => {
+  useWhiteboardStore.getState().reset()
+  useWhiteboardStore.getState().addPage({ id: 'page-2', name: 'Ideas' })
+})
+
+test('renders a tab per page with the current one pressed', () => {
+  render(<WhiteboardPages canEdit onAddPage={jest.fn()} />)
+  expect(screen.getByTestId(`wb-page-tab-${DEFAULT_PAGE_ID}`)).toHaveAttribute('aria-pressed', 'true')
+  expect(screen.getByTestId('wb-page-tab-page-2')).toHaveTextContent('Ideas')
+})
+
+test('clicking a tab switches the current page', () => {
+  render(<WhiteboardPages canEdit onAddPage={jest.fn()} />)
+  fireEvent.click(screen.getByTestId('wb-page-tab-page-2'))
+  expect(useWhiteboardStore.getState().currentPageId).toBe('page-2')
+})
+
+test('adding a page submits the typed name', () => {
+  const onAddPage = jest.fn()
+  render(<WhiteboardPages canEdit onAddPage={onAddPage} />)
+  fireEvent.click(screen.getByTestId('btn-add-page'))
+  fireEvent.change(screen.getByTestId('wb-page-name-input'), { target: { value: 'Retro' } })
+  fireEvent.keyDown(screen.getByTestId('wb-page-name-input'), { key: 'Enter' })
+  expect(onAddPage).toHaveBeenCalledWith('Retro')
+  expect(screen.queryByTestId('wb-page-name-input')).not.toBeInTheDocument()
+})
+
+test('an empty name falls back to the next page number', () => {
+  const onAddPage = jest.fn()
+  render(<WhiteboardPages canEdit onAddPage={onAddPage} />)
+  fireEvent.click(screen.getByTestId('btn-add-page'))
+  fireEvent.keyDown(screen.getByTestId('wb-page-name-input'), { key: 'Enter' })
+  expect(onAddPage).toHaveBeenCalledWith('Page 3')
+})
+
+test('viewers can switch pages but not add them', () => {
+  render(<WhiteboardPages canEdit={false} onAddPage={jest.fn()} />)
+  expect(screen.queryByTestId('btn-add-page')).not.toBeInTheDocument()
+  expect(screen.getByTestId('wb-page-tab-page-2')).toBeInTheDocument()
+})
@@ -11,7 +11,7 @@ function makePeer(id: string, name: string): PeerRecord {
     stream: null, isMuted: false, isCamOff: false, videoEnabled: false, isScreenSharing: false,
     connectionState: 'connected', networkQuality: 'good',
     isSpeaking: false, isPinned: false, hasRaisedHand: false, handRaisedAt: null,
-    reaction: null, isAway: false, isTyping: false,
+    reaction: null, presence: 'active', isTyping: false,
   }
 }
 
@@ -55,3 +55,34 @@ test('renders eraser button as active when currentTool is eraser', () => {
   expect(screen.getByTestId('btn-tool-eraser')).toHaveAttribute('aria-pressed', 'true')
   expect(screen.getByTestId('btn-tool-pen')).toHaveAttribute('aria-pressed', 'false')
 })
+
+test('offers shape and text tools alongside pen and eraser', () => {
+  render(<WhiteboardToolbar {...defaultProps} />)
+  for (const tool of ['line', 'arrow', 'rect', 'ellipse', 'text']) {
+    expect(screen.getByTestId(`btn-tool-${tool}`)).toBeInTheDocument()
+  }
+  fireEvent.click(screen.getByTestId('btn-tool-rect'))
+  expect(defaultProps.onToolChange).toHaveBeenCalledWith('rect')
+})
+
+test('width slider reports the chosen width', () => {
+  const onWidthChange = jest.fn()
+  render(<WhiteboardToolbar {...defaultProps} currentWidth={3} onWidthChange={onWidthChange} />)
+  fireEvent.change(screen.getByTestId('whiteboard-width'), { target: { value: '8' } })
+  expect(onWidthChange).toHaveBeenCalledWith(8)
+})
+
+test('undo and redo follow their availability', () => {
+  const onUndo = jest.fn()
+  const onRedo = jest.fn()
+  render(<WhiteboardToolbar {...defaultProps} onUndo={onUndo} onRedo={onRedo} canUndo canRedo={false} />)
+  expect(screen.getByTestId('btn-redo')).toBeDisabled()
+  fireEvent.click(screen.getByTestId('btn-undo'))
+  expect(onUndo).toHaveBeenCalled()
+})
+
+test('hides undo, redo and width controls when no handlers are given', () => {
+  render(<WhiteboardToolbar {...defaultProps} />)
+  expect(screen.queryByTestId('btn-undo')).not.toBeInTheDocument()
+  expect(screen.queryByTestId('whiteboard-width')).not.toBeInTheDocument()
+})
@@ -1,58 +1,163 @@
-import { deriveKey, encryptMessage, decryptMessage } from '../../../../src/v2/lib/chatCrypto'
+import {
+  decryptMessage,
+  deriveMediaKey,
+  encryptMessage,
+  exportPublicKey,
+  exportRoomKey,
+  generateKeyPair,
+  generateRoomKey,
+  importPublicKey,
+  importRoomKey,
+  isNewerKey,
+  unwrapRoomKey,
+  wrapRoomKey,
+  type RoomKey,
+} from '../../../../src/v2/lib/chatCrypto'
 
 describe('chatCrypto', () => {
+  let roomKey: RoomKey
   let key: CryptoKey
 
   beforeAll(async () => {
-    key = await deriveKey('test-room', 'test-secret')
+    roomKey = await generateRoomKey(1000)
+    key = roomKey.key
   })
 
-  test('round-trip: encrypt then decrypt returns original text', async () => {
-    const ciphertext = await encryptMessage('Hello, world!', key)
-    const plaintext = await decryptMessage(ciphertext, key)
-    expect(plaintext).toBe('Hello, world!')
-  })
+  describe('messages', () => {
+    test('round-trip: encrypt then decrypt returns original text', async () => {
+      const ciphertext = await encryptMessage('Hello, world!', key)
+      const plaintext = await decryptMessage(ciphertext, key)
+      expect(plaintext).toBe('Hello, world!')
+    })
 
-  test('round-trip: empty string', async () => {
-    const ciphertext = await encryptMessage('', key)
-    const plaintext = await decryptMessage(ciphertext, key)
-    expect(plaintext).toBe('')
-  })
+    test('round-trip: empty string', async () => {
+      const ciphertext = await encryptMessage('', key)
+      const plaintext = await decryptMessage(ciphertext, key)
+      expect(plaintext).toBe('')
+    })
 
-  test('encryptMessage returns a non-empty base64 string different from plaintext', async () => {
-    const ciphertext = await encryptMessage('secret', key)
-    expect(ciphertext).toBeTruthy()
-    expect(ciphertext).not.toBe('secret')
-    expect(ciphertext).toMatch(/^[A-Za-z0-9+/=]+$/)
-  })
+    test('encryptMessage returns a non-empty base64 string different from plaintext', async () => {
+      const ciphertext = await encryptMessage('secret', key)
+      expect(ciphertext).toBeTruthy()
+      expect(ciphertext).not.toBe('secret')
+      expect(ciphertext).toMatch(/^[A-Za-z0-9+/=]+$/)
+    })
 
-  test('wrong key: decrypting with a different derived key throws', async () => {
-    const otherKey = await deriveKey('different-room', 'different-secret')
-    const ciphertext = await encryptMessage('Hello', key)
-    await expect(decryptMessage(ciphertext, otherKey)).rejects.toThrow()
-  })
+    test('wrong key: decrypting with a different room key throws', async () => {
+      const other = await generateRoomKey()
+      const ciphertext = await encryptMessage('Hello', key)
+      await expect(decryptMessage(ciphertext, other.key)).rejects.toThrow()
+    })
+
+    test('decryptMessage throws on corrupted base64 ciphertext', async () => {
+      await expect(decryptMessage('not-valid-base64!!', key)).rejects.toThrow()
+    })
 
-  test('deterministic derivation: same inputs produce keys that interoperate', async () => {
-    const keyA = await deriveKey('room-xyz', 'secret-abc')
-    const keyB = await deriveKey('room-xyz', 'secret-abc')
-    const ciphertext = await encryptMessage('test', keyA)
-    const plaintext = await decryptMessage(ciphertext, keyB)
-    expect(plaintext).toBe('test')
+    test('decryptMessage throws on truncated input (IV only, no ciphertext)', async () => {
+      // 12 bytes of IV only, base64-encoded — no ciphertext or GCM tag
+      const ivOnly = btoa(String.fromCharCode(...new Uint8Array(12)))
+      await expect(decryptMessage(ivOnly, key)).rejects.toThrow()
+    })
+
+    test('encryptMessage: same plaintext produces different ciphertext each call', async () => {
+      const a = await encryptMessage('hello', key)
+      const b = await encryptMessage('hello', key)
+      expect(a).not.toBe(b)
+    })
   })
 
-  test('decryptMessage throws on corrupted base64 ciphertext', async () => {
-    await expect(decryptMessage('not-valid-base64!!', key)).rejects.toThrow()
+  describe('room keys', () => {
+    test('generateRoomKey gives each key a distinct 16-hex-digit id', async () => {
+      const other = await generateRoomKey()
+      expect(roomKey.id).toMatch(/^[0-9a-f]{16}$/)
+      expect(other.id).not.toBe(roomKey.id)
+      expect(roomKey.createdAt).toBe(1000)
+    })
+
+    test('export/import round-trips through a URL-safe string with the same id', async () => {
+      const encoded = await exportRoomKey(roomKey)
+      expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/)
+      const imported = await importRoomKey(encoded)
+      expect(imported.id).toBe(roomKey.id)
+      expect(imported.createdAt).toBe(0)
+      expect(await decryptMessage(await encryptMessage('via link', key), imported.key)).toBe('via link')
+    })
+
+    test('importRoomKey rejects input that is not a 256-bit key', async () => {
+      await expect(importRoomKey('c2hvcnQ')).rejects.toThrow()
+    })
+
+    test('isNewerKey prefers the later key and breaks ties by id', () => {
+      const a = { id: 'aaa', key, createdAt: 1 }
+      const b = { id: 'bbb', key, createdAt: 2 }
+      const c = { id: 'ccc', key, createdAt: 2 }
+      expect(isNewerKey(a, null)).toBe(true)
+      expect(isNewerKey(b, a)).toBe(true)
+      expect(isNewerKey(a, b)).toBe(false)
+      expect(isNewerKey(c, b)).toBe(true)
+      expect(isNewerKey(b, c)).toBe(false)
+    })
   })
 
-  test('decryptMessage throws on truncated input (IV only, no ciphertext)', async () => {
-    // 12 bytes of IV only, base64-encoded — no ciphertext or GCM tag
-    const ivOnly = btoa(String.fromCharCode(...new Uint8Array(12)))
-    await expect(decryptMessage(ivOnly, key)).rejects.toThrow()
+  describe('media keys', () => {
+    test('deriveMediaKey tags the key with the first 32 bits of the room key id', async () => {
+      const mediaKey = await deriveMediaKey(roomKey)
+      expect(mediaKey.tag).toBe(parseInt(roomKey.id.slice(0, 8), 16))
+    })
+
+    test('is stable for a room key and separate from the chat key', async () => {
+      const a = await deriveMediaKey(roomKey)
+      const b = await deriveMediaKey(roomKey)
+      const ciphertext = await encryptMessage('frame', a.key)
+      expect(await decryptMessage(ciphertext, b.key)).toBe('frame')
+      await expect(decryptMessage(ciphertext, key)).rejects.toThrow()
+    })
   })
 
-  test('encryptMessage: same plaintext produces different ciphertext each call', async () => {
-    const a = await encryptMessage('hello', key)
-    const b = await encryptMessage('hello', key)
-    expect(a).not.toBe(b)
+  describe('key exchange', () => {
+    let alice: CryptoKeyPair
+    let bob: CryptoKeyPair
+    let mallory: CryptoKeyPair
+
+    beforeAll(async () => {
+      [alice, bob, mallory] = await Promise.all([generateKeyPair(), generateKeyPair(), generateKeyPair()])
+    })
+
+    test('public keys survive export and import', async () => {
+      const encoded = await exportPublicKey(alice.publicKey)
+      expect(encoded).toMatch(/^[A-Za-z0-9+/=]+$/)
+      const imported = await importPublicKey(encoded)
+      expect(await exportPublicKey(imported)).toBe(encoded)
+    })
+
+    test('a key wrapped by Alice for Bob unwraps to the same room key', async () => {
+      const wrapped = await wrapRoomKey(roomKey, alice.privateKey, bob.publicKey)
+      const unwrapped = await unwrapRoomKey(wrapped, roomKey.createdAt, bob.privateKey, alice.publicKey)
+      expect(unwrapped.id).toBe(roomKey.id)
+      expect(unwrapped.createdAt).toBe(roomKey.createdAt)
+      const ciphertext = await encryptMessage('from alice', key)
+      expect(await decryptMessage(ciphertext, unwrapped.key)).toBe('from alice')
+    })
+
+    test('the wrapped key does not contain the raw key', async () => {
+      const wrapped = await wrapRoomKey(roomKey, alice.privateKey, bob.publicKey)
+      const raw = await exportRoomKey(roomKey)
+      expect(wrapped).not.toContain(raw)
+    })
+
+    test('nobody but the recipient can unwrap', async () => {
+      const wrapped = await wrapRoomKey(roomKey, alice.privateKey, bob.publicKey)
+      await expect(unwrapRoomKey(wrapped, roomKey.createdAt, mallory.privateKey, alice.publicKey)).rejects.toThrow()
+    })
+
+    test('unwrapping fails when the sender public key is not the one that wrapped', async () => {
+      const wrapped = await wrapRoomKey(roomKey, alice.privateKey, bob.publicKey)
+      await expect(unwrapRoomKey(wrapped, roomKey.createdAt, bob.privateKey, mallory.publicKey)).rejects.toThrow()
+    })
+
+    test('a tampered createdAt is rejected', async () => {
+      const wrapped = await wrapRoomKey(roomKey, alice.privateKey, bob.publicKey)
+      await expect(unwrapRoomKey(wrapped, roomKey.createdAt + 1, bob.privateKey, alice.publicKey)).rejects.toThrow()
+    })
   })
 })
@@ -0,0 +1,89 @@
+import {
+  decodeFileChunk, encodeFileChunk, formatBytes, isFileChunk, isImageType, newFileId, sha256Hex, waitForDrain,
+} from '../../../../src/v2/lib/fileTransfer'
+
+function fakeChannel(bufferedAmount: number) {
+  const listeners: Record<string, Array<() => void>> = {}
+  return {
+    readyState: 'open',
+    bufferedAmount,
+    addEventListener: jest.fn((event: string, cb: () => void) => { (listeners[event] ??= []).push(cb) }),
+    removeEventListener: jest.fn((event: string, cb: () => void) => {
+      listeners[event] = (listeners[event] ?? []).filter((l) => l !== cb)
+    }),
+    fire: (event: string) => [...(listeners[event] ?? [])].forEach((cb) => cb()),
+    listeners,
+  }
+}
+
+describe('chunk frames', () => {
+  test('round-trip the file id and payload', () => {
+    const frame = encodeFileChunk('abc123', new Uint8Array([1, 2, 3]))
+    expect(isFileChunk(frame)).toBe(true)
+    const chunk = decodeFileChunk(frame)
+    expect(chunk?.fileId).toBe('abc123')
+    expect(Array.from(chunk!.bytes)).toEqual([1, 2, 3])
+  })
+
+  test('JSON messages, as strings or bytes, are not chunks', () => {
+    expect(isFileChunk('{"type":"wb-sync"}')).toBe(false)
+    expect(isFileChunk(new TextEncoder().encode('{"type":"wb-sync"}'))).toBe(false)
+  })
+
+  test('a frame cut off inside the file id is rejected', () => {
+    const frame = encodeFileChunk('abc123', new Uint8Array([1]))
+    expect(decodeFileChunk(frame.subarray(0, 4))).toBeNull()
+  })
+})
+
+test('sha256Hex matches the published test vector', async () => {
+  expect(await sha256Hex(new TextEncoder().encode('abc'))).toBe(
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+  )
+})
+
+test('newFileId gives 16 hex digits', () => {
+  expect(newFileId()).toMatch(/^[0-9a-f]{16}$/)
+  expect(newFileId()).not.toBe(newFileId())
+})
+
+describe('waitForDrain', () => {
+  test('resolves at once while the buffer is below the high-water mark', async () => {
+    const channel = fakeChannel(10)
+    await waitForDrain(channel as unknown as RTCDataChannel, 100)
+    expect(channel.addEventListener).not.toHaveBeenCalled()
+  })
+
+  test('waits for bufferedamountlow and then stops listening', async () => {
+    const channel = fakeChannel(500)
+    let drained = false
+    const wait = waitForDrain(channel as unknown as RTCDataChannel, 100).then(() => { drained = true })
+    await Promise.resolve()
+    expect(drained).toBe(false)
+    channel.fire('bufferedamountlow')
+    await wait
+    expect(drained).toBe(true)
+    expect(channel.listeners.bufferedamountlow).toHaveLength(0)
+    expect(channel.listeners.close).toHaveLength(0)
+  })
+
+  test('gives up waiting when the channel closes', async () => {
+    const channel = fakeChannel(500)
+    const wait = waitForDrain(channel as unknown as RTCDataChannel, 100)
+    channel.fire('close')
+    await expect(wait).resolves.toBeUndefined()
+  })
+})
+
+test('isImageType accepts common image formats only', () => {
+  expect(isImageType('image/png')).toBe(true)
+  expect(isImageType('image/jpeg')).toBe(true)
+  expect(isImageType('image/svg+xml')).toBe(false)
+  expect(isImageType('application/pdf')).toBe(false)
+})
+
+test('formatBytes picks a readable unit', () => {
+  expect(formatBytes(512)).toBe('512 B')
+  expect(formatBytes(1536)).toBe('1.5 KB')
+  expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB')
+})
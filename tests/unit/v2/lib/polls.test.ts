@@ -0,0 +1,57 @@
+import { formatCountdown, pollCounts, pollSecondsLeft, pollVotersFor } from '../../../../src/v2/lib/polls'
+import type { Poll } from '../../../../src/v2/types'
+
+const makePoll = (overrides: Partial<Poll> = {}): Poll => ({
+  id: 'p1', question: 'Q?', options: ['A', 'B', 'C'],
+  createdAt: 1, createdBy: 'Ann', isActive: true, votes: {},
+  ...overrides,
+})
+
+describe('pollCounts', () => {
+  test('tallies single-choice votes', () => {
+    expect(pollCounts(makePoll({ votes: { s1: 0, s2: 0, s3: 2 } }))).toEqual([2, 0, 1])
+  })
+
+  test('tallies every pick of multi-choice votes', () => {
+    expect(pollCounts(makePoll({ multiChoice: true, votes: { s1: [0, 1], s2: [1] } }))).toEqual([1, 2, 0])
+  })
+
+  test('prefers server totals, which anonymous polls rely on', () => {
+    expect(pollCounts(makePoll({ anonymous: true, votes: {}, counts: [4, 1, 0] }))).toEqual([4, 1, 0])
+  })
+
+  test('ignores indexes outside the options', () => {
+    expect(pollCounts(makePoll({ votes: { s1: 7 } }))).toEqual([0, 0, 0])
+  })
+})
+
+describe('pollVotersFor', () => {
+  test('lists the names of everyone who picked an option', () => {
+    const poll = makePoll({ votes: { s1: 0, s2: [0, 1] }, voterNames: { s1: 'Ann', s2: 'Ben' } })
+    expect(pollVotersFor(poll, 0)).toEqual(['Ann', 'Ben'])
+    expect(pollVotersFor(poll, 1)).toEqual(['Ben'])
+    expect(pollVotersFor(poll, 2)).toEqual([])
+  })
+
+  test('is empty for anonymous polls', () => {
+    const poll = makePoll({ anonymous: true, votes: { s1: 0 }, voterNames: { s1: 'Ann' } })
+    expect(pollVotersFor(poll, 0)).toEqual([])
+  })
+})
+
+describe('pollSecondsLeft', () => {
+  test('is null without a countdown', () => {
+    expect(pollSecondsLeft(makePoll())).toBeNull()
+  })
+
+  test('rounds up and never goes below zero', () => {
+    const poll = makePoll({ closesAt: 10_000 })
+    expect(pollSecondsLeft(poll, 8_500)).toBe(2)
+    expect(pollSecondsLeft(poll, 12_000)).toBe(0)
+  })
+})
+
+test('formatCountdown pads seconds', () => {
+  expect(formatCountdown(65)).toBe('1:05')
+  expect(formatCountdown(9)).toBe('0:09')
+})
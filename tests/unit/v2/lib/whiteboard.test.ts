@@ -0,0 +1,114 @@
+import {
+  LASER_FADE_MS,
+  WHITEBOARD_DOC_VERSION,
+  cursorColor,
+  extendTrail,
+  isWhiteboardPointer,
+  parseBoard,
+  renderBoardPng,
+  renderBoardSvg,
+  serializeBoard,
+} from '../../../../src/v2/lib/whiteboard'
+import type { Stroke } from '../../../../src/v2/types'
+
+const base = { color: '#ff4444', width: 4, drawerId: 'peer-1' }
+const pen: Stroke = { ...base, id: 'p', tool: 'pen', points: [{ x: 0, y: 0 }, { x: 0.5, y: 0.5 }, { x: 1, y: 1 }] }
+const rect: Stroke = { ...base, id: 'r', tool: 'rect', points: [{ x: 0.5, y: 0.5 }, { x: 0.25, y: 0.25 }] }
+const ellipse: Stroke = { ...base, id: 'e', tool: 'ellipse', points: [{ x: 0, y: 0 }, { x: 0.5, y: 1 }] }
+const text: Stroke = { ...base, id: 't', tool: 'text', points: [{ x: 0.1, y: 0.1 }], text: '<b>&"hi"' }
+const eraser: Stroke = { ...base, id: 'x', tool: 'eraser', width: 20, points: [{ x: 0, y: 0 }, { x: 1, y: 0 }] }
+
+describe('renderBoardSvg', () => {
+  test('scales normalized points to the export size', () => {
+    const svg = renderBoardSvg([pen], 100, 50)
+    expect(svg).toContain('viewBox="0 0 100 50"')
+    expect(svg).toContain('<path d="M0 0L50 25L100 50"')
+    expect(svg).toContain('stroke="#ff4444"')
+  })
+
+  test('draws shapes as their SVG elements, whichever way they were dragged', () => {
+    const svg = renderBoardSvg([rect, ellipse], 100, 100)
+    expect(svg).toContain('<rect x="25" y="25" width="25" height="25"')
+    expect(svg).toContain('<ellipse cx="25" cy="50" rx="25" ry="50"')
+  })
+
+  test('escapes text so board content cannot inject markup', () => {
+    const svg = renderBoardSvg([text], 100, 100)
+    expect(svg).toContain('&lt;b&gt;&amp;&quot;hi&quot;</text>')
+    expect(svg).not.toContain('<b>')
+  })
+
+  test('paints eraser strokes in the background colour', () => {
+    const svg = renderBoardSvg([eraser], 100, 100)
+    expect(svg).toMatch(/<path d="M0 0L100 0" fill="none" stroke="#ffffff" stroke-width="20"/)
+  })
+
+  test('skips strokes with too few points', () => {
+    const svg = renderBoardSvg([{ ...pen, points: [{ x: 0, y: 0 }] }], 100, 100)
+    expect(svg).not.toContain('<path')
+  })
+})
+
+describe('renderBoardPng', () => {
+  test('draws every stroke and encodes a PNG', async () => {
+    const ctx = {
+      save: jest.fn(), restore: jest.fn(), beginPath: jest.fn(), moveTo: jest.fn(), lineTo: jest.fn(),
+      rect: jest.fn(), ellipse: jest.fn(), stroke: jest.fn(), fillText: jest.fn(), fillRect: jest.fn(),
+    }
+    const png = new Blob(['png'], { type: 'image/png' })
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx as unknown as CanvasRenderingContext2D)
+    jest.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation((cb) => cb(png))
+
+    await expect(renderBoardPng([pen, rect, text], 200, 100)).resolves.toBe(png)
+    expect(ctx.stroke).toHaveBeenCalledTimes(2)
+    expect(ctx.rect).toHaveBeenCalledWith(50, 25, 50, 25)
+    expect(ctx.fillText).toHaveBeenCalledWith('<b>&"hi"', 20, 10)
+    expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 200, 100)
+    jest.restoreAllMocks()
+  })
+})
+
+describe('board JSON', () => {
+  const pages = [{ id: 'page-1', name: 'Page 1' }, { id: 'page-2', name: 'Ideas' }]
+
+  test('round-trips pages and strokes', () => {
+    const doc = parseBoard(serializeBoard(pages, [pen, { ...text, pageId: 'page-2' }]))
+    expect(doc.version).toBe(WHITEBOARD_DOC_VERSION)
+    expect(doc.pages).toEqual(pages)
+    expect(doc.strokes.map((s) => s.id)).toEqual(['p', 't'])
+  })
+
+  test('rejects text that is not JSON', () => {
+    expect(() => parseBoard('not json')).toThrow('Not a whiteboard file')
+  })
+
+  test('rejects other versions', () => {
+    expect(() => parseBoard(JSON.stringify({ version: 2, pages, strokes: [] }))).toThrow('Unsupported whiteboard file version')
+  })
+
+  test('rejects malformed strokes', () => {
+    const bad = { version: 1, pages, strokes: [{ ...pen, tool: 'laser' }] }
+    expect(() => parseBoard(JSON.stringify(bad))).toThrow('Whiteboard file is damaged')
+    const noPoints = { version: 1, pages, strokes: [{ ...pen, points: [{ x: 'a', y: 0 }] }] }
+    expect(() => parseBoard(JSON.stringify(noPoints))).toThrow('Whiteboard file is damaged')
+  })
+})
+
+describe('pointers', () => {
+  test('cursorColor is stable per peer', () => {
+    expect(cursorColor('peer-a')).toBe(cursorColor('peer-a'))
+    expect(cursorColor('peer-a')).toMatch(/^#[0-9a-f]{6}$/)
+  })
+
+  test('extendTrail drops points older than the fade', () => {
+    const trail = extendTrail(extendTrail([], { x: 0, y: 0 }, 0), { x: 1, y: 1 }, 10)
+    expect(trail).toHaveLength(2)
+    expect(extendTrail(trail, { x: 2, y: 2 }, LASER_FADE_MS + 5).map((p) => p.x)).toEqual([1, 2])
+  })
+
+  test('isWhiteboardPointer rejects malformed pointers', () => {
+    expect(isWhiteboardPointer({ x: 0.1, y: 0.2, pageId: 'page-1', laser: false, t: 1 })).toBe(true)
+    expect(isWhiteboardPointer({ x: 'a', y: 0.2, pageId: 'page-1', laser: false, t: 1 })).toBe(false)
+    expect(isWhiteboardPointer(null)).toBe(false)
+  })
+})
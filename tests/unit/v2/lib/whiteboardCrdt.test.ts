@@ -0,0 +1,169 @@
+import {
+  applyOps,
+  chunkOps,
+  createCrdt,
+  createOp,
+  lastOwnStroke,
+  opsSince,
+  visibleStrokes,
+  type WhiteboardCrdt,
+  type WhiteboardOpBody,
+} from '../../../../src/v2/lib/whiteboardCrdt'
+import type { Stroke, WhiteboardOp } from '../../../../src/v2/types'
+
+const stroke = (id: string, pageId?: string): Stroke => ({
+  id, tool: 'pen', color: '#222', width: 3, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], drawerId: 'p', pageId,
+})
+
+// A participant editing its own replica, like the store does
+function edit(doc: WhiteboardCrdt, actor: string, body: WhiteboardOpBody): [WhiteboardCrdt, WhiteboardOp] {
+  const op = createOp(doc, actor, body)
+  return [applyOps(doc, [op]), op]
+}
+
+const ids = (doc: WhiteboardCrdt) => visibleStrokes(doc).map((s) => s.id)
+
+describe('convergence', () => {
+  test('two replicas exchanging concurrent edits end up with the same board', () => {
+    let alice = createCrdt()
+    let bob = createCrdt()
+    let a1: WhiteboardOp, a2: WhiteboardOp, b1: WhiteboardOp, b2: WhiteboardOp
+    ;[alice, a1] = edit(alice, 'alice', { kind: 'add', stroke: stroke('a') })
+    ;[bob, b1] = edit(bob, 'bob', { kind: 'add', stroke: stroke('b') })
+    ;[alice, a2] = edit(alice, 'alice', { kind: 'remove', strokeId: 'a' })
+    ;[bob, b2] = edit(bob, 'bob', { kind: 'add', stroke: stroke('c') })
+
+    alice = applyOps(alice, [b1, b2])
+    bob = applyOps(bob, [a1, a2])
+    expect(ids(alice)).toEqual(['b', 'c'])
+    expect(ids(bob)).toEqual(ids(alice))
+  })
+
+  test('redelivered ops change nothing', () => {
+    const [doc, op] = edit(createCrdt(), 'alice', { kind: 'add', stroke: stroke('a') })
+    expect(applyOps(applyOps(doc, [op]), [op])).toEqual(doc)
+  })
+
+  test('ops that arrive out of order wait for the ones before them', () => {
+    let alice = createCrdt()
+    const sent: WhiteboardOp[] = []
+    for (let i = 1; i <= 5; i++) {
+      let op: WhiteboardOp
+      ;[alice, op] = edit(alice, 'alice', { kind: 'add', stroke: stroke(`s${i}`) })
+      sent.push(op)
+    }
+    const [s1, s2, s3, s4, s5] = sent
+
+    let bob = applyOps(createCrdt(), [s1, s2])
+    bob = applyOps(bob, [s5])
+    expect(ids(bob)).toEqual(['s1', 's2'])
+    expect(bob.stateVector).toEqual({ alice: 2 })
+    bob = applyOps(bob, [s3])
+    bob = applyOps(bob, [s4])
+    expect(ids(bob)).toEqual(ids(alice))
+    expect(bob.stateVector).toEqual({ alice: 5 })
+    expect(bob.pending).toEqual([])
+  })
+
+  test('a sync\'s state vector stops held ops waiting for seqs the sender never had', () => {
+    let alice = createCrdt()
+    let op: WhiteboardOp
+    ;[alice] = edit(alice, 'alice', { kind: 'add', stroke: stroke('dropped') })
+    ;[alice, op] = edit(alice, 'alice', { kind: 'add', stroke: stroke('kept') })
+
+    const bob = applyOps(createCrdt(), [op])
+    expect(ids(bob)).toEqual([])
+    const synced = applyOps(bob, [], { stateVector: { alice: 1 } })
+    expect(ids(synced)).toEqual(['kept'])
+    expect(synced.stateVector).toEqual({ alice: 2 })
+  })
+
+  test('a clear hides strokes drawn before it but not ones drawn concurrently after', () => {
+    let alice = createCrdt()
+    let bob = createCrdt()
+    let old: WhiteboardOp, clear: WhiteboardOp, late: WhiteboardOp
+    ;[alice, old] = edit(alice, 'alice', { kind: 'add', stroke: stroke('old') })
+    ;[alice, clear] = edit(alice, 'alice', { kind: 'clear', pageId: null })
+    // Bob saw `old` but not the clear; his stroke ties with it on time and wins on actor id.
+    ;[bob, late] = edit(applyOps(bob, [old]), 'bob', { kind: 'add', stroke: stroke('late') })
+    ;[bob] = edit(bob, 'bob', { kind: 'add', stroke: stroke('later') })
+
+    alice = applyOps(alice, [late])
+    bob = applyOps(bob, [clear])
+    expect(ids(bob)).toEqual(['late', 'later'])
+    expect(ids(alice)).toEqual(['late'])
+  })
+
+  test('a page clear leaves other pages alone', () => {
+    let doc = createCrdt()
+    ;[doc] = edit(doc, 'alice', { kind: 'add', stroke: stroke('one') })
+    ;[doc] = edit(doc, 'alice', { kind: 'add', stroke: stroke('two', 'page-2') })
+    ;[doc] = edit(doc, 'bob', { kind: 'clear', pageId: 'page-1' })
+    expect(ids(doc)).toEqual(['two'])
+  })
+})
+
+describe('ownership', () => {
+  test('a remove from someone other than the drawer is ignored, whichever arrives first', () => {
+    const add: WhiteboardOp = { kind: 'add', actor: 'alice', seq: 1, t: 1, stroke: stroke('a') }
+    const remove: WhiteboardOp = { kind: 'remove', actor: 'mallory', seq: 1, t: 2, strokeId: 'a' }
+    expect(ids(applyOps(createCrdt(), [add, remove]))).toEqual(['a'])
+    expect(ids(applyOps(createCrdt(), [remove, add]))).toEqual(['a'])
+  })
+
+  test('lastOwnStroke finds our newest visible stroke on the page', () => {
+    let doc = createCrdt()
+    ;[doc] = edit(doc, 'alice', { kind: 'add', stroke: stroke('first') })
+    ;[doc] = edit(doc, 'alice', { kind: 'add', stroke: stroke('second') })
+    ;[doc] = edit(doc, 'bob', { kind: 'add', stroke: stroke('bobs') })
+    ;[doc] = edit(doc, 'alice', { kind: 'add', stroke: stroke('elsewhere', 'page-2') })
+    expect(lastOwnStroke(doc, 'alice', 'page-1')?.id).toBe('second')
+    ;[doc] = edit(doc, 'alice', { kind: 'remove', strokeId: 'second' })
+    expect(lastOwnStroke(doc, 'alice', 'page-1')?.id).toBe('first')
+    expect(lastOwnStroke(doc, 'carol', 'page-1')).toBeNull()
+  })
+})
+
+describe('state-vector handshake', () => {
+  test('opsSince sends only the log ops the other side has not seen', () => {
+    let doc = createCrdt()
+    ;[doc] = edit(doc, 'alice', { kind: 'add', stroke: stroke('a') })
+    ;[doc] = edit(doc, 'bob', { kind: 'add', stroke: stroke('b') })
+    ;[doc] = edit(doc, 'alice', { kind: 'add', stroke: stroke('c') })
+    const delta = opsSince(doc, { alice: 1 })
+    expect(delta.snapshot).toBe(false)
+    expect(delta.ops.map((op) => op.kind === 'add' && op.stroke.id)).toEqual(['b', 'c'])
+    expect(delta.stateVector).toEqual({ alice: 2, bob: 1 })
+  })
+
+  test('a replica that fell behind a trimmed log gets a snapshot it can adopt', () => {
+    let doc = createCrdt()
+    for (let i = 0; i < 4; i++) {
+      doc = applyOps(doc, [createOp(doc, 'alice', { kind: 'add', stroke: stroke(`s${i}`) })], {}, 2)
+    }
+    const payload = opsSince(doc, {})
+    expect(payload.snapshot).toBe(true)
+    expect(payload.ops.every((op) => op.seq === 0)).toBe(true)
+
+    const fresh = applyOps(createCrdt(), payload.ops, payload)
+    expect(ids(fresh)).toEqual(ids(doc))
+    // Having adopted the snapshot, it can serve deltas from here on.
+    expect(fresh.stateVector).toEqual({ alice: 4 })
+    expect(opsSince(fresh, { alice: 4 }).ops).toEqual([])
+  })
+})
+
+test('chunkOps keeps batches under the size limit without splitting an op', () => {
+  let doc = createCrdt()
+  const ops: WhiteboardOp[] = []
+  for (let i = 0; i < 5; i++) {
+    const op = createOp(doc, 'alice', { kind: 'add', stroke: stroke(`s${i}`) })
+    doc = applyOps(doc, [op])
+    ops.push(op)
+  }
+  const size = JSON.stringify(ops[0]).length
+  const chunks = chunkOps(ops, size * 2)
+  expect(chunks.map((c) => c.length)).toEqual([2, 2, 1])
+  expect(chunks.flat()).toEqual(ops)
+  expect(chunkOps([])).toEqual([])
+})
@@ -0,0 +1,112 @@
+import { MediaEncryptionManager, encodedTransformApi } from '../../../../src/v2/media/MediaEncryptionManager'
+
+const makeMockWorker = () => ({
+  onmessage: null as ((e: MessageEvent) => void) | null,
+  postMessage: jest.fn(),
+  terminate: jest.fn(),
+})
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+afterEach(() => {
+  delete (global as any).RTCRtpScriptTransform
+  delete (global as any).RTCRtpSender
+})
+
+describe('encodedTransformApi', () => {
+  test('is null without encoded transforms', () => {
+    expect(encodedTransformApi()).toBeNull()
+  })
+
+  test('prefers RTCRtpScriptTransform', () => {
+    ;(global as any).RTCRtpScriptTransform = jest.fn()
+    ;(global as any).RTCRtpSender = { prototype: { createEncodedStreams: jest.fn() } }
+    expect(encodedTransformApi()).toBe('script-transform')
+  })
+
+  test('falls back to createEncodedStreams', () => {
+    ;(global as any).RTCRtpSender = { prototype: { createEncodedStreams: jest.fn() } }
+    expect(encodedTransformApi()).toBe('encoded-streams')
+  })
+})
+
+describe('MediaEncryptionManager', () => {
+  test('queues messages until the worker has loaded, then sends them in order', async () => {
+    const worker = makeMockWorker()
+    let resolve!: (w: Worker) => void
+    const manager = new MediaEncryptionManager(new Promise((r) => { resolve = r }), 'script-transform', jest.fn())
+    manager.setEnabled(true)
+    manager.setPeerEncryption('peer-a', true)
+    expect(worker.postMessage).not.toHaveBeenCalled()
+
+    resolve(worker as unknown as Worker)
+    await flush()
+    expect(worker.postMessage.mock.calls.map(([m]) => m)).toEqual([
+      { type: 'enabled', enabled: true },
+      { type: 'peer', peerId: 'peer-a', encrypt: true },
+    ])
+    manager.removePeer('peer-a')
+    expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'remove-peer', peerId: 'peer-a' })
+  })
+
+  test('attaches an RTCRtpScriptTransform once per sender and receiver', async () => {
+    const worker = makeMockWorker()
+    const ScriptTransform = jest.fn()
+    ;(global as any).RTCRtpScriptTransform = ScriptTransform
+    const manager = new MediaEncryptionManager(Promise.resolve(worker as unknown as Worker), 'script-transform', jest.fn())
+    await flush()
+
+    const sender = { track: { kind: 'audio' } } as unknown as RTCRtpSender
+    const receiver = { track: { kind: 'video' } } as unknown as RTCRtpReceiver
+    manager.attachSender(sender, 'peer-a')
+    manager.attachSender(sender, 'peer-a')
+    manager.attachReceiver(receiver, 'peer-a')
+
+    expect(ScriptTransform).toHaveBeenCalledTimes(2)
+    expect(ScriptTransform).toHaveBeenCalledWith(worker, { operation: 'encrypt', peerId: 'peer-a', kind: 'audio' })
+    expect(ScriptTransform).toHaveBeenCalledWith(worker, { operation: 'decrypt', peerId: 'peer-a', kind: 'video' })
+    expect(sender.transform).toBeInstanceOf(ScriptTransform)
+    expect(receiver.transform).toBeInstanceOf(ScriptTransform)
+    expect(manager.rtcConfig).toEqual({})
+  })
+
+  test('with createEncodedStreams, takes the streams at once and transfers them to the worker', async () => {
+    const worker = makeMockWorker()
+    let resolve!: (w: Worker) => void
+    const manager = new MediaEncryptionManager(new Promise((r) => { resolve = r }), 'encoded-streams', jest.fn())
+    const streams = { readable: {}, writable: {} }
+    const sender = { track: null, createEncodedStreams: jest.fn(() => streams) }
+
+    manager.attachSender(sender as unknown as RTCRtpSender, 'peer-b')
+    expect(sender.createEncodedStreams).toHaveBeenCalledTimes(1)
+
+    resolve(worker as unknown as Worker)
+    await flush()
+    expect(worker.postMessage).toHaveBeenCalledWith(
+      { type: 'streams', ...streams, options: { operation: 'encrypt', peerId: 'peer-b', kind: 'video' } },
+      [streams.readable, streams.writable],
+    )
+    expect(manager.rtcConfig).toEqual({ encodedInsertableStreams: true })
+  })
+
+  test('reports status messages from the worker', async () => {
+    const worker = makeMockWorker()
+    const onStatus = jest.fn()
+    new MediaEncryptionManager(Promise.resolve(worker as unknown as Worker), 'script-transform', onStatus)
+    await flush()
+    worker.onmessage!({ data: { type: 'status', peerId: 'peer-a', encrypted: true } } as MessageEvent)
+    expect(onStatus).toHaveBeenCalledWith('peer-a', true)
+  })
+
+  test('terminates a worker that loads after dispose', async () => {
+    const worker = makeMockWorker()
+    let resolve!: (w: Worker) => void
+    const manager = new MediaEncryptionManager(new Promise((r) => { resolve = r }), 'script-transform', jest.fn())
+    manager.setEnabled(true)
+    manager.dispose()
+    resolve(worker as unknown as Worker)
+    await flush()
+    expect(worker.terminate).toHaveBeenCalled()
+    expect(worker.postMessage).not.toHaveBeenCalled()
+  })
+})
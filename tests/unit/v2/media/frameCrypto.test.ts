@@ -0,0 +1,62 @@
+import { clearHeaderBytes, decryptFrame, encryptFrame, isEncryptedFrame } from '../../../../src/v2/media/frameCrypto'
+import { deriveMediaKey, generateRoomKey, type MediaKey } from '../../../../src/v2/lib/chatCrypto'
+
+const frame = (...bytes: number[]) => new Uint8Array(bytes).buffer
+
+describe('frameCrypto', () => {
+  let mediaKey: MediaKey
+  let keys: Map<number, CryptoKey>
+
+  beforeAll(async () => {
+    mediaKey = await deriveMediaKey(await generateRoomKey())
+    keys = new Map([[mediaKey.tag, mediaKey.key]])
+  })
+
+  test('clearHeaderBytes keeps the VP8 payload header and the Opus TOC byte', () => {
+    expect(clearHeaderBytes('video', 'key')).toBe(10)
+    expect(clearHeaderBytes('video', 'delta')).toBe(3)
+    expect(clearHeaderBytes('audio')).toBe(1)
+  })
+
+  test('round-trips a frame and leaves the header readable', async () => {
+    const original = frame(1, 2, 3, 4, 5, 6, 7, 8)
+    const encrypted = await encryptFrame(original, mediaKey, 3)
+    const bytes = new Uint8Array(encrypted)
+    expect(Array.from(bytes.slice(0, 3))).toEqual([1, 2, 3])
+    expect(isEncryptedFrame(encrypted)).toBe(true)
+
+    const decrypted = await decryptFrame(encrypted, keys)
+    expect(Array.from(new Uint8Array(decrypted!))).toEqual([1, 2, 3, 4, 5, 6, 7, 8])
+  })
+
+  test('handles frames shorter than the clear header', async () => {
+    const encrypted = await encryptFrame(frame(9), mediaKey, 10)
+    expect(Array.from(new Uint8Array((await decryptFrame(encrypted, keys))!))).toEqual([9])
+  })
+
+  test('the payload is not left in the clear', async () => {
+    const payload = [11, 22, 33, 44, 55, 66, 77, 88]
+    const encrypted = new Uint8Array(await encryptFrame(frame(0, ...payload), mediaKey, 1))
+    expect(Array.from(encrypted.slice(1, 1 + payload.length))).not.toEqual(payload)
+  })
+
+  test('a clear frame is not mistaken for an encrypted one', () => {
+    expect(isEncryptedFrame(frame(1, 2, 3))).toBe(false)
+    expect(isEncryptedFrame(new Uint8Array(40).buffer)).toBe(false)
+  })
+
+  test('returns null for a frame under an unknown key', async () => {
+    const encrypted = await encryptFrame(frame(1, 2, 3, 4), mediaKey, 1)
+    expect(await decryptFrame(encrypted, new Map())).toBeNull()
+  })
+
+  test('returns null when the clear header was tampered with', async () => {
+    const encrypted = new Uint8Array(await encryptFrame(frame(1, 2, 3, 4), mediaKey, 2))
+    encrypted[0] ^= 0xff
+    expect(await decryptFrame(encrypted.buffer, keys)).toBeNull()
+  })
+
+  test('returns null for a truncated frame', async () => {
+    expect(await decryptFrame(frame(0xe2, 0xee), keys)).toBeNull()
+  })
+})
@@ -0,0 +1,116 @@
+import { LAYER_ENCODINGS, SIMULCAST_ENCODINGS, applyVideoLayers, simulcastWebRtc } from '../../../../src/v2/media/simulcast'
+
+function fakeSender(encodings: RTCRtpEncodingParameters[]) {
+  return {
+    getParameters: jest.fn(() => ({ encodings: encodings.map((encoding) => ({ ...encoding })) })),
+    setParameters: jest.fn().mockResolvedValue(undefined),
+  }
+}
+
+const applied = (sender: ReturnType<typeof fakeSender>) => sender.setParameters.mock.lastCall[0].encodings
+
+describe('applyVideoLayers', () => {
+  const simulcast = () => fakeSender([{ rid: 'low', active: true }, { rid: 'medium', active: true }, { rid: 'high', active: true }])
+
+  test('leaves on only the encodings for the layers asked for, each at its own size', async () => {
+    const sender = simulcast()
+    await applyVideoLayers(sender as unknown as RTCRtpSender, ['low', 'high'])
+    expect(applied(sender)).toEqual([
+      { rid: 'low', active: true, ...LAYER_ENCODINGS.low },
+      { rid: 'medium', active: false, ...LAYER_ENCODINGS.medium },
+      { rid: 'high', active: true, ...LAYER_ENCODINGS.high },
+    ])
+  })
+
+  test('no layers, or only paused, turns every encoding off', async () => {
+    const sender = simulcast()
+    await applyVideoLayers(sender as unknown as RTCRtpSender, ['paused'])
+    expect(applied(sender).map((encoding: RTCRtpEncodingParameters) => encoding.active)).toEqual([false, false, false])
+    await applyVideoLayers(sender as unknown as RTCRtpSender, [])
+    expect(applied(sender).map((encoding: RTCRtpEncodingParameters) => encoding.active)).toEqual([false, false, false])
+  })
+
+  test('a sender left with one encoding is sized for the strongest layer asked for', async () => {
+    const sender = fakeSender([{ rid: 'low', active: true, scaleResolutionDownBy: 4 }])
+    await applyVideoLayers(sender as unknown as RTCRtpSender, ['low', 'medium'])
+    expect(applied(sender)).toEqual([{ rid: 'low', active: true, ...LAYER_ENCODINGS.medium }])
+    await applyVideoLayers(sender as unknown as RTCRtpSender, ['paused'])
+    expect(applied(sender)).toEqual([{ rid: 'low', active: false, scaleResolutionDownBy: 4 }])
+  })
+
+  test('a sender not negotiated yet is left alone', async () => {
+    const sender = fakeSender([])
+    await applyVideoLayers(sender as unknown as RTCRtpSender, ['high'])
+    expect(sender.setParameters).not.toHaveBeenCalled()
+  })
+})
+
+describe('simulcastWebRtc', () => {
+  const original = window.RTCPeerConnection
+
+  const fakeSender = (track: MediaStreamTrack, via: string) => ({ track, via, replaceTrack: jest.fn().mockResolvedValue(undefined) })
+  const addTransceiver = jest.fn((track: MediaStreamTrack, _init: RTCRtpTransceiverInit) => ({ sender: fakeSender(track, 'addTransceiver'), stop: jest.fn() }))
+  const setRemoteDescription = jest.fn().mockResolvedValue(undefined)
+  const removeTrack = jest.fn()
+  class FakePeerConnection {
+    addTrack(track: MediaStreamTrack) { return fakeSender(track, 'addTrack') }
+    addTransceiver(track: MediaStreamTrack, init: RTCRtpTransceiverInit) { return addTransceiver(track, init) }
+    setRemoteDescription(description: RTCSessionDescriptionInit) { return setRemoteDescription(description) }
+    removeTrack(sender: RTCRtpSender) { removeTrack(sender) }
+  }
+
+  beforeAll(() => { window.RTCPeerConnection = FakePeerConnection as unknown as typeof RTCPeerConnection })
+  afterAll(() => { window.RTCPeerConnection = original })
+  beforeEach(() => { jest.clearAllMocks() })
+
+  const stream = {} as MediaStream
+  const video = { kind: 'video' } as MediaStreamTrack
+  const audio = { kind: 'audio' } as MediaStreamTrack
+
+  test('puts video on a transceiver with an encoding per layer, and the rest on addTrack', () => {
+    const PeerConnection = simulcastWebRtc()!.RTCPeerConnection
+    const pc = new PeerConnection()
+
+    expect(pc.addTrack(video, stream)).toEqual(expect.objectContaining({ track: video, via: 'addTransceiver' }))
+    expect(addTransceiver).toHaveBeenCalledWith(video, { direction: 'sendrecv', streams: [stream], sendEncodings: SIMULCAST_ENCODINGS })
+    expect(SIMULCAST_ENCODINGS.map((encoding) => encoding.rid)).toEqual(['low', 'medium', 'high'])
+
+    expect(pc.addTrack(audio, stream)).toEqual(expect.objectContaining({ track: audio, via: 'addTrack' }))
+    expect(addTransceiver).toHaveBeenCalledTimes(1)
+  })
+
+  test('when answering, video moves onto an addTrack sender, which the one handed out stands for', async () => {
+    const PeerConnection = simulcastWebRtc()!.RTCPeerConnection
+    const pc = new PeerConnection()
+    const handedOut = pc.addTrack(video, stream)
+    const transceiver = addTransceiver.mock.results[0].value
+    const addTrack = jest.spyOn(FakePeerConnection.prototype, 'addTrack')
+
+    await pc.setRemoteDescription({ type: 'offer', sdp: 'offer' })
+    expect(transceiver.stop).toHaveBeenCalled()
+    expect(addTrack).toHaveBeenCalledWith(video, stream)
+    expect(setRemoteDescription).toHaveBeenCalledWith({ type: 'offer', sdp: 'offer' })
+    const replacement = addTrack.mock.results[0].value
+
+    const screen = { kind: 'video' } as MediaStreamTrack
+    await handedOut.replaceTrack(screen)
+    expect(replacement.replaceTrack).toHaveBeenCalledWith(screen)
+    pc.removeTrack(handedOut)
+    expect(removeTrack).toHaveBeenCalledWith(replacement)
+
+    // Once negotiated, later offers leave it where it is
+    await pc.setRemoteDescription({ type: 'offer', sdp: 'again' })
+    expect(addTrack).toHaveBeenCalledTimes(1)
+    addTrack.mockRestore()
+  })
+
+  test('when dialing, the answer leaves video on its simulcast transceiver', async () => {
+    const PeerConnection = simulcastWebRtc()!.RTCPeerConnection
+    const pc = new PeerConnection()
+    const handedOut = pc.addTrack(video, stream)
+    await pc.setRemoteDescription({ type: 'answer', sdp: 'answer' })
+    expect(addTransceiver.mock.results[0].value.stop).not.toHaveBeenCalled()
+    pc.removeTrack(handedOut)
+    expect(removeTrack).toHaveBeenCalledWith(handedOut)
+  })
+})
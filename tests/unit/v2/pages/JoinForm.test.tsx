@@ -66,3 +66,46 @@ test('does not write roomId to store on submit', () => {
   fireEvent.click(screen.getByText(/join/i))
   expect('roomId' in useCallStore.getState()).toBe(false)
 })
+
+describe('passphrase', () => {
+  beforeEach(() => {
+    useCallStore.setState({ roomPassword: '', passwordPrompt: null })
+  })
+
+  test('Create Room stores the passphrase for the token request', () => {
+    wrap(<JoinForm />)
+    fireEvent.change(screen.getByPlaceholderText(/your name/i), { target: { value: 'Ralph' } })
+    fireEvent.change(screen.getByTestId('input-passphrase'), { target: { value: 'open sesame' } })
+    fireEvent.click(screen.getByText(/create room/i))
+    expect(useCallStore.getState().roomPassword).toBe('open sesame')
+  })
+
+  test('no prompt is shown until the server asks for a passphrase', () => {
+    wrap(<JoinForm />)
+    expect(screen.queryByTestId('passphrase-prompt')).not.toBeInTheDocument()
+  })
+
+  test('prompts when the room requires a passphrase', () => {
+    useCallStore.setState({ passwordPrompt: 'required' })
+    wrap(<JoinForm />)
+    expect(screen.getByTestId('passphrase-prompt')).toHaveTextContent(/protected/i)
+    expect(screen.getByTestId('input-passphrase')).toHaveFocus()
+  })
+
+  test('says so when a passphrase came too late to protect an open room', () => {
+    useCallStore.setState({ passwordPrompt: 'not-set' })
+    wrap(<JoinForm />)
+    expect(screen.getByTestId('passphrase-prompt')).toHaveTextContent(/already open without a passphrase/i)
+  })
+
+  test('says so when the passphrase was wrong, and clears the prompt on retry', () => {
+    useCallStore.setState({ passwordPrompt: 'incorrect' })
+    wrap(<JoinForm />)
+    expect(screen.getByTestId('passphrase-prompt')).toHaveTextContent(/incorrect/i)
+    fireEvent.change(screen.getByPlaceholderText(/your name/i), { target: { value: 'Ralph' } })
+    fireEvent.change(screen.getByTestId('input-passphrase'), { target: { value: 'open sesame' } })
+    fireEvent.click(screen.getByText(/create room/i))
+    expect(useCallStore.getState().passwordPrompt).toBeNull()
+    expect(useCallStore.getState().roomPassword).toBe('open sesame')
+  })
+})
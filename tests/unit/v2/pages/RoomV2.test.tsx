@@ -46,7 +46,7 @@ beforeEach(() => {
   jest.spyOn(navigator.mediaDevices, 'getUserMedia').mockRejectedValue(new Error('no cam'))
   global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 } as unknown as Response)
   useCallStore.setState({ userName: 'Ralph', isMuted: false, isCamOff: false, localStream: null, screenSharePeerId: null })
-  useUIStore.setState({ isChatOpen: false, isParticipantsOpen: false, isQAOpen: false, isAIOpen: false })
+  useUIStore.setState({ isChatOpen: false, isParticipantsOpen: false, isQAOpen: false, isPollsOpen: false, isAIOpen: false, layout: 'spotlight' })
   useSessionStore.setState({ activePoll: null, pollResponses: {} })
 })
 afterEach(() => {
@@ -193,3 +193,55 @@ test('AI side panel appears when isAIOpen is true', async () => {
   act(() => { useUIStore.getState().toggleAI() })
   expect(await screen.findByTestId('ai-side-panel')).toBeInTheDocument()
 })
+
+test('renders spotlight layout by default and grid when layout is grid', async () => {
+  await renderRoom()
+  await screen.findByTestId('room-v2')
+  expect(screen.getByTestId('spotlight-view')).toBeInTheDocument()
+  expect(screen.queryByTestId('grid-view')).not.toBeInTheDocument()
+  act(() => { useUIStore.getState().setLayout('grid') })
+  expect(await screen.findByTestId('grid-view')).toBeInTheDocument()
+  expect(screen.queryByTestId('spotlight-view')).not.toBeInTheDocument()
+  expect(screen.queryByTestId('thumbnail-strip')).not.toBeInTheDocument()
+})
+
+test('leaves the call when the server removes us', async () => {
+  await renderRoom()
+  await screen.findByTestId('room-v2')
+  act(() => { useCallStore.getState().setLeaveReason('removed') })
+  expect(mockNavigate).toHaveBeenCalledWith('/')
+  expect(useCallStore.getState().leaveReason).toBeNull()
+})
+
+test('shows the waiting room instead of the call while waiting for admission', async () => {
+  await renderRoom()
+  await screen.findByTestId('room-v2')
+  act(() => { useCallStore.getState().setWaitingForAdmission(true) })
+  expect(screen.getByTestId('waiting-room')).toBeInTheDocument()
+  expect(screen.queryByTestId('spotlight-view')).not.toBeInTheDocument()
+  fireEvent.click(screen.getByTestId('btn-leave-waiting-room'))
+  expect(mockNavigate).toHaveBeenCalledWith('/')
+  expect(useCallStore.getState().isWaitingForAdmission).toBe(false)
+})
+
+test('returns to the join form for this room when a passphrase is needed', async () => {
+  await renderRoom('locked-room')
+  await screen.findByTestId('room-v2')
+  act(() => { useCallStore.getState().setLeaveReason('password') })
+  expect(mockNavigate).toHaveBeenCalledWith('/?redirect=/room/locked-room')
+})
+
+test('polls panel appears when isPollsOpen is true', async () => {
+  useUIStore.setState({ isPollsOpen: true })
+  await renderRoom()
+  expect(await screen.findByTestId('polls-panel')).toBeInTheDocument()
+})
+
+test('takes the chat key from the invite-link fragment and strips it from the address bar', async () => {
+  window.history.replaceState(null, '', '/room/abc123#key=secret-key')
+  await renderRoom('abc123')
+  await screen.findByTestId('room-v2')
+  expect(useCallStore.getState().inviteChatKey).toEqual({ roomId: 'abc123', key: 'secret-key' })
+  expect(window.location.hash).toBe('')
+  useCallStore.getState().setInviteChatKey(null)
+})
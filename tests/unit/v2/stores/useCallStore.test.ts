@@ -5,12 +5,16 @@ beforeEach(() => {
     localStream: null,
     isMuted: false,
     isCamOff: false,
+    isSpeaking: false,
     isNoiseSuppressed: true,
     userName: '',
     socketId: null,
     screenSharePeerId: null,
+    isScreenSharing: false,
+    screenStream: null,
     mediaError: null,
     isHost: false,
+    role: 'guest',
   })
 })
 
@@ -126,3 +130,70 @@ test('reset clears socketId', () => {
   useCallStore.getState().reset()
   expect(useCallStore.getState().socketId).toBeNull()
 })
+
+test('setScreenSharing toggles isScreenSharing', () => {
+  useCallStore.getState().setScreenSharing(true)
+  expect(useCallStore.getState().isScreenSharing).toBe(true)
+  useCallStore.getState().setScreenSharing(false)
+  expect(useCallStore.getState().isScreenSharing).toBe(false)
+})
+
+test('setScreenStream stores and clears the display stream', () => {
+  const stream = { getTracks: () => [] } as unknown as MediaStream
+  useCallStore.getState().setScreenStream(stream)
+  expect(useCallStore.getState().screenStream).toBe(stream)
+  useCallStore.getState().setScreenStream(null)
+  expect(useCallStore.getState().screenStream).toBeNull()
+})
+
+test('reset stops local screen sharing and clears screenSharePeerId', () => {
+  useCallStore.setState({ isScreenSharing: true, screenSharePeerId: 'peer-2' })
+  useCallStore.getState().reset()
+  expect(useCallStore.getState().isScreenSharing).toBe(false)
+  expect(useCallStore.getState().screenSharePeerId).toBeNull()
+})
+
+test('setSpeaking updates isSpeaking and reset clears it', () => {
+  useCallStore.getState().setSpeaking(true)
+  expect(useCallStore.getState().isSpeaking).toBe(true)
+  useCallStore.getState().reset()
+  expect(useCallStore.getState().isSpeaking).toBe(false)
+})
+
+test('setRole tracks role and keeps isHost in sync', () => {
+  useCallStore.getState().setRole('host')
+  expect(useCallStore.getState().isHost).toBe(true)
+  useCallStore.getState().setRole('cohost')
+  expect(useCallStore.getState().role).toBe('cohost')
+  expect(useCallStore.getState().isHost).toBe(false)
+})
+
+test('setWaitingForAdmission updates isWaitingForAdmission and reset clears it', () => {
+  useCallStore.getState().setWaitingForAdmission(true)
+  expect(useCallStore.getState().isWaitingForAdmission).toBe(true)
+  useCallStore.getState().reset()
+  expect(useCallStore.getState().isWaitingForAdmission).toBe(false)
+})
+
+test('reset clears roomPassword but keeps passwordPrompt for JoinForm', () => {
+  useCallStore.getState().setRoomPassword('open sesame')
+  useCallStore.getState().setPasswordPrompt('required')
+  useCallStore.getState().reset()
+  expect(useCallStore.getState().roomPassword).toBe('')
+  expect(useCallStore.getState().passwordPrompt).toBe('required')
+  useCallStore.getState().setPasswordPrompt(null)
+})
+
+test('inviteChatKey survives reset so a passphrase detour keeps it', () => {
+  useCallStore.getState().setInviteChatKey({ roomId: 'room-1', key: 'abc' })
+  useCallStore.getState().reset()
+  expect(useCallStore.getState().inviteChatKey).toEqual({ roomId: 'room-1', key: 'abc' })
+  useCallStore.getState().setInviteChatKey(null)
+})
+
+test('setMediaEncrypted updates isMediaEncrypted and reset turns it off', () => {
+  useCallStore.getState().setMediaEncrypted(true)
+  expect(useCallStore.getState().isMediaEncrypted).toBe(true)
+  useCallStore.getState().reset()
+  expect(useCallStore.getState().isMediaEncrypted).toBe(false)
+})
@@ -0,0 +1,43 @@
+import { getTransfer, useFileTransferStore } from '../../../../src/v2/store/useFileTransferStore'
+
+const revokeObjectURL = jest.fn()
+
+beforeAll(() => {
+  ;(URL as any).revokeObjectURL = revokeObjectURL
+})
+
+afterAll(() => {
+  delete (URL as any).revokeObjectURL
+})
+
+beforeEach(() => {
+  revokeObjectURL.mockClear()
+  useFileTransferStore.setState({ transfers: {} })
+})
+
+test('files nobody has touched read as idle', () => {
+  expect(getTransfer(useFileTransferStore.getState().transfers, 'f1')).toEqual({
+    status: 'idle', received: 0, url: null, sending: 0, error: null,
+  })
+})
+
+test('patchTransfer merges into the entry for that file', () => {
+  useFileTransferStore.getState().patchTransfer('f1', { status: 'receiving', received: 10 })
+  useFileTransferStore.getState().patchTransfer('f1', { received: 20 })
+  expect(useFileTransferStore.getState().transfers.f1).toMatchObject({ status: 'receiving', received: 20, url: null })
+})
+
+test('replacing an object URL revokes the old one', () => {
+  useFileTransferStore.getState().patchTransfer('f1', { url: 'blob:a' })
+  useFileTransferStore.getState().patchTransfer('f1', { url: 'blob:b' })
+  expect(revokeObjectURL).toHaveBeenCalledWith('blob:a')
+  expect(revokeObjectURL).not.toHaveBeenCalledWith('blob:b')
+})
+
+test('reset revokes every URL and forgets all transfers', () => {
+  useFileTransferStore.getState().patchTransfer('f1', { url: 'blob:a' })
+  useFileTransferStore.getState().patchTransfer('f2', { status: 'failed' })
+  useFileTransferStore.getState().reset()
+  expect(revokeObjectURL).toHaveBeenCalledTimes(1)
+  expect(useFileTransferStore.getState().transfers).toEqual({})
+})
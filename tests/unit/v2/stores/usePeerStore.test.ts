@@ -1,4 +1,4 @@
-import { usePeerStore } from '../../../../src/v2/store/usePeerStore'
+import { usePeerStore, wantedLayer } from '../../../../src/v2/store/usePeerStore'
 import type { PeerRecord } from '../../../../src/v2/types'
 
 function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
@@ -8,12 +8,12 @@ function makePeer(overrides: Partial<PeerRecord> = {}): PeerRecord {
     connectionState: 'connecting', networkQuality: 'good',
     isSpeaking: false, isPinned: false,
     hasRaisedHand: false, handRaisedAt: null,
-    reaction: null, isAway: false, isTyping: false,
+    reaction: null, presence: 'active', isTyping: false,
     ...overrides,
   }
 }
 
-beforeEach(() => { usePeerStore.setState({ peers: new Map() }) })
+beforeEach(() => { usePeerStore.setState({ peers: new Map(), activeSpeakerId: null, viewLayers: {} }) })
 
 test('setPeer stores full record', () => {
   const peer = makePeer()
@@ -62,3 +62,32 @@ test('setPeer normalizes key into record.id', () => {
   usePeerStore.getState().setPeer('canonical-key', peer)
   expect(usePeerStore.getState().peers.get('canonical-key')?.id).toBe('canonical-key')
 })
+
+test('setActiveSpeaker stores the id', () => {
+  usePeerStore.getState().setActiveSpeaker('peer-1')
+  expect(usePeerStore.getState().activeSpeakerId).toBe('peer-1')
+})
+
+test('removePeer clears activeSpeakerId when that peer leaves', () => {
+  usePeerStore.getState().setPeer('peer-1', makePeer())
+  usePeerStore.getState().setPeer('peer-2', makePeer({ id: 'peer-2' }))
+  usePeerStore.getState().setActiveSpeaker('peer-1')
+  usePeerStore.getState().removePeer('peer-2')
+  expect(usePeerStore.getState().activeSpeakerId).toBe('peer-1')
+  usePeerStore.getState().removePeer('peer-1')
+  expect(usePeerStore.getState().activeSpeakerId).toBeNull()
+})
+
+test('a peer is wanted at the strongest layer any view shows it at, and paused when none does', () => {
+  const { setViewLayers } = usePeerStore.getState()
+  setViewLayers('strip', { 'peer-1': 'low', 'peer-2': 'low' })
+  setViewLayers('spotlight', { 'peer-1': 'high' })
+  const layerOf = (id: string) => wantedLayer(usePeerStore.getState().viewLayers, id)
+  expect([layerOf('peer-1'), layerOf('peer-2'), layerOf('peer-3')]).toEqual(['high', 'low', 'paused'])
+
+  const before = usePeerStore.getState().viewLayers
+  setViewLayers('strip', { 'peer-1': 'low', 'peer-2': 'low' })
+  expect(usePeerStore.getState().viewLayers).toBe(before)
+  setViewLayers('spotlight', null)
+  expect(layerOf('peer-1')).toBe('low')
+})
@@ -42,6 +42,15 @@ test('addMessage appends to messages', () => {
   expect(useSessionStore.getState().messages).toHaveLength(1)
 })
 
+test('upsertMessage replaces a message by id and appends unknown ones', () => {
+  useSessionStore.getState().addMessage(makeMessage())
+  useSessionStore.getState().upsertMessage({ ...makeMessage(), text: 'edited', editedAt: 5 })
+  useSessionStore.getState().upsertMessage({ ...makeMessage(), id: 'msg-2' })
+  const { messages } = useSessionStore.getState()
+  expect(messages.map((m) => m.id)).toEqual(['msg-1', 'msg-2'])
+  expect(messages[0].text).toBe('edited')
+})
+
 test('pinMessage sets pinnedMessage', () => {
   const msg = makeMessage()
   useSessionStore.getState().addMessage(msg)
@@ -129,3 +138,30 @@ test('setQuestionsHistory replaces all questions', () => {
   expect(useSessionStore.getState().questions).toHaveLength(2)
   expect(useSessionStore.getState().questions[0].id).toBe('q-a')
 })
+
+test('setRoomLocked toggles isRoomLocked', () => {
+  useSessionStore.getState().setRoomLocked(true)
+  expect(useSessionStore.getState().isRoomLocked).toBe(true)
+  useSessionStore.getState().setRoomLocked(false)
+  expect(useSessionStore.getState().isRoomLocked).toBe(false)
+})
+
+test('setLobbyEnabled and setLobby track the waiting room', () => {
+  const entry = { id: 'sock-9', name: 'Dana', isMuted: false, isCamOff: false, requestedAt: 1 }
+  useSessionStore.getState().setLobbyEnabled(true)
+  useSessionStore.getState().setLobby([entry])
+  expect(useSessionStore.getState().isLobbyEnabled).toBe(true)
+  expect(useSessionStore.getState().lobby).toEqual([entry])
+  useSessionStore.getState().setLobby([])
+  expect(useSessionStore.getState().lobby).toEqual([])
+})
+
+test('upsertPoll appends new polls and replaces known ones', () => {
+  const poll: Poll = {
+    id: 'poll-1', question: 'Q?', options: ['A', 'B'], createdAt: 1, createdBy: 'Ann', isActive: true, votes: {},
+  }
+  useSessionStore.setState({ polls: [] })
+  useSessionStore.getState().upsertPoll(poll)
+  useSessionStore.getState().upsertPoll({ ...poll, isActive: false })
+  expect(useSessionStore.getState().polls).toEqual([{ ...poll, isActive: false }])
+})
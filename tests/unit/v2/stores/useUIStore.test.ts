@@ -7,6 +7,7 @@ beforeEach(() => {
     isChatOpen: false,
     isParticipantsOpen: false,
     isQAOpen: false,
+    isPollsOpen: false,
     isAIOpen: false,
     isCaptionsOpen: false,
     isWhiteboardOpen: false,
@@ -52,6 +53,31 @@ test('setLayout updates layout', () => {
   expect(useUIStore.getState().layout).toBe('grid')
 })
 
+test('setLayout persists the choice to localStorage', () => {
+  useUIStore.getState().setLayout('grid')
+  expect(localStorage.getItem('velo_layout')).toBe('grid')
+  useUIStore.getState().setLayout('spotlight')
+  expect(localStorage.getItem('velo_layout')).toBe('spotlight')
+})
+
+test('initial layout is restored from localStorage', () => {
+  localStorage.setItem('velo_layout', 'grid')
+  jest.isolateModules(() => {
+    const { useUIStore: freshStore } = require('../../../../src/v2/store/useUIStore')
+    expect(freshStore.getState().layout).toBe('grid')
+  })
+  localStorage.removeItem('velo_layout')
+})
+
+test('initial layout ignores unknown stored values', () => {
+  localStorage.setItem('velo_layout', 'carousel')
+  jest.isolateModules(() => {
+    const { useUIStore: freshStore } = require('../../../../src/v2/store/useUIStore')
+    expect(freshStore.getState().layout).toBe('spotlight')
+  })
+  localStorage.removeItem('velo_layout')
+})
+
 test('setActiveModal sets and clears modal', () => {
   useUIStore.getState().setActiveModal('settings')
   expect(useUIStore.getState().activeModal).toBe('settings')
@@ -198,3 +224,18 @@ describe('whiteboard toggle', () => {
     expect(useUIStore.getState().isAIOpen).toBe(true)
   })
 })
+
+test('togglePolls flips isPollsOpen and closes the other panels', () => {
+  useUIStore.setState({ isQAOpen: true })
+  useUIStore.getState().togglePolls()
+  expect(useUIStore.getState().isPollsOpen).toBe(true)
+  expect(useUIStore.getState().isQAOpen).toBe(false)
+  useUIStore.getState().togglePolls()
+  expect(useUIStore.getState().isPollsOpen).toBe(false)
+})
+
+test('opening another panel closes polls', () => {
+  useUIStore.setState({ isPollsOpen: true })
+  useUIStore.getState().toggleChat()
+  expect(useUIStore.getState().isPollsOpen).toBe(false)
+})
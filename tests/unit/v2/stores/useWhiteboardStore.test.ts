@@ -1,5 +1,6 @@
 import { useWhiteboardStore } from '../../../../src/v2/store/useWhiteboardStore'
-import type { Stroke } from '../../../../src/v2/types'
+import { DEFAULT_PAGE_ID } from '../../../../src/v2/lib/whiteboard'
+import type { Stroke, WhiteboardOp } from '../../../../src/v2/types'
 
 const makeStroke = (id: string, drawerId = 'peer-1'): Stroke => ({
   id,
@@ -10,13 +11,11 @@ const makeStroke = (id: string, drawerId = 'peer-1'): Stroke => ({
   drawerId,
 })
 
+// An op from another participant, as it would arrive over the wire
+const remoteAdd = (stroke: Stroke, actor = 'peer-2', seq = 1, t = seq): WhiteboardOp => ({ kind: 'add', actor, seq, t, stroke })
+
 beforeEach(() => {
-  useWhiteboardStore.setState({
-    strokes: [],
-    grantedPeerIds: new Set(),
-    currentTool: 'pen',
-    currentColor: '#222222',
-  })
+  useWhiteboardStore.getState().reset()
 })
 
 test('addStroke appends stroke to array', () => {
@@ -92,3 +91,159 @@ describe('reset', () => {
     expect(useWhiteboardStore.getState().currentColor).toBe('#222222')
   })
 })
+
+describe('history', () => {
+  const onPage = (id: string, pageId: string, drawerId = 'peer-1'): Stroke => ({ ...makeStroke(id, drawerId), pageId })
+
+  test('addStroke ignores a stroke id that is already on the board', () => {
+    useWhiteboardStore.getState().addStroke(makeStroke('s1'))
+    useWhiteboardStore.getState().addStroke(makeStroke('s1'))
+    expect(useWhiteboardStore.getState().strokes).toHaveLength(1)
+  })
+
+  test('undo takes back our latest stroke on the current page and returns the op', () => {
+    useWhiteboardStore.getState().addStroke(makeStroke('mine-1', 'me'))
+    useWhiteboardStore.getState().addStroke(makeStroke('mine-2', 'me'))
+    useWhiteboardStore.getState().applyOps([remoteAdd(makeStroke('theirs'), 'peer-2', 1, 10)])
+    const op = useWhiteboardStore.getState().undo()
+    expect(op).toMatchObject({ kind: 'remove', strokeId: 'mine-2', actor: useWhiteboardStore.getState().actorId })
+    expect(useWhiteboardStore.getState().strokes.map((s) => s.id)).toEqual(['mine-1', 'theirs'])
+    expect(useWhiteboardStore.getState().redoStack.map((s) => s.id)).toEqual(['mine-2'])
+  })
+
+  test('undo returns null when we have nothing on the current page', () => {
+    useWhiteboardStore.getState().applyOps([remoteAdd(makeStroke('theirs'))])
+    useWhiteboardStore.getState().addStroke(onPage('elsewhere', 'page-2', 'me'))
+    expect(useWhiteboardStore.getState().undo()).toBeNull()
+    expect(useWhiteboardStore.getState().strokes).toHaveLength(2)
+  })
+
+  test('redo puts the undone stroke back and returns the op', () => {
+    useWhiteboardStore.getState().addStroke(makeStroke('s1', 'me'))
+    useWhiteboardStore.getState().undo()
+    const op = useWhiteboardStore.getState().redo()
+    expect(op).toMatchObject({ kind: 'add', stroke: { id: 's1' } })
+    expect(useWhiteboardStore.getState().strokes.map((s) => s.id)).toEqual(['s1'])
+    expect(useWhiteboardStore.getState().redoStack).toEqual([])
+    expect(useWhiteboardStore.getState().redo()).toBeNull()
+  })
+
+  test('commitStroke drops anything left to redo', () => {
+    useWhiteboardStore.getState().addStroke(makeStroke('s1', 'me'))
+    useWhiteboardStore.getState().undo()
+    useWhiteboardStore.getState().commitStroke(makeStroke('s2', 'me'))
+    expect(useWhiteboardStore.getState().redoStack).toEqual([])
+    expect(useWhiteboardStore.getState().redo()).toBeNull()
+  })
+})
+
+describe('sync', () => {
+  test('local edits are numbered per actor', () => {
+    const first = useWhiteboardStore.getState().addStroke(makeStroke('s1'))
+    const second = useWhiteboardStore.getState().clearStrokes()
+    expect([first.seq, second.seq]).toEqual([1, 2])
+    expect(second.t).toBeGreaterThan(first.t)
+  })
+
+  test('applyOps merges remote ops and drops ones it has already seen', () => {
+    const op = remoteAdd(makeStroke('s1'))
+    useWhiteboardStore.getState().applyOps([op])
+    useWhiteboardStore.getState().applyOps([op])
+    expect(useWhiteboardStore.getState().strokes.map((s) => s.id)).toEqual(['s1'])
+    expect(useWhiteboardStore.getState().crdt.stateVector).toEqual({ 'peer-2': 1 })
+  })
+
+  test('a concurrent clear keeps strokes drawn after it', () => {
+    useWhiteboardStore.getState().applyOps([remoteAdd(makeStroke('old'), 'peer-2', 1, 1)])
+    useWhiteboardStore.getState().addStroke(makeStroke('mine'))
+    // peer-3 had seen nothing yet, so its clear is stamped before our stroke.
+    useWhiteboardStore.getState().applyOps([{ kind: 'clear', actor: 'peer-3', seq: 1, t: 1, pageId: null }])
+    expect(useWhiteboardStore.getState().strokes.map((s) => s.id)).toEqual(['mine'])
+  })
+
+  test('nobody else can remove our stroke', () => {
+    useWhiteboardStore.getState().addStroke(makeStroke('mine'))
+    useWhiteboardStore.getState().applyOps([{ kind: 'remove', actor: 'peer-2', seq: 1, t: 9, strokeId: 'mine' }])
+    expect(useWhiteboardStore.getState().strokes.map((s) => s.id)).toEqual(['mine'])
+  })
+
+  test('reset starts a new actor with an empty board', () => {
+    const before = useWhiteboardStore.getState().actorId
+    useWhiteboardStore.getState().addStroke(makeStroke('s1'))
+    useWhiteboardStore.getState().reset()
+    expect(useWhiteboardStore.getState().actorId).not.toBe(before)
+    expect(useWhiteboardStore.getState().crdt.stateVector).toEqual({})
+  })
+})
+
+describe('pages', () => {
+  test('strokes without a pageId belong to the first page', () => {
+    useWhiteboardStore.getState().addStroke(makeStroke('legacy'))
+    useWhiteboardStore.getState().addStroke({ ...makeStroke('p2'), pageId: 'page-2' })
+    useWhiteboardStore.getState().clearStrokes(DEFAULT_PAGE_ID)
+    expect(useWhiteboardStore.getState().strokes.map((s) => s.id)).toEqual(['p2'])
+  })
+
+  test('clearStrokes without a page wipes every page', () => {
+    useWhiteboardStore.getState().addStroke(makeStroke('legacy'))
+    useWhiteboardStore.getState().addStroke({ ...makeStroke('p2'), pageId: 'page-2' })
+    useWhiteboardStore.getState().clearStrokes()
+    expect(useWhiteboardStore.getState().strokes).toEqual([])
+  })
+
+  test('addPage appends once and setCurrentPage switches to it', () => {
+    useWhiteboardStore.getState().addPage({ id: 'page-2', name: 'Ideas' })
+    useWhiteboardStore.getState().addPage({ id: 'page-2', name: 'Ideas' })
+    useWhiteboardStore.getState().setCurrentPage('page-2')
+    expect(useWhiteboardStore.getState().pages).toHaveLength(2)
+    expect(useWhiteboardStore.getState().currentPageId).toBe('page-2')
+  })
+
+  test('setCurrentPage ignores unknown pages', () => {
+    useWhiteboardStore.getState().setCurrentPage('nope')
+    expect(useWhiteboardStore.getState().currentPageId).toBe(DEFAULT_PAGE_ID)
+  })
+
+  test('setPages falls back to the first page when the current one is gone', () => {
+    useWhiteboardStore.getState().addPage({ id: 'page-2', name: 'Ideas' })
+    useWhiteboardStore.getState().setCurrentPage('page-2')
+    useWhiteboardStore.getState().setPages([{ id: DEFAULT_PAGE_ID, name: 'Page 1' }])
+    expect(useWhiteboardStore.getState().currentPageId).toBe(DEFAULT_PAGE_ID)
+  })
+
+  test('reset returns to a single page and default width', () => {
+    useWhiteboardStore.getState().addPage({ id: 'page-2', name: 'Ideas' })
+    useWhiteboardStore.getState().setCurrentPage('page-2')
+    useWhiteboardStore.getState().setWidth(9)
+    useWhiteboardStore.getState().reset()
+    expect(useWhiteboardStore.getState().pages).toHaveLength(1)
+    expect(useWhiteboardStore.getState().currentPageId).toBe(DEFAULT_PAGE_ID)
+    expect(useWhiteboardStore.getState().currentWidth).toBe(3)
+  })
+})
+
+describe('pointers', () => {
+  const at = (t: number, extra = {}) => ({ x: 0.5, y: 0.5, pageId: DEFAULT_PAGE_ID, laser: false, t, ...extra })
+
+  test('movePointer keeps the newest position per peer', () => {
+    useWhiteboardStore.getState().movePointer('peer-a', 'Alice', at(2, { x: 0.2 }))
+    useWhiteboardStore.getState().movePointer('peer-a', 'Alice', at(1, { x: 0.9 }))
+    expect(useWhiteboardStore.getState().cursors['peer-a']).toMatchObject({ name: 'Alice', x: 0.2 })
+  })
+
+  test('a hidden pointer or a departed peer removes the cursor', () => {
+    useWhiteboardStore.getState().movePointer('peer-a', 'Alice', at(1))
+    useWhiteboardStore.getState().movePointer('peer-a', 'Alice', at(2, { hidden: true }))
+    useWhiteboardStore.getState().movePointer('peer-b', 'Bob', at(1))
+    useWhiteboardStore.getState().removeCursor('peer-b')
+    expect(useWhiteboardStore.getState().cursors).toEqual({})
+  })
+
+  test('only laser pointers build a trail', () => {
+    useWhiteboardStore.getState().movePointer('peer-a', 'Alice', at(1, { laser: true }))
+    useWhiteboardStore.getState().movePointer('peer-a', 'Alice', at(2, { laser: true, x: 0.6 }))
+    expect(useWhiteboardStore.getState().cursors['peer-a'].trail.map((p) => p.x)).toEqual([0.5, 0.6])
+    useWhiteboardStore.getState().movePointer('peer-a', 'Alice', at(3))
+    expect(useWhiteboardStore.getState().cursors['peer-a'].trail).toEqual([])
+  })
+})
@@ -8,7 +8,7 @@ const defaultProps = {
   isMuted: false,
   isCamOff: false,
   networkQuality: 'good' as const,
-  isAway: false,
+  presence: 'active' as const,
   reaction: null,
   hasRaisedHand: false,
 }
@@ -23,11 +23,29 @@ test('shows avatar when cam is off', () => {
   expect(screen.getByText('A')).toBeInTheDocument()
 })
 
-test('shows away overlay when isAway', () => {
-  render(<VideoTile {...defaultProps} isAway={true} />)
+test('shows away overlay when the peer is away', () => {
+  render(<VideoTile {...defaultProps} presence="away" />)
   expect(screen.getByText(/away/i)).toBeInTheDocument()
 })
 
+test('labels idle and reconnecting peers, and leaves active ones alone', () => {
+  const { rerender } = render(<VideoTile {...defaultProps} presence="idle" />)
+  expect(screen.getByTestId('presence-overlay')).toHaveTextContent(/idle/i)
+  rerender(<VideoTile {...defaultProps} presence="reconnecting" />)
+  expect(screen.getByTestId('presence-overlay')).toHaveTextContent(/reconnecting/i)
+  rerender(<VideoTile {...defaultProps} />)
+  expect(screen.queryByTestId('presence-overlay')).not.toBeInTheDocument()
+})
+
+test('a connection being recovered, or given up on, outranks presence', () => {
+  const { rerender } = render(<VideoTile {...defaultProps} presence="away" connectionState="disconnected" />)
+  expect(screen.getByTestId('presence-overlay')).toHaveTextContent(/reconnecting/i)
+  rerender(<VideoTile {...defaultProps} presence="away" connectionState="failed" />)
+  expect(screen.getByTestId('presence-overlay')).toHaveTextContent(/connection lost/i)
+  rerender(<VideoTile {...defaultProps} presence="away" connectionState="connected" />)
+  expect(screen.getByTestId('presence-overlay')).toHaveTextContent(/away/i)
+})
+
 test('shows reaction emoji when set', () => {
   render(<VideoTile {...defaultProps} reaction={{ emoji: '👍', sentAt: Date.now() }} />)
   expect(screen.getByText('👍')).toBeInTheDocument()
@@ -48,3 +66,20 @@ test('renders video element when stream provided and cam on', () => {
   const { container } = render(<VideoTile {...defaultProps} stream={fakeStream} isCamOff={false} />)
   expect(container.querySelector('video')).toBeInTheDocument()
 })
+
+test('shows speaking ring only while isSpeaking', () => {
+  const { rerender } = render(<VideoTile {...defaultProps} />)
+  expect(screen.queryByTestId('speaking-ring')).not.toBeInTheDocument()
+  rerender(<VideoTile {...defaultProps} isSpeaking={true} />)
+  expect(screen.getByTestId('speaking-ring')).toBeInTheDocument()
+})
+
+test('shows a lock when media is end-to-end encrypted', () => {
+  render(<VideoTile {...defaultProps} isEncrypted={true} />)
+  expect(screen.getByTestId('e2ee-indicator')).toHaveAttribute('title', 'End-to-end encrypted')
+})
+
+test('shows no lock by default', () => {
+  render(<VideoTile {...defaultProps} />)
+  expect(screen.queryByTestId('e2ee-indicator')).not.toBeInTheDocument()
+})